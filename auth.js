@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query } = require('./database');
+
+const SESSION_COOKIE = 'bf_session';
+const SESSION_TTL_DAYS = 30;
+const BCRYPT_ROUNDS = 10;
+
+// 인증 없이 호출 가능한 API (Render 헬스체크, 로그인)
+const PUBLIC_API_PATHS = ['/api/health', '/api/auth/login'];
+
+// 역할: owner(대표) / manager(매니저) / staff(창고 작업자) / read_only(조회 전용)
+const ROLES = ['owner', 'manager', 'staff', 'read_only'];
+
+const ROLE_LABELS = {
+  owner: '대표',
+  manager: '매니저',
+  staff: '스태프',
+  read_only: '조회 전용',
+};
+
+// 권한 목록 — owner는 전체 권한
+const PERMISSIONS = [
+  'inventory.view',        // 재고/상품/브랜드 조회
+  'stock.adjust',          // 수량 조정 (재고, 옵션)
+  'inventory.edit',        // 상품 추가/수정/삭제, 채널 연결
+  'inventory.bulk_delete', // 일괄 삭제
+  'products.copy',         // 상품 복사 (Store A → B/쿠팡/지그재그)
+  'sales.view',            // 판매 현황 조회
+  'sales.fetch',           // 판매 데이터 수집
+  'sales.reset',           // 판매 데이터 리셋 (resetDays)
+  'costs.view',            // 원가/마진 조회 및 원가 입력
+  'returns.view',          // 반품/수거 목록 조회
+  'returns.confirm',       // 실수거완료 처리
+  'returns.process',       // 반품 확정/B스토어 등록
+  'sync.view',             // 동기화 상태/로그 조회
+  'sync.run',              // 동기화 수동 실행
+  'sync.config',           // 동기화 설정, API 키, 스케줄러 시작/중지
+  'system.debug',          // 디버그 API
+  'users.manage',          // 사용자 관리
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: [
+    'inventory.view', 'stock.adjust', 'inventory.edit', 'products.copy',
+    'sales.view', 'sales.fetch', 'costs.view',
+    'returns.view', 'returns.confirm', 'returns.process',
+    'sync.view', 'sync.run',
+  ],
+  staff: ['inventory.view', 'stock.adjust', 'returns.view', 'returns.confirm'],
+  read_only: ['inventory.view', 'sales.view', 'returns.view', 'sync.view'],
+};
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+// 세션 토큰은 원문을 쿠키에만 두고 DB에는 SHA-256 해시만 저장
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function buildSessionCookie(token, maxAgeSec) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSec}`,
+  ];
+  if (process.env.NODE_ENV === 'production' || process.env.RENDER_EXTERNAL_URL) {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+function setSessionCookie(res, token) {
+  res.setHeader('Set-Cookie', buildSessionCookie(token, SESSION_TTL_DAYS * 24 * 60 * 60));
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', buildSessionCookie('', 0));
+}
+
+function toPublicUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name || row.username,
+    role: row.role,
+    roleLabel: ROLE_LABELS[row.role] || row.role,
+    permissions: ROLE_PERMISSIONS[row.role] || [],
+    lastLoginAt: row.last_login_at || null,
+  };
+}
+
+// 로그인 처리: 성공 시 { token, user }, 실패 시 null
+async function login(username, password, meta = {}) {
+  const rows = await query(
+    'SELECT * FROM users WHERE username = ? AND is_active = 1',
+    [String(username || '').trim()]
+  );
+  if (rows.length === 0) return null;
+  const user = rows[0];
+  const ok = await verifyPassword(String(password || ''), user.password_hash);
+  if (!ok) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await query(
+    `INSERT INTO user_sessions (token_hash, user_id, user_agent, ip, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [hashToken(token), user.id, (meta.userAgent || '').slice(0, 255), (meta.ip || '').slice(0, 64), SESSION_TTL_DAYS]
+  );
+  await query('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
+
+  // 만료 세션 정리 (로그인 시점에 가볍게)
+  await query('DELETE FROM user_sessions WHERE expires_at < NOW()').catch(() => {});
+
+  return { token, user: toPublicUser(user) };
+}
+
+async function logout(token) {
+  if (!token) return;
+  await query('DELETE FROM user_sessions WHERE token_hash = ?', [hashToken(token)]);
+}
+
+// 토큰 → 사용자 (만료/비활성 계정이면 null)
+async function getSessionUser(token) {
+  if (!token) return null;
+  const rows = await query(
+    `SELECT u.* FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.is_active = 1`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) return null;
+  return rows[0];
+}
+
+function getRequestToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// /api/* 보호 미들웨어 — PUBLIC_API_PATHS 외에는 유효한 세션 필요
+async function requireAuth(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.baseUrl + req.path)) return next();
+  try {
+    const user = await getSessionUser(getRequestToken(req));
+    if (!user) {
+      return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+    req.user = toPublicUser(user);
+    // 사용자별 응답이므로 브라우저/서비스워커/프록시 캐시 금지
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  const perms = ROLE_PERMISSIONS[user.role] || [];
+  return perms.includes(permission);
+}
+
+// 라우트별 권한 검사 미들웨어 — app.get('/api/..', requirePermission('x'), handler)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: '권한이 없습니다.' });
+    }
+    next();
+  };
+}
+
+async function createUser(username, password, displayName, role = 'staff') {
+  const name = String(username || '').trim();
+  if (!name) throw new Error('아이디를 입력해주세요.');
+  if (!ROLES.includes(role)) throw new Error('올바르지 않은 역할입니다.');
+  if (!password || String(password).length < 8) throw new Error('비밀번호는 8자 이상이어야 합니다.');
+  const existing = await query('SELECT id FROM users WHERE username = ?', [name]);
+  if (existing.length > 0) throw new Error('이미 존재하는 아이디입니다.');
+  const passwordHash = await hashPassword(String(password));
+  const result = await query(
+    'INSERT INTO users (username, password_hash, display_name, role) VALUES (?, ?, ?, ?)',
+    [name, passwordHash, displayName || name, role]
+  );
+  return result.insertId;
+}
+
+async function changePassword(userId, currentPassword, newPassword) {
+  const rows = await query('SELECT * FROM users WHERE id = ?', [userId]);
+  if (rows.length === 0) throw new Error('사용자를 찾을 수 없습니다.');
+  const ok = await verifyPassword(String(currentPassword || ''), rows[0].password_hash);
+  if (!ok) throw new Error('현재 비밀번호가 일치하지 않습니다.');
+  if (!newPassword || String(newPassword).length < 8) throw new Error('비밀번호는 8자 이상이어야 합니다.');
+  const passwordHash = await hashPassword(String(newPassword));
+  await query('UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?', [passwordHash, userId]);
+  // 다른 기기의 세션은 모두 종료
+  await query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+}
+
+// 사용자가 한 명도 없으면 환경변수(ADMIN_USERNAME/ADMIN_PASSWORD)로 최초 계정 생성
+async function ensureInitialUser() {
+  const rows = await query('SELECT COUNT(*) as cnt FROM users');
+  if (rows[0].cnt > 0) return;
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.log('[Auth] 등록된 사용자가 없습니다. ADMIN_USERNAME / ADMIN_PASSWORD 환경변수를 설정하세요.');
+    return;
+  }
+  await createUser(username, password, username, 'owner');
+  console.log(`[Auth] 최초 관리자 계정 생성: ${username}`);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  ROLE_LABELS,
+  requireAuth,
+  requirePermission,
+  hasPermission,
+  login,
+  logout,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  createUser,
+  changePassword,
+  ensureInitialUser,
+  toPublicUser,
+};
@@ -0,0 +1,313 @@
+const { getPool, query } = require('./database');
+
+// 카테고리 매핑 — 네이버 leafCategoryId 1개 → 쿠팡/지그재그 카테고리 1개
+// 채널별 카테고리 목록은 channel_categories에 캐시 (새로고침 시 채널 단위로 교체)
+// 상품 복사(copyToCoupang/copyToZigzag)는 A 상품의 leafCategoryId로 매핑을 찾고, 없으면 UnmappedCategoryError
+
+const CHANNEL_LABELS = { naver: '네이버', coupang: '쿠팡', zigzag: '지그재그' };
+const TARGET_CHANNELS = ['coupang', 'zigzag'];
+
+const INSERT_CHUNK = 500;
+
+class UnmappedCategoryError extends Error {
+  constructor(naverCategoryId, channel, naverPath = '') {
+    const label = CHANNEL_LABELS[channel] || channel;
+    super(`${label} 카테고리 매핑이 없습니다: 네이버 ${naverPath ? `${naverPath} ` : ''}(${naverCategoryId}). 설정 > 카테고리 매핑에서 연결해주세요.`);
+    this.name = 'UnmappedCategoryError';
+    this.naverCategoryId = naverCategoryId;
+    this.channel = channel;
+  }
+}
+
+function assertChannel(channel, targetOnly = false) {
+  const list = targetOnly ? TARGET_CHANNELS : Object.keys(CHANNEL_LABELS);
+  if (!list.includes(channel)) throw new Error(`알 수 없는 카테고리 채널: ${channel}`);
+}
+
+// === 채널 응답 → [{ categoryId, name, path, parentId, isLeaf }] (path: '패션의류 > 여성의류 > 니트') ===
+
+// GET /v1/categories — [{ id, name, wholeCategoryName: 'A>B>C', last }]
+function flattenNaver(list) {
+  return (Array.isArray(list) ? list : []).map(c => {
+    const parts = String(c.wholeCategoryName || c.name || '').split('>').map(s => s.trim()).filter(Boolean);
+    return {
+      categoryId: String(c.id),
+      name: c.name || parts[parts.length - 1] || '',
+      path: parts.join(' > '),
+      parentId: null,
+      isLeaf: c.last !== false,
+    };
+  });
+}
+
+// display-categories — { data: { displayItemCategoryCode: 0, name: 'ROOT', child: [...] } } (사용 중지 카테고리 제외)
+function flattenCoupang(response) {
+  const rows = [];
+  const walk = (node, parents, parentId) => {
+    for (const c of node.child || []) {
+      if (c.status && c.status !== 'ACTIVE') continue;
+      const path = [...parents, c.name];
+      const children = (c.child || []).filter(x => !x.status || x.status === 'ACTIVE');
+      rows.push({
+        categoryId: String(c.displayItemCategoryCode),
+        name: c.name,
+        path: path.join(' > '),
+        parentId,
+        isLeaf: children.length === 0,
+      });
+      walk(c, path, String(c.displayItemCategoryCode));
+    }
+  };
+  const root = response?.data || response;
+  if (root) walk(root, [], null);
+  return rows;
+}
+
+// category_list — [{ category_id, name, parent_category_id, children: [...] }]
+function flattenZigzag(response) {
+  const rows = [];
+  const walk = (list, parents, parentId) => {
+    for (const c of list || []) {
+      const path = [...parents, c.name];
+      rows.push({
+        categoryId: String(c.category_id),
+        name: c.name,
+        path: path.join(' > '),
+        parentId,
+        isLeaf: !c.children || c.children.length === 0,
+      });
+      walk(c.children, path, String(c.category_id));
+    }
+  };
+  walk(response?.category_list || response, [], null);
+  return rows;
+}
+
+const FETCHERS = {
+  naver: async (client) => flattenNaver(await client.getCategories()),
+  coupang: async (client) => flattenCoupang(await client.getDisplayCategories()),
+  zigzag: async (client) => flattenZigzag(await client.getCategories()),
+};
+
+/**
+ * 채널 카테고리 새로고침 — 기존 캐시를 지우고 전체 교체 (트랜잭션)
+ * @param {string} channel - 'naver' | 'coupang' | 'zigzag'
+ * @param {Object} client - NaverCommerceClient(A) / CoupangClient / ZigzagClient
+ * @returns {Promise<{channel: string, count: number, leaves: number}>}
+ */
+async function refreshCategories(channel, client) {
+  assertChannel(channel);
+  const rows = await FETCHERS[channel](client);
+  if (rows.length === 0) throw new Error(`${CHANNEL_LABELS[channel]} 카테고리를 가져오지 못했습니다.`);
+
+  const now = new Date();
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM channel_categories WHERE channel = ?', [channel]);
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+      const chunk = rows.slice(i, i + INSERT_CHUNK);
+      await conn.query(
+        `INSERT INTO channel_categories (channel, category_id, name, path, parent_id, is_leaf, synced_at)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flatMap(r => [channel, r.categoryId, r.name, r.path, r.parentId, r.isLeaf ? 1 : 0, now])
+      );
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+  return { channel, count: rows.length, leaves: rows.filter(r => r.isLeaf).length };
+}
+
+// 채널별 캐시 현황 — { naver: { count, syncedAt }, ... }
+async function getCategoryStats() {
+  const rows = await query(
+    'SELECT channel, COUNT(*) AS count, MAX(synced_at) AS synced_at FROM channel_categories GROUP BY channel'
+  );
+  const stats = {};
+  for (const channel of Object.keys(CHANNEL_LABELS)) {
+    const row = rows.find(r => r.channel === channel);
+    stats[channel] = { count: row ? Number(row.count) : 0, syncedAt: row ? row.synced_at : null };
+  }
+  return stats;
+}
+
+/**
+ * 캐시된 카테고리 검색 (경로 부분 일치)
+ * @param {string} channel
+ * @param {Object} opts - { q, leafOnly = true, limit = 50 }
+ */
+async function listCategories(channel, { q = '', leafOnly = true, limit = 50 } = {}) {
+  assertChannel(channel);
+  const where = ['channel = ?'];
+  const params = [channel];
+  if (leafOnly) where.push('is_leaf = 1');
+  if (q) {
+    where.push('(path LIKE ? OR category_id = ?)');
+    params.push(`%${q}%`, q);
+  }
+  params.push(Math.min(parseInt(limit) || 50, 200));
+  return query(
+    `SELECT category_id, name, path, is_leaf FROM channel_categories WHERE ${where.join(' AND ')} ORDER BY path LIMIT ?`,
+    params
+  );
+}
+
+// === 이름 유사도 (추천) ===
+
+function tokenize(text) {
+  return [...new Set(String(text || '').toLowerCase().split(/[\s>\/,·&()\[\]]+/).filter(Boolean))];
+}
+
+function bigrams(text) {
+  const s = String(text || '').toLowerCase().replace(/\s+/g, '');
+  if (s.length < 2) return s ? [s] : [];
+  const list = [];
+  for (let i = 0; i < s.length - 1; i++) list.push(s.slice(i, i + 2));
+  return list;
+}
+
+function dice(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const pool = [...b];
+  let common = 0;
+  for (const x of a) {
+    const idx = pool.indexOf(x);
+    if (idx >= 0) {
+      common++;
+      pool.splice(idx, 1);
+    }
+  }
+  return (2 * common) / (a.length + b.length);
+}
+
+/**
+ * 네이버 카테고리 ↔ 대상 카테고리 유사도 (0~1)
+ * 리프 이름(대상 이름의 '니트/스웨터'처럼 나뉜 토큰별 최고값) 70% + 전체 경로 토큰 30%
+ * @param {{name: string, path: string}} naverCategory
+ * @param {{name: string, path: string}} targetCategory
+ */
+function similarity(naverCategory, targetCategory) {
+  const leafGrams = bigrams(naverCategory.name);
+  const leaf = Math.max(0, ...tokenize(targetCategory.name).map(t => dice(leafGrams, bigrams(t))));
+  const path = dice(tokenize(naverCategory.path), tokenize(targetCategory.path));
+  return Math.round((leaf * 0.7 + path * 0.3) * 100) / 100;
+}
+
+async function findCategory(channel, categoryId) {
+  const rows = await query(
+    'SELECT category_id, name, path, is_leaf FROM channel_categories WHERE channel = ? AND category_id = ? LIMIT 1',
+    [channel, String(categoryId)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * 매핑 추천 — 대상 채널 리프 카테고리 중 이름이 비슷한 순
+ * @returns {Promise<Array<{categoryId, name, path, score}>>}
+ */
+async function suggest(naverCategoryId, channel, limit = 5) {
+  assertChannel(channel, true);
+  const naverCategory = await findCategory('naver', naverCategoryId);
+  if (!naverCategory) {
+    throw new Error(`네이버 카테고리 정보가 없습니다 (${naverCategoryId}). 네이버 카테고리를 먼저 새로고침해주세요.`);
+  }
+  const targets = await query(
+    'SELECT category_id, name, path FROM channel_categories WHERE channel = ? AND is_leaf = 1',
+    [channel]
+  );
+  return targets
+    .map(t => ({ categoryId: t.category_id, name: t.name, path: t.path, score: similarity(naverCategory, t) }))
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+    .slice(0, limit);
+}
+
+// === 매핑 ===
+
+async function listMappings() {
+  return query('SELECT * FROM category_mappings ORDER BY naver_category_path, naver_category_id, target_channel');
+}
+
+/**
+ * 매핑 저장 (같은 네이버 카테고리 × 채널이면 덮어씀) — 대상은 캐시에 있는 리프 카테고리만
+ * @param {Object} [user] - req.user (이력 표시용)
+ */
+async function setMapping(naverCategoryId, channel, targetCategoryId, user = null) {
+  assertChannel(channel, true);
+  if (!naverCategoryId || !targetCategoryId) throw new Error('네이버 카테고리와 대상 카테고리를 선택해주세요.');
+  const target = await findCategory(channel, targetCategoryId);
+  if (!target) {
+    throw new Error(`${CHANNEL_LABELS[channel]} 카테고리를 찾을 수 없습니다 (${targetCategoryId}). 카테고리를 새로고침해주세요.`);
+  }
+  if (!target.is_leaf) throw new Error(`${CHANNEL_LABELS[channel]} 최하위 카테고리만 선택할 수 있습니다: ${target.path}`);
+  const naverCategory = await findCategory('naver', naverCategoryId);
+
+  await query(`
+    INSERT INTO category_mappings
+      (naver_category_id, naver_category_path, target_channel, target_category_id, target_category_path, username, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      naver_category_path = VALUES(naver_category_path),
+      target_category_id = VALUES(target_category_id),
+      target_category_path = VALUES(target_category_path),
+      username = VALUES(username),
+      updated_at = NOW()
+  `, [String(naverCategoryId), naverCategory ? naverCategory.path : '', channel, target.category_id, target.path,
+    user ? user.username : null]);
+  return { naverCategoryId: String(naverCategoryId), channel, categoryId: target.category_id, path: target.path };
+}
+
+async function deleteMapping(naverCategoryId, channel) {
+  assertChannel(channel, true);
+  const result = await query(
+    'DELETE FROM category_mappings WHERE naver_category_id = ? AND target_channel = ?',
+    [String(naverCategoryId), channel]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * 상품 복사용 카테고리 결정
+ * @param {string} naverCategoryId - A 상품 originProduct.leafCategoryId
+ * @param {string} channel - 'coupang' | 'zigzag'
+ * @returns {Promise<{categoryId: string, path: string}>}
+ * @throws {UnmappedCategoryError} 매핑이 없을 때
+ */
+async function resolveCategory(naverCategoryId, channel) {
+  assertChannel(channel, true);
+  if (!naverCategoryId) {
+    throw new Error(`A 상품에 카테고리(leafCategoryId)가 없어 ${CHANNEL_LABELS[channel]} 카테고리를 정할 수 없습니다.`);
+  }
+  const rows = await query(
+    'SELECT target_category_id, target_category_path FROM category_mappings WHERE naver_category_id = ? AND target_channel = ? LIMIT 1',
+    [String(naverCategoryId), channel]
+  );
+  if (rows.length === 0) {
+    const naverCategory = await findCategory('naver', naverCategoryId);
+    throw new UnmappedCategoryError(String(naverCategoryId), channel, naverCategory ? naverCategory.path : '');
+  }
+  return { categoryId: rows[0].target_category_id, path: rows[0].target_category_path };
+}
+
+module.exports = {
+  CHANNEL_LABELS,
+  TARGET_CHANNELS,
+  UnmappedCategoryError,
+  flattenNaver,
+  flattenCoupang,
+  flattenZigzag,
+  similarity,
+  refreshCategories,
+  getCategoryStats,
+  listCategories,
+  suggest,
+  listMappings,
+  setMapping,
+  deleteMapping,
+  resolveCategory,
+};
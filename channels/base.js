@@ -0,0 +1,173 @@
+const { getConfig } = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 채널 공통 판매 상태 (어댑터가 채널별 값으로 변환)
+const SALE_STATUS = { ON_SALE: 'ON_SALE', SUSPENDED: 'SUSPENDED' };
+
+/**
+ * 주문 DTO — sales_orders 저장 단위 (상품주문 1건)
+ * @typedef {Object} ChannelOrder
+ * @property {string} productOrderId - 채널 내 고유 ID (쿠팡/지그재그는 접두사 포함)
+ * @property {Date} orderDate
+ * @property {string} productName
+ * @property {string|null} optionName
+ * @property {number} qty
+ * @property {number} unitPrice
+ * @property {number} totalAmount
+ * @property {string} status - 채널 원본 주문 상태
+ * @property {string} channelProductNo - products.<productColumn> 값과 매칭
+ * @property {boolean} [statusOnly] - 주문 정보 없이 상태만 알려주는 건 (취소/반품 조회) → 이미 수집한 주문의 상태만 갱신
+ */
+
+/**
+ * 반품 DTO — 반품 수거/입고 목록 1건
+ * @typedef {Object} ChannelReturn
+ * @property {string} store
+ * @property {string} productOrderId
+ * @property {string} productName
+ * @property {string|null} optionName
+ * @property {number} qty
+ * @property {string} channelProductNo
+ * @property {string} claimStatus - 네이버 claimStatus 기준 (COLLECTING / COLLECT_DONE / WAREHOUSE_CONFIRM / RETURN_DONE ...)
+ * @property {string} returnState - 반품 생애주기 상태 (return-lifecycle.js CHANNEL_STATES: requested / collecting / collected / received)
+ * @property {string} claimType
+ * @property {string|null} lastChangedDate
+ * @property {string} ordererName
+ */
+
+/**
+ * 교환 DTO — 교환 클레임 1건 (회수되는 옵션 + 다시 보내는 옵션)
+ * @typedef {Object} ChannelExchange
+ * @property {string} store
+ * @property {string} claimId - 교환 건 고유 ID (exchanges.claim_id)
+ * @property {string|null} productOrderId - 원 주문 ID (sales_orders.product_order_id, 모르면 null)
+ * @property {string} productName
+ * @property {number} qty
+ * @property {string} channelProductNo - 회수되는 상품
+ * @property {string|null} inboundOption - 회수되는 옵션명
+ * @property {string|null} outboundChannelProductNo - 다시 보내는 상품 (null이면 같은 상품)
+ * @property {string|null} outboundOption - 다시 보내는 옵션명 (null이면 채널이 알려주지 않음 → 검토)
+ * @property {string} claimStatus - 채널 원본 교환 상태
+ * @property {string} exchangeState - exchange-stock.js EXCHANGE_STATES (requested / collected / completed / cancelled)
+ * @property {string|null} lastChangedDate
+ */
+
+/**
+ * 판매 채널 어댑터 기본 클래스
+ * 채널별 클라이언트의 메서드/응답 형태 차이를 감추고 공통 DTO로 반환한다.
+ * 새 마켓은 이 클래스를 상속한 파일을 만들고 channels/index.js에 등록하면 된다.
+ */
+class ChannelAdapter {
+  // --- 채널 메타 (하위 클래스에서 지정) ---
+  static store = '';            // 스토어 코드 (sync_log.store_from, sales_orders.store)
+  static key = '';              // 채널 키 (stock_buffer_<key> 등 설정 접미사)
+  static label = '';            // 화면/로그 표시명
+  static productColumn = '';    // products 테이블 채널 상품번호 컬럼
+  static salesConfigKey = '';   // 매출 마지막 수집 시각 설정 키
+  static priceRateKey = null;   // 마스터 판매가 대비 채널 판매가 비율 설정 키 (null이면 1)
+  static orderIdPrefix = '';    // productOrderId 접두사 (없으면 '')
+  static orderWindowMs = null;  // listOrders 1회 최대 조회 구간 (null이면 제한 없음)
+  static returnLookbackFactor = 1; // 반품 조회 기간 배율 (접수일 기준 조회 채널은 2)
+  static supportsReturns = true;   // 반품 목록 조회 대상 여부
+  static returnsToStoreB = false;  // 반품 처리 시 B 스토어 복사까지 해야 완료인지
+  static supportsExchanges = true; // 교환 목록 조회 대상 여부
+  static exchangeLookbackMs = 0;   // 접수일 기준 조회 채널: 진행 중 교환의 상태 변경을 잡기 위해 항상 다시 조회할 기간
+  static salesLookbackMs = 0;      // 주문일 기준 조회 채널: 이미 수집한 주문의 취소/반품 상태 변경을 잡기 위해 항상 다시 조회할 기간
+
+  /**
+   * 설정/환경변수로 클라이언트 생성 — API 키가 없으면 null
+   * @returns {Promise<Object|null>}
+   */
+  static async createClient() {
+    return null;
+  }
+
+  constructor(client) {
+    this.client = client;
+  }
+
+  get store() { return this.constructor.store; }
+  get key() { return this.constructor.key; }
+  get label() { return this.constructor.label; }
+
+  unsupported(method) {
+    return new Error(`${this.label}: ${method} 미지원 채널입니다.`);
+  }
+
+  /**
+   * 주문 조회 (orderWindowMs 이하 구간)
+   * @returns {Promise<ChannelOrder[]>}
+   */
+  async listOrders(fromDate, toDate) {
+    throw this.unsupported('listOrders');
+  }
+
+  /**
+   * 반품 진행/완료 건 조회
+   * @returns {Promise<ChannelReturn[]>}
+   */
+  async listReturns(fromDate, toDate) {
+    throw this.unsupported('listReturns');
+  }
+
+  /**
+   * 교환 진행/완료 건 조회
+   * @returns {Promise<ChannelExchange[]>}
+   */
+  async listExchanges(fromDate, toDate) {
+    throw this.unsupported('listExchanges');
+  }
+
+  /**
+   * 채널 상품 원본 조회
+   * @param {string} channelProductNo
+   */
+  async getProduct(channelProductNo) {
+    throw this.unsupported('getProduct');
+  }
+
+  /**
+   * 상품 등록
+   * @param {Object} productData - 채널 등록 형식 데이터
+   * @returns {Promise<{ channelProductNo: string, raw: Object }>}
+   */
+  async createProduct(productData) {
+    throw this.unsupported('createProduct');
+  }
+
+  /**
+   * 재고 전송
+   * @param {string} channelProductNo
+   * @param {{ total: number, items: Array<{channelProductId: string, channelItemId: string, qty: number}>, forOption: function(string, string[]): (number|null) }} stock
+   *   total: 상품 합계 / forOption: (옵션명, 상품의 전체 옵션명) → 수량 (null이면 해당 옵션 기존 재고 유지)
+   *   items: 옵션 연결(variant_channel_items)이 있는 채널 아이템별 수량 — 쿠팡/지그재그 (없는 아이템은 기존 재고 유지)
+   * @returns {Promise<number>} 전송한 총 수량
+   */
+  async updateStock(channelProductNo, stock) {
+    throw this.unsupported('updateStock');
+  }
+
+  /**
+   * 판매 상태 변경
+   * @param {string} channelProductNo
+   * @param {string} status - SALE_STATUS 값
+   */
+  async updateStatus(channelProductNo, status) {
+    throw this.unsupported('updateStatus');
+  }
+
+  /**
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  async testConnection() {
+    return this.client.testConnection();
+  }
+}
+
+// env 우선, 없으면 sync_config
+async function configValue(envKey, configKey) {
+  return process.env[envKey] || await getConfig(configKey);
+}
+
+module.exports = { ChannelAdapter, SALE_STATUS, DAY_MS, configValue };
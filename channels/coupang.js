@@ -0,0 +1,254 @@
+const { CoupangClient } = require('../coupang');
+const { ChannelAdapter, SALE_STATUS, DAY_MS, configValue } = require('./base');
+
+// 쿠팡 receiptStatus → 네이버 claimStatus 호환
+const RETURN_STATUS_MAP = {
+  'PR': 'WAREHOUSE_CONFIRM', 'VENDOR_WAREHOUSE_CONFIRM': 'WAREHOUSE_CONFIRM',
+  'REQUEST_COUPANG_CHECK': 'WAREHOUSE_CONFIRM',
+  'CC': 'COLLECT_DONE', 'UNIT_COLLECTED': 'COLLECT_DONE',
+  'RETURNS_COMPLETED': 'COLLECT_DONE',
+  'UC': 'COLLECTING', 'RETURNS_UNCHECKED': 'COLLECTING',
+  'RU': 'COLLECTING', 'RELEASE_STOP_UNCHECKED': 'COLLECTING',
+};
+
+// 쿠팡 receiptStatus → 반품 생애주기 상태
+const RETURN_STATE_MAP = {
+  'RU': 'requested', 'RELEASE_STOP_UNCHECKED': 'requested',
+  'UC': 'requested', 'RETURNS_UNCHECKED': 'requested',
+  'CC': 'collected', 'UNIT_COLLECTED': 'collected',
+  'PR': 'received', 'VENDOR_WAREHOUSE_CONFIRM': 'received', 'REQUEST_COUPANG_CHECK': 'received',
+  'RETURNS_COMPLETED': 'received',
+};
+
+// 쿠팡 교환 상태 → 교환 진행 상태 (진행 중이면 회수 상태로 판단)
+const EXCHANGE_STATE_MAP = {
+  'RECEIPT': 'requested', 'PROGRESS': 'requested',
+  'SUCCESS': 'completed',
+  'REJECT': 'cancelled', 'CANCEL': 'cancelled',
+};
+const COLLECTED_STATUSES = ['COMPLETE_COLLECT', 'COLLECT_COMPLETE'];
+
+const SIZE_RE = /^(free|xxl|xl|l|m|s|f)$/i;
+
+function extractBrand(name) {
+  if (!name) return '';
+  const trimmed = name.trim();
+  const match = trimmed.match(/^([a-zA-Z]{2})\s/);
+  if (match) return match[1].toLowerCase();
+  return '';
+}
+
+// 쿠팡 vendorItemName 파싱: "ob 캐시미어 니트, 아이보리 free" → { productName, brand, color, size }
+// 콤마 앞 = 상품명 (브랜드 이니셜 포함), 콤마 뒤 = 옵션 (색상 + 사이즈)
+function parseCoupangItemName(vendorItemName) {
+  if (!vendorItemName) return { productName: '', brand: '', color: '', size: '', colorOptions: [], sizeOptions: [] };
+
+  const commaIdx = vendorItemName.indexOf(',');
+  if (commaIdx === -1) {
+    return { productName: vendorItemName.trim(), brand: extractBrand(vendorItemName), color: '', size: '', colorOptions: [], sizeOptions: [] };
+  }
+
+  let productName = vendorItemName.slice(0, commaIdx).trim();
+  const optionPart = vendorItemName.slice(commaIdx + 1).trim();
+  const tokens = optionPart.split(/\s+/).filter(t => t);
+
+  // 브랜드: 상품명 앞 또는 끝에서 2글자 영문 이니셜 추출
+  let brand = extractBrand(productName);
+  if (!brand) {
+    // 끝에 브랜드가 있는 경우: "... 블랙 ob" → brand = "ob" (상품명은 변경하지 않음)
+    const endMatch = productName.match(/\s([a-zA-Z]{2})$/);
+    if (endMatch) {
+      brand = endMatch[1].toLowerCase();
+    }
+  }
+
+  // 첫 토큰이 2글자 영문이면 옵션 쪽 브랜드 — 상품명에 없으면 prepend용
+  let startIdx = 0;
+  if (tokens.length > 0 && /^[a-zA-Z]{2}$/.test(tokens[0])) {
+    const optionBrand = tokens[0].toLowerCase();
+    if (!brand) {
+      brand = optionBrand;
+    }
+    startIdx = 1;
+  }
+
+  // 마지막 토큰이 사이즈 키워드면 추출
+  let size = '';
+  let endIdx = tokens.length;
+  if (tokens.length > startIdx && /^(free|xxl|xl|l|m|s|f)$/i.test(tokens[tokens.length - 1])) {
+    size = tokens[tokens.length - 1];
+    size = size.toUpperCase() === 'FREE' ? 'Free' : size.toUpperCase();
+    endIdx = tokens.length - 1;
+  }
+
+  // 중간 토큰에서 색상/사이즈 분리 (사이즈 키워드가 섞여있을 수 있음)
+  const middleTokens = tokens.slice(startIdx, endIdx);
+  const sizePattern = /^(free|xxl|xl|l|m|s|f)$/i;
+  const colorOptions = middleTokens.filter(t => !sizePattern.test(t));
+  const extraSizes = middleTokens.filter(t => sizePattern.test(t)).map(t =>
+    t.toUpperCase() === 'FREE' ? 'Free' : t.toUpperCase()
+  );
+
+  const color = middleTokens.join(' ');
+  const allSizes = [...new Set([...(size ? [size] : []), ...extraSizes])];
+  const sizeOptions = allSizes.length > 0 ? allSizes : [];
+
+  return { productName, brand, color, size, colorOptions, sizeOptions };
+}
+
+// 반품 옵션명: sellerProductItemName(해당 vendorItem의 실제 옵션, 예: "아이보리 free") 우선
+function returnOptionName(returnItem, parsed) {
+  const spi = (returnItem.sellerProductItemName || '').trim();
+  const optParts = [];
+  if (spi) {
+    const spiTokens = spi.split(/[\s/]+/).filter(t => t);
+    // 브랜드 이니셜(2글자 영문)은 제외
+    const brandRe = /^[a-zA-Z]{2}$/;
+    const spiColors = spiTokens.filter(t => !SIZE_RE.test(t) && !brandRe.test(t));
+    const spiSizes = spiTokens.filter(t => SIZE_RE.test(t)).map(t =>
+      t.toUpperCase() === 'FREE' ? 'Free' : t.toUpperCase()
+    );
+    if (spiColors.length > 0) optParts.push(`색상: ${spiColors.join(' ')}`);
+    if (spiSizes.length > 0) optParts.push(`사이즈: ${spiSizes[0]}`);
+    else if (parsed.size) optParts.push(`사이즈: ${parsed.size}`);
+    return optParts.length > 0 ? optParts.join(' / ') : spi;
+  }
+  // fallback: vendorItemName 파싱 결과 사용
+  if (parsed.color) optParts.push(`색상: ${parsed.color}`);
+  if (parsed.size) optParts.push(`사이즈: ${parsed.size}`);
+  return optParts.length > 0 ? optParts.join(' / ') : null;
+}
+
+/**
+ * 쿠팡 — 채널 상품번호는 vendorItemId (옵션 단위)
+ */
+class CoupangChannel extends ChannelAdapter {
+  static store = 'C';
+  static key = 'coupang';
+  static label = '쿠팡';
+  static productColumn = 'coupang_no';
+  static salesConfigKey = 'sales_last_fetch_c';
+  static priceRateKey = 'coupang_price_rate';
+  static orderIdPrefix = 'CPG_';
+  static orderWindowMs = DAY_MS;
+  // 접수일(createdAt) 기준 조회 → 입고완료까지 시간 걸리므로 기간 2배로 확장
+  static returnLookbackFactor = 2;
+  static exchangeLookbackMs = 7 * DAY_MS;
+  static salesLookbackMs = 7 * DAY_MS;
+
+  static async createClient() {
+    const accessKey = await configValue('COUPANG_ACCESS_KEY', 'coupang_access_key');
+    const secretKey = await configValue('COUPANG_SECRET_KEY', 'coupang_secret_key');
+    const vendorId = await configValue('COUPANG_VENDOR_ID', 'coupang_vendor_id');
+    if (!accessKey || !secretKey || !vendorId) return null;
+    return new CoupangClient(accessKey, secretKey, vendorId);
+  }
+
+  // 발주서에는 취소/반품 건이 빠지므로 취소·반품 접수 건을 상태 변경(statusOnly)으로 함께 반환
+  async listOrders(fromDate, toDate) {
+    const orders = await this.client.getOrderItems(fromDate, toDate);
+    const claims = await this.client.getOrderClaimItems(fromDate, toDate);
+    return orders.concat(claims.map(c => ({
+      productOrderId: `CPG_${c.shipmentBoxId}_${c.vendorItemId}`,
+      status: c.status,
+      channelProductNo: c.vendorItemId,
+      statusOnly: true,
+    })));
+  }
+
+  async listReturns(fromDate, toDate) {
+    const returns = await this.client.getReturnRequests(fromDate, toDate);
+    const dist = {};
+    for (const r of returns) { dist[r.receiptStatus] = (dist[r.receiptStatus] || 0) + 1; }
+    console.log(`[Returnable] ${this.label}: ${returns.length}건 감지`, JSON.stringify(dist));
+
+    const items = [];
+    for (const ret of returns) {
+      const claimStatus = RETURN_STATUS_MAP[ret.receiptStatus] || 'COLLECTING';
+      const returnState = RETURN_STATE_MAP[ret.receiptStatus] || 'requested';
+      for (const ri of ret.returnItems) {
+        // vendorItemName 파싱: "ob 캐시미어 니트, 아이보리 free" → 상품명/색상/사이즈 분리
+        const parsed = parseCoupangItemName(ri.vendorItemName);
+        items.push({
+          store: this.store,
+          productOrderId: `CPG_RET_${ret.receiptId}_${ri.vendorItemId}`,
+          productName: parsed.productName,
+          optionName: returnOptionName(ri, parsed),
+          brand: parsed.brand || '',
+          qty: ri.returnQuantity || 1,
+          channelProductNo: ri.vendorItemId,
+          claimStatus,
+          returnState,
+          claimType: 'RETURN',
+          lastChangedDate: ret.createdAt || null,
+          ordererName: ret.buyerName || '',
+          _parsed: parsed,
+          sellerProductItemName: ri.sellerProductItemName || '',
+          colorOptions: parsed.colorOptions || [],
+          sizeOptions: parsed.sizeOptions || [],
+        });
+      }
+    }
+    return items;
+  }
+
+  // 교환 아이템마다 1건 — 회수 vendorItemId(orderItemId) → 재발송 vendorItemId(targetItemId)
+  async listExchanges(fromDate, toDate) {
+    const exchanges = await this.client.getExchangeRequests(fromDate, toDate);
+    if (exchanges.length === 0) return [];
+    console.log(`[Exchange] ${this.label}: ${exchanges.length}건 감지`);
+
+    const items = [];
+    for (const ex of exchanges) {
+      let exchangeState = EXCHANGE_STATE_MAP[ex.exchangeStatus] || 'requested';
+      if (exchangeState === 'requested' && COLLECTED_STATUSES.includes(ex.collectStatus)) exchangeState = 'collected';
+      for (const item of ex.exchangeItems) {
+        const inbound = parseCoupangItemName(item.orderItemName);
+        const outbound = parseCoupangItemName(item.targetItemName || item.orderItemName);
+        items.push({
+          store: this.store,
+          claimId: `CPG_EXC_${ex.exchangeId}_${item.orderItemId}`,
+          productOrderId: item.shipmentBoxId ? `CPG_${item.shipmentBoxId}_${item.orderItemId}` : null,
+          productName: inbound.productName,
+          qty: item.quantity || 1,
+          channelProductNo: item.orderItemId,
+          inboundOption: returnOptionName({}, inbound),
+          outboundChannelProductNo: item.targetItemId || item.orderItemId,
+          outboundOption: returnOptionName({}, outbound) || '',
+          claimStatus: ex.collectStatus ? `${ex.exchangeStatus}/${ex.collectStatus}` : ex.exchangeStatus,
+          exchangeState,
+          lastChangedDate: ex.createdAt || null,
+        });
+      }
+    }
+    return items;
+  }
+
+  async getProduct(sellerProductId) {
+    return this.client.getProduct(sellerProductId);
+  }
+
+  async createProduct(productData) {
+    const raw = await this.client.createProduct(productData);
+    // 등록 응답의 data는 sellerProductId 숫자 (구버전 응답은 { sellerProductId })
+    const data = raw?.data;
+    const sellerProductId = (data && typeof data === 'object' ? data.sellerProductId : data) || raw?.sellerProductId || '';
+    return { channelProductNo: String(sellerProductId), raw };
+  }
+
+  // vendorItemId 1개 = 옵션 1개 — 옵션 연결로 찾은 vendorItemId마다 연결된 옵션 재고 전송
+  async updateStock(channelProductNo, stock) {
+    let total = 0;
+    for (const item of stock.items) {
+      await this.client.updateVendorItemQuantity(item.channelItemId, item.qty);
+      total += item.qty;
+    }
+    return total;
+  }
+
+  async updateStatus(vendorItemId, status) {
+    return this.client.updateVendorItemSaleStatus(vendorItemId, status === SALE_STATUS.ON_SALE);
+  }
+}
+
+module.exports = { CoupangChannel, parseCoupangItemName, extractBrand };
@@ -0,0 +1,76 @@
+const { ChannelAdapter, SALE_STATUS } = require('./base');
+const { NaverStoreA, NaverStoreB } = require('./naver');
+const { CoupangChannel } = require('./coupang');
+const { ZigzagChannel } = require('./zigzag');
+
+// 판매 채널 레지스트리 (등록 순서 = 수집/표시 순서)
+// 새 마켓: ChannelAdapter를 상속한 channels/<name>.js 작성 후 registerChannel()
+const registry = new Map();
+
+function registerChannel(AdapterClass) {
+  if (!(AdapterClass.prototype instanceof ChannelAdapter)) {
+    throw new Error('ChannelAdapter를 상속한 클래스만 등록할 수 있습니다.');
+  }
+  if (!AdapterClass.store) throw new Error('스토어 코드가 없는 채널입니다.');
+  registry.set(AdapterClass.store, AdapterClass);
+}
+
+[NaverStoreA, NaverStoreB, CoupangChannel, ZigzagChannel].forEach(registerChannel);
+
+/** @returns {typeof ChannelAdapter|null} */
+function getChannel(store) {
+  return registry.get(store) || null;
+}
+
+function listChannels() {
+  return [...registry.values()];
+}
+
+function getChannelByKey(key) {
+  return listChannels().find(ch => ch.key === key) || null;
+}
+
+// productOrderId 접두사로 스토어 판별 (접두사 없는 ID는 네이버 A)
+function storeForOrderId(productOrderId) {
+  const id = String(productOrderId || '').trim();
+  const ch = listChannels().find(c => c.orderIdPrefix && id.startsWith(c.orderIdPrefix));
+  return ch ? ch.store : 'A';
+}
+
+/**
+ * 어댑터 생성 — API 키 미설정이면 null
+ * @param {string} store
+ * @param {Object} [client] - 이미 만들어진 클라이언트 재사용 (토큰 캐시 유지)
+ */
+async function createAdapter(store, client = null) {
+  const AdapterClass = getChannel(store);
+  if (!AdapterClass) throw new Error(`알 수 없는 채널: ${store}`);
+  const c = client || await AdapterClass.createClient();
+  return c ? new AdapterClass(c) : null;
+}
+
+/**
+ * 설정된 전체 채널 어댑터
+ * @param {Object} [clients] - { A: client, ... } 스토어별 재사용 클라이언트
+ * @returns {Promise<ChannelAdapter[]>}
+ */
+async function createAdapters(clients = {}) {
+  const adapters = [];
+  for (const AdapterClass of listChannels()) {
+    const adapter = await createAdapter(AdapterClass.store, clients[AdapterClass.store]);
+    if (adapter) adapters.push(adapter);
+  }
+  return adapters;
+}
+
+module.exports = {
+  ChannelAdapter,
+  SALE_STATUS,
+  registerChannel,
+  getChannel,
+  getChannelByKey,
+  listChannels,
+  storeForOrderId,
+  createAdapter,
+  createAdapters,
+};
@@ -0,0 +1,200 @@
+const { NaverCommerceClient } = require('../smartstore');
+const { ChannelAdapter, SALE_STATUS, DAY_MS, configValue } = require('./base');
+
+const DETAIL_BATCH_SIZE = 50;
+
+// 네이버 반품 claimStatus → 반품 생애주기 상태 (RETURN_DONE: 반품 완료 처리 = 입고 확인 후)
+const RETURN_STATE_MAP = {
+  'RETURN_REQUEST': 'requested',
+  'COLLECTING': 'collecting',
+  'COLLECT_DONE': 'collected',
+  'RETURN_DONE': 'received',
+};
+
+// 네이버 교환 claimStatus → 교환 진행 상태 (재배송 중이면 회수 완료 이후)
+const EXCHANGE_STATE_MAP = {
+  'EXCHANGE_REQUEST': 'requested',
+  'COLLECTING': 'requested',
+  'COLLECT_DONE': 'collected',
+  'EXCHANGE_REDELIVERING': 'collected',
+  'EXCHANGE_DONE': 'completed',
+  'EXCHANGE_REJECT': 'cancelled',
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * 네이버 스마트스토어 — 주문/반품 조회는 상품주문 ID 목록 → 상세 조회 2단계
+ */
+class NaverChannel extends ChannelAdapter {
+  static orderWindowMs = DAY_MS; // last-changed-statuses API 24시간 제한
+  static clientKeys = null;      // { idEnv, idConfig, secretEnv, secretConfig, name }
+
+  static async createClient() {
+    const k = this.clientKeys;
+    const id = await configValue(k.idEnv, k.idConfig);
+    const secret = await configValue(k.secretEnv, k.secretConfig);
+    if (!id || !secret) return null;
+    return new NaverCommerceClient(id, secret, k.name);
+  }
+
+  // 상품주문 ID → 상세 (50건씩)
+  async getDetails(productOrderIds) {
+    const details = [];
+    for (let i = 0; i < productOrderIds.length; i += DETAIL_BATCH_SIZE) {
+      const batch = productOrderIds.slice(i, i + DETAIL_BATCH_SIZE);
+      details.push(...await this.client.getProductOrderDetail(batch));
+      if (i + DETAIL_BATCH_SIZE < productOrderIds.length) await sleep(300);
+    }
+    return details;
+  }
+
+  async listOrders(fromDate, toDate) {
+    // lastChangedType 생략 → 모든 상태 변경 포함
+    const orderIds = await this.client.getOrders(fromDate, toDate);
+    if (orderIds.length === 0) return [];
+
+    const details = await this.getDetails(orderIds);
+    return details.map(detail => {
+      const po = detail.productOrder || detail;
+      const order = detail.order || {};
+      const qty = po.quantity || 1;
+      const unitPrice = po.unitPrice || po.salePrice || 0;
+      return {
+        productOrderId: po.productOrderId || '',
+        orderDate: new Date(order.paymentDate || order.orderDate || po.placeOrderDate || toDate),
+        productName: po.productName || '',
+        optionName: po.optionName || null,
+        qty,
+        unitPrice,
+        totalAmount: po.totalPaymentAmount || po.totalProductAmount || (unitPrice * qty),
+        status: po.productOrderStatus || '',
+        channelProductNo: String(po.channelProductNo || po.productId || ''),
+      };
+    });
+  }
+
+  async listReturns(fromDate, toDate) {
+    const returnable = await this.client.getReturnableOrders(fromDate, toDate);
+    console.log(`[Returnable] ${this.label}: ${returnable.length}건 감지`);
+    if (returnable.length === 0) return [];
+
+    const statusInfoMap = {};
+    for (const o of returnable) {
+      statusInfoMap[o.productOrderId] = { claimStatus: o.claimStatus, lastChangedDate: o.lastChangedDate };
+    }
+
+    const details = await this.getDetails(returnable.map(o => o.productOrderId));
+    console.log(`[Returnable] ${this.label} 상세: ${details.length}건 조회`);
+
+    return details.map(detail => {
+      const po = detail.productOrder || detail;
+      const order = detail.order || {};
+      const productOrderId = po.productOrderId || '';
+      const info = statusInfoMap[productOrderId] || {};
+      return {
+        store: this.store,
+        productOrderId,
+        productName: po.productName || '',
+        optionName: po.productOption || po.optionName || null,
+        qty: po.quantity || 1,
+        channelProductNo: String(po.channelProductNo || po.productId || ''),
+        claimStatus: po.claimStatus || info.claimStatus || '',
+        returnState: RETURN_STATE_MAP[po.claimStatus || info.claimStatus] || 'requested',
+        claimType: po.claimType || '',
+        lastChangedDate: info.lastChangedDate || null,
+        ordererName: order.ordererName || po.ordererName || '',
+      };
+    });
+  }
+
+  // 네이버 교환은 옵션 변경 정보를 주지 않음 → outboundOption null (검토 목록에서 확인)
+  async listExchanges(fromDate, toDate) {
+    const claims = await this.client.getExchangeOrders(fromDate, toDate);
+    if (claims.length === 0) return [];
+    console.log(`[Exchange] ${this.label}: ${claims.length}건 감지`);
+
+    const infoMap = Object.fromEntries(claims.map(c => [c.productOrderId, c]));
+    const details = await this.getDetails(claims.map(c => c.productOrderId));
+    return details.map(detail => {
+      const po = detail.productOrder || detail;
+      const productOrderId = String(po.productOrderId || '');
+      const info = infoMap[productOrderId] || {};
+      const claimStatus = po.claimStatus || info.claimStatus || '';
+      return {
+        store: this.store,
+        claimId: productOrderId,
+        productOrderId,
+        productName: po.productName || '',
+        qty: po.quantity || 1,
+        channelProductNo: String(po.channelProductNo || po.productId || ''),
+        inboundOption: po.productOption || po.optionName || null,
+        outboundChannelProductNo: null,
+        outboundOption: null,
+        claimStatus,
+        exchangeState: EXCHANGE_STATE_MAP[claimStatus] || 'requested',
+        lastChangedDate: info.lastChangedDate || null,
+      };
+    });
+  }
+
+  async getProduct(channelProductNo) {
+    return this.client.getChannelProduct(channelProductNo);
+  }
+
+  async createProduct(productData) {
+    const raw = await this.client.createProduct(productData);
+    const channelProductNo = raw?.smartstoreChannelProductNo
+      || raw?.smartstoreChannelProduct?.channelProductNo
+      || raw?.channelProductNo
+      || raw?.originProductNo
+      || '';
+    return { channelProductNo: String(channelProductNo), raw };
+  }
+
+  // 조합형 옵션별 재고 — 옵션명은 "옵션1 / 옵션2 / 옵션3"
+  async updateStock(channelProductNo, stock) {
+    const comboName = (combo) => [combo.optionName1, combo.optionName2, combo.optionName3].filter(Boolean).join(' / ');
+    const result = await this.client.updateOptionStocks(channelProductNo, (combo, combos) => {
+      if (!combo) return stock.total;
+      return stock.forOption(comboName(combo), combos.map(comboName));
+    });
+    return result.total;
+  }
+
+  async updateStatus(channelProductNo, status) {
+    return this.client.updateDisplayStatus(channelProductNo, status === SALE_STATUS.ON_SALE ? 'ON' : 'SUSPENSION');
+  }
+}
+
+class NaverStoreA extends NaverChannel {
+  static store = 'A';
+  static key = 'naver_a';
+  static label = '네이버A';
+  static productColumn = 'naver_a_no';
+  static salesConfigKey = 'sales_last_fetch_a';
+  static returnsToStoreB = true;
+  static clientKeys = {
+    idEnv: 'STORE_A_CLIENT_ID', idConfig: 'store_a_client_id',
+    secretEnv: 'STORE_A_CLIENT_SECRET', secretConfig: 'store_a_client_secret',
+    name: 'Store-A',
+  };
+}
+
+// B 스토어는 A 스토어 반품 재판매용 — 반품 목록 조회 대상 아님
+class NaverStoreB extends NaverChannel {
+  static store = 'B';
+  static key = 'naver_b';
+  static label = '네이버B';
+  static productColumn = 'naver_b_no';
+  static salesConfigKey = 'sales_last_fetch_b';
+  static priceRateKey = 'store_b_price_rate';
+  static supportsReturns = false;
+  static clientKeys = {
+    idEnv: 'STORE_B_CLIENT_ID', idConfig: 'store_b_client_id',
+    secretEnv: 'STORE_B_CLIENT_SECRET', secretConfig: 'store_b_client_secret',
+    name: 'Store-B',
+  };
+}
+
+module.exports = { NaverChannel, NaverStoreA, NaverStoreB };
@@ -0,0 +1,149 @@
+const { ZigzagClient } = require('../zigzag');
+const { ChannelAdapter, SALE_STATUS, DAY_MS, configValue } = require('./base');
+
+// 지그재그 반품 요청 상태 → 네이버 claimStatus 호환
+const RETURN_STATUS_MAP = {
+  'RETURN_REQUESTED': 'COLLECTING',
+  'RETURN_COLLECTING': 'COLLECTING',
+  'RETURNED': 'COLLECT_DONE',
+};
+
+// 지그재그 반품 요청 상태 → 반품 생애주기 상태
+const RETURN_STATE_MAP = {
+  'RETURN_REQUESTED': 'requested',
+  'RETURN_COLLECTING': 'collecting',
+  'RETURNED': 'collected',
+};
+
+// 지그재그 교환 요청 상태 → 교환 진행 상태
+const EXCHANGE_STATE_MAP = {
+  'EXCHANGE_REQUESTED': 'requested',
+  'EXCHANGE_COLLECTING': 'requested',
+  'EXCHANGE_COLLECTED': 'collected',
+  'EXCHANGE_SHIPPING': 'collected',
+  'EXCHANGED': 'completed',
+  'EXCHANGE_REJECTED': 'cancelled',
+  'EXCHANGE_CANCELED': 'cancelled',
+};
+
+// 공통 판매 상태 → 지그재그 ProductStatus
+const PRODUCT_STATUS_MAP = {
+  [SALE_STATUS.ON_SALE]: 'SELLING',
+  [SALE_STATUS.SUSPENDED]: 'SUSPENDED',
+};
+
+/**
+ * 지그재그 — 채널 상품번호는 product_id (상품 단위)
+ */
+class ZigzagChannel extends ChannelAdapter {
+  static store = 'D';
+  static key = 'zigzag';
+  static label = '지그재그';
+  static productColumn = 'zigzag_no';
+  static salesConfigKey = 'sales_last_fetch_d';
+  static priceRateKey = 'zigzag_price_rate';
+  static orderIdPrefix = 'ZZG_';
+  static returnLookbackFactor = 2;
+  static exchangeLookbackMs = 7 * DAY_MS;
+  static salesLookbackMs = 7 * DAY_MS;
+
+  static async createClient() {
+    const accessKey = await configValue('ZIGZAG_ACCESS_KEY', 'zigzag_access_key');
+    const secretKey = await configValue('ZIGZAG_SECRET_KEY', 'zigzag_secret_key');
+    if (!accessKey || !secretKey) return null;
+    return new ZigzagClient(accessKey, secretKey);
+  }
+
+  async listOrders(fromDate, toDate) {
+    return this.client.getOrderItems(fromDate, toDate);
+  }
+
+  async listReturns(fromDate, toDate) {
+    const returns = await this.client.getReturnRequests(fromDate, toDate);
+    console.log(`[Returnable] ${this.label}: ${returns.length}건 감지`);
+
+    const items = [];
+    for (const ret of returns) {
+      const claimStatus = RETURN_STATUS_MAP[ret.receiptStatus] || 'COLLECTING';
+      const returnState = RETURN_STATE_MAP[ret.receiptStatus] || 'requested';
+      for (const ri of ret.returnItems) {
+        items.push({
+          store: this.store,
+          productOrderId: `ZZG_RET_${ret.receiptId}_${ri.vendorItemId}`,
+          productName: ri.vendorItemName || '',
+          optionName: ri.sellerProductItemName || null,
+          qty: ri.returnQuantity || 1,
+          channelProductNo: ri.vendorItemId,
+          claimStatus,
+          returnState,
+          claimType: 'RETURN',
+          lastChangedDate: ret.createdAt || null,
+          ordererName: ret.buyerName || '',
+        });
+      }
+    }
+    return items;
+  }
+
+  // 지그재그 교환 요청은 교환 옵션을 주지 않음 → outboundOption null (검토 목록에서 확인)
+  async listExchanges(fromDate, toDate) {
+    const exchanges = await this.client.getExchangeRequests(fromDate, toDate);
+    if (exchanges.length === 0) return [];
+    console.log(`[Exchange] ${this.label}: ${exchanges.length}건 감지`);
+
+    const items = [];
+    for (const ex of exchanges) {
+      for (const item of ex.returnItems) {
+        items.push({
+          store: this.store,
+          claimId: `ZZG_EXC_${ex.receiptId}_${item.vendorItemId}`,
+          productOrderId: ex.orderId ? `ZZG_${ex.orderId}_${ex.receiptId}` : null,
+          productName: item.vendorItemName || '',
+          qty: item.returnQuantity || 1,
+          channelProductNo: item.vendorItemId,
+          inboundOption: item.sellerProductItemName || null,
+          outboundChannelProductNo: null,
+          outboundOption: null,
+          claimStatus: ex.receiptStatus,
+          exchangeState: EXCHANGE_STATE_MAP[ex.receiptStatus] || 'requested',
+          lastChangedDate: ex.createdAt || null,
+        });
+      }
+    }
+    return items;
+  }
+
+  async createProduct(productInput) {
+    const raw = await this.client.createProduct(productInput);
+    return { channelProductNo: String(raw?.createProduct?.product_id || ''), raw };
+  }
+
+  // 옵션(item_id)별 재고 — 옵션 없는 상품은 item_id가 product_id이므로 상품 재고로 전송
+  async updateStock(productId, stock) {
+    const byProduct = new Map();
+    for (const item of stock.items) {
+      if (!byProduct.has(item.channelProductId)) byProduct.set(item.channelProductId, []);
+      byProduct.get(item.channelProductId).push(item);
+    }
+
+    let total = 0;
+    for (const [id, items] of byProduct) {
+      const input = { product_id: id };
+      const options = items.filter(i => i.channelItemId !== id);
+      const single = items.find(i => i.channelItemId === id);
+      if (options.length > 0) {
+        input.product_option_list = options.map(i => ({ item_id: i.channelItemId, stock_quantity: i.qty }));
+      }
+      if (single) input.stock_quantity = single.qty;
+      await this.client.updateProduct(input);
+      total += items.reduce((s, i) => s + i.qty, 0);
+    }
+    return total;
+  }
+
+  async updateStatus(productId, status) {
+    return this.client.updateProduct({ product_id: productId, status: PRODUCT_STATUS_MAP[status] });
+  }
+}
+
+module.exports = { ZigzagChannel };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// sync_config에서 암호화 저장하는 키 (API 시크릿, VAPID 개인키)
+const SECRET_CONFIG_KEYS = [
+  'store_a_client_secret',
+  'store_b_client_secret',
+  'coupang_secret_key',
+  'zigzag_secret_key',
+  'vapid_private_key',
+];
+
+// 저장 형식: enc:v1:<키ID>:<래핑된 DEK>:<IV>:<TAG>:<암호문>
+// - 값마다 임의의 DEK(데이터 키)로 AES-256-GCM 암호화
+// - DEK는 마스터 키(CONFIG_MASTER_KEY)로 다시 AES-256-GCM 암호화(래핑)
+// - 키 교체 시 DEK만 새 마스터 키로 재래핑하면 되므로 암호문은 그대로 유지
+const ENC_PREFIX = 'enc:v1:';
+const ALGO = 'aes-256-gcm';
+
+function isSecretKey(key) {
+  return SECRET_CONFIG_KEYS.includes(key);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENC_PREFIX);
+}
+
+// 마스터 키 파싱: 32바이트 키를 base64 또는 hex(64자)로
+function parseMasterKey(raw) {
+  if (!raw) return null;
+  const str = String(raw).trim();
+  let key = null;
+  if (/^[0-9a-fA-F]{64}$/.test(str)) {
+    key = Buffer.from(str, 'hex');
+  } else {
+    key = Buffer.from(str, 'base64');
+  }
+  if (key.length !== 32) {
+    throw new Error('CONFIG_MASTER_KEY는 32바이트 키(base64 또는 hex 64자)여야 합니다.');
+  }
+  return key;
+}
+
+function getMasterKey() {
+  return parseMasterKey(process.env.CONFIG_MASTER_KEY);
+}
+
+// 어떤 마스터 키로 래핑했는지 식별 (키 자체는 노출하지 않음)
+function keyId(masterKey) {
+  return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8);
+}
+
+function generateMasterKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function aesEncrypt(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function aesDecrypt(key, iv, tag, data) {
+  const decipher = crypto.createDecipheriv(ALGO, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+function wrapDek(masterKey, dek) {
+  const { iv, tag, data } = aesEncrypt(masterKey, dek);
+  return Buffer.concat([iv, tag, data]).toString('base64');
+}
+
+function unwrapDek(masterKey, wrapped) {
+  const buf = Buffer.from(wrapped, 'base64');
+  return aesDecrypt(masterKey, buf.subarray(0, 12), buf.subarray(12, 28), buf.subarray(28));
+}
+
+function parseEncrypted(value) {
+  const parts = value.slice(ENC_PREFIX.length).split(':');
+  if (parts.length !== 5) throw new Error('암호화된 설정 값 형식이 올바르지 않습니다.');
+  const [kid, wrappedDek, iv, tag, data] = parts;
+  return { kid, wrappedDek, iv, tag, data };
+}
+
+function encryptSecret(plain, masterKey = getMasterKey()) {
+  if (!masterKey) throw new Error('CONFIG_MASTER_KEY가 설정되지 않았습니다.');
+  const dek = crypto.randomBytes(32);
+  const { iv, tag, data } = aesEncrypt(dek, Buffer.from(String(plain), 'utf8'));
+  return ENC_PREFIX + [
+    keyId(masterKey),
+    wrapDek(masterKey, dek),
+    iv.toString('base64'),
+    tag.toString('base64'),
+    data.toString('base64'),
+  ].join(':');
+}
+
+function decryptSecret(value, masterKey = getMasterKey()) {
+  if (!isEncrypted(value)) return value;
+  if (!masterKey) {
+    throw new Error('CONFIG_MASTER_KEY가 설정되지 않아 암호화된 설정을 읽을 수 없습니다.');
+  }
+  const enc = parseEncrypted(value);
+  if (enc.kid !== keyId(masterKey)) {
+    throw new Error(`마스터 키가 일치하지 않습니다 (저장된 키 ID: ${enc.kid}).`);
+  }
+  const dek = unwrapDek(masterKey, enc.wrappedDek);
+  return aesDecrypt(
+    dek,
+    Buffer.from(enc.iv, 'base64'),
+    Buffer.from(enc.tag, 'base64'),
+    Buffer.from(enc.data, 'base64')
+  ).toString('utf8');
+}
+
+// 키 교체: DEK만 새 마스터 키로 재래핑 (암호문은 그대로)
+function rewrapSecret(value, oldKey, newKey) {
+  const enc = parseEncrypted(value);
+  if (enc.kid !== keyId(oldKey)) {
+    throw new Error(`기존 마스터 키가 일치하지 않습니다 (저장된 키 ID: ${enc.kid}).`);
+  }
+  const dek = unwrapDek(oldKey, enc.wrappedDek);
+  return ENC_PREFIX + [keyId(newKey), wrapDek(newKey, dek), enc.iv, enc.tag, enc.data].join(':');
+}
+
+module.exports = {
+  SECRET_CONFIG_KEYS,
+  isSecretKey,
+  isEncrypted,
+  parseMasterKey,
+  getMasterKey,
+  generateMasterKey,
+  keyId,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+};
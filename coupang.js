@@ -1,13 +1,19 @@
 const crypto = require('crypto');
+const { NaverCommerceClient } = require('./smartstore');
 
+// COUPANG_API_BASE 환경변수로 교체 가능 (mock 서버 등 오프라인 실행용)
 const COUPANG_API_BASE = 'https://api-gateway.coupang.com';
 
+// 옵션 그룹명 별칭 → 쿠팡 속성명 매칭용 (정규화된 이름 기준)
+const OPTION_GROUP_ALIASES = { '컬러': '색상', 'color': '색상', 'size': '사이즈' };
+
 class CoupangClient {
   constructor(accessKey, secretKey, vendorId, storeName = 'Coupang') {
     this.accessKey = accessKey;
     this.secretKey = secretKey;
     this.vendorId = vendorId;
     this.storeName = storeName;
+    this.baseUrl = process.env.COUPANG_API_BASE || COUPANG_API_BASE;
   }
 
   // === HMAC-SHA256 인증 ===
@@ -41,7 +47,7 @@ class CoupangClient {
   // === API 호출 (429 재시도 포함) ===
 
   async apiCall(method, path, body = null, retryCount = 0) {
-    const url = `${COUPANG_API_BASE}${path}`;
+    const url = `${this.baseUrl}${path}`;
     const authorization = this.buildAuthHeader(method, path);
 
     const options = {
@@ -162,6 +168,58 @@ class CoupangClient {
     return allItems;
   }
 
+  /**
+   * 취소/반품 주문 아이템 (접수일 기준) — 발주서 조회(ordersheets)는 취소·반품 상태를 주지 않음
+   * 취소는 cancelType=CANCEL, 반품은 입고완료(PR) 건만 반품 완료로 본다
+   * @returns {Promise<Array>} { shipmentBoxId, vendorItemId, status: CANCELED | RETURNED }
+   */
+  async getOrderClaimItems(fromDate, toDate) {
+    const items = [];
+    const from = this.formatCoupangDate(fromDate);
+    const to = this.formatCoupangDate(toDate);
+    const queries = [
+      { params: { cancelType: 'CANCEL' }, status: 'CANCELED' },
+      { params: { status: 'PR' }, status: 'RETURNED' },
+    ];
+
+    for (const q of queries) {
+      let nextToken = null;
+      do {
+        const params = new URLSearchParams({
+          createdAtFrom: from,
+          createdAtTo: to,
+          ...q.params,
+          maxPerPage: '50',
+        });
+        if (nextToken) {
+          params.set('nextToken', nextToken);
+        }
+
+        const basePath = `/v2/providers/openapi/apis/api/v4/vendors/${this.vendorId}/returnRequests`;
+        const data = await this.apiCall('GET', `${basePath}?${params.toString()}`);
+        if (!data || !data.data) break;
+
+        for (const ret of data.data) {
+          for (const item of ret.returnItems || []) {
+            if (!item.shipmentBoxId) continue;
+            items.push({
+              shipmentBoxId: String(item.shipmentBoxId),
+              vendorItemId: String(item.vendorItemId || ''),
+              status: q.status,
+            });
+          }
+        }
+
+        nextToken = data.nextToken || null;
+        if (nextToken) await this.sleep(150);
+      } while (nextToken);
+
+      await this.sleep(100);
+    }
+
+    return items;
+  }
+
   // === 반품 조회 ===
 
   async getReturnRequests(fromDate, toDate) {
@@ -238,6 +296,56 @@ class CoupangClient {
     return unique;
   }
 
+  // === 교환 조회 ===
+
+  /**
+   * 교환 요청 목록 (접수일 기준) — 상태 구분 없이 전체 조회
+   * @returns {Promise<Array>} { exchangeId, orderId, exchangeStatus, collectStatus, createdAt, exchangeItems: [{ orderItemId, orderItemName, targetItemId, targetItemName, quantity, shipmentBoxId }] }
+   */
+  async getExchangeRequests(fromDate, toDate) {
+    const exchanges = [];
+    const basePath = `/v2/providers/openapi/apis/api/v4/vendors/${this.vendorId}/exchangeRequests`;
+    let nextToken = null;
+    do {
+      const params = new URLSearchParams({
+        createdAtFrom: this.formatCoupangDate(fromDate),
+        createdAtTo: this.formatCoupangDate(toDate),
+        maxPerPage: '50',
+      });
+      if (nextToken) params.set('nextToken', nextToken);
+
+      let data;
+      try {
+        data = await this.apiCall('GET', `${basePath}?${params.toString()}`);
+      } catch (e) {
+        console.log(`[${this.storeName}] 교환 조회: ${e.message.slice(0, 500)}`);
+        break;
+      }
+      if (!data || !data.data) break;
+
+      for (const ex of data.data) {
+        exchanges.push({
+          exchangeId: ex.exchangeId,
+          orderId: ex.orderId,
+          exchangeStatus: ex.exchangeStatus || '',
+          collectStatus: ex.collectStatus || '',
+          createdAt: ex.createdAt || '',
+          exchangeItems: (ex.exchangeItemDtoV1s || []).map(item => ({
+            orderItemId: String(item.orderItemId || ''),
+            orderItemName: item.orderItemName || '',
+            targetItemId: String(item.targetItemId || ''),
+            targetItemName: item.targetItemName || '',
+            quantity: item.quantity || 1,
+            shipmentBoxId: item.originalShipmentBoxId ? String(item.originalShipmentBoxId) : null,
+          })),
+        });
+      }
+      nextToken = data.nextToken || null;
+      if (nextToken) await this.sleep(150);
+    } while (nextToken);
+    return exchanges;
+  }
+
   // === 상품 등록/관리 ===
 
   /**
@@ -260,6 +368,38 @@ class CoupangClient {
     return this.apiCall('GET', path);
   }
 
+  /**
+   * 옵션(vendorItemId) 재고 수량 변경
+   * @param {string} vendorItemId
+   * @param {number} quantity
+   * @returns {Object} 변경 결과
+   */
+  async updateVendorItemQuantity(vendorItemId, quantity) {
+    const qty = Math.max(0, parseInt(quantity) || 0);
+    const path = `/v2/providers/seller_api/apis/api/v1/marketplace/vendor-items/${vendorItemId}/quantities/${qty}`;
+    return this.apiCall('PUT', path);
+  }
+
+  /**
+   * 옵션(vendorItemId) 판매 재개/중지
+   * @param {string} vendorItemId
+   * @param {boolean} onSale - true: 판매 재개, false: 판매 중지
+   * @returns {Object} 변경 결과
+   */
+  async updateVendorItemSaleStatus(vendorItemId, onSale) {
+    const path = `/v2/providers/seller_api/apis/api/v1/marketplace/vendor-items/${vendorItemId}/sales/${onSale ? 'resume' : 'stop'}`;
+    return this.apiCall('PUT', path);
+  }
+
+  /**
+   * 전시 카테고리 트리 조회 (루트부터 child 중첩)
+   * @returns {Object} { data: { displayItemCategoryCode, name, status, child: [...] } }
+   */
+  async getDisplayCategories() {
+    const path = `/v2/providers/seller_api/apis/api/v1/marketplace/meta/display-categories`;
+    return this.apiCall('GET', path);
+  }
+
   /**
    * 카테고리별 메타정보 조회 (필수 속성, 공지사항 타입 등)
    * @param {number} categoryCode
@@ -270,10 +410,42 @@ class CoupangClient {
     return this.apiCall('GET', path);
   }
 
+  /**
+   * 네이버 옵션 그룹명 → 쿠팡 구매옵션 속성명 (getCategoryMeta()의 노출 속성)
+   * 이름이 같거나 포함되면 그 속성, 없으면 남은 노출 속성을 순서대로, 그것도 없으면 네이버 그룹명 그대로
+   * @param {string[]} groupNames - 예: ['색상', '사이즈']
+   * @param {Object} [categoryMeta] - getCategoryMeta() 응답
+   * @returns {string[]} 그룹별 attributeTypeName
+   */
+  static resolveAttributeTypes(groupNames, categoryMeta) {
+    const attrs = (categoryMeta?.data?.attributes || categoryMeta?.attributes || [])
+      .filter(a => a.attributeTypeName && a.exposed !== 'NONE');
+    const normalize = (name) => {
+      const n = String(name || '').toLowerCase().replace(/\s+/g, '');
+      return OPTION_GROUP_ALIASES[n] || n;
+    };
+    const used = new Set();
+    const byName = groupNames.map(group => {
+      const g = normalize(group);
+      const attr = attrs.find(a => !used.has(a) && (normalize(a.attributeTypeName).includes(g) || g.includes(normalize(a.attributeTypeName))));
+      if (attr) used.add(attr);
+      return attr || null;
+    });
+    return byName.map((attr, i) => {
+      if (attr) return attr.attributeTypeName;
+      const next = attrs.find(a => !used.has(a));
+      if (!next) return groupNames[i];
+      used.add(next);
+      return next.attributeTypeName;
+    });
+  }
+
   /**
    * A 스토어(네이버) 상품 데이터를 쿠팡 등록용으로 변환
+   * 네이버 옵션(조합형/단독형)은 옵션마다 쿠팡 아이템(vendor item) 1개로 — 옵션 추가금액, 옵션별 재고 포함
    * @param {Object} sourceProduct - NaverCommerceClient.getChannelProduct() 결과
-   * @param {Object} options - { vendorId, categoryCode, priceRate, outboundCode, returnCenterCode, namePrefix }
+   * @param {Object} options - { vendorId, categoryCode, priceRate, priceOf, outboundCode, returnCenterCode, namePrefix, categoryMeta }
+   *   priceOf: A 실제 판매가(+옵션 추가금액) → 쿠팡 판매가 (pricing.js, 없으면 priceRate 적용)
    * @returns {Object} 쿠팡 상품 등록 요청 body
    */
   static buildCoupangProductData(sourceProduct, options = {}) {
@@ -283,23 +455,17 @@ class CoupangClient {
       vendorId,
       categoryCode = 0,
       priceRate = 0.85,
+      priceOf = (p) => Math.floor(p * priceRate / 10) * 10,
       outboundCode = '',
       returnCenterCode = '',
       namePrefix = '',
+      categoryMeta = null,
     } = options;
 
-    // 가격 계산
-    let actualPrice = origin.salePrice || 0;
-    const discount = origin.customerBenefit?.immediateDiscountPolicy?.discountMethod;
-    if (discount) {
-      if (discount.unitType === 'PERCENT') {
-        actualPrice = Math.round(origin.salePrice * (1 - discount.value / 100));
-      } else {
-        actualPrice = origin.salePrice - (discount.value || 0);
-      }
-    }
-    const salePrice = Math.floor(actualPrice * priceRate / 10) * 10;
-    const originalPrice = Math.floor(actualPrice / 10) * 10;
+    // 옵션 추가금액은 할인 적용가에 더한 뒤 가격 계산
+    const actualPrice = NaverCommerceClient.actualSalePrice(origin);
+    const salePriceOf = (extra = 0) => priceOf(actualPrice + extra);
+    const originalPriceOf = (extra = 0) => Math.floor((actualPrice + extra) / 10) * 10;
 
     // 상품명
     const productName = namePrefix && !baseName.startsWith(namePrefix)
@@ -328,15 +494,30 @@ class CoupangClient {
       }
     }
 
-    // 기본 아이템 (옵션 없이 단일 상품)
-    const item = {
-      itemName: productName,
-      originalPrice,
-      salePrice,
-      maximumBuyCount: 999,
-      unitCount: 1,
-      images: images.length > 0 ? images : undefined,
-    };
+    // 옵션 없는 상품은 단일 아이템
+    const { groupNames, options: naverOptions } = NaverCommerceClient.extractOptions(sourceProduct);
+    let items;
+    if (naverOptions.length === 0) {
+      items = [{
+        itemName: productName,
+        originalPrice: originalPriceOf(),
+        salePrice: salePriceOf(),
+        maximumBuyCount: 999,
+        unitCount: 1,
+        images: images.length > 0 ? images : undefined,
+      }];
+    } else {
+      const attributeTypes = CoupangClient.resolveAttributeTypes(groupNames, categoryMeta);
+      items = naverOptions.map(opt => ({
+        itemName: opt.values.join(' '),
+        originalPrice: originalPriceOf(opt.price),
+        salePrice: salePriceOf(opt.price),
+        maximumBuyCount: opt.stockQuantity,
+        unitCount: 1,
+        attributes: opt.values.map((value, i) => ({ attributeTypeName: attributeTypes[i], attributeValueName: value })),
+        images: images.length > 0 ? images : undefined,
+      }));
+    }
 
     return {
       displayCategoryCode: categoryCode,
@@ -357,7 +538,7 @@ class CoupangClient {
         returnCenterCode: returnCenterCode || undefined,
       },
       returnCharge: 5000,
-      items: [item],
+      items,
       requiredDocuments: [],
       extraInfoMessage: '',
       manufacture: '',
@@ -1,4 +1,6 @@
 const mysql = require('mysql2/promise');
+const configCrypto = require('./config-crypto');
+const migrate = require('./migrate');
 
 let pool = null;
 
@@ -24,464 +26,66 @@ async function query(sql, params) {
   return result;
 }
 
-async function initDb() {
-  await query(`
-    CREATE TABLE IF NOT EXISTS inventory (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      name TEXT NOT NULL,
-      color VARCHAR(255) NOT NULL,
-      qty INT NOT NULL DEFAULT 0,
-      brand VARCHAR(10) DEFAULT '',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // inventory에 channel_product_no 컬럼 추가 (점진적 스토어↔재고 연결용)
-  try {
-    await query(`ALTER TABLE inventory ADD COLUMN channel_product_no VARCHAR(255) DEFAULT NULL`);
-  } catch (e) {
-    // 이미 존재하면 무시 (ER_DUP_FIELDNAME)
-  }
-
-  // inventory에 size 컬럼 추가
-  try {
-    await query(`ALTER TABLE inventory ADD COLUMN size VARCHAR(255) DEFAULT NULL`);
-  } catch (e) {
-    // 이미 존재하면 무시
-  }
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS sync_log (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      run_id VARCHAR(255) NOT NULL,
-      type VARCHAR(50) NOT NULL,
-      store_from VARCHAR(10) NOT NULL,
-      store_to VARCHAR(10) DEFAULT NULL,
-      product_order_id VARCHAR(255) DEFAULT NULL,
-      channel_product_no VARCHAR(255) DEFAULT NULL,
-      product_name TEXT DEFAULT NULL,
-      product_option TEXT DEFAULT NULL,
-      qty INT DEFAULT 0,
-      status VARCHAR(20) NOT NULL DEFAULT 'success',
-      message TEXT DEFAULT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS sync_config (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      \`key\` VARCHAR(255) UNIQUE NOT NULL,
-      value TEXT NOT NULL,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
+// === sync_config 접근자 (시크릿 키는 저장 시 암호화, 조회 시 복호화) ===
 
-  await query(`
-    CREATE TABLE IF NOT EXISTS product_mapping (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      store_a_channel_product_no VARCHAR(255) NOT NULL,
-      store_a_product_name TEXT NOT NULL,
-      store_a_option_name VARCHAR(255) DEFAULT NULL,
-      store_b_channel_product_no VARCHAR(255) DEFAULT NULL,
-      store_b_product_name TEXT DEFAULT NULL,
-      store_b_option_name VARCHAR(255) DEFAULT NULL,
-      match_status VARCHAR(20) DEFAULT 'unmatched',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE KEY (store_a_channel_product_no, store_a_option_name)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS sales_orders (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      store CHAR(1) NOT NULL,
-      product_order_id VARCHAR(255) UNIQUE NOT NULL,
-      order_date DATETIME NOT NULL,
-      product_name TEXT,
-      option_name VARCHAR(255) DEFAULT NULL,
-      qty INT DEFAULT 1,
-      unit_price INT DEFAULT 0,
-      total_amount INT DEFAULT 0,
-      product_order_status VARCHAR(50),
-      channel_product_no VARCHAR(255) DEFAULT NULL,
-      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS push_subscriptions (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      endpoint VARCHAR(500) UNIQUE NOT NULL,
-      p256dh VARCHAR(255) NOT NULL,
-      auth VARCHAR(255) NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS return_confirmations (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      product_order_id VARCHAR(255) UNIQUE NOT NULL,
-      store CHAR(1) NOT NULL,
-      product_name TEXT DEFAULT NULL,
-      option_name VARCHAR(255) DEFAULT NULL,
-      qty INT DEFAULT 1,
-      channel_product_no VARCHAR(255) DEFAULT NULL,
-      confirmed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // return_confirmations에 finalized_at 컬럼 추가 (1회성 마이그레이션)
-  await query(
-    "ALTER TABLE return_confirmations ADD COLUMN finalized_at DATETIME DEFAULT NULL"
-  ).catch(() => {}); // 이미 존재하면 무시
+function encodeConfigValue(key, value) {
+  if (value === null || value === undefined) return value;
+  const str = String(value);
+  if (!str || !configCrypto.isSecretKey(key) || configCrypto.isEncrypted(str)) return str;
+  // 마스터 키가 없으면 평문 저장 (기동 시 경고, 키 설정 후 initDb에서 암호화)
+  if (!configCrypto.getMasterKey()) return str;
+  return configCrypto.encryptSecret(str);
+}
 
-  // 기존 UTC 저장 order_date를 KST로 마이그레이션 (1회성)
-  const [migrated] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'sales_tz_migrated'"
-  ).catch(() => [[]]);
-  if (!migrated || migrated.length === 0 || migrated[0]?.value !== 'true') {
-    await query(
-      "UPDATE sales_orders SET order_date = DATE_ADD(order_date, INTERVAL 9 HOUR) WHERE order_date IS NOT NULL"
-    ).catch(() => {});
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('sales_tz_migrated', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    ).catch(() => {});
-    console.log('[DB] sales_orders order_date UTC→KST 마이그레이션 완료');
-  }
+function decodeConfigValue(key, value) {
+  if (!configCrypto.isEncrypted(value)) return value;
+  return configCrypto.decryptSecret(value);
+}
 
-  // 네이버 매출 UTC 문제 수정: 삭제 후 재수집 유도 (1회성)
-  const [naverTzFixed] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'naver_sales_tz_fixed'"
-  ).catch(() => [[]]);
-  if (!naverTzFixed || naverTzFixed.length === 0 || naverTzFixed[0]?.value !== 'true') {
-    await query("DELETE FROM sales_orders WHERE store IN ('A', 'B')").catch(() => {});
-    await query("UPDATE sync_config SET value = '' WHERE `key` IN ('sales_last_fetch_a', 'sales_last_fetch_b')").catch(() => {});
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('naver_sales_tz_fixed', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    ).catch(() => {});
-    console.log('[DB] 네이버 매출 데이터 삭제 (UTC→KST 재수집 유도)');
-  }
+async function getConfig(key) {
+  const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
+  return rows[0] ? decodeConfigValue(key, rows[0].value) : null;
+}
 
-  // 쿠팡 금액 0 레코드 삭제 마이그레이션 (1회성 - 가격 필드 수정 전 데이터)
-  const [cpgMigrated] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'cpg_price_fix_migrated'"
-  ).catch(() => [[]]);
-  if (!cpgMigrated || cpgMigrated.length === 0 || cpgMigrated[0]?.value !== 'true') {
-    const delResult = await query(
-      "DELETE FROM sales_orders WHERE store = 'C' AND total_amount = 0"
-    ).catch(() => ({ affectedRows: 0 }));
-    // sales_last_fetch_c 리셋하여 재수집 유도
-    await query(
-      "UPDATE sync_config SET value = '' WHERE `key` = 'sales_last_fetch_c'"
-    ).catch(() => {});
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('cpg_price_fix_migrated', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    ).catch(() => {});
-    console.log(`[DB] 쿠팡 금액 0 레코드 삭제: ${delResult.affectedRows || 0}건, last_fetch 리셋`);
+// conn: 트랜잭션 중이면 해당 커넥션 사용
+async function setConfig(key, value, conn) {
+  const sql = 'INSERT INTO sync_config (`key`, value, updated_at) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()';
+  const params = [key, encodeConfigValue(key, value)];
+  if (conn) {
+    await conn.query(sql, params);
+  } else {
+    await query(sql, params);
   }
+}
 
-  // A 스토어 상품 인덱스 (로컬 DB 캐시 → 즉시 검색)
-  await query(`
-    CREATE TABLE IF NOT EXISTS store_a_products (
-      channel_product_no VARCHAR(255) PRIMARY KEY,
-      origin_product_no VARCHAR(255),
-      name VARCHAR(500) DEFAULT '',
-      sale_price INT DEFAULT 0,
-      stock_quantity INT DEFAULT 0,
-      status_type VARCHAR(50) DEFAULT '',
-      image_url TEXT,
-      indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // 멀티채널 상품 복사 매핑 테이블
-  await query(`
-    CREATE TABLE IF NOT EXISTS channel_product_mapping (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      store_a_channel_product_no VARCHAR(255) NOT NULL,
-      store_a_product_name TEXT DEFAULT NULL,
-      target_channel VARCHAR(20) NOT NULL,
-      target_product_id VARCHAR(255) DEFAULT NULL,
-      target_product_name TEXT DEFAULT NULL,
-      copy_status VARCHAR(20) DEFAULT 'pending',
-      copy_options JSON DEFAULT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE KEY (store_a_channel_product_no, target_channel)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // === 마스터 상품 테이블 (품번 기준 통합 관리) ===
-  await query(`
-    CREATE TABLE IF NOT EXISTS master_products (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      sku VARCHAR(20) UNIQUE NOT NULL,
-      name VARCHAR(500) NOT NULL,
-      brand VARCHAR(10) DEFAULT '',
-      supplier VARCHAR(50) DEFAULT '',
-      color VARCHAR(255) DEFAULT '',
-      size VARCHAR(255) DEFAULT NULL,
-      qty INT NOT NULL DEFAULT 0,
-      stock_type ENUM('inventory', 'sourcing') DEFAULT 'sourcing',
-      image_url TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-  // supplier 컬럼 추가 (기존 테이블 대응)
-  try { await query('ALTER TABLE master_products ADD COLUMN supplier VARCHAR(50) DEFAULT ""'); } catch(e) {}
-
-  // === 채널별 상품 매핑 (마스터 1개 → 채널 N개) ===
-  await query(`
-    CREATE TABLE IF NOT EXISTS channel_products (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      master_id INT NOT NULL,
-      channel ENUM('naver_a', 'naver_b', 'coupang', 'zigzag') NOT NULL,
-      channel_product_id VARCHAR(255) NOT NULL,
-      channel_product_name VARCHAR(500) DEFAULT '',
-      channel_option_name VARCHAR(255) DEFAULT '',
-      channel_price INT DEFAULT 0,
-      channel_status VARCHAR(50) DEFAULT '',
-      match_type ENUM('auto', 'manual', 'copy') DEFAULT 'auto',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE KEY (channel, channel_product_id),
-      INDEX idx_master (master_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // === 마이그레이션: inventory → master_products (1회성) ===
-  // 품번 형식: 2026OV001 (연도4자리 + 거래처이니셜 대문자 + 순번3자리)
-  const [masterMigrated] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'master_products_v2_migrated'"
-  ).catch(() => [[]]);
-  if (!masterMigrated || masterMigrated.length === 0 || masterMigrated[0]?.value !== 'true') {
-    // v1 마이그레이션 데이터가 있으면 삭제 (BF-0001 형식 → 새 형식으로 재생성)
-    await query("DELETE FROM channel_products").catch(() => {});
-    await query("DELETE FROM master_products").catch(() => {});
-
-    const invRows = await query('SELECT * FROM inventory ORDER BY id');
-    if (invRows.length > 0) {
-      // 거래처(brand)별 순번 카운터
-      const supplierCounters = {};
-      const year = new Date().getFullYear(); // 2026
-      for (const row of invRows) {
-        const brand = (row.brand || '').toUpperCase() || 'ETC';
-        if (!supplierCounters[brand]) supplierCounters[brand] = 0;
-        supplierCounters[brand]++;
-        const num = String(supplierCounters[brand]).padStart(3, '0');
-        const sku = `${year}${brand}${num}`;
-        await query(
-          `INSERT IGNORE INTO master_products (sku, name, brand, supplier, color, size, qty, stock_type, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, 'inventory', ?, ?)`,
-          [sku, row.name, row.brand || '', brand, row.color, row.size || null, row.qty, row.created_at, row.updated_at]
-        );
-      }
-      const skuExamples = Object.entries(supplierCounters).map(([k,v]) => `${k}:${v}개`).join(', ');
-      console.log(`[DB] master_products 마이그레이션 완료: ${invRows.length}개 (${skuExamples})`);
-    }
-
-    // 기존 channel_product_mapping → channel_products 이관
-    const cpmRows = await query('SELECT * FROM channel_product_mapping WHERE copy_status = ?', ['success']).catch(() => []);
-    for (const cpm of cpmRows) {
-      // store_a_channel_product_no → inventory.channel_product_no → master_products 연결
-      const inv = await query('SELECT * FROM inventory WHERE channel_product_no = ? LIMIT 1', [cpm.store_a_channel_product_no]).catch(() => []);
-      if (inv.length === 0) continue;
-      const master = await query('SELECT * FROM master_products WHERE name = ? AND color = ? LIMIT 1', [inv[0].name, inv[0].color]).catch(() => []);
-      if (master.length === 0) continue;
-
-      const channelMap = { storeB: 'naver_b', coupang: 'coupang', zigzag: 'zigzag' };
-      const ch = channelMap[cpm.target_channel];
-      if (!ch || !cpm.target_product_id) continue;
-
-      await query(
-        `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, match_type)
-         VALUES (?, ?, ?, ?, 'copy')`,
-        [master[0].id, ch, cpm.target_product_id, cpm.target_product_name || '']
-      ).catch(() => {});
-    }
-
-    // 기존 product_mapping → channel_products (naver_b) 이관
-    const pmRows = await query("SELECT * FROM product_mapping WHERE match_status IN ('matched', 'manual') AND store_b_channel_product_no IS NOT NULL").catch(() => []);
-    for (const pm of pmRows) {
-      const inv = await query('SELECT * FROM inventory WHERE channel_product_no = ? LIMIT 1', [pm.store_a_channel_product_no]).catch(() => []);
-      if (inv.length === 0) continue;
-      const master = await query('SELECT * FROM master_products WHERE name = ? AND color = ? LIMIT 1', [inv[0].name, inv[0].color]).catch(() => []);
-      if (master.length === 0) continue;
-
-      await query(
-        `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, channel_option_name, match_type)
-         VALUES (?, 'naver_b', ?, ?, ?, ?)`,
-        [master[0].id, pm.store_b_channel_product_no, pm.store_b_product_name || '', pm.store_b_option_name || '', pm.match_status === 'manual' ? 'manual' : 'auto']
-      ).catch(() => {});
-    }
-
-    // inventory.channel_product_no → channel_products (naver_a) 이관
-    const invLinked = await query('SELECT * FROM inventory WHERE channel_product_no IS NOT NULL AND channel_product_no != ?', ['']).catch(() => []);
-    for (const inv of invLinked) {
-      const master = await query('SELECT * FROM master_products WHERE name = ? AND color = ? LIMIT 1', [inv.name, inv.color]).catch(() => []);
-      if (master.length === 0) continue;
-      // store_a_products에서 이름/가격 가져오기
-      const sapRow = await query('SELECT * FROM store_a_products WHERE channel_product_no = ? LIMIT 1', [inv.channel_product_no]).catch(() => []);
-      await query(
-        `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, channel_price, match_type)
-         VALUES (?, 'naver_a', ?, ?, ?, 'auto')`,
-        [master[0].id, inv.channel_product_no, sapRow[0]?.name || '', sapRow[0]?.sale_price || 0]
-      ).catch(() => {});
-    }
-
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('master_products_v2_migrated', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    );
-    const chCount = await query('SELECT COUNT(*) as cnt FROM channel_products');
-    console.log(`[DB] channel_products 이관 완료: ${chCount[0].cnt}개`);
+// 평문으로 남아 있는 시크릿 행을 암호화 (마스터 키 설정 시)
+async function encryptPlainSecrets() {
+  if (!configCrypto.getMasterKey()) {
+    console.log('[DB] CONFIG_MASTER_KEY 미설정 — API 시크릿이 평문으로 저장됩니다.');
+    return 0;
   }
-
-  // === 통합 상품 테이블 (master_products + channel_products → products) ===
-  await query(`
-    CREATE TABLE IF NOT EXISTS products (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      sku VARCHAR(20) UNIQUE NOT NULL,
-      name VARCHAR(500) NOT NULL,
-      brand VARCHAR(10) DEFAULT '',
-      supplier VARCHAR(50) DEFAULT '',
-      color VARCHAR(255) DEFAULT '',
-      size VARCHAR(255) DEFAULT NULL,
-      sale_price INT DEFAULT 0,
-      qty INT NOT NULL DEFAULT 0,
-      stock_type ENUM('inventory', 'sourcing') DEFAULT 'sourcing',
-      image_url TEXT,
-      naver_a_no VARCHAR(255) DEFAULT NULL,
-      naver_b_no VARCHAR(255) DEFAULT NULL,
-      coupang_no VARCHAR(255) DEFAULT NULL,
-      zigzag_no VARCHAR(255) DEFAULT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT NULL,
-      INDEX idx_naver_a (naver_a_no)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // === 마이그레이션: master_products + channel_products → products (1회성) ===
-  const [productsMigrated] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'products_table_migrated'"
-  ).catch(() => [[]]);
-  if (!productsMigrated || productsMigrated.length === 0 || productsMigrated[0]?.value !== 'true') {
-    await query("DELETE FROM products").catch(() => {});
-    const mpCount = await query('SELECT COUNT(*) as cnt FROM master_products').catch(() => [{ cnt: 0 }]);
-    if (mpCount[0].cnt > 0) {
-      await query(`
-        INSERT INTO products (sku, name, brand, supplier, color, size, sale_price, qty, stock_type, image_url,
-          naver_a_no, naver_b_no, coupang_no, zigzag_no, created_at, updated_at)
-        SELECT m.sku, m.name, m.brand, m.supplier, m.color, m.size,
-          COALESCE(MAX(CASE WHEN c.channel='naver_a' THEN c.channel_price END), 0),
-          m.qty, m.stock_type, m.image_url,
-          MAX(CASE WHEN c.channel='naver_a' THEN c.channel_product_id END),
-          MAX(CASE WHEN c.channel='naver_b' THEN c.channel_product_id END),
-          MAX(CASE WHEN c.channel='coupang' THEN c.channel_product_id END),
-          MAX(CASE WHEN c.channel='zigzag' THEN c.channel_product_id END),
-          m.created_at, m.updated_at
-        FROM master_products m
-        LEFT JOIN channel_products c ON c.master_id = m.id
-        GROUP BY m.id
-      `);
-      const pCount = await query('SELECT COUNT(*) as cnt FROM products');
-      console.log(`[DB] products 테이블 이관 완료: ${pCount[0].cnt}개`);
-    }
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('products_table_migrated', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    );
+  const ph = configCrypto.SECRET_CONFIG_KEYS.map(() => '?').join(',');
+  const rows = await query(
+    `SELECT \`key\`, value FROM sync_config WHERE \`key\` IN (${ph})`,
+    configCrypto.SECRET_CONFIG_KEYS
+  );
+  let count = 0;
+  for (const row of rows) {
+    if (!row.value || configCrypto.isEncrypted(row.value)) continue;
+    await query('UPDATE sync_config SET value = ?, updated_at = NOW() WHERE `key` = ?',
+      [configCrypto.encryptSecret(row.value), row.key]);
+    count++;
   }
+  if (count > 0) console.log(`[DB] sync_config 시크릿 암호화: ${count}건`);
+  return count;
+}
 
-  // === 옵션(variants) 테이블: 상품별 컬러/사이즈/재고 ===
-  await query(`
-    CREATE TABLE IF NOT EXISTS variants (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      product_id INT NOT NULL,
-      color VARCHAR(255) DEFAULT '',
-      size VARCHAR(255) DEFAULT NULL,
-      qty INT NOT NULL DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT NULL,
-      INDEX idx_product (product_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // === 마이그레이션: products → products(상품) + variants(옵션) 분리 (1회성) ===
-  const [variantsMigrated] = await getPool().query(
-    "SELECT value FROM sync_config WHERE `key` = 'variants_migrated'"
-  ).catch(() => [[]]);
-  if (!variantsMigrated || variantsMigrated.length === 0 || variantsMigrated[0]?.value !== 'true') {
-    // products에 color/size/qty가 있는 행들을 그룹핑하여 variants로 분리
-    // 같은 (name, naver_a_no)을 가진 행 → 하나의 상품, 나머지는 옵션
-    const allProducts = await query('SELECT * FROM products ORDER BY id');
-    if (allProducts.length > 0) {
-      // 그룹 키: naver_a_no가 있으면 naver_a_no, 없으면 name+brand+supplier 조합
-      const groups = {};
-      for (const p of allProducts) {
-        const key = p.naver_a_no
-          ? `na:${p.naver_a_no}`
-          : `nm:${p.name}|${p.brand}|${p.supplier}`;
-        if (!groups[key]) groups[key] = [];
-        groups[key].push(p);
-      }
-
-      let mergedCount = 0;
-      let variantCount = 0;
-      for (const [, items] of Object.entries(groups)) {
-        if (items.length <= 1) {
-          // 단일 상품 → 그대로 두고 variant 1개 생성
-          const p = items[0];
-          await query(
-            'INSERT INTO variants (product_id, color, size, qty, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
-            [p.id, p.color || '', p.size || null, p.qty, p.created_at, p.updated_at]
-          );
-          variantCount++;
-          continue;
-        }
-
-        // 다중 행 → 첫 번째를 대표로, 나머지를 variants로 이관
-        const primary = items[0];
-
-        // 대표 상품에 모든 채널 번호 병합 (null이 아닌 값 우선)
-        let naverB = primary.naver_b_no, coupang = primary.coupang_no, zigzag = primary.zigzag_no;
-        for (const p of items) {
-          if (!naverB && p.naver_b_no) naverB = p.naver_b_no;
-          if (!coupang && p.coupang_no) coupang = p.coupang_no;
-          if (!zigzag && p.zigzag_no) zigzag = p.zigzag_no;
-        }
-        if (naverB !== primary.naver_b_no || coupang !== primary.coupang_no || zigzag !== primary.zigzag_no) {
-          await query('UPDATE products SET naver_b_no = ?, coupang_no = ?, zigzag_no = ? WHERE id = ?',
-            [naverB, coupang, zigzag, primary.id]);
-        }
-
-        // 모든 행을 variants로 변환
-        for (const p of items) {
-          await query(
-            'INSERT INTO variants (product_id, color, size, qty, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
-            [primary.id, p.color || '', p.size || null, p.qty, p.created_at, p.updated_at]
-          );
-          variantCount++;
-        }
-
-        // 대표 외 중복 행 삭제
-        const dupIds = items.slice(1).map(p => p.id);
-        if (dupIds.length > 0) {
-          const ph = dupIds.map(() => '?').join(',');
-          await query(`DELETE FROM products WHERE id IN (${ph})`, dupIds);
-          mergedCount += dupIds.length;
-        }
-      }
-      console.log(`[DB] variants 마이그레이션 완료: ${variantCount}개 옵션, ${mergedCount}개 중복 상품 병합`);
-    }
-
-    await query(
-      "INSERT INTO sync_config (`key`, value) VALUES ('variants_migrated', 'true') ON DUPLICATE KEY UPDATE value = 'true'"
-    );
-  }
+/**
+ * 스키마 마이그레이션 적용 후 기본 설정/시드 데이터 준비
+ * 마이그레이션이 실패하면 예외 — 호출 측(server.js)에서 기동 중단
+ */
+async function initDb() {
+  await migrate.migrateUp(getPool());
 
   // Seed sync_config defaults
   const configDefaults = [
@@ -507,11 +111,27 @@ async function initDb() {
     ['vapid_private_key', ''],
     ['coupang_outbound_code', ''],
     ['coupang_return_center_code', ''],
-    ['coupang_category_code', ''],
     ['coupang_price_rate', '0.85'],
     ['zigzag_price_rate', '0.85'],
-    ['zigzag_category_id', ''],
     ['copy_default_targets', 'storeB'],
+    ['store_b_price_rate', '0.85'],
+    ['fee_rate_naver_a', ''],
+    ['fee_rate_naver_b', ''],
+    ['fee_rate_coupang', ''],
+    ['fee_rate_zigzag', ''],
+    ['stock_push_enabled', 'false'],
+    ['stock_push_debounce_ms', '5000'],
+    ['stock_buffer_naver_a', '0'],
+    ['stock_buffer_naver_b', '0'],
+    ['stock_buffer_coupang', '0'],
+    ['stock_buffer_zigzag', '0'],
+    ['stock_cap_naver_a', ''],
+    ['stock_cap_naver_b', ''],
+    ['stock_cap_coupang', ''],
+    ['stock_cap_zigzag', ''],
+    ['return_inspection_required', 'false'],
+    ['return_auto_coupang', 'off'],
+    ['return_auto_zigzag', 'off'],
   ];
   for (const [k, v] of configDefaults) {
     await query(
@@ -520,6 +140,9 @@ async function initDb() {
     );
   }
 
+  // 기존 평문 시크릿 → 봉투 암호화 (1회성, 이후 저장분은 setConfig에서 암호화)
+  await encryptPlainSecrets();
+
   // Seed inventory if empty
   const countRows = await query('SELECT COUNT(*) as cnt FROM inventory');
   if (countRows[0].cnt === 0) {
@@ -828,4 +451,4 @@ async function seedData() {
   );
 }
 
-module.exports = { getPool, initDb, query };
+module.exports = { getPool, initDb, query, getConfig, setConfig, encodeConfigValue };
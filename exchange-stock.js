@@ -0,0 +1,219 @@
+const { query } = require('./database');
+const ledger = require('./stock-ledger');
+const variantItems = require('./variant-channel-items');
+const channels = require('./channels');
+
+// 교환 재고 — 교환 클레임 1건 = 들어오는 옵션(inbound) + 나가는 옵션(outbound)
+// - 채널 교환 목록을 observe()로 exchanges에 반영 (claim_id당 1행)
+// - 회수가 끝난 뒤(collected/completed) inbound +수량, outbound -수량을 한 번에 반영
+// - 채널이 교환 옵션을 알려주지 않거나(네이버/지그재그) 옵션을 찾지 못하면 검토 목록 → 직원이 옵션 지정
+
+// exchange_state: requested(접수/수거 중) / collected(회수 완료) / completed(교환 완료) / cancelled(철회·거부)
+const EXCHANGE_STATES = ['requested', 'collected', 'completed', 'cancelled'];
+const APPLY_STATES = ['collected', 'completed'];
+
+// stock_state
+// pending: 회수 대기 / review: 옵션 확인 필요 / applied: 재고 반영됨 / skipped: 반영 안 함 (철회·거부, 검토 제외)
+// inbound_applied: 들어온 옵션 +수량이 원장에 반영됨 — 나갈 옵션에서 실패해 검토로 간 건을 다시 반영할 때 건너뜀
+
+async function getByClaimIds(claimIds) {
+  const ids = [...new Set(claimIds.map(id => String(id || '').trim()).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+  const ph = ids.map(() => '?').join(',');
+  const rows = await query(`SELECT * FROM exchanges WHERE claim_id IN (${ph})`, ids);
+  return new Map(rows.map(r => [r.claim_id, r]));
+}
+
+async function getById(id) {
+  const rows = await query('SELECT * FROM exchanges WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// stock_state 조건부 변경 — 자동 수집과 직원 처리가 겹치면 한쪽만 성공
+async function setStockState(row, from, to, { inboundVariantId = null, outboundVariantId = null, note = null } = {}) {
+  const result = await query(
+    `UPDATE exchanges SET stock_state = ?, inbound_variant_id = ?, outbound_variant_id = ?, stock_note = ?, updated_at = ?
+     WHERE id = ? AND stock_state = ?`,
+    [to, inboundVariantId, outboundVariantId, note ? String(note).slice(0, 255) : null, new Date(), row.id, from]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * 들어오는/나가는 옵션 찾기
+ * inbound: 원 주문에서 차감한 옵션 → 없으면 채널 옵션 연결 → 채널 상품/옵션명으로 매칭
+ * outbound: 채널이 알려준 교환 옵션 (없으면 같은 옵션으로 가정)
+ * @returns {Promise<{inbound: Object|null, outbound: Object|null, reason: string|null}>}
+ */
+async function resolveVariants(row) {
+  let inbound = null;
+  let reason = null;
+  if (row.product_order_id) {
+    const orders = await query('SELECT variant_id FROM sales_orders WHERE product_order_id = ?', [row.product_order_id]);
+    if (orders[0] && orders[0].variant_id) {
+      inbound = (await query('SELECT * FROM variants WHERE id = ?', [orders[0].variant_id]))[0] || null;
+    }
+  }
+  if (!inbound) {
+    const resolved = await variantItems.resolveVariant({
+      store: row.store, channel_product_no: row.channel_product_no, option_name: row.inbound_option,
+    });
+    inbound = resolved.variant;
+    if (!inbound) reason = `들어온 옵션: ${resolved.reason}`;
+  }
+
+  let outbound = null;
+  if (!row.outbound_reported) {
+    outbound = inbound;
+  } else {
+    const resolved = await variantItems.resolveVariant({
+      store: row.store,
+      channel_product_no: row.outbound_channel_product_no || row.channel_product_no,
+      option_name: row.outbound_option,
+    });
+    outbound = resolved.variant;
+    if (!outbound && !reason) reason = `나갈 옵션: ${resolved.reason}`;
+  }
+  return { inbound, outbound, reason };
+}
+
+/**
+ * 재고 반영 — inbound +qty, outbound -qty (같은 옵션이면 입고/출고 원장만 남고 수량은 그대로)
+ * 이전 시도에서 inbound가 이미 반영된 건(inbound_applied)은 그 옵션을 유지하고 outbound만 반영
+ * @param {Object} row - exchanges 행
+ * @param {number} inboundVariantId
+ * @param {number} outboundVariantId
+ * @param {Object} opts - { from: 현재 stock_state, user }
+ */
+async function applyStock(row, inboundVariantId, outboundVariantId, { from, user = null }) {
+  if (row.inbound_applied) inboundVariantId = row.inbound_variant_id;
+  const now = new Date();
+  const result = await query(
+    `UPDATE exchanges SET stock_state = 'applied', inbound_variant_id = ?, outbound_variant_id = ?, stock_note = NULL,
+       applied_by = ?, applied_at = ?, updated_at = ? WHERE id = ? AND stock_state = ?`,
+    [inboundVariantId, outboundVariantId, user ? user.username : 'system', now, now, row.id, from]
+  );
+  if (result.affectedRows === 0) throw new Error('다른 곳에서 먼저 처리되었습니다.');
+
+  const qty = row.qty || 1;
+  const channel = channels.getChannel(row.store);
+  const label = channel ? channel.label : row.store;
+  const movement = { reason: 'exchange', referenceId: row.claim_id, user, actor: 'exchange' };
+  let inboundApplied = !!row.inbound_applied;
+  try {
+    if (!inboundApplied) {
+      await ledger.adjustVariantQty(inboundVariantId, qty, { ...movement, note: `교환 회수 입고 (${label})` });
+      inboundApplied = true;
+      await query('UPDATE exchanges SET inbound_applied = 1 WHERE id = ?', [row.id]);
+    }
+    await ledger.adjustVariantQty(outboundVariantId, -qty, { ...movement, note: `교환 재발송 출고 (${label})` });
+  } catch (e) {
+    // 원장에 남은 쪽은 stock_movements(reference_id = claim_id)로 확인
+    const note = `재고 반영 오류${inboundApplied ? ' (들어온 옵션은 반영됨)' : ''}: ${e.message}`;
+    await setStockState(row, 'applied', 'review', { inboundVariantId, outboundVariantId, note });
+    throw e;
+  }
+}
+
+// 회수 대기 건 처리 — 철회/거부는 제외, 회수 완료면 옵션 확인 후 반영 또는 검토 목록
+async function settle(row) {
+  if (row.exchange_state === 'cancelled') {
+    await setStockState(row, 'pending', 'skipped', { note: `교환 철회/거부 (${row.claim_status || '-'})` });
+    return 'skipped';
+  }
+  if (!APPLY_STATES.includes(row.exchange_state)) return 'pending';
+
+  const { inbound, outbound, reason } = await resolveVariants(row);
+  const suggestion = { inboundVariantId: inbound ? inbound.id : null, outboundVariantId: outbound ? outbound.id : null };
+  if (!inbound || !outbound) {
+    await setStockState(row, 'pending', 'review', { ...suggestion, note: reason });
+    return 'review';
+  }
+  if (!row.outbound_reported) {
+    await setStockState(row, 'pending', 'review', { ...suggestion, note: '교환 옵션 확인 필요 (채널에서 교환 옵션 미제공)' });
+    return 'review';
+  }
+  await applyStock(row, inbound.id, outbound.id, { from: 'pending' });
+  return 'applied';
+}
+
+/**
+ * 채널 교환 목록 반영 — 처음 본 건은 등록, 채널 상태 변경 기록 후 회수 대기 건 처리
+ * @param {import('./channels/base').ChannelExchange[]} items
+ * @returns {Promise<{found: number, applied: number, review: number}>}
+ */
+async function observe(items) {
+  const valid = items.filter(i => i.claimId);
+  const existing = await getByClaimIds(valid.map(i => i.claimId));
+  const now = new Date();
+
+  for (const item of valid) {
+    const state = EXCHANGE_STATES.includes(item.exchangeState) ? item.exchangeState : 'requested';
+    const row = existing.get(item.claimId);
+    if (!row) {
+      await query(
+        `INSERT IGNORE INTO exchanges (claim_id, store, product_order_id, product_name, qty, channel_product_no, inbound_option,
+           outbound_channel_product_no, outbound_option, outbound_reported, claim_status, exchange_state, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [item.claimId, item.store, item.productOrderId || null, item.productName || null, item.qty || 1,
+          item.channelProductNo || null, item.inboundOption || null, item.outboundChannelProductNo || null,
+          item.outboundOption || null, item.outboundOption != null ? 1 : 0, item.claimStatus || null, state, now, now]
+      );
+    } else if (row.claim_status !== (item.claimStatus || null) || row.exchange_state !== state) {
+      await query('UPDATE exchanges SET claim_status = ?, exchange_state = ?, updated_at = ? WHERE id = ?',
+        [item.claimStatus || null, state, now, row.id]);
+    }
+  }
+
+  const summary = { found: valid.length, applied: 0, review: 0 };
+  for (const row of (await getByClaimIds(valid.map(i => i.claimId))).values()) {
+    if (row.stock_state !== 'pending') continue;
+    try {
+      const result = await settle(row);
+      if (result in summary) summary[result]++;
+    } catch (e) {
+      console.error(`[Exchange] 재고 반영 오류 (${row.claim_id}):`, e.message);
+    }
+  }
+  return summary;
+}
+
+// 검토 목록 (옵션 확인 필요)
+async function listReview(limit = 100) {
+  const rows = await query(`SELECT * FROM exchanges WHERE stock_state = 'review' ORDER BY updated_at DESC LIMIT ?`, [limit]);
+  const countRows = await query(`SELECT COUNT(*) as cnt FROM exchanges WHERE stock_state = 'review'`);
+  return { items: rows, total: Number(countRows[0].cnt) };
+}
+
+// 검토 건에 옵션 지정 → 재고 반영 (들어온 옵션이 이미 반영된 건은 나갈 옵션만)
+async function resolveReview(id, { inboundVariantId, outboundVariantId }, user) {
+  const row = await getById(id);
+  if (!row) throw new Error('교환 건을 찾을 수 없습니다.');
+  if (row.stock_state !== 'review') throw new Error('검토 대기 상태가 아닙니다.');
+  if (row.inbound_applied) inboundVariantId = row.inbound_variant_id;
+  for (const variantId of new Set([inboundVariantId, outboundVariantId])) {
+    const variants = await query('SELECT id FROM variants WHERE id = ?', [variantId]);
+    if (variants.length === 0) throw new Error('옵션을 찾을 수 없습니다.');
+  }
+  await applyStock(row, inboundVariantId, outboundVariantId, { from: 'review', user });
+}
+
+async function dismissReview(id, user) {
+  const row = await getById(id);
+  if (!row) throw new Error('교환 건을 찾을 수 없습니다.');
+  if (row.stock_state !== 'review') throw new Error('검토 대기 상태가 아닙니다.');
+  await setStockState(row, 'review', 'skipped', {
+    inboundVariantId: row.inbound_variant_id,
+    outboundVariantId: row.outbound_variant_id,
+    note: `검토 제외 (${user ? user.username : 'system'})`,
+  });
+}
+
+module.exports = {
+  EXCHANGE_STATES,
+  resolveVariants,
+  observe,
+  listReview,
+  resolveReview,
+  dismissReview,
+};
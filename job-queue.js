@@ -0,0 +1,563 @@
+const { query } = require('./database');
+const leaseLock = require('./lease-lock');
+
+// MySQL 기반 백그라운드 작업 큐
+// - 작업 종류는 register()로 등록하고 enqueue()로 jobs 테이블에 넣으면 워커가 꺼내 실행
+// - job_schedules의 cron/간격에 따라 주기 작업을 자동 등록
+// - 실패 시 지수 백오프로 재시도, 진행률/취소 요청은 DB에 기록되어 다른 화면/재시작 후에도 확인 가능
+// - heartbeat가 끊긴 running 작업(서버 재시작 등)은 다시 queued로 돌려 이어서 실행
+// - 실행 중에는 작업 종류별 리스 락(job:<type>)을 잡아 여러 서버 인스턴스에서도 종류당 하나만 실행
+
+const POLL_MS = 5000;
+const HEARTBEAT_MS = 15 * 1000;
+const STALE_MS = 2 * 60 * 1000;
+const PROGRESS_FLUSH_MS = 2000;
+const MAX_CONCURRENCY = 3;
+const MAX_BACKOFF_SECONDS = 30 * 60;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const KEEP_FINISHED_DAYS = 30;
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('작업이 취소되었습니다.');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// === cron (분 시 일 월 요일, KST 기준) ===
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`잘못된 cron 필드: ${field}`);
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) throw new Error(`잘못된 cron 범위: ${field}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const fields = String(expr || '').trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron은 5개 필드여야 합니다: ${expr}`);
+  const dow = parseCronField(fields[4], 0, 7);
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute: parseCronField(fields[0], 0, 59),
+    hour: parseCronField(fields[1], 0, 23),
+    dom: parseCronField(fields[2], 1, 31),
+    month: parseCronField(fields[3], 1, 12),
+    dow,
+    domAny: fields[2] === '*',
+    dowAny: fields[4] === '*',
+  };
+}
+
+/**
+ * from 이후(초과) 처음으로 cron에 맞는 시각
+ * @param {string} expr - 예: '0 *\/6 * * *' (6시간마다 정각, KST)
+ * @returns {Date}
+ */
+function nextCronTime(expr, from = new Date()) {
+  const cron = parseCron(expr);
+  // KST 시각을 UTC 필드로 다루기 위해 9시간 이동 (한국은 서머타임 없음)
+  const t = new Date(from.getTime() + KST_OFFSET_MS);
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+  const dayMatches = () => {
+    const dom = cron.dom.has(t.getUTCDate());
+    const dow = cron.dow.has(t.getUTCDay());
+    // 일/요일 둘 다 지정되면 둘 중 하나만 맞아도 실행 (표준 cron)
+    if (!cron.domAny && !cron.dowAny) return dom || dow;
+    return dom && dow;
+  };
+
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return new Date(t.getTime() - KST_OFFSET_MS);
+    }
+  }
+  throw new Error(`cron 다음 실행 시각을 찾을 수 없습니다: ${expr}`);
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.active = new Map(); // jobId → { cancelled, progress, lastFlush }
+    this.workerId = leaseLock.INSTANCE_ID;
+    this.pollHandle = null;
+    this.ticking = false;
+    this.lastPruneAt = 0;
+  }
+
+  // === 작업 종류 ===
+
+  /**
+   * @param {string} type - 예: 'products.copy_bulk'
+   * @param {Object} def - { label, permission, handler(payload, ctx), maxAttempts, backoffSeconds, manual (POST /api/jobs로 등록 가능) }
+   */
+  register(type, def) {
+    this.handlers.set(type, { maxAttempts: 3, backoffSeconds: 30, ...def, type });
+  }
+
+  getType(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  listTypes() {
+    return [...this.handlers.values()].map(({ type, label, permission, maxAttempts, manual }) =>
+      ({ type, label, permission, maxAttempts, manual: !!manual }));
+  }
+
+  // === 작업 등록/조회/취소 ===
+
+  /**
+   * 작업 등록
+   * @param {Object} [options] - { runAt, maxAttempts, createdBy, scheduleName, dedupe (같은 종류가 대기/실행 중이면 그 작업 반환) }
+   * @returns {Promise<Object>} 작업 (dedupe로 기존 작업을 반환하면 deduped: true)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const def = this.getType(type);
+    if (!def) throw new Error(`등록되지 않은 작업 종류: ${type}`);
+
+    if (options.dedupe) {
+      const existing = await query(
+        `SELECT * FROM jobs WHERE type = ? AND status IN ('queued', 'running') ORDER BY id LIMIT 1`,
+        [type]
+      );
+      if (existing.length > 0) return { ...this.toJob(existing[0]), deduped: true };
+    }
+
+    const result = await query(
+      `INSERT INTO jobs (type, status, payload, max_attempts, run_at, schedule_name, created_by)
+       VALUES (?, 'queued', ?, ?, ?, ?, ?)`,
+      [type, toJson(payload), options.maxAttempts || def.maxAttempts, options.runAt || new Date(),
+        options.scheduleName || null, options.createdBy || null]
+    );
+    this.kick();
+    return this.getJob(result.insertId);
+  }
+
+  async getJob(id) {
+    const rows = await query('SELECT * FROM jobs WHERE id = ?', [id]);
+    return rows[0] ? this.toJob(rows[0]) : null;
+  }
+
+  /**
+   * @param {Object} [filters] - { status, type, limit }
+   */
+  async listJobs({ status, type, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status === 'active') {
+      conditions.push(`status IN ('queued', 'running')`);
+    } else if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+    const rows = await query(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, params);
+    return rows.map(r => this.toJob(r));
+  }
+
+  // 종류별 가장 최근 작업 (진행 중이면 그 작업)
+  async getLatestJob(type) {
+    const rows = await query(
+      `SELECT * FROM jobs WHERE type = ? ORDER BY FIELD(status, 'running', 'queued') DESC, id DESC LIMIT 1`,
+      [type]
+    );
+    return rows[0] ? this.toJob(rows[0]) : null;
+  }
+
+  /**
+   * 대기 중이면 즉시 취소, 실행 중이면 취소 요청 (핸들러가 다음 확인 지점에서 중단)
+   * @returns {Promise<Object|null>} 취소 후 작업 (이미 끝난 작업이면 그대로 반환)
+   */
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (!job) return null;
+    if (job.status === 'queued') {
+      await query(
+        `UPDATE jobs SET status = 'cancelled', cancel_requested = 1, finished_at = ? WHERE id = ? AND status = 'queued'`,
+        [new Date(), id]
+      );
+    } else if (job.status === 'running') {
+      await query('UPDATE jobs SET cancel_requested = 1 WHERE id = ?', [id]);
+      const entry = this.active.get(Number(id));
+      if (entry) entry.cancelled = true;
+    }
+    return this.getJob(id);
+  }
+
+  // 실패/취소된 작업을 같은 payload로 다시 등록
+  async retry(id, createdBy = null) {
+    const job = await this.getJob(id);
+    if (!job) return null;
+    if (ACTIVE_STATUSES.includes(job.status)) throw new Error('대기/실행 중인 작업은 다시 실행할 수 없습니다.');
+    return this.enqueue(job.type, job.payload || {}, { createdBy });
+  }
+
+  toJob(row) {
+    const def = this.getType(row.type);
+    return {
+      id: row.id,
+      type: row.type,
+      label: def ? def.label : row.type,
+      status: row.status,
+      payload: parseJson(row.payload),
+      result: parseJson(row.result),
+      error: row.error || null,
+      progress: {
+        current: row.progress_current || 0,
+        total: row.progress_total || 0,
+        message: row.progress_message || null,
+      },
+      attempts: row.attempts || 0,
+      maxAttempts: row.max_attempts,
+      cancelRequested: !!row.cancel_requested,
+      scheduleName: row.schedule_name || null,
+      createdBy: row.created_by || null,
+      runAt: row.run_at,
+      createdAt: row.created_at,
+      startedAt: row.started_at || null,
+      finishedAt: row.finished_at || null,
+    };
+  }
+
+  // === 주기 실행 ===
+
+  nextRunTime(schedule, from = new Date()) {
+    if (schedule.cron) return nextCronTime(schedule.cron, from);
+    const minutes = parseInt(schedule.interval_minutes) || 0;
+    if (minutes < 1) throw new Error(`스케줄 ${schedule.name}: cron 또는 interval_minutes가 필요합니다.`);
+    return new Date(from.getTime() + minutes * 60 * 1000);
+  }
+
+  toSchedule(row) {
+    const def = this.getType(row.job_type);
+    return {
+      name: row.name,
+      jobType: row.job_type,
+      label: def ? def.label : row.job_type,
+      cron: row.cron || null,
+      intervalMinutes: row.interval_minutes || null,
+      payload: parseJson(row.payload),
+      enabled: !!row.enabled,
+      nextRunAt: row.next_run_at || null,
+      lastRunAt: row.last_run_at || null,
+      lastJobId: row.last_job_id || null,
+    };
+  }
+
+  async getSchedule(name) {
+    const rows = await query('SELECT * FROM job_schedules WHERE name = ?', [name]);
+    return rows[0] ? this.toSchedule(rows[0]) : null;
+  }
+
+  async listSchedules() {
+    const rows = await query('SELECT * FROM job_schedules ORDER BY name');
+    return rows.map(r => this.toSchedule(r));
+  }
+
+  /**
+   * 스케줄 생성/수정 — 주기가 바뀌거나 다시 켜지면 next_run_at 재계산
+   * @param {Object} changes - { jobType, cron, intervalMinutes, payload, enabled, nextRunAt }
+   */
+  async setSchedule(name, changes) {
+    const current = await this.getSchedule(name);
+    if (!current && !changes.jobType) throw new Error(`스케줄 ${name}: jobType이 필요합니다.`);
+    const next = {
+      job_type: changes.jobType || current.jobType,
+      cron: changes.cron !== undefined ? changes.cron : current?.cron || null,
+      interval_minutes: changes.intervalMinutes !== undefined ? changes.intervalMinutes : current?.intervalMinutes || null,
+      payload: changes.payload !== undefined ? changes.payload : current?.payload || null,
+      enabled: changes.enabled !== undefined ? !!changes.enabled : current ? current.enabled : true,
+    };
+    if (changes.cron) next.interval_minutes = null;
+    if (changes.intervalMinutes) next.cron = null;
+    if (next.cron) parseCron(next.cron);
+
+    const timingChanged = !current || next.cron !== current.cron || next.interval_minutes !== current.intervalMinutes
+      || (next.enabled && !current.enabled);
+    let nextRunAt = changes.nextRunAt || (current && current.nextRunAt);
+    if (!changes.nextRunAt && timingChanged) nextRunAt = this.nextRunTime({ name, ...next });
+
+    await query(
+      `INSERT INTO job_schedules (name, job_type, cron, interval_minutes, payload, enabled, next_run_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE job_type = VALUES(job_type), cron = VALUES(cron), interval_minutes = VALUES(interval_minutes),
+         payload = VALUES(payload), enabled = VALUES(enabled), next_run_at = VALUES(next_run_at), updated_at = VALUES(updated_at)`,
+      [name, next.job_type, next.cron, next.interval_minutes, toJson(next.payload), next.enabled ? 1 : 0, nextRunAt, new Date()]
+    );
+    return this.getSchedule(name);
+  }
+
+  // 기본 스케줄 — 이미 있으면 (사용자가 바꾼 설정 유지) 그대로 둠
+  async ensureSchedule(name, def) {
+    const current = await this.getSchedule(name);
+    if (current) return current;
+    return this.setSchedule(name, def);
+  }
+
+  async runDueSchedules(now = new Date()) {
+    const due = await query('SELECT * FROM job_schedules WHERE enabled = 1 AND next_run_at <= ?', [now]);
+    for (const row of due) {
+      if (!this.getType(row.job_type)) continue;
+      // 다른 인스턴스가 먼저 가져간 경우 affectedRows 0
+      const claimed = await query(
+        'UPDATE job_schedules SET next_run_at = ?, last_run_at = ? WHERE name = ? AND next_run_at = ?',
+        [this.nextRunTime(row, now), now, row.name, row.next_run_at]
+      );
+      if (claimed.affectedRows === 0) continue;
+      const job = await this.enqueue(row.job_type, parseJson(row.payload) || {}, {
+        dedupe: true, createdBy: 'schedule', scheduleName: row.name,
+      });
+      await query('UPDATE job_schedules SET last_job_id = ? WHERE name = ?', [job.id, row.name]);
+    }
+  }
+
+  // === 워커 ===
+
+  async start() {
+    if (this.pollHandle) return;
+    this.pollHandle = setInterval(() => this.tick(), POLL_MS);
+    console.log(`[Jobs] 워커 시작 (${this.workerId}, 작업 종류 ${this.handlers.size}개)`);
+    await this.tick();
+  }
+
+  stop() {
+    if (this.pollHandle) {
+      clearInterval(this.pollHandle);
+      this.pollHandle = null;
+    }
+  }
+
+  kick() {
+    if (this.pollHandle) setImmediate(() => this.tick());
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.recoverStale();
+      await this.runDueSchedules();
+      while (this.active.size < MAX_CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.execute(job);
+      }
+      if (Date.now() - this.lastPruneAt > PRUNE_INTERVAL_MS) {
+        this.lastPruneAt = Date.now();
+        await query(
+          `DELETE FROM jobs WHERE status IN ('succeeded', 'failed', 'cancelled') AND finished_at < ?`,
+          [new Date(Date.now() - KEEP_FINISHED_DAYS * 24 * 60 * 60 * 1000)]
+        );
+      }
+    } catch (e) {
+      console.error('[Jobs] 워커 오류:', e.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // heartbeat가 끊긴 running 작업 → 재시도 횟수가 남았으면 다시 대기열로
+  async recoverStale() {
+    const stale = await query(
+      `SELECT * FROM jobs WHERE status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < ?)`,
+      [new Date(Date.now() - STALE_MS)]
+    );
+    for (const row of stale) {
+      if (this.active.has(row.id)) continue;
+      const message = '작업이 중단되었습니다 (서버 재시작 등).';
+      if (row.cancel_requested) {
+        await this.finish(row, 'cancelled', { error: message });
+      } else if (row.attempts < row.max_attempts) {
+        await this.finish(row, 'queued', { error: message, runAt: new Date() });
+        console.log(`[Jobs] #${row.id} ${row.type} 중단 감지 → 다시 대기열로`);
+      } else {
+        await this.finish(row, 'failed', { error: message });
+      }
+    }
+  }
+
+  // 같은 종류는 동시에 하나만 실행
+  async claimNext() {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+    const ph = types.map(() => '?').join(',');
+    const rows = await query(
+      `SELECT * FROM jobs WHERE status = 'queued' AND run_at <= ? AND type IN (${ph})
+         AND type NOT IN (SELECT type FROM (SELECT DISTINCT type FROM jobs WHERE status = 'running') r)
+       ORDER BY run_at, id LIMIT 1`,
+      [new Date(), ...types]
+    );
+    if (rows.length === 0) return null;
+    // 위 조회와 claim 사이에 다른 인스턴스가 같은 종류를 꺼내는 경우까지 막기 위해 종류별 락
+    const lease = await leaseLock.acquire(`job:${rows[0].type}`, { ttlSeconds: STALE_MS / 1000, purpose: `작업 #${rows[0].id}` });
+    if (!lease) return null;
+    const now = new Date();
+    let claimed = { affectedRows: 0 };
+    try {
+      claimed = await query(
+        `UPDATE jobs SET status = 'running', locked_by = ?, attempts = attempts + 1, heartbeat_at = ?,
+           started_at = COALESCE(started_at, ?) WHERE id = ? AND status = 'queued'`,
+        [this.workerId, now, now, rows[0].id]
+      );
+    } finally {
+      if (claimed.affectedRows === 0) await lease.release();
+    }
+    if (claimed.affectedRows === 0) return null;
+    return { ...rows[0], status: 'running', attempts: rows[0].attempts + 1, locked_by: this.workerId, lease };
+  }
+
+  async execute(row) {
+    const def = this.getType(row.type);
+    const entry = {
+      cancelled: !!row.cancel_requested,
+      progress: { current: row.progress_current || 0, total: row.progress_total || 0, message: row.progress_message || null },
+      lastFlush: 0,
+    };
+    this.active.set(row.id, entry);
+
+    const flushProgress = async () => {
+      entry.lastFlush = Date.now();
+      await query(
+        'UPDATE jobs SET progress_current = ?, progress_total = ?, progress_message = ?, heartbeat_at = ? WHERE id = ?',
+        [entry.progress.current, entry.progress.total, entry.progress.message, new Date(), row.id]
+      );
+    };
+
+    const heartbeat = setInterval(async () => {
+      try {
+        await flushProgress();
+        const rows = await query('SELECT cancel_requested FROM jobs WHERE id = ?', [row.id]);
+        if (rows[0] && rows[0].cancel_requested) entry.cancelled = true;
+      } catch (e) {
+        console.error(`[Jobs] #${row.id} heartbeat 오류:`, e.message);
+      }
+    }, HEARTBEAT_MS);
+
+    const ctx = {
+      jobId: row.id,
+      attempt: row.attempts,
+      // 이전 시도의 체크포인트 (재시작/재시도 시 이어서 처리)
+      state: parseJson(row.result) || {},
+      get cancelled() {
+        return entry.cancelled;
+      },
+      throwIfCancelled() {
+        if (entry.cancelled) throw new JobCancelledError();
+      },
+      progress: (current, total, message) => {
+        if (current !== undefined && current !== null) entry.progress.current = current;
+        if (total !== undefined && total !== null) entry.progress.total = total;
+        if (message !== undefined) entry.progress.message = message ? String(message).slice(0, 255) : null;
+        if (Date.now() - entry.lastFlush >= PROGRESS_FLUSH_MS) {
+          flushProgress().catch(() => {});
+        }
+      },
+      saveState: async (state) => {
+        ctx.state = state;
+        await query('UPDATE jobs SET result = ?, heartbeat_at = ? WHERE id = ?', [toJson(state), new Date(), row.id]);
+      },
+    };
+
+    const label = `#${row.id} ${def.label}`;
+    console.log(`[Jobs] ${label} 시작 (시도 ${row.attempts}/${row.max_attempts})`);
+    try {
+      const result = await def.handler(parseJson(row.payload) || {}, ctx);
+      const status = entry.cancelled ? 'cancelled' : 'succeeded';
+      await this.finish(row, status, { result: result === undefined ? ctx.state : result, progress: entry.progress });
+      console.log(`[Jobs] ${label} ${status === 'cancelled' ? '취소됨' : '완료'}`);
+    } catch (e) {
+      if (e instanceof JobCancelledError || entry.cancelled) {
+        await this.finish(row, 'cancelled', { result: ctx.state, progress: entry.progress }).catch(() => {});
+        console.log(`[Jobs] ${label} 취소됨`);
+      } else if (row.attempts < row.max_attempts) {
+        const delay = Math.min(def.backoffSeconds * Math.pow(2, row.attempts - 1), MAX_BACKOFF_SECONDS);
+        await this.finish(row, 'queued', {
+          error: e.message, result: ctx.state, progress: entry.progress, runAt: new Date(Date.now() + delay * 1000),
+        }).catch(() => {});
+        console.error(`[Jobs] ${label} 실패 → ${delay}초 후 재시도:`, e.message);
+      } else {
+        await this.finish(row, 'failed', { error: e.message, result: ctx.state, progress: entry.progress }).catch(() => {});
+        console.error(`[Jobs] ${label} 최종 실패:`, e.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      if (row.lease) await row.lease.release().catch(e => console.error(`[Jobs] ${label} 락 해제 오류:`, e.message));
+      this.active.delete(row.id);
+      this.kick();
+    }
+  }
+
+  // status가 queued면 재시도 대기 (runAt), 그 외는 종료 상태
+  async finish(row, status, { result, error = null, progress, runAt = null } = {}) {
+    const done = status !== 'queued';
+    const sets = ['status = ?', 'error = ?', 'locked_by = NULL', 'heartbeat_at = NULL'];
+    const params = [status, error];
+    if (result !== undefined) {
+      sets.push('result = ?');
+      params.push(toJson(result));
+    }
+    if (progress) {
+      sets.push('progress_current = ?', 'progress_total = ?', 'progress_message = ?');
+      params.push(progress.current, progress.total, progress.message);
+    }
+    if (runAt) {
+      sets.push('run_at = ?');
+      params.push(runAt);
+    }
+    if (done) {
+      sets.push('finished_at = ?');
+      params.push(new Date());
+    }
+    params.push(row.id);
+    await query(`UPDATE jobs SET ${sets.join(', ')} WHERE id = ?`, params);
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = { jobQueue, JobQueue, JobCancelledError, parseCron, nextCronTime };
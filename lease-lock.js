@@ -0,0 +1,115 @@
+const os = require('os');
+const crypto = require('crypto');
+const { query } = require('./database');
+
+// DB 기반 리스(lease) 락 — 여러 서버 인스턴스(배포 겹침, 인스턴스 추가)에서 같은 작업이 동시에 돌지 않게 함
+// - lease_locks 1행 = 락 1개, name이 PK라 INSERT가 성공한 인스턴스만 보유
+// - 보유 중에는 heartbeat로 expires_at을 연장, 프로세스가 죽으면 TTL이 지난 뒤 다른 인스턴스가 가져감
+// - 만료 후 다른 인스턴스가 가져가면 이전 보유자는 heartbeat에서 lost로 감지
+// MySQL GET_LOCK은 커넥션 단위라 풀에서 쓰기 어렵고 보유자를 조회할 수 없어 테이블로 구현
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_TTL_SECONDS = 120;
+
+class LockBusyError extends Error {
+  constructor(name, holder) {
+    super(`다른 서버에서 실행 중입니다: ${name}${holder ? ` (${holder})` : ''}`);
+    this.name = 'LockBusyError';
+    this.lockName = name;
+    this.holder = holder || null;
+  }
+}
+
+const expiresAt = (from, ttlSeconds) => new Date(from.getTime() + ttlSeconds * 1000);
+
+class Lease {
+  constructor(name, token, ttlSeconds) {
+    this.name = name;
+    this.token = token;
+    this.ttlSeconds = ttlSeconds;
+    this.lost = false;
+    this.released = false;
+    // TTL의 1/3마다 연장 — heartbeat가 한두 번 실패해도 만료되지 않음
+    this.heartbeatHandle = setInterval(() => {
+      this.heartbeat().catch(e => console.error(`[Lock] ${name} heartbeat 오류:`, e.message));
+    }, ttlSeconds * 1000 / 3);
+    this.heartbeatHandle.unref();
+  }
+
+  async heartbeat() {
+    if (this.lost || this.released) return false;
+    const now = new Date();
+    const result = await query(
+      'UPDATE lease_locks SET heartbeat_at = ?, expires_at = ? WHERE name = ? AND token = ?',
+      [now, expiresAt(now, this.ttlSeconds), this.name, this.token]
+    );
+    if (result.affectedRows === 0) {
+      this.lost = true;
+      clearInterval(this.heartbeatHandle);
+      console.error(`[Lock] ${this.name} 락 만료 — 다른 서버가 가져갔습니다.`);
+    }
+    return !this.lost;
+  }
+
+  async release() {
+    if (this.released) return;
+    this.released = true;
+    clearInterval(this.heartbeatHandle);
+    if (this.lost) return;
+    await query('DELETE FROM lease_locks WHERE name = ? AND token = ?', [this.name, this.token]);
+  }
+}
+
+/**
+ * 락 획득 시도 — 다른 인스턴스(또는 같은 프로세스의 다른 호출)가 보유 중이면 null
+ * @param {string} name - 예: 'sync.run', 'return:2025000000001'
+ * @param {Object} options - { ttlSeconds, purpose } purpose는 상태 화면 표시용
+ * @returns {Promise<Lease|null>}
+ */
+async function acquire(name, { ttlSeconds = DEFAULT_TTL_SECONDS, purpose = null } = {}) {
+  const now = new Date();
+  // 만료된 락을 지운 뒤 INSERT — 동시에 시도해도 PK 충돌로 하나만 성공
+  await query('DELETE FROM lease_locks WHERE name = ? AND expires_at < ?', [name, now]);
+  const token = crypto.randomUUID();
+  const result = await query(
+    `INSERT IGNORE INTO lease_locks (name, token, holder, purpose, acquired_at, heartbeat_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, token, INSTANCE_ID, purpose, now, now, expiresAt(now, ttlSeconds)]
+  );
+  if (result.affectedRows === 0) return null;
+  return new Lease(name, token, ttlSeconds);
+}
+
+async function getHolder(name) {
+  const rows = await query('SELECT holder FROM lease_locks WHERE name = ?', [name]);
+  return rows[0] ? rows[0].holder : null;
+}
+
+/**
+ * 락을 잡고 fn(lease) 실행 후 해제 — 보유 중이면 LockBusyError
+ */
+async function withLock(name, fn, options = {}) {
+  const lease = await acquire(name, options);
+  if (!lease) throw new LockBusyError(name, await getHolder(name));
+  try {
+    return await fn(lease);
+  } finally {
+    await lease.release().catch(e => console.error(`[Lock] ${name} 해제 오류:`, e.message));
+  }
+}
+
+// 만료되지 않은 락 목록 (/api/sync/status 표시용)
+async function listLocks() {
+  const rows = await query('SELECT * FROM lease_locks WHERE expires_at >= ? ORDER BY name', [new Date()]);
+  return rows.map(r => ({
+    name: r.name,
+    holder: r.holder,
+    purpose: r.purpose || null,
+    acquiredAt: r.acquired_at,
+    heartbeatAt: r.heartbeat_at,
+    expiresAt: r.expires_at,
+    mine: r.holder === INSTANCE_ID,
+  }));
+}
+
+module.exports = { INSTANCE_ID, LockBusyError, acquire, withLock, listLocks };
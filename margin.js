@@ -0,0 +1,128 @@
+const { query, getConfig } = require('./database');
+const channels = require('./channels');
+
+// 스토어 코드별 판매가 비율 / 수수료율 설정 키
+// 판매가 비율: 마스터 판매가(A 스토어 기준) × 비율 = 채널 판매가 (상품 복사 시 적용되는 값)
+const CHANNEL_RATE_KEYS = Object.fromEntries(channels.listChannels().map(ch => [
+  ch.store, { priceRate: ch.priceRateKey, feeRate: `fee_rate_${ch.key}` },
+]));
+
+const STORE_CHANNEL_KEYS = Object.fromEntries(channels.listChannels().map(ch => [ch.store, ch.key]));
+
+function parseRate(value, fallback) {
+  const n = parseFloat(value);
+  return isNaN(n) || n < 0 ? fallback : n;
+}
+
+// { A: { priceRate, feeRate }, ... } — 수수료율 미설정 시 0
+async function getChannelRates() {
+  const rates = {};
+  for (const [store, keys] of Object.entries(CHANNEL_RATE_KEYS)) {
+    rates[store] = {
+      priceRate: keys.priceRate ? parseRate(await getConfig(keys.priceRate), 0.85) : 1,
+      feeRate: parseRate(await getConfig(keys.feeRate), 0),
+    };
+  }
+  return rates;
+}
+
+// 옵션 원가 > 상품 원가 순으로 적용 (미입력 시 null)
+function unitCost(product, variant) {
+  if (variant && variant.cost_price !== null && variant.cost_price !== undefined) return variant.cost_price;
+  if (product && product.cost_price !== null && product.cost_price !== undefined) return product.cost_price;
+  return null;
+}
+
+// 상품 대표 원가: 상품 원가, 없으면 옵션 원가 평균
+function productUnitCost(product, variants) {
+  if (product.cost_price !== null && product.cost_price !== undefined) return product.cost_price;
+  const costs = (variants || []).map(v => v.cost_price).filter(c => c !== null && c !== undefined);
+  if (costs.length === 0) return null;
+  return Math.round(costs.reduce((s, c) => s + c, 0) / costs.length);
+}
+
+// 판매가 1개 기준 마진 — 원가 미입력 시 margin/marginRate는 null
+function calcMargin(price, cost, feeRate) {
+  const fee = Math.round((price || 0) * (feeRate || 0));
+  if (cost === null || cost === undefined || !price) {
+    return { price: price || 0, fee, cost: cost ?? null, margin: null, marginRate: null };
+  }
+  const margin = price - fee - cost;
+  return { price, fee, cost, margin, marginRate: Math.round((margin / price) * 1000) / 10 };
+}
+
+// 채널별 예상 판매가 (10원 단위 절사, 상품 복사 시 가격 계산과 동일)
+function channelPrice(salePrice, priceRate) {
+  if (!salePrice) return 0;
+  if (priceRate === 1) return salePrice;
+  return Math.floor(salePrice * priceRate / 10) * 10;
+}
+
+// 상품의 채널별 예상 마진 { naver_a: {...}, ... } — 연결된 채널만
+function productMargins(product, variants, rates) {
+  const cost = productUnitCost(product, variants);
+  const byChannel = {};
+  for (const [store, ch] of Object.entries(STORE_CHANNEL_KEYS)) {
+    if (!product[`${ch}_no`]) continue;
+    const price = channelPrice(product.sale_price, rates[store].priceRate);
+    byChannel[ch] = calcMargin(price, cost, rates[store].feeRate);
+  }
+  return { unitCost: cost, byChannel };
+}
+
+// 실제 판매 기준 마진 (SQL 집계 결과 → 응답 필드)
+// costed_*: 원가가 입력된 주문만의 매출/수수료 — 마진율은 이 범위에서 계산
+function salesMargin(row) {
+  const revenue = Number(row.revenue) || 0;
+  const costedRevenue = Number(row.costed_revenue) || 0;
+  const cost = Number(row.cost) || 0;
+  const margin = costedRevenue > 0 ? costedRevenue - (Number(row.costed_fees) || 0) - cost : null;
+  return {
+    fees: Math.round(Number(row.fees) || 0),
+    cost: Math.round(cost),
+    margin: margin === null ? null : Math.round(margin),
+    marginRate: margin === null ? null : Math.round((margin / costedRevenue) * 1000) / 10,
+    costCoverage: revenue > 0 ? Math.round((costedRevenue / revenue) * 1000) / 10 : 0,
+  };
+}
+
+// 원가 변경 이력 기록 (공급처별 매입가 추적)
+async function recordCost(productId, variantId, supplier, costPrice, user, note) {
+  await query(
+    `INSERT INTO product_costs (product_id, variant_id, supplier, cost_price, user_id, username, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [productId, variantId || null, supplier || '', costPrice,
+     user ? user.id : null, user ? user.username : 'system', note ? String(note).slice(0, 255) : null]
+  );
+}
+
+async function getCostHistory(productId, limit = 100) {
+  return query(
+    'SELECT * FROM product_costs WHERE product_id = ? ORDER BY id DESC LIMIT ?',
+    [productId, Math.min(parseInt(limit) || 100, 500)]
+  );
+}
+
+// 원가/마진 필드 제거 (costs.view 권한 없는 사용자 응답용)
+function stripCosts(product) {
+  const { cost_price, margins, ...rest } = product;
+  if (rest.variants) {
+    rest.variants = rest.variants.map(({ cost_price: _c, ...v }) => v);
+  }
+  return rest;
+}
+
+module.exports = {
+  CHANNEL_RATE_KEYS,
+  STORE_CHANNEL_KEYS,
+  getChannelRates,
+  unitCost,
+  productUnitCost,
+  calcMargin,
+  channelPrice,
+  productMargins,
+  salesMargin,
+  recordCost,
+  getCostHistory,
+  stripCosts,
+};
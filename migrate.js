@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// 스키마 마이그레이션 — migrations/NNN_이름.js 파일을 번호 순으로 적용하고 schema_migrations에 기록
+//
+// 마이그레이션 파일 형식:
+//   module.exports = {
+//     description: '설명',
+//     async up(conn) { await conn.query(...) },
+//     async down(conn) { ... },   // 없으면 되돌릴 수 없는 마이그레이션
+//   };
+//
+// 각 마이그레이션은 트랜잭션 안에서 실행되고 schema_migrations 기록과 함께 커밋된다.
+// 단, MySQL의 DDL(CREATE/ALTER/DROP)은 암묵적으로 커밋되므로 DDL이 있는 마이그레이션은
+// IF NOT EXISTS / addColumnIfMissing 등으로 재실행해도 안전하게 작성해야 한다.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+// 여러 인스턴스가 동시에 기동해도 한 곳에서만 실행
+const LOCK_NAME = 'bluefi_schema_migrations';
+const LOCK_TIMEOUT_SEC = 60;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE_RE);
+    if (!match) continue;
+    const mod = require(path.join(dir, file));
+    if (typeof mod.up !== 'function') {
+      throw new Error(`마이그레이션 ${file}에 up()이 없습니다.`);
+    }
+    const version = parseInt(match[1], 10);
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`마이그레이션 번호 중복: ${match[1]}`);
+    }
+    migrations.push({
+      version,
+      name: file.replace(/\.js$/, ''),
+      description: mod.description || '',
+      up: mod.up,
+      down: typeof mod.down === 'function' ? mod.down : null,
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INT DEFAULT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function appliedMigrations(conn) {
+  const [rows] = await conn.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+// 마이그레이션 락을 잡은 커넥션으로 fn 실행
+async function withMigrationLock(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[lock]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SEC]);
+    if (lock.acquired !== 1) {
+      throw new Error('다른 프로세스가 마이그레이션을 실행 중입니다.');
+    }
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+async function runInTransaction(conn, migration, direction) {
+  const started = Date.now();
+  await conn.beginTransaction();
+  try {
+    if (direction === 'up') {
+      await migration.up(conn);
+      await conn.query('INSERT INTO schema_migrations (version, name, duration_ms) VALUES (?, ?, ?)',
+        [migration.version, migration.name, Date.now() - started]);
+    } else {
+      await migration.down(conn);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw new Error(`${migration.name} ${direction} 실패: ${e.message}`);
+  }
+  return Date.now() - started;
+}
+
+/**
+ * 마이그레이션 상태
+ * @returns {Promise<Array<{ version, name, description, applied, appliedAt, reversible }>>}
+ *   파일이 없어진 적용 기록은 missing: true로 포함
+ */
+async function getStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const conn = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(conn);
+    const applied = await appliedMigrations(conn);
+    const status = migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      description: m.description,
+      applied: applied.has(m.version),
+      appliedAt: applied.get(m.version)?.applied_at || null,
+      reversible: !!m.down,
+    }));
+    for (const [version, row] of applied) {
+      if (!migrations.some(m => m.version === version)) {
+        status.push({ version, name: row.name, description: '', applied: true, appliedAt: row.applied_at, reversible: false, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 미적용 마이그레이션을 순서대로 적용 — 하나라도 실패하면 중단하고 예외
+ * @param {Object} pool - mysql2 pool
+ * @param {Object} [options] - { dryRun, to (이 번호까지만), dir, log }
+ * @returns {Promise<{ applied: string[], pending: string[] }>}
+ */
+async function migrateUp(pool, { dryRun = false, to = null, dir, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (conn) => {
+    const applied = await appliedMigrations(conn);
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === null || m.version <= to));
+    if (dryRun) {
+      for (const m of pending) log(`[Migrate] (dry-run) 적용 예정: ${m.name}${m.description ? ` — ${m.description}` : ''}`);
+      return { applied: [], pending: pending.map(m => m.name) };
+    }
+    const done = [];
+    for (const m of pending) {
+      const ms = await runInTransaction(conn, m, 'up');
+      log(`[Migrate] 적용: ${m.name} (${ms}ms)`);
+      done.push(m.name);
+    }
+    return { applied: done, pending: [] };
+  });
+}
+
+/**
+ * 최근 적용된 마이그레이션부터 steps개 되돌림
+ * @param {Object} pool - mysql2 pool
+ * @param {Object} [options] - { steps, dryRun, dir, log }
+ * @returns {Promise<{ reverted: string[], pending: string[] }>}
+ */
+async function migrateDown(pool, { steps = 1, dryRun = false, dir, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (conn) => {
+    const applied = await appliedMigrations(conn);
+    const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, Math.max(1, steps)).map(version => {
+      const m = migrations.find(x => x.version === version);
+      if (!m) throw new Error(`적용 기록 ${version}의 마이그레이션 파일이 없습니다.`);
+      if (!m.down) throw new Error(`${m.name}은(는) 되돌릴 수 없는 마이그레이션입니다.`);
+      return m;
+    });
+    if (dryRun) {
+      for (const m of targets) log(`[Migrate] (dry-run) 되돌릴 예정: ${m.name}`);
+      return { reverted: [], pending: targets.map(m => m.name) };
+    }
+    const done = [];
+    for (const m of targets) {
+      const ms = await runInTransaction(conn, m, 'down');
+      log(`[Migrate] 되돌림: ${m.name} (${ms}ms)`);
+      done.push(m.name);
+    }
+    return { reverted: done, pending: [] };
+  });
+}
+
+// === 마이그레이션 파일에서 쓰는 스키마 헬퍼 (conn: 트랜잭션 커넥션) ===
+
+async function columnExists(conn, table, column) {
+  const [rows] = await conn.query(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(conn, table, index) {
+  const [rows] = await conn.query(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// 컬럼이 없을 때만 추가 — 추가했으면 true
+async function addColumnIfMissing(conn, table, column, definition) {
+  if (await columnExists(conn, table, column)) return false;
+  await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+async function dropColumnIfExists(conn, table, column) {
+  if (!(await columnExists(conn, table, column))) return false;
+  await conn.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
+
+async function addIndexIfMissing(conn, table, index, columns) {
+  if (await indexExists(conn, table, index)) return false;
+  await conn.query(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+  return true;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+};
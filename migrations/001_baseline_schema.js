@@ -0,0 +1,310 @@
+const { addColumnIfMissing, addIndexIfMissing } = require('../migrate');
+
+// 기준 스키마 — 마이그레이션 도입 전 initDb()가 만들던 테이블/컬럼 그대로
+// 운영 중인 DB에는 이미 모두 있으므로 기록만 남고 바뀌는 것은 없음
+
+const TABLES = [
+  `
+    CREATE TABLE IF NOT EXISTS inventory (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name TEXT NOT NULL,
+      color VARCHAR(255) NOT NULL,
+      qty INT NOT NULL DEFAULT 0,
+      brand VARCHAR(10) DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS sync_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      run_id VARCHAR(255) NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      store_from VARCHAR(10) NOT NULL,
+      store_to VARCHAR(10) DEFAULT NULL,
+      product_order_id VARCHAR(255) DEFAULT NULL,
+      channel_product_no VARCHAR(255) DEFAULT NULL,
+      product_name TEXT DEFAULT NULL,
+      product_option TEXT DEFAULT NULL,
+      qty INT DEFAULT 0,
+      status VARCHAR(20) NOT NULL DEFAULT 'success',
+      message TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS sync_config (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      \`key\` VARCHAR(255) UNIQUE NOT NULL,
+      value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS product_mapping (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_a_channel_product_no VARCHAR(255) NOT NULL,
+      store_a_product_name TEXT NOT NULL,
+      store_a_option_name VARCHAR(255) DEFAULT NULL,
+      store_b_channel_product_no VARCHAR(255) DEFAULT NULL,
+      store_b_product_name TEXT DEFAULT NULL,
+      store_b_option_name VARCHAR(255) DEFAULT NULL,
+      match_status VARCHAR(20) DEFAULT 'unmatched',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY (store_a_channel_product_no, store_a_option_name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS sales_orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store CHAR(1) NOT NULL,
+      product_order_id VARCHAR(255) UNIQUE NOT NULL,
+      order_date DATETIME NOT NULL,
+      product_name TEXT,
+      option_name VARCHAR(255) DEFAULT NULL,
+      qty INT DEFAULT 1,
+      unit_price INT DEFAULT 0,
+      total_amount INT DEFAULT 0,
+      product_order_status VARCHAR(50),
+      channel_product_no VARCHAR(255) DEFAULT NULL,
+      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // 주문 상태 변경 이력 (from_status NULL = 최초 수집)
+  `
+    CREATE TABLE IF NOT EXISTS sales_order_status_history (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      product_order_id VARCHAR(255) NOT NULL,
+      store CHAR(1) NOT NULL,
+      from_status VARCHAR(50) DEFAULT NULL,
+      to_status VARCHAR(50) DEFAULT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product_order (product_order_id),
+      INDEX idx_changed_at (changed_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      endpoint VARCHAR(500) UNIQUE NOT NULL,
+      p256dh VARCHAR(255) NOT NULL,
+      auth VARCHAR(255) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS return_confirmations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_order_id VARCHAR(255) UNIQUE NOT NULL,
+      store CHAR(1) NOT NULL,
+      product_name TEXT DEFAULT NULL,
+      option_name VARCHAR(255) DEFAULT NULL,
+      qty INT DEFAULT 1,
+      channel_product_no VARCHAR(255) DEFAULT NULL,
+      confirmed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // A 스토어 상품 인덱스 (로컬 DB 캐시 → 즉시 검색)
+  `
+    CREATE TABLE IF NOT EXISTS store_a_products (
+      channel_product_no VARCHAR(255) PRIMARY KEY,
+      origin_product_no VARCHAR(255),
+      name VARCHAR(500) DEFAULT '',
+      sale_price INT DEFAULT 0,
+      stock_quantity INT DEFAULT 0,
+      status_type VARCHAR(50) DEFAULT '',
+      image_url TEXT,
+      indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // 멀티채널 상품 복사 매핑 테이블
+  `
+    CREATE TABLE IF NOT EXISTS channel_product_mapping (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_a_channel_product_no VARCHAR(255) NOT NULL,
+      store_a_product_name TEXT DEFAULT NULL,
+      target_channel VARCHAR(20) NOT NULL,
+      target_product_id VARCHAR(255) DEFAULT NULL,
+      target_product_name TEXT DEFAULT NULL,
+      copy_status VARCHAR(20) DEFAULT 'pending',
+      copy_options JSON DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY (store_a_channel_product_no, target_channel)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 마스터 상품 테이블 (품번 기준 통합 관리) ===
+  `
+    CREATE TABLE IF NOT EXISTS master_products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sku VARCHAR(20) UNIQUE NOT NULL,
+      name VARCHAR(500) NOT NULL,
+      brand VARCHAR(10) DEFAULT '',
+      supplier VARCHAR(50) DEFAULT '',
+      color VARCHAR(255) DEFAULT '',
+      size VARCHAR(255) DEFAULT NULL,
+      qty INT NOT NULL DEFAULT 0,
+      stock_type ENUM('inventory', 'sourcing') DEFAULT 'sourcing',
+      image_url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 채널별 상품 매핑 (마스터 1개 → 채널 N개) ===
+  `
+    CREATE TABLE IF NOT EXISTS channel_products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      master_id INT NOT NULL,
+      channel ENUM('naver_a', 'naver_b', 'coupang', 'zigzag') NOT NULL,
+      channel_product_id VARCHAR(255) NOT NULL,
+      channel_product_name VARCHAR(500) DEFAULT '',
+      channel_option_name VARCHAR(255) DEFAULT '',
+      channel_price INT DEFAULT 0,
+      channel_status VARCHAR(50) DEFAULT '',
+      match_type ENUM('auto', 'manual', 'copy') DEFAULT 'auto',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY (channel, channel_product_id),
+      INDEX idx_master (master_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 통합 상품 테이블 (master_products + channel_products → products) ===
+  `
+    CREATE TABLE IF NOT EXISTS products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sku VARCHAR(20) UNIQUE NOT NULL,
+      name VARCHAR(500) NOT NULL,
+      brand VARCHAR(10) DEFAULT '',
+      supplier VARCHAR(50) DEFAULT '',
+      color VARCHAR(255) DEFAULT '',
+      size VARCHAR(255) DEFAULT NULL,
+      sale_price INT DEFAULT 0,
+      qty INT NOT NULL DEFAULT 0,
+      stock_type ENUM('inventory', 'sourcing') DEFAULT 'sourcing',
+      image_url TEXT,
+      naver_a_no VARCHAR(255) DEFAULT NULL,
+      naver_b_no VARCHAR(255) DEFAULT NULL,
+      coupang_no VARCHAR(255) DEFAULT NULL,
+      zigzag_no VARCHAR(255) DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT NULL,
+      INDEX idx_naver_a (naver_a_no)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 옵션(variants) 테이블: 상품별 컬러/사이즈/재고 ===
+  `
+    CREATE TABLE IF NOT EXISTS variants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      color VARCHAR(255) DEFAULT '',
+      size VARCHAR(255) DEFAULT NULL,
+      qty INT NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT NULL,
+      INDEX idx_product (product_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // 원가 변경 이력 (공급처별 매입가)
+  `
+    CREATE TABLE IF NOT EXISTS product_costs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      variant_id INT DEFAULT NULL,
+      supplier VARCHAR(50) DEFAULT '',
+      cost_price INT DEFAULT NULL,
+      user_id INT DEFAULT NULL,
+      username VARCHAR(50) DEFAULT NULL,
+      note VARCHAR(255) DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product (product_id, id),
+      INDEX idx_supplier (supplier)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 재고 변동 원장 (append-only) ===
+  `
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      variant_id INT DEFAULT NULL,
+      inventory_id INT DEFAULT NULL,
+      delta INT NOT NULL,
+      qty_before INT NOT NULL,
+      qty_after INT NOT NULL,
+      reason VARCHAR(20) NOT NULL,
+      reference_id VARCHAR(255) DEFAULT NULL,
+      user_id INT DEFAULT NULL,
+      username VARCHAR(100) DEFAULT NULL,
+      note VARCHAR(255) DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_variant (variant_id, id),
+      INDEX idx_inventory (inventory_id, id),
+      INDEX idx_reference (reference_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  // === 사용자 계정 / 로그인 세션 ===
+  `
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      display_name VARCHAR(100) DEFAULT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      last_login_at DATETIME DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      user_id INT NOT NULL,
+      user_agent VARCHAR(255) DEFAULT '',
+      ip VARCHAR(64) DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      INDEX idx_user (user_id),
+      INDEX idx_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `,
+];
+
+// 테이블 생성 이후 추가된 컬럼 — [테이블, 컬럼, 정의]
+const COLUMNS = [
+  // 점진적 스토어↔재고 연결용
+  ['inventory', 'channel_product_no', 'VARCHAR(255) DEFAULT NULL'],
+  ['inventory', 'size', 'VARCHAR(255) DEFAULT NULL'],
+  // 재고 차감 상태 (variant_id: 차감한 옵션, stock_state: deducted/restored/unresolved/skipped)
+  ['sales_orders', 'variant_id', 'INT DEFAULT NULL'],
+  ['sales_orders', 'stock_state', 'VARCHAR(20) DEFAULT NULL'],
+  ['sales_orders', 'stock_note', 'VARCHAR(255) DEFAULT NULL'],
+  // 주문 상태 변경 추적 (최초 수집 후 취소/반품 등으로 바뀐 시각)
+  ['sales_orders', 'status_changed_at', 'DATETIME DEFAULT NULL'],
+  ['return_confirmations', 'finalized_at', 'DATETIME DEFAULT NULL'],
+  ['master_products', 'supplier', "VARCHAR(50) DEFAULT ''"],
+  // 원가 (옵션 원가가 있으면 우선, 없으면 상품 원가)
+  ['products', 'cost_price', 'INT DEFAULT NULL AFTER sale_price'],
+  ['variants', 'cost_price', 'INT DEFAULT NULL AFTER qty'],
+];
+
+module.exports = {
+  description: '기준 스키마 (마이그레이션 도입 전 initDb 테이블/컬럼)',
+
+  async up(conn) {
+    for (const sql of TABLES) {
+      await conn.query(sql);
+    }
+    for (const [table, column, definition] of COLUMNS) {
+      await addColumnIfMissing(conn, table, column, definition);
+    }
+    await addIndexIfMissing(conn, 'sales_orders', 'idx_stock_state', 'stock_state');
+
+    // users.role (owner/manager/staff/read_only) — 역할 도입 이전 계정 중 가장 먼저 만든 계정을 owner로 지정
+    if (await addColumnIfMissing(conn, 'users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'staff' AFTER display_name")) {
+      await conn.query(`UPDATE users SET role = 'owner' ORDER BY id LIMIT 1`);
+    }
+  },
+
+  // 기준 스키마는 되돌리지 않음 (전체 테이블 삭제가 됨)
+  down: null,
+};
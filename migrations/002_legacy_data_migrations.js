@@ -0,0 +1,208 @@
+// 마이그레이션 도입 전 initDb()의 1회성 데이터 이관 — sync_config 플래그로 이미 적용된 건은 건너뜀
+// 기존 DB는 플래그가 모두 'true'라 아무것도 하지 않고, 새 DB는 빈 테이블에 대해 플래그만 기록된다.
+// DML만 있으므로 실패하면 트랜잭션 롤백으로 전부 되돌아감 (이전처럼 오류를 무시하지 않음)
+
+async function isDone(q, key) {
+  const rows = await q('SELECT value FROM sync_config WHERE `key` = ?', [key]);
+  return rows[0]?.value === 'true';
+}
+
+async function markDone(q, key) {
+  await q("INSERT INTO sync_config (`key`, value) VALUES (?, 'true') ON DUPLICATE KEY UPDATE value = 'true'", [key]);
+}
+
+// 기존 UTC 저장 order_date를 KST로
+async function salesTimezone(q) {
+  await q('UPDATE sales_orders SET order_date = DATE_ADD(order_date, INTERVAL 9 HOUR) WHERE order_date IS NOT NULL');
+  console.log('[DB] sales_orders order_date UTC→KST 마이그레이션 완료');
+}
+
+// 네이버 매출 UTC 문제 수정: 삭제 후 재수집 유도
+async function naverSalesTimezone(q) {
+  await q("DELETE FROM sales_orders WHERE store IN ('A', 'B')");
+  await q("UPDATE sync_config SET value = '' WHERE `key` IN ('sales_last_fetch_a', 'sales_last_fetch_b')");
+  console.log('[DB] 네이버 매출 데이터 삭제 (UTC→KST 재수집 유도)');
+}
+
+// 쿠팡 금액 0 레코드 삭제 (가격 필드 수정 전 데이터) + sales_last_fetch_c 리셋하여 재수집 유도
+async function coupangPriceFix(q) {
+  const result = await q("DELETE FROM sales_orders WHERE store = 'C' AND total_amount = 0");
+  await q("UPDATE sync_config SET value = '' WHERE `key` = 'sales_last_fetch_c'");
+  console.log(`[DB] 쿠팡 금액 0 레코드 삭제: ${result.affectedRows || 0}건, last_fetch 리셋`);
+}
+
+// inventory → master_products, 기존 매핑 → channel_products
+// 품번 형식: 2026OV001 (연도4자리 + 거래처이니셜 대문자 + 순번3자리)
+async function masterProducts(q) {
+  // v1 마이그레이션 데이터가 있으면 삭제 (BF-0001 형식 → 새 형식으로 재생성)
+  await q('DELETE FROM channel_products');
+  await q('DELETE FROM master_products');
+
+  const invRows = await q('SELECT * FROM inventory ORDER BY id');
+  if (invRows.length > 0) {
+    // 거래처(brand)별 순번 카운터
+    const supplierCounters = {};
+    const year = new Date().getFullYear();
+    for (const row of invRows) {
+      const brand = (row.brand || '').toUpperCase() || 'ETC';
+      if (!supplierCounters[brand]) supplierCounters[brand] = 0;
+      supplierCounters[brand]++;
+      const num = String(supplierCounters[brand]).padStart(3, '0');
+      await q(
+        `INSERT IGNORE INTO master_products (sku, name, brand, supplier, color, size, qty, stock_type, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'inventory', ?, ?)`,
+        [`${year}${brand}${num}`, row.name, row.brand || '', brand, row.color, row.size || null, row.qty, row.created_at, row.updated_at]
+      );
+    }
+    const skuExamples = Object.entries(supplierCounters).map(([k, v]) => `${k}:${v}개`).join(', ');
+    console.log(`[DB] master_products 마이그레이션 완료: ${invRows.length}개 (${skuExamples})`);
+  }
+
+  const findMaster = async (inv) =>
+    (await q('SELECT * FROM master_products WHERE name = ? AND color = ? LIMIT 1', [inv.name, inv.color]))[0];
+  const findInventory = async (channelProductNo) =>
+    (await q('SELECT * FROM inventory WHERE channel_product_no = ? LIMIT 1', [channelProductNo]))[0];
+
+  // 기존 channel_product_mapping → channel_products 이관
+  const channelMap = { storeB: 'naver_b', coupang: 'coupang', zigzag: 'zigzag' };
+  const cpmRows = await q('SELECT * FROM channel_product_mapping WHERE copy_status = ?', ['success']);
+  for (const cpm of cpmRows) {
+    const ch = channelMap[cpm.target_channel];
+    if (!ch || !cpm.target_product_id) continue;
+    const inv = await findInventory(cpm.store_a_channel_product_no);
+    const master = inv && await findMaster(inv);
+    if (!master) continue;
+    await q(
+      `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, match_type)
+       VALUES (?, ?, ?, ?, 'copy')`,
+      [master.id, ch, cpm.target_product_id, cpm.target_product_name || '']
+    );
+  }
+
+  // 기존 product_mapping → channel_products (naver_b) 이관
+  const pmRows = await q("SELECT * FROM product_mapping WHERE match_status IN ('matched', 'manual') AND store_b_channel_product_no IS NOT NULL");
+  for (const pm of pmRows) {
+    const inv = await findInventory(pm.store_a_channel_product_no);
+    const master = inv && await findMaster(inv);
+    if (!master) continue;
+    await q(
+      `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, channel_option_name, match_type)
+       VALUES (?, 'naver_b', ?, ?, ?, ?)`,
+      [master.id, pm.store_b_channel_product_no, pm.store_b_product_name || '', pm.store_b_option_name || '', pm.match_status === 'manual' ? 'manual' : 'auto']
+    );
+  }
+
+  // inventory.channel_product_no → channel_products (naver_a) 이관, 이름/가격은 store_a_products에서
+  const invLinked = await q('SELECT * FROM inventory WHERE channel_product_no IS NOT NULL AND channel_product_no != ?', ['']);
+  for (const inv of invLinked) {
+    const master = await findMaster(inv);
+    if (!master) continue;
+    const [sap] = await q('SELECT * FROM store_a_products WHERE channel_product_no = ? LIMIT 1', [inv.channel_product_no]);
+    await q(
+      `INSERT IGNORE INTO channel_products (master_id, channel, channel_product_id, channel_product_name, channel_price, match_type)
+       VALUES (?, 'naver_a', ?, ?, ?, 'auto')`,
+      [master.id, inv.channel_product_no, sap?.name || '', sap?.sale_price || 0]
+    );
+  }
+
+  const [chCount] = await q('SELECT COUNT(*) as cnt FROM channel_products');
+  console.log(`[DB] channel_products 이관 완료: ${chCount.cnt}개`);
+}
+
+// master_products + channel_products → products
+async function productsTable(q) {
+  await q('DELETE FROM products');
+  const [mpCount] = await q('SELECT COUNT(*) as cnt FROM master_products');
+  if (mpCount.cnt === 0) return;
+  await q(`
+    INSERT INTO products (sku, name, brand, supplier, color, size, sale_price, qty, stock_type, image_url,
+      naver_a_no, naver_b_no, coupang_no, zigzag_no, created_at, updated_at)
+    SELECT m.sku, m.name, m.brand, m.supplier, m.color, m.size,
+      COALESCE(MAX(CASE WHEN c.channel='naver_a' THEN c.channel_price END), 0),
+      m.qty, m.stock_type, m.image_url,
+      MAX(CASE WHEN c.channel='naver_a' THEN c.channel_product_id END),
+      MAX(CASE WHEN c.channel='naver_b' THEN c.channel_product_id END),
+      MAX(CASE WHEN c.channel='coupang' THEN c.channel_product_id END),
+      MAX(CASE WHEN c.channel='zigzag' THEN c.channel_product_id END),
+      m.created_at, m.updated_at
+    FROM master_products m
+    LEFT JOIN channel_products c ON c.master_id = m.id
+    GROUP BY m.id
+  `);
+  const [pCount] = await q('SELECT COUNT(*) as cnt FROM products');
+  console.log(`[DB] products 테이블 이관 완료: ${pCount.cnt}개`);
+}
+
+// products → products(상품) + variants(옵션) 분리
+// 그룹 키: naver_a_no가 있으면 naver_a_no, 없으면 name+brand+supplier 조합 — 그룹의 첫 행이 대표 상품
+async function variants(q) {
+  const allProducts = await q('SELECT * FROM products ORDER BY id');
+  if (allProducts.length === 0) return;
+
+  const groups = {};
+  for (const p of allProducts) {
+    const key = p.naver_a_no ? `na:${p.naver_a_no}` : `nm:${p.name}|${p.brand}|${p.supplier}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(p);
+  }
+
+  let mergedCount = 0;
+  let variantCount = 0;
+  for (const items of Object.values(groups)) {
+    const primary = items[0];
+
+    // 대표 상품에 모든 채널 번호 병합 (null이 아닌 값 우선)
+    let naverB = primary.naver_b_no, coupang = primary.coupang_no, zigzag = primary.zigzag_no;
+    for (const p of items) {
+      if (!naverB && p.naver_b_no) naverB = p.naver_b_no;
+      if (!coupang && p.coupang_no) coupang = p.coupang_no;
+      if (!zigzag && p.zigzag_no) zigzag = p.zigzag_no;
+    }
+    if (naverB !== primary.naver_b_no || coupang !== primary.coupang_no || zigzag !== primary.zigzag_no) {
+      await q('UPDATE products SET naver_b_no = ?, coupang_no = ?, zigzag_no = ? WHERE id = ?',
+        [naverB, coupang, zigzag, primary.id]);
+    }
+
+    for (const p of items) {
+      await q(
+        'INSERT INTO variants (product_id, color, size, qty, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [primary.id, p.color || '', p.size || null, p.qty, p.created_at, p.updated_at]
+      );
+      variantCount++;
+    }
+
+    // 대표 외 중복 행 삭제
+    const dupIds = items.slice(1).map(p => p.id);
+    if (dupIds.length > 0) {
+      await q(`DELETE FROM products WHERE id IN (${dupIds.map(() => '?').join(',')})`, dupIds);
+      mergedCount += dupIds.length;
+    }
+  }
+  console.log(`[DB] variants 마이그레이션 완료: ${variantCount}개 옵션, ${mergedCount}개 중복 상품 병합`);
+}
+
+// 실행 순서 = 기존 initDb() 순서
+const STEPS = [
+  ['sales_tz_migrated', salesTimezone],
+  ['naver_sales_tz_fixed', naverSalesTimezone],
+  ['cpg_price_fix_migrated', coupangPriceFix],
+  ['master_products_v2_migrated', masterProducts],
+  ['products_table_migrated', productsTable],
+  ['variants_migrated', variants],
+];
+
+module.exports = {
+  description: '기존 1회성 데이터 이관 (플래그 미기록 DB만)',
+
+  async up(conn) {
+    const q = async (sql, params) => (await conn.query(sql, params || []))[0];
+    for (const [key, run] of STEPS) {
+      if (await isDone(q, key)) continue;
+      await run(q);
+      await markDone(q, key);
+    }
+  },
+
+  // 데이터 삭제/병합이 포함되어 되돌릴 수 없음
+  down: null,
+};
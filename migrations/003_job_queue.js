@@ -0,0 +1,57 @@
+// 백그라운드 작업 큐 (job-queue.js) — 작업 1건 = jobs 1행, 주기 실행 = job_schedules
+
+module.exports = {
+  description: '작업 큐 (jobs, job_schedules)',
+
+  async up(conn) {
+    // status: queued → running → succeeded/failed/cancelled (실패 시 재시도면 다시 queued)
+    // result: 완료 결과, 실행 중에는 재시작 후 이어서 할 체크포인트
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        payload JSON DEFAULT NULL,
+        result JSON DEFAULT NULL,
+        error TEXT DEFAULT NULL,
+        progress_current INT NOT NULL DEFAULT 0,
+        progress_total INT NOT NULL DEFAULT 0,
+        progress_message VARCHAR(255) DEFAULT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 3,
+        run_at DATETIME NOT NULL,
+        cancel_requested TINYINT(1) NOT NULL DEFAULT 0,
+        locked_by VARCHAR(100) DEFAULT NULL,
+        heartbeat_at DATETIME DEFAULT NULL,
+        schedule_name VARCHAR(50) DEFAULT NULL,
+        created_by VARCHAR(100) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME DEFAULT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        INDEX idx_status_run (status, run_at),
+        INDEX idx_type_status (type, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // cron(KST 기준 5필드) 또는 interval_minutes 중 하나로 주기 지정
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS job_schedules (
+        name VARCHAR(50) PRIMARY KEY,
+        job_type VARCHAR(50) NOT NULL,
+        cron VARCHAR(100) DEFAULT NULL,
+        interval_minutes INT DEFAULT NULL,
+        payload JSON DEFAULT NULL,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        next_run_at DATETIME DEFAULT NULL,
+        last_run_at DATETIME DEFAULT NULL,
+        last_job_id BIGINT DEFAULT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS job_schedules');
+    await conn.query('DROP TABLE IF EXISTS jobs');
+  },
+};
@@ -0,0 +1,25 @@
+// 서버 인스턴스 간 리스 락 (lease-lock.js)
+
+module.exports = {
+  description: '인스턴스 간 리스 락 (lease_locks)',
+
+  async up(conn) {
+    // token: 획득할 때마다 새로 발급 — 만료 후 다른 인스턴스가 가져가면 이전 보유자의 연장/해제가 무시됨
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS lease_locks (
+        name VARCHAR(191) PRIMARY KEY,
+        token CHAR(36) NOT NULL,
+        holder VARCHAR(100) NOT NULL,
+        purpose VARCHAR(100) DEFAULT NULL,
+        acquired_at DATETIME NOT NULL,
+        heartbeat_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        INDEX idx_expires (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS lease_locks');
+  },
+};
@@ -0,0 +1,51 @@
+// 반품 처리 원장 (processed-returns.js) — 기존에는 sync_log 성공 기록을 조회해 중복을 막았음
+
+const STORE_B_TYPES = ['qty_increase', 'product_create'];
+
+module.exports = {
+  description: '반품 처리 원장 (processed_returns) + sync_log 성공 기록 이관',
+
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS processed_returns (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_order_id VARCHAR(100) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing',
+        store VARCHAR(10) DEFAULT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'sync',
+        run_id VARCHAR(255) DEFAULT NULL,
+        detail VARCHAR(255) DEFAULT NULL,
+        claimed_at DATETIME NOT NULL,
+        completed_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_order_action (product_order_id, action),
+        INDEX idx_status_claimed (status, claimed_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // 기존 성공 기록 이관 — 합산 등록으로 콤마로 이어진 productOrderId는 건별로 분리
+    const [rows] = await conn.query(`
+      SELECT run_id, type, store_from, product_order_id, message, created_at FROM sync_log
+      WHERE type IN ('inventory_update', 'qty_increase', 'product_create') AND status = 'success'
+        AND product_order_id IS NOT NULL AND product_order_id != ''
+      ORDER BY id
+    `);
+    for (const row of rows) {
+      const action = STORE_B_TYPES.includes(row.type) ? 'storeB' : 'inventory';
+      const source = String(row.run_id).startsWith('manual') ? 'manual' : 'sync';
+      for (const id of String(row.product_order_id).split(',').map(s => s.trim()).filter(Boolean)) {
+        await conn.query(
+          `INSERT IGNORE INTO processed_returns
+             (product_order_id, action, status, store, source, run_id, detail, claimed_at, completed_at)
+           VALUES (?, ?, 'done', ?, ?, ?, ?, ?, ?)`,
+          [id, action, row.store_from || null, source, row.run_id, row.message ? String(row.message).slice(0, 255) : null,
+            row.created_at, row.created_at]
+        );
+      }
+    }
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS processed_returns');
+  },
+};
@@ -0,0 +1,31 @@
+// 채널 옵션(쿠팡 vendorItemId / 지그재그 옵션 item_id) ↔ variants 연결 (variant-channel-items.js)
+
+module.exports = {
+  description: '채널 옵션 ↔ 옵션(variants) 연결 (variant_channel_items)',
+
+  async up(conn) {
+    // channel_item_id: 쿠팡은 승인 전이면 vendorItemId가 없을 수 있어 NULL 허용 — 옵션명 기준 UNIQUE
+    // variant_id: 옵션명으로 매칭하지 못하면 NULL (나중에 수동 연결)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS variant_channel_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store VARCHAR(10) NOT NULL,
+        channel_product_id VARCHAR(255) NOT NULL,
+        channel_item_id VARCHAR(255) DEFAULT NULL,
+        option_name VARCHAR(255) NOT NULL DEFAULT '',
+        product_id INT DEFAULT NULL,
+        variant_id INT DEFAULT NULL,
+        price INT DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_channel_option (store, channel_product_id, option_name),
+        INDEX idx_channel_item (store, channel_item_id),
+        INDEX idx_variant (variant_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS variant_channel_items');
+  },
+};
@@ -0,0 +1,43 @@
+// 채널 카테고리 캐시 + 네이버 → 쿠팡/지그재그 카테고리 매핑 (category-map.js)
+
+module.exports = {
+  description: '채널 카테고리 캐시 (channel_categories) + 카테고리 매핑 (category_mappings)',
+
+  async up(conn) {
+    // 채널별 전체 카테고리 — 새로고침 시 채널 단위로 교체
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS channel_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        channel VARCHAR(20) NOT NULL,
+        category_id VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        path VARCHAR(500) NOT NULL,
+        parent_id VARCHAR(50) DEFAULT NULL,
+        is_leaf TINYINT(1) NOT NULL DEFAULT 1,
+        synced_at DATETIME NOT NULL,
+        UNIQUE KEY uq_channel_category (channel, category_id),
+        INDEX idx_channel_leaf (channel, is_leaf)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    // 네이버 leafCategoryId 1개 → 채널별 카테고리 1개 (이름/경로는 매핑 당시 값)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS category_mappings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        naver_category_id VARCHAR(50) NOT NULL,
+        naver_category_path VARCHAR(500) DEFAULT '',
+        target_channel VARCHAR(20) NOT NULL,
+        target_category_id VARCHAR(50) NOT NULL,
+        target_category_path VARCHAR(500) DEFAULT '',
+        username VARCHAR(100) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_naver_target (naver_category_id, target_channel)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS category_mappings');
+    await conn.query('DROP TABLE IF EXISTS channel_categories');
+  },
+};
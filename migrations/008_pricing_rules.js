@@ -0,0 +1,35 @@
+// 채널 복사 가격 규칙 (pricing.js) — 기존에는 채널별 판매가 비율(*_price_rate) 하나로만 계산
+
+module.exports = {
+  description: '채널 복사 가격 규칙 (pricing_rules)',
+
+  async up(conn) {
+    // 조건 컬럼이 NULL이면 전체 대상 — 우선순위 높은 순, 같으면 조건이 많은 규칙 적용
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS pricing_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        channel VARCHAR(20) DEFAULT NULL,
+        brand VARCHAR(10) DEFAULT NULL,
+        supplier VARCHAR(50) DEFAULT NULL,
+        category_id VARCHAR(50) DEFAULT NULL,
+        stock_type VARCHAR(20) DEFAULT NULL,
+        method VARCHAR(20) NOT NULL,
+        value DECIMAL(12, 4) NOT NULL,
+        rounding VARCHAR(20) NOT NULL DEFAULT 'floor_10',
+        min_price INT DEFAULT NULL,
+        max_price INT DEFAULT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        username VARCHAR(100) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT NULL,
+        INDEX idx_enabled_priority (enabled, priority)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS pricing_rules');
+  },
+};
@@ -0,0 +1,102 @@
+// 반품 생애주기 (return-lifecycle.js) — 기존에는 return_confirmations(실수거완료/최종완료 시각)와
+// 채널 claimStatus, processed_returns 플래그를 화면에서 조합해 상태를 판단
+
+module.exports = {
+  description: '반품 생애주기 (returns, return_transitions) + return_confirmations 이관',
+
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS returns (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_order_id VARCHAR(255) NOT NULL,
+        store CHAR(1) NOT NULL,
+        product_name TEXT DEFAULT NULL,
+        option_name VARCHAR(255) DEFAULT NULL,
+        qty INT DEFAULT 1,
+        channel_product_no VARCHAR(255) DEFAULT NULL,
+        channel_status VARCHAR(50) DEFAULT NULL,
+        state VARCHAR(20) NOT NULL DEFAULT 'requested',
+        previous_state VARCHAR(20) DEFAULT NULL,
+        requested_at DATETIME DEFAULT NULL,
+        collecting_at DATETIME DEFAULT NULL,
+        collected_at DATETIME DEFAULT NULL,
+        received_at DATETIME DEFAULT NULL,
+        inspected_at DATETIME DEFAULT NULL,
+        restocked_at DATETIME DEFAULT NULL,
+        disposed_at DATETIME DEFAULT NULL,
+        finalized_at DATETIME DEFAULT NULL,
+        updated_by VARCHAR(100) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_product_order (product_order_id),
+        INDEX idx_state_updated (state, updated_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS return_transitions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        return_id INT NOT NULL,
+        product_order_id VARCHAR(255) NOT NULL,
+        from_state VARCHAR(20) DEFAULT NULL,
+        to_state VARCHAR(20) NOT NULL,
+        user_id INT DEFAULT NULL,
+        username VARCHAR(100) DEFAULT NULL,
+        note VARCHAR(255) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_product_order (product_order_id),
+        INDEX idx_return (return_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // 실수거완료 → received, 재고 반영까지 끝난 건 → restocked, 최종완료 → finalized
+    const [rows] = await conn.query(`
+      SELECT c.*, p.completed_at AS restocked_at FROM return_confirmations c
+      LEFT JOIN processed_returns p ON p.product_order_id = c.product_order_id AND p.action = 'inventory' AND p.status = 'done'
+      ORDER BY c.id
+    `);
+    for (const row of rows) {
+      const settled = row.restocked_at ? 'restocked' : 'received';
+      const state = row.finalized_at ? 'finalized' : settled;
+      const [result] = await conn.query(
+        `INSERT IGNORE INTO returns (product_order_id, store, product_name, option_name, qty, channel_product_no,
+           state, previous_state, requested_at, received_at, restocked_at, finalized_at, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'system', ?, ?)`,
+        [row.product_order_id, row.store, row.product_name, row.option_name, row.qty, row.channel_product_no,
+          state, row.finalized_at ? settled : null, row.confirmed_at, row.confirmed_at, row.restocked_at || null,
+          row.finalized_at || null, row.confirmed_at, row.finalized_at || row.restocked_at || row.confirmed_at]
+      );
+      if (result.affectedRows === 0) continue;
+      await conn.query(
+        `INSERT INTO return_transitions (return_id, product_order_id, from_state, to_state, username, note, created_at)
+         VALUES (?, ?, NULL, ?, 'system', '실수거완료 이관', ?)`,
+        [result.insertId, row.product_order_id, state, row.confirmed_at]
+      );
+    }
+    await conn.query('DROP TABLE IF EXISTS return_confirmations');
+  },
+
+  async down(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS return_confirmations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_order_id VARCHAR(255) UNIQUE NOT NULL,
+        store CHAR(1) NOT NULL,
+        product_name TEXT DEFAULT NULL,
+        option_name VARCHAR(255) DEFAULT NULL,
+        qty INT DEFAULT 1,
+        channel_product_no VARCHAR(255) DEFAULT NULL,
+        confirmed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finalized_at DATETIME DEFAULT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    // 입고 이후 단계만 실수거완료로 되돌림
+    await conn.query(`
+      INSERT IGNORE INTO return_confirmations (product_order_id, store, product_name, option_name, qty, channel_product_no, confirmed_at, finalized_at)
+      SELECT product_order_id, store, product_name, option_name, qty, channel_product_no,
+        COALESCE(received_at, updated_at, created_at), finalized_at
+      FROM returns WHERE state IN ('received', 'inspected', 'restocked', 'disposed', 'finalized')
+    `);
+    await conn.query('DROP TABLE IF EXISTS return_transitions');
+    await conn.query('DROP TABLE IF EXISTS returns');
+  },
+};
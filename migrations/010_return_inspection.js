@@ -0,0 +1,39 @@
+// 반품 검수 등급/사진 (return-inspection.js) — 기존에는 검수 없이 모든 반품을 B 스토어에 반영
+const { addColumnIfMissing, dropColumnIfExists } = require('../migrate');
+
+const COLUMNS = [
+  ['grade', 'CHAR(1) DEFAULT NULL AFTER previous_state'],
+  ['inspection_note', 'VARCHAR(500) DEFAULT NULL AFTER grade'],
+  ['inspected_by', 'VARCHAR(100) DEFAULT NULL AFTER inspection_note'],
+  ['route_result', 'VARCHAR(255) DEFAULT NULL AFTER inspected_by'],
+];
+
+module.exports = {
+  description: '반품 검수 등급/메모/처리 결과 + 검수 사진 (return_photos)',
+
+  async up(conn) {
+    for (const [column, definition] of COLUMNS) {
+      await addColumnIfMissing(conn, 'returns', column, definition);
+    }
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS return_photos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        return_id INT NOT NULL,
+        product_order_id VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(50) NOT NULL,
+        size INT NOT NULL,
+        data MEDIUMBLOB NOT NULL,
+        username VARCHAR(100) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_product_order (product_order_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS return_photos');
+    for (const [column] of [...COLUMNS].reverse()) {
+      await dropColumnIfExists(conn, 'returns', column);
+    }
+  },
+};
@@ -0,0 +1,39 @@
+// 교환 클레임 (exchange-stock.js) — 기존에는 반품(claimType=RETURN)만 조회해 교환은 재고에 반영되지 않음
+
+module.exports = {
+  description: '교환 클레임 + 들어오는/나가는 옵션 재고 반영 상태 (exchanges)',
+
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS exchanges (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        claim_id VARCHAR(255) NOT NULL,
+        store CHAR(1) NOT NULL,
+        product_order_id VARCHAR(255) DEFAULT NULL,
+        product_name TEXT DEFAULT NULL,
+        qty INT DEFAULT 1,
+        channel_product_no VARCHAR(255) DEFAULT NULL,
+        inbound_option VARCHAR(255) DEFAULT NULL,
+        outbound_channel_product_no VARCHAR(255) DEFAULT NULL,
+        outbound_option VARCHAR(255) DEFAULT NULL,
+        outbound_reported TINYINT(1) NOT NULL DEFAULT 0,
+        claim_status VARCHAR(50) DEFAULT NULL,
+        exchange_state VARCHAR(20) NOT NULL DEFAULT 'requested',
+        inbound_variant_id INT DEFAULT NULL,
+        outbound_variant_id INT DEFAULT NULL,
+        stock_state VARCHAR(20) NOT NULL DEFAULT 'pending',
+        stock_note VARCHAR(255) DEFAULT NULL,
+        applied_by VARCHAR(100) DEFAULT NULL,
+        applied_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_claim (claim_id),
+        INDEX idx_stock_state (stock_state, updated_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS exchanges');
+  },
+};
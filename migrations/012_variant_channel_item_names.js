@@ -0,0 +1,26 @@
+// 채널 옵션 연결 보강 (variant-channel-items.js) — 반품/교환을 채널 옵션으로 variant에 바로 연결
+// 기존에는 쿠팡 반품 상품명 파싱 / 지그재그 옵션 문자열 분리로 컬러·사이즈를 추정
+const { addColumnIfMissing, dropColumnIfExists } = require('../migrate');
+
+// channel_option_name: 채널에 등록된 옵션명 (쿠팡 itemName "블랙 M" / 지그재그 "블랙 / M") — 지그재그 반품은 옵션 ID 없이 이 값만 옴
+// linked_by: 직원이 직접 연결한 행 — 다시 복사해도 옵션명 자동 매칭으로 덮어쓰지 않음
+const COLUMNS = [
+  ['channel_option_name', 'VARCHAR(255) DEFAULT NULL AFTER option_name'],
+  ['linked_by', 'VARCHAR(100) DEFAULT NULL AFTER price'],
+];
+
+module.exports = {
+  description: '채널 옵션명 + 수동 연결 표시 (variant_channel_items)',
+
+  async up(conn) {
+    for (const [column, definition] of COLUMNS) {
+      await addColumnIfMissing(conn, 'variant_channel_items', column, definition);
+    }
+  },
+
+  async down(conn) {
+    for (const [column] of [...COLUMNS].reverse()) {
+      await dropColumnIfExists(conn, 'variant_channel_items', column);
+    }
+  },
+};
@@ -0,0 +1,15 @@
+// 교환 재고 반영 중 들어온 옵션(inbound)만 원장에 반영되고 나갈 옵션에서 실패한 경우
+// 검토 목록에서 다시 반영할 때 inbound를 두 번 더하지 않도록 반영 여부를 기록
+const { addColumnIfMissing, dropColumnIfExists } = require('../migrate');
+
+module.exports = {
+  description: '교환 들어온 옵션 재고 반영 여부 (exchanges.inbound_applied)',
+
+  async up(conn) {
+    await addColumnIfMissing(conn, 'exchanges', 'inbound_applied', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER outbound_variant_id');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'exchanges', 'inbound_applied');
+  },
+};
@@ -0,0 +1,14 @@
+// 검수 대기로 둔 쿠팡/지그재그 반품에 채널 옵션 연결로 찾은 옵션을 기록 — 검수 등급 처리 때 다시 추정하지 않도록
+const { addColumnIfMissing, dropColumnIfExists } = require('../migrate');
+
+module.exports = {
+  description: '반품 연결 옵션 (returns.variant_id)',
+
+  async up(conn) {
+    await addColumnIfMissing(conn, 'returns', 'variant_id', 'INT DEFAULT NULL AFTER channel_product_no');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'returns', 'variant_id');
+  },
+};
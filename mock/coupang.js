@@ -0,0 +1,144 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// 반품 조회 status 파라미터 → receiptStatus
+const RETURN_QUERY_STATUS = {
+  UC: ['RETURNS_UNCHECKED'],
+  RU: ['RELEASE_STOP_UNCHECKED'],
+  CC: ['UNIT_COLLECTED', 'RETURNS_COMPLETED'],
+  PR: ['VENDOR_WAREHOUSE_CONFIRM', 'REQUEST_COUPANG_CHECK'],
+};
+
+/**
+ * 쿠팡 WING Open API mock
+ * @param {function(): Object} getState - fixtures.coupang ({ accessKey, secretKey, vendorId, orders, returns, products, categories })
+ */
+function createCoupangMock(getState) {
+  const router = express.Router();
+  router.use(express.json({ limit: '5mb' }));
+
+  function error(res, status, message) {
+    return res.status(status).json({ code: 'ERROR', message });
+  }
+
+  // CEA algorithm=HmacSHA256, access-key=..., signed-date=yyMMddTHHmmssZ, signature=hex
+  // message = signed-date + method + path + querystring
+  router.use((req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const fields = {};
+    for (const part of header.replace(/^CEA\s+/, '').split(/,\s*/)) {
+      const idx = part.indexOf('=');
+      if (idx > 0) fields[part.slice(0, idx)] = part.slice(idx + 1);
+    }
+    if (fields['access-key'] !== getState().accessKey) return error(res, 401, 'Invalid access key');
+    const [path, qs] = req.url.split('?');
+    const message = fields['signed-date'] + req.method + path + (qs || '');
+    const expected = crypto.createHmac('sha256', getState().secretKey).update(message).digest('hex');
+    if (fields.signature !== expected) return error(res, 401, 'Signature mismatch');
+    next();
+  });
+
+  function checkVendor(req, res) {
+    if (req.params.vendorId !== getState().vendorId) {
+      error(res, 403, `vendorId ${req.params.vendorId} 권한 없음`);
+      return false;
+    }
+    return true;
+  }
+
+  // createdAtFrom/To(yyyy-MM-dd) + nextToken(오프셋) 페이지네이션
+  function page(req, rows, dateField) {
+    const { createdAtFrom, createdAtTo } = req.query;
+    const filtered = rows.filter(r => {
+      const day = String(r[dateField] || '').slice(0, 10);
+      return (!createdAtFrom || day >= createdAtFrom) && (!createdAtTo || day <= createdAtTo);
+    });
+    const offset = parseInt(req.query.nextToken) || 0;
+    const size = Math.min(parseInt(req.query.maxPerPage) || 50, 50);
+    const data = filtered.slice(offset, offset + size);
+    const next = offset + size < filtered.length ? String(offset + size) : '';
+    return { code: 200, message: 'OK', data, nextToken: next };
+  }
+
+  // === 주문 / 반품 ===
+
+  router.get('/v2/providers/openapi/apis/api/v4/vendors/:vendorId/ordersheets', (req, res) => {
+    if (!checkVendor(req, res)) return;
+    if (!req.query.status) return error(res, 400, 'status 필수');
+    const rows = getState().orders.filter(o => o.status === req.query.status);
+    res.json(page(req, rows, 'orderedAt'));
+  });
+
+  router.get('/v2/providers/openapi/apis/api/v4/vendors/:vendorId/returnRequests', (req, res) => {
+    if (!checkVendor(req, res)) return;
+    const receiptStatuses = RETURN_QUERY_STATUS[req.query.status];
+    if (!receiptStatuses) return error(res, 400, 'status는 RU/CC/PR/UC 중 하나');
+    const rows = getState().returns.filter(r => receiptStatuses.includes(r.receiptStatus));
+    res.json(page(req, rows, 'createdAt'));
+  });
+
+  router.get('/v2/providers/openapi/apis/api/v4/vendors/:vendorId/exchangeRequests', (req, res) => {
+    if (!checkVendor(req, res)) return;
+    res.json(page(req, getState().exchanges || [], 'createdAt'));
+  });
+
+  // === 상품 ===
+
+  const MARKETPLACE = '/v2/providers/seller_api/apis/api/v1/marketplace';
+
+  router.post(`${MARKETPLACE}/seller-products`, (req, res) => {
+    const body = req.body || {};
+    if (!body.sellerProductName || !Array.isArray(body.items) || body.items.length === 0) {
+      return error(res, 400, 'sellerProductName, items 필수');
+    }
+    const sellerProductId = 1000000000 + getState().products.length + 1;
+    const items = body.items.map((item, i) => ({ ...item, vendorItemId: sellerProductId * 10 + i }));
+    getState().products.push({ ...body, sellerProductId, items });
+    res.json({ code: 'SUCCESS', message: '', data: sellerProductId });
+  });
+
+  router.get(`${MARKETPLACE}/seller-products/:id`, (req, res) => {
+    const product = getState().products.find(p => String(p.sellerProductId) === req.params.id);
+    if (!product) return error(res, 404, '상품이 존재하지 않습니다.');
+    res.json({ code: 'SUCCESS', message: '', data: product });
+  });
+
+  function findVendorItem(vendorItemId) {
+    for (const p of getState().products) {
+      const item = p.items.find(i => String(i.vendorItemId) === String(vendorItemId));
+      if (item) return item;
+    }
+    return null;
+  }
+
+  router.put(`${MARKETPLACE}/vendor-items/:vendorItemId/quantities/:qty`, (req, res) => {
+    const item = findVendorItem(req.params.vendorItemId);
+    if (!item) return error(res, 404, '옵션이 존재하지 않습니다.');
+    item.stockQuantity = parseInt(req.params.qty) || 0;
+    res.json({ code: 'SUCCESS', message: '재고 변경 완료' });
+  });
+
+  router.put(`${MARKETPLACE}/vendor-items/:vendorItemId/sales/:action(resume|stop)`, (req, res) => {
+    const item = findVendorItem(req.params.vendorItemId);
+    if (!item) return error(res, 404, '옵션이 존재하지 않습니다.');
+    item.saleStatus = req.params.action === 'resume' ? 'ON_SALE' : 'SUSPENDED';
+    res.json({ code: 'SUCCESS', message: `판매 ${req.params.action}` });
+  });
+
+  router.get(`${MARKETPLACE}/meta/display-categories`, (req, res) => {
+    res.json({ code: 'SUCCESS', message: '', data: getState().categories || null });
+  });
+
+  router.get(`${MARKETPLACE}/meta/category-related-metas-by-categoryId`, (req, res) => {
+    res.json({
+      code: 'SUCCESS',
+      data: { isAllowSingleItem: true, attributes: [], noticeCategories: [{ noticeCategoryName: '의류', noticeCategoryDetailNames: [] }] },
+    });
+  });
+
+  router.use((req, res) => error(res, 404, `mock 미구현: ${req.method} ${req.path}`));
+
+  return router;
+}
+
+module.exports = { createCoupangMock };
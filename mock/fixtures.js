@@ -0,0 +1,217 @@
+// mock 서버 기본 데이터 — 날짜는 서버 시작 시각 기준 상대값 (조회 기간 안에 들어오도록)
+
+// 네이버 client_secret은 bcrypt salt 형식이어야 서명 생성 가능
+const MOCK_CREDENTIALS = {
+  naver: {
+    A: { clientId: 'mock-store-a', clientSecret: '$2a$04$mockstoreasecretkey000' },
+    B: { clientId: 'mock-store-b', clientSecret: '$2a$04$mockstorebsecretkey000' },
+  },
+  coupang: { accessKey: 'mock-coupang-access', secretKey: 'mock-coupang-secret', vendorId: 'A00000001' },
+  zigzag: { accessKey: 'mock-zigzag-access', secretKey: 'mock-zigzag-secret' },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// 쿠팡 응답 형식: KST 기준, 타임존 표기 없음 (yyyy-MM-ddTHH:mm:ss)
+function kstString(date) {
+  return new Date(date.getTime() + 9 * HOUR).toISOString().slice(0, 19);
+}
+
+function naverProduct(channelProductNo, originProductNo, name, salePrice, options) {
+  return {
+    channelProductNo: String(channelProductNo),
+    originProductNo: String(originProductNo),
+    originProduct: {
+      statusType: 'SALE',
+      saleType: 'NEW',
+      leafCategoryId: '50000805',
+      name,
+      detailContent: `<p>${name}</p>`,
+      images: { representativeImage: { url: `https://mock.local/images/${originProductNo}.jpg` } },
+      salePrice,
+      stockQuantity: options.reduce((s, o) => s + o.stockQuantity, 0),
+      deliveryInfo: {
+        deliveryType: 'DELIVERY',
+        deliveryAttributeType: 'NORMAL',
+        deliveryCompany: 'CJGLS',
+        deliveryFee: { deliveryFeeType: 'FREE' },
+        claimDeliveryInfo: { returnDeliveryFee: 3000, exchangeDeliveryFee: 6000 },
+      },
+      detailAttribute: {
+        optionInfo: {
+          optionCombinationGroupNames: { optionGroupName1: '색상', optionGroupName2: '사이즈' },
+          optionCombinations: options.map((o, i) => ({ id: Number(originProductNo) * 10 + i, usable: true, price: 0, ...o })),
+        },
+      },
+    },
+    smartstoreChannelProduct: {
+      channelProductName: name,
+      channelProductDisplayStatusType: 'ON',
+      storeKeepExclusiveProduct: false,
+      naverShoppingRegistration: true,
+    },
+  };
+}
+
+function naverOrder(now, { productOrderId, hoursAgo, product, optionName, quantity = 1, status = 'PAYED', claimType = null, claimStatus = null, ordererName = '홍길동' }) {
+  const changed = new Date(now.getTime() - hoursAgo * HOUR);
+  const origin = product.originProduct;
+  return {
+    lastChangedDate: changed.toISOString(),
+    lastChangedType: claimType ? (claimStatus === 'RETURN_DONE' ? 'CLAIM_COMPLETED' : 'COLLECT_DONE') : status,
+    order: {
+      orderId: `ORD${productOrderId}`,
+      orderDate: changed.toISOString(),
+      paymentDate: changed.toISOString(),
+      ordererName,
+    },
+    productOrder: {
+      productOrderId: String(productOrderId),
+      productOrderStatus: status,
+      claimType,
+      claimStatus,
+      productId: product.channelProductNo,
+      channelProductNo: product.channelProductNo,
+      originalProductId: product.originProductNo,
+      productName: origin.name,
+      optionName,
+      productOption: optionName,
+      quantity,
+      unitPrice: origin.salePrice,
+      totalPaymentAmount: origin.salePrice * quantity,
+    },
+  };
+}
+
+/**
+ * 기본 fixture 생성
+ * @param {Date} [now]
+ * @returns {Object} { naver: { A, B }, coupang, zigzag }
+ */
+function createFixtures(now = new Date()) {
+  const knit = naverProduct(9000000001, 8000000001, 'ob 캐시미어 라운드 니트', 59000, [
+    { optionName1: '블랙', optionName2: 'Free', stockQuantity: 3 },
+    { optionName1: '아이보리', optionName2: 'Free', stockQuantity: 2 },
+  ]);
+  const coat = naverProduct(9000000002, 8000000002, 'ms 울 핸드메이드 코트', 189000, [
+    { optionName1: '차콜', optionName2: 'M', stockQuantity: 1 },
+    { optionName1: '차콜', optionName2: 'L', stockQuantity: 1 },
+  ]);
+  const storeBKnit = naverProduct(9100000001, 8100000001, '(오늘출발) ob 캐시미어 라운드 니트', 50150, [
+    { optionName1: '블랙', optionName2: 'Free', stockQuantity: 0 },
+  ]);
+
+  const ms = (hoursAgo) => now.getTime() - hoursAgo * HOUR;
+
+  return {
+    naver: {
+      A: {
+        ...MOCK_CREDENTIALS.naver.A,
+        products: [knit, coat],
+        orders: [
+          naverOrder(now, { productOrderId: 2025000000001, hoursAgo: 5, product: knit, optionName: '색상: 블랙 / 사이즈: Free' }),
+          naverOrder(now, { productOrderId: 2025000000002, hoursAgo: 3, product: coat, optionName: '색상: 차콜 / 사이즈: M', status: 'DELIVERING' }),
+          naverOrder(now, { productOrderId: 2025000000003, hoursAgo: 2, product: knit, optionName: '색상: 아이보리 / 사이즈: Free',
+            status: 'RETURNED', claimType: 'RETURN', claimStatus: 'RETURN_DONE', ordererName: '김반품' }),
+          naverOrder(now, { productOrderId: 2025000000004, hoursAgo: 1, product: coat, optionName: '색상: 차콜 / 사이즈: L',
+            status: 'DELIVERED', claimType: 'RETURN', claimStatus: 'COLLECT_DONE', ordererName: '이수거' }),
+          naverOrder(now, { productOrderId: 2025000000005, hoursAgo: 1, product: knit, optionName: '색상: 블랙 / 사이즈: Free',
+            status: 'DELIVERED', claimType: 'EXCHANGE', claimStatus: 'COLLECT_DONE', ordererName: '최교환' }),
+        ],
+        addresses: [{ addressId: 100001, name: '블루파이 물류센터', addressType: 'RELEASE' }],
+        categories: [
+          { id: '50000000', name: '패션의류', wholeCategoryName: '패션의류', last: false },
+          { id: '50000805', name: '니트', wholeCategoryName: '패션의류>여성의류>니트', last: true },
+          { id: '50000812', name: '코트', wholeCategoryName: '패션의류>여성의류>코트', last: true },
+        ],
+      },
+      B: {
+        ...MOCK_CREDENTIALS.naver.B,
+        products: [storeBKnit],
+        orders: [
+          naverOrder(now, { productOrderId: 2025100000001, hoursAgo: 4, product: storeBKnit, optionName: '색상: 블랙 / 사이즈: Free' }),
+        ],
+        addresses: [{ addressId: 200001, name: '블루파이 B 물류센터', addressType: 'RELEASE' }],
+      },
+    },
+    coupang: {
+      ...MOCK_CREDENTIALS.coupang,
+      // 전시 카테고리 트리 (display-categories)
+      categories: {
+        displayItemCategoryCode: 0, name: 'ROOT', status: 'ACTIVE', child: [{
+          displayItemCategoryCode: 69000, name: '여성패션', status: 'ACTIVE', child: [{
+            displayItemCategoryCode: 69500, name: '여성의류', status: 'ACTIVE', child: [
+              { displayItemCategoryCode: 69520, name: '니트/스웨터', status: 'ACTIVE', child: [] },
+              { displayItemCategoryCode: 69530, name: '코트', status: 'ACTIVE', child: [] },
+              { displayItemCategoryCode: 69540, name: '스커트', status: 'ACTIVE', child: [] },
+            ],
+          }],
+        }],
+      },
+      orders: [
+        {
+          shipmentBoxId: 700000001, orderId: 600000001, orderedAt: kstString(new Date(ms(6))), status: 'ACCEPT',
+          orderItems: [{ vendorItemId: 500000001, vendorItemName: 'ob 캐시미어 라운드 니트, 블랙 free',
+            sellerProductItemName: '블랙 free', shippingCount: 1, orderPrice: 54000 }],
+        },
+        {
+          shipmentBoxId: 700000002, orderId: 600000002, orderedAt: kstString(new Date(ms(2))), status: 'INSTRUCT',
+          orderItems: [{ vendorItemId: 500000002, vendorItemName: 'ob 캐시미어 라운드 니트, 아이보리 free',
+            sellerProductItemName: '아이보리 free', shippingCount: 2, orderPrice: 54000 }],
+        },
+      ],
+      returns: [
+        {
+          receiptId: 400000001, orderId: 600000003, receiptStatus: 'UNIT_COLLECTED', createdAt: kstString(new Date(ms(30))),
+          buyerName: '박쿠팡',
+          returnItems: [{ vendorItemId: 500000001, vendorItemName: 'ob 캐시미어 라운드 니트, 블랙 free',
+            sellerProductItemName: '블랙 free', returnQuantity: 1 }],
+        },
+      ],
+      exchanges: [
+        {
+          exchangeId: 800000001, orderId: 600000004, exchangeStatus: 'PROGRESS', collectStatus: 'COMPLETE_COLLECT',
+          createdAt: kstString(new Date(ms(26))),
+          exchangeItemDtoV1s: [{ orderItemId: 500000001, orderItemName: 'ob 캐시미어 라운드 니트, 블랙 free',
+            targetItemId: 500000002, targetItemName: 'ob 캐시미어 라운드 니트, 아이보리 free', quantity: 1,
+            originalShipmentBoxId: 700000004 }],
+        },
+      ],
+      products: [],
+    },
+    zigzag: {
+      ...MOCK_CREDENTIALS.zigzag,
+      shop: { shop_id: 'mock-shop', shop_name: '블루파이 (mock)' },
+      orders: [
+        {
+          order_item_number: 'OI-0001', quantity: 1, unit_price: 52000, product_id: 300000001, status: 'PAYMENT_COMPLETED',
+          product_info: { name: 'ob 캐시미어 라운드 니트', options: '블랙 / Free' },
+          order: { order_number: 'ZO-0001', date_created: ms(7), date_paid: ms(7), orderer: { name: '최지그' } },
+        },
+      ],
+      returns: [
+        {
+          order_item_number: 'OI-0002', quantity: 1, unit_price: 52000, product_id: 300000001, status: 'RETURN_REQUESTED',
+          product_info: { name: 'ob 캐시미어 라운드 니트', options: '아이보리 / Free' },
+          order: { order_number: 'ZO-0002', date_created: ms(48), orderer: { name: '정재그' } },
+          active_request_list: [{ order_item_request_number: 'RQ-0001', type: 'RETURN', status: 'RETURNED',
+            requested_quantity: 1, date_requested: ms(20) }],
+        },
+        {
+          order_item_number: 'OI-0003', quantity: 1, unit_price: 52000, product_id: 300000001, status: 'EXCHANGE_REQUESTED',
+          product_info: { name: 'ob 캐시미어 라운드 니트', options: '블랙 / Free' },
+          order: { order_number: 'ZO-0003', date_created: ms(50), orderer: { name: '한교환' } },
+          active_request_list: [{ order_item_request_number: 'RQ-0002', type: 'EXCHANGE', status: 'EXCHANGE_COLLECTED',
+            requested_quantity: 1, date_requested: ms(22) }],
+        },
+      ],
+      products: [],
+      categories: [
+        { category_id: '1000', name: '상의', parent_category_id: null, children: [{ category_id: '1001', name: '니트' }] },
+        { category_id: '2000', name: '아우터', parent_category_id: null, children: [{ category_id: '2001', name: '코트' }] },
+      ],
+    },
+  };
+}
+
+module.exports = { MOCK_CREDENTIALS, createFixtures, kstString };
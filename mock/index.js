@@ -0,0 +1,106 @@
+// 마켓 API mock 서버 — 네이버 커머스 / 쿠팡 / 지그재그를 한 포트에서 제공
+// 실행: npm run mock -- [--port 4010] [--fixtures ./my-fixtures.json]
+// 출력되는 환경변수를 .env에 넣고 서버를 띄우면 실제 API 키 없이 동기화/매출 수집/상품 복사를 실행할 수 있다.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { createFixtures, MOCK_CREDENTIALS } = require('./fixtures');
+const { createNaverMock } = require('./naver');
+const { createCoupangMock } = require('./coupang');
+const { createZigzagMock } = require('./zigzag');
+
+/**
+ * mock 앱 생성
+ * @param {Object} [fixtures] - createFixtures() 형식 (생략 시 기본 데이터)
+ * @returns {{ app: express.Application, state: Object }}
+ *   state는 요청에 따라 변경됨 (상품 등록/재고 변경 결과 확인용)
+ */
+function createMockApp(fixtures = createFixtures()) {
+  const state = JSON.parse(JSON.stringify(fixtures));
+  const app = express();
+
+  // === 제어 API (테스트/시드용) ===
+  app.get('/__mock/state', (req, res) => res.json(state));
+  // 전체 교체: body가 비어 있으면 기본 fixture로 초기화
+  app.post('/__mock/reset', express.json({ limit: '10mb' }), (req, res) => {
+    const next = req.body && Object.keys(req.body).length > 0 ? req.body : createFixtures();
+    for (const key of Object.keys(state)) delete state[key];
+    Object.assign(state, JSON.parse(JSON.stringify(next)));
+    res.json({ success: true });
+  });
+
+  // 라우터는 요청마다 현재 state를 참조 (reset 후에도 유지)
+  const naver = createNaverMock(() => state.naver);
+  const coupang = createCoupangMock(() => state.coupang);
+  const zigzag = createZigzagMock(() => state.zigzag);
+
+  app.use('/naver', naver);
+  app.use('/coupang', coupang);
+  app.use('/zigzag', zigzag);
+
+  return { app, state };
+}
+
+// mock 서버를 가리키는 환경변수 (클라이언트 base URL + 테스트용 API 키)
+function mockEnv(baseUrl) {
+  return {
+    NAVER_API_BASE: `${baseUrl}/naver/external`,
+    COUPANG_API_BASE: `${baseUrl}/coupang`,
+    ZIGZAG_API_URL: `${baseUrl}/zigzag/1/graphql`,
+    STORE_A_CLIENT_ID: MOCK_CREDENTIALS.naver.A.clientId,
+    STORE_A_CLIENT_SECRET: MOCK_CREDENTIALS.naver.A.clientSecret,
+    STORE_B_CLIENT_ID: MOCK_CREDENTIALS.naver.B.clientId,
+    STORE_B_CLIENT_SECRET: MOCK_CREDENTIALS.naver.B.clientSecret,
+    COUPANG_ACCESS_KEY: MOCK_CREDENTIALS.coupang.accessKey,
+    COUPANG_SECRET_KEY: MOCK_CREDENTIALS.coupang.secretKey,
+    COUPANG_VENDOR_ID: MOCK_CREDENTIALS.coupang.vendorId,
+    ZIGZAG_ACCESS_KEY: MOCK_CREDENTIALS.zigzag.accessKey,
+    ZIGZAG_SECRET_KEY: MOCK_CREDENTIALS.zigzag.secretKey,
+  };
+}
+
+/**
+ * mock 서버 시작
+ * @param {Object} [options] - { port (0이면 임의 포트), fixtures }
+ * @returns {Promise<{ server, url, state, env, close }>}
+ */
+function startMockServer({ port = 0, fixtures } = {}) {
+  const { app, state } = createMockApp(fixtures);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        server,
+        url,
+        state,
+        env: mockEnv(url),
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockApp, startMockServer, mockEnv };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  const port = parseInt(argValue('--port')) || parseInt(process.env.MOCK_PORT) || 4010;
+  const fixturesPath = argValue('--fixtures');
+  const fixtures = fixturesPath
+    ? JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf-8'))
+    : createFixtures();
+
+  startMockServer({ port, fixtures }).then(({ url, env }) => {
+    console.log(`[Mock] 마켓 API mock 서버 실행중: ${url}`);
+    console.log('[Mock] 아래 환경변수로 서버를 실행하세요:\n');
+    for (const [k, v] of Object.entries(env)) console.log(`${k}=${v}`);
+  }).catch(e => {
+    console.error('[Mock] 시작 실패:', e.message);
+    process.exit(1);
+  });
+}
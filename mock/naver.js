@@ -0,0 +1,161 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+/**
+ * 네이버 커머스 API mock (base: <mount>/external)
+ * @param {function(): Object} getState - fixtures.naver ({ A: { clientId, clientSecret, products, orders, addresses, categories }, B: ... })
+ */
+function createNaverMock(getState) {
+  const router = express.Router();
+  const tokens = new Map(); // access_token → clientId
+
+  const storeByClientId = (clientId) =>
+    Object.values(getState()).find(s => s.clientId === clientId) || null;
+
+  function error(res, status, code, message) {
+    return res.status(status).json({ code, message, timestamp: new Date().toISOString() });
+  }
+
+  // OAuth: client_secret_sign = base64(bcrypt(clientId_timestamp, clientSecret))
+  router.post('/external/v1/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { client_id, timestamp, client_secret_sign, grant_type } = req.body || {};
+    const store = storeByClientId(client_id);
+    if (!store || grant_type !== 'client_credentials' || !timestamp || !client_secret_sign) {
+      return error(res, 400, 'BadRequest', 'client_id/timestamp/client_secret_sign 확인 필요');
+    }
+    const expected = bcrypt.hashSync(`${client_id}_${timestamp}`, store.clientSecret);
+    if (Buffer.from(String(client_secret_sign), 'base64').toString() !== expected) {
+      return error(res, 401, 'Unauthorized', '서명이 일치하지 않습니다.');
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.set(token, client_id);
+    res.json({ access_token: token, expires_in: 10800, token_type: 'Bearer' });
+  });
+
+  router.use('/external', (req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/, '');
+    const store = tokens.has(token) ? storeByClientId(tokens.get(token)) : null;
+    if (!store) return error(res, 401, 'Unauthorized', '유효하지 않은 토큰');
+    req.store = store;
+    next();
+  });
+
+  // === 주문 ===
+
+  router.get('/external/v1/pay-order/seller/product-orders/last-changed-statuses', (req, res) => {
+    const { lastChangedFrom, lastChangedTo, lastChangedType } = req.query;
+    if (!lastChangedFrom) return error(res, 400, 'BadRequest', 'lastChangedFrom 필수');
+    const from = new Date(lastChangedFrom).getTime();
+    const to = lastChangedTo ? new Date(lastChangedTo).getTime() : Date.now();
+    if (to - from > 24 * 60 * 60 * 1000) {
+      return error(res, 400, 'BadRequest', '조회 기간은 최대 24시간입니다.');
+    }
+    const statuses = req.store.orders
+      .filter(o => {
+        const t = new Date(o.lastChangedDate).getTime();
+        return t >= from && t <= to && (!lastChangedType || o.lastChangedType === lastChangedType);
+      })
+      .map(o => ({
+        productOrderId: o.productOrder.productOrderId,
+        orderId: o.order.orderId,
+        lastChangedDate: o.lastChangedDate,
+        lastChangedType: o.lastChangedType,
+        productOrderStatus: o.productOrder.productOrderStatus,
+        claimType: o.productOrder.claimType,
+        claimStatus: o.productOrder.claimStatus,
+      }));
+    res.json({ data: { lastChangeStatuses: statuses, count: statuses.length } });
+  });
+
+  router.post('/external/v1/pay-order/seller/product-orders/query', express.json(), (req, res) => {
+    const ids = (req.body && req.body.productOrderIds) || [];
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 300) {
+      return error(res, 400, 'BadRequest', 'productOrderIds는 1~300개');
+    }
+    const data = req.store.orders
+      .filter(o => ids.map(String).includes(o.productOrder.productOrderId))
+      .map(o => ({ order: o.order, productOrder: o.productOrder }));
+    res.json({ data });
+  });
+
+  // === 상품 ===
+
+  const findProduct = (store, no) => store.products.find(p => p.channelProductNo === String(no));
+  const productResponse = (p) => ({
+    originProduct: { ...p.originProduct, originProductNo: Number(p.originProductNo) },
+    smartstoreChannelProduct: { ...p.smartstoreChannelProduct, channelProductNo: Number(p.channelProductNo) },
+  });
+
+  router.post('/external/v1/products/search', express.json(), (req, res) => {
+    const page = parseInt(req.body && req.body.page) || 1;
+    const size = parseInt(req.body && req.body.size) || 50;
+    const all = req.store.products;
+    const contents = all.slice((page - 1) * size, page * size).map(p => ({
+      originProductNo: Number(p.originProductNo),
+      channelProducts: [{
+        channelProductNo: Number(p.channelProductNo),
+        name: p.originProduct.name,
+        salePrice: p.originProduct.salePrice,
+        statusType: p.originProduct.statusType,
+        representativeImage: p.originProduct.images && p.originProduct.images.representativeImage,
+      }],
+    }));
+    res.json({ contents, page, size, totalElements: all.length, totalPages: Math.ceil(all.length / size) });
+  });
+
+  router.get('/external/v2/products/channel-products/:no', (req, res) => {
+    const p = findProduct(req.store, req.params.no);
+    if (!p) return error(res, 404, 'NotFound', '상품이 존재하지 않습니다.');
+    res.json(productResponse(p));
+  });
+
+  router.get('/external/v2/products/origin-products/:no', (req, res) => {
+    const p = req.store.products.find(x => x.originProductNo === String(req.params.no));
+    if (!p) return error(res, 404, 'NotFound', '상품이 존재하지 않습니다.');
+    res.json({ originProduct: productResponse(p).originProduct });
+  });
+
+  router.put('/external/v2/products/channel-products/:no', express.json({ limit: '5mb' }), (req, res) => {
+    const p = findProduct(req.store, req.params.no);
+    if (!p) return error(res, 404, 'NotFound', '상품이 존재하지 않습니다.');
+    const { originProduct, smartstoreChannelProduct } = req.body || {};
+    if (!originProduct || !smartstoreChannelProduct) {
+      return error(res, 400, 'BadRequest', 'originProduct, smartstoreChannelProduct 필수');
+    }
+    p.originProduct = originProduct;
+    p.smartstoreChannelProduct = smartstoreChannelProduct;
+    res.json({ originProductNo: Number(p.originProductNo), smartstoreChannelProductNo: Number(p.channelProductNo) });
+  });
+
+  router.post('/external/v2/products', express.json({ limit: '5mb' }), (req, res) => {
+    const { originProduct, smartstoreChannelProduct } = req.body || {};
+    if (!originProduct || !originProduct.name || !smartstoreChannelProduct) {
+      return error(res, 400, 'BadRequest', 'originProduct.name, smartstoreChannelProduct 필수');
+    }
+    const seq = req.store.products.length + 1;
+    const prefix = req.store.clientId.endsWith('b') ? '92' : '91';
+    const product = {
+      channelProductNo: `${prefix}${String(Date.now()).slice(-6)}${seq}`,
+      originProductNo: `${prefix}5${String(Date.now()).slice(-6)}${seq}`,
+      originProduct,
+      smartstoreChannelProduct,
+    };
+    req.store.products.push(product);
+    res.json({ originProductNo: Number(product.originProductNo), smartstoreChannelProductNo: Number(product.channelProductNo) });
+  });
+
+  router.get('/external/v1/categories', (req, res) => {
+    res.json(req.store.categories || []);
+  });
+
+  router.get('/external/v1/seller/addresses', (req, res) => {
+    res.json({ data: req.store.addresses || [] });
+  });
+
+  router.use('/external', (req, res) => error(res, 404, 'NotFound', `mock 미구현: ${req.method} ${req.path}`));
+
+  return router;
+}
+
+module.exports = { createNaverMock };
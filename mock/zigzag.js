@@ -0,0 +1,113 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// KST 기준 YYYYMMDD 정수
+function kstYmd(ms) {
+  const d = new Date(Number(ms) + 9 * 60 * 60 * 1000);
+  return parseInt(d.toISOString().slice(0, 10).replace(/-/g, ''), 10);
+}
+
+function inYmdRange(ms, from, to) {
+  if (!ms) return false;
+  const ymd = kstYmd(ms);
+  return (!from || ymd >= from) && (!to || ymd <= to);
+}
+
+function pageOf(rows, vars) {
+  const skip = vars.skip_count || 0;
+  const limit = vars.limit_count || 50;
+  return { total_count: rows.length, item_list: rows.slice(skip, skip + limit) };
+}
+
+/**
+ * 지그재그 파트너 GraphQL API mock (POST <mount>/1/graphql)
+ * 쿼리 파싱 없이 루트 필드명으로 연산을 판별하고, 선택 필드와 관계없이 전체 객체를 반환한다.
+ * @param {function(): Object} getState - fixtures.zigzag ({ accessKey, secretKey, shop, orders, returns, products, categories })
+ */
+function createZigzagMock(getState) {
+  const router = express.Router();
+
+  // CEA algorithm=HmacSHA256, access-key=..., signed-date=<ms>, signature=hex
+  // signature = HMAC-SHA1(secretKey, signed-date + '.' + 공백 정규화된 쿼리)
+  function verify(req) {
+    const header = req.get('Authorization') || '';
+    const fields = {};
+    for (const part of header.replace(/^CEA\s+/, '').split(/,\s*/)) {
+      const idx = part.indexOf('=');
+      if (idx > 0) fields[part.slice(0, idx)] = part.slice(idx + 1);
+    }
+    if (fields['access-key'] !== getState().accessKey) return false;
+    const normalized = String(req.body.query || '').replace(/\s+/g, ' ').trim();
+    const expected = crypto.createHmac('sha1', getState().secretKey)
+      .update(fields['signed-date'] + '.' + normalized, 'utf-8')
+      .digest('hex');
+    return fields.signature === expected;
+  }
+
+  const operations = {
+    shop: () => ({ shop: getState().shop }),
+
+    requested_order_item_list: (vars) => {
+      const rows = getState().returns.filter(item => (item.active_request_list || []).some(r =>
+        (!vars.request_type || r.type === vars.request_type)
+        && inYmdRange(r.date_requested, vars.date_requested_ymd_from, vars.date_requested_ymd_to)));
+      return { requested_order_item_list: pageOf(rows, vars) };
+    },
+
+    order_item_list: (vars) => {
+      const rows = getState().orders.filter(item => {
+        const order = item.order || {};
+        return inYmdRange(order.date_paid || order.date_created, vars.date_ymd_from, vars.date_ymd_to);
+      });
+      return { order_item_list: pageOf(rows, vars) };
+    },
+
+    createProduct: (vars) => {
+      const input = vars.input || {};
+      if (!input.name) throw new Error('name is required');
+      const productId = String(300000000 + getState().products.length + 100);
+      const product = { ...input, product_id: productId, date_created: Date.now() };
+      if (Array.isArray(input.product_option_list)) {
+        product.product_option_list = input.product_option_list.map((opt, i) => ({ ...opt, item_id: `${productId}-${i + 1}` }));
+      }
+      getState().products.push(product);
+      return { createProduct: product };
+    },
+
+    updateProduct: (vars) => {
+      const input = vars.input || {};
+      const product = getState().products.find(p => String(p.product_id) === String(input.product_id));
+      if (!product) throw new Error(`product ${input.product_id} not found`);
+      Object.assign(product, input);
+      return { updateProduct: product };
+    },
+
+    product_list: (vars) => {
+      const rows = getState().products.filter(p => !vars.status || p.status === vars.status);
+      return { product_list: pageOf(rows, vars) };
+    },
+
+    category_list: () => ({ category_list: getState().categories || [] }),
+  };
+
+  router.post('/1/graphql', express.json({ limit: '5mb' }), (req, res) => {
+    if (!verify(req)) {
+      return res.status(401).json({ errors: [{ message: 'Unauthorized: signature mismatch' }] });
+    }
+    const queryStr = String(req.body.query || '');
+    // 루트 필드명으로 연산 판별 — \b 경계라 requested_order_item_list 안의 order_item_list는 매칭되지 않음
+    const name = Object.keys(operations).find(op => new RegExp(`\\b${op}\\b`).test(queryStr));
+    if (!name) {
+      return res.json({ errors: [{ message: 'mock 미구현 연산입니다.' }] });
+    }
+    try {
+      res.json({ data: operations[name](req.body.variables || {}) });
+    } catch (e) {
+      res.json({ data: null, errors: [{ message: e.message }] });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createZigzagMock };
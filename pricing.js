@@ -0,0 +1,319 @@
+const { query } = require('./database');
+const margin = require('./margin');
+const channels = require('./channels');
+const { NaverCommerceClient } = require('./smartstore');
+
+// 채널 복사 가격 규칙 — A 스토어 실제 판매가(즉시할인 적용)/원가로 B·쿠팡·지그재그 판매가 계산
+// 규칙 조건(채널/브랜드/공급처/네이버 카테고리/재고 유형)이 모두 맞는 규칙 중
+// 우선순위 → 조건 수(구체적인 규칙) → 등록순으로 1개 적용, 없으면 채널별 판매가 비율(*_price_rate)
+
+const TARGET_CHANNELS = ['naver_b', 'coupang', 'zigzag'];
+
+// value 의미: rate 0.85 / markup_percent 10(%) / markup_fixed 2000(원) / cost_plus 50(원가 대비 %) / target_margin 20(수수료 뺀 마진율 %)
+const METHODS = {
+  rate: { label: '판매가 × 비율', usesCost: false },
+  markup_percent: { label: '판매가 ± %', usesCost: false },
+  markup_fixed: { label: '판매가 ± 원', usesCost: false },
+  cost_plus: { label: '원가 + 마진 %', usesCost: true },
+  target_margin: { label: '수수료 포함 목표 마진율', usesCost: true },
+};
+
+const ROUNDINGS = {
+  none: { label: '그대로 (원 단위)', apply: (p) => Math.round(p) },
+  floor_10: { label: '10원 단위 내림', apply: (p) => Math.floor(p / 10) * 10 },
+  round_10: { label: '10원 단위 반올림', apply: (p) => Math.round(p / 10) * 10 },
+  ceil_10: { label: '10원 단위 올림', apply: (p) => Math.ceil(p / 10) * 10 },
+  floor_100: { label: '100원 단위 내림', apply: (p) => Math.floor(p / 100) * 100 },
+  round_100: { label: '100원 단위 반올림', apply: (p) => Math.round(p / 100) * 100 },
+  ceil_100: { label: '100원 단위 올림', apply: (p) => Math.ceil(p / 100) * 100 },
+  // 가장 가까운 ○○,900원 (27,350 → 26,900 / 27,450 → 27,900)
+  end_900: { label: '900원 끝자리', apply: (p) => Math.max(900, Math.round((p - 900) / 1000) * 1000 + 900) },
+};
+
+const CONDITION_FIELDS = ['channel', 'brand', 'supplier', 'category_id', 'stock_type'];
+
+const CONTEXT_KEYS = { channel: 'channel', brand: 'brand', supplier: 'supplier', category_id: 'categoryId', stock_type: 'stockType' };
+
+function describeRule(rule) {
+  const v = Number(rule.value);
+  switch (rule.method) {
+    case 'rate': return `판매가 × ${v}`;
+    case 'markup_percent': return `판매가 ${v >= 0 ? '+' : ''}${v}%`;
+    case 'markup_fixed': return `판매가 ${v >= 0 ? '+' : ''}${v.toLocaleString()}원`;
+    case 'cost_plus': return `원가 + ${v}%`;
+    case 'target_margin': return `마진율 ${v}% (수수료 포함)`;
+    default: return rule.method;
+  }
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * 규칙 조건 일치 여부 — 비어 있는 조건은 전체 대상
+ * @param {Object} rule - pricing_rules 행
+ * @param {Object} ctx - { channel, brand, supplier, categoryId, stockType }
+ */
+function ruleMatches(rule, ctx) {
+  return CONDITION_FIELDS.every(field => isBlank(rule[field])
+    || String(rule[field]).toUpperCase() === String(ctx[CONTEXT_KEYS[field]] ?? '').toUpperCase());
+}
+
+function specificity(rule) {
+  return CONDITION_FIELDS.filter(field => !isBlank(rule[field])).length;
+}
+
+/**
+ * 적용할 규칙 선택 — 원가 기반 규칙은 원가가 있는 상품에만
+ * @returns {Object|null}
+ */
+function selectRule(rules, ctx) {
+  return rules
+    .filter(r => Number(r.enabled) !== 0 && ruleMatches(r, ctx))
+    .filter(r => !METHODS[r.method]?.usesCost || (ctx.cost !== null && ctx.cost !== undefined))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || specificity(b) - specificity(a) || (a.id || 0) - (b.id || 0))[0] || null;
+}
+
+// 규칙 적용 전 가격 (반올림/상하한 전)
+function rawPrice(rule, { basePrice, cost, feeRate }) {
+  const v = Number(rule.value);
+  switch (rule.method) {
+    case 'rate': return basePrice * v;
+    case 'markup_percent': return basePrice * (1 + v / 100);
+    case 'markup_fixed': return basePrice + v;
+    case 'cost_plus': return cost * (1 + v / 100);
+    case 'target_margin': {
+      // (가격 - 수수료 - 원가) / 가격 = 목표 마진율 → 가격 = 원가 / (1 - 수수료율 - 마진율)
+      const rest = 1 - (feeRate || 0) - v / 100;
+      if (rest <= 0) throw new Error(`수수료율 ${Math.round((feeRate || 0) * 1000) / 10}% + 목표 마진율 ${v}%가 100% 이상입니다.`);
+      return cost / rest;
+    }
+    default:
+      throw new Error(`알 수 없는 가격 계산 방식: ${rule.method}`);
+  }
+}
+
+function finishPrice(rule, raw) {
+  const rounding = ROUNDINGS[rule.rounding] || ROUNDINGS.floor_10;
+  let price = rounding.apply(raw);
+  if (!isBlank(rule.min_price)) price = Math.max(price, Number(rule.min_price));
+  if (!isBlank(rule.max_price)) price = Math.min(price, Number(rule.max_price));
+  return Math.max(0, price);
+}
+
+/**
+ * 가격 계산 함수 — 입력은 A 실제 판매가 + 옵션 추가금액
+ * 원가 기반 규칙은 상품 가격을 원가로 정하고 옵션 추가금액은 그대로 더함
+ * @param {Object} rule
+ * @param {Object} ctx - { basePrice, cost, feeRate }
+ * @returns {function(number): number}
+ */
+function createPricer(rule, ctx) {
+  if (METHODS[rule.method]?.usesCost) {
+    const main = rawPrice(rule, ctx);
+    return (input) => finishPrice(rule, main + (input - ctx.basePrice));
+  }
+  return (input) => finishPrice(rule, rawPrice(rule, { ...ctx, basePrice: input }));
+}
+
+// 규칙이 없을 때 — 채널 판매가 비율, 10원 단위 내림 (기존 계산과 동일)
+function defaultRule(priceRate) {
+  return { id: null, name: '기본 판매가 비율', method: 'rate', value: priceRate, rounding: 'floor_10', min_price: null, max_price: null };
+}
+
+// === 규칙 관리 ===
+
+async function listRules() {
+  return query('SELECT * FROM pricing_rules ORDER BY priority DESC, id');
+}
+
+async function loadEnabledRules() {
+  return query('SELECT * FROM pricing_rules WHERE enabled = 1');
+}
+
+function optionalText(value, max) {
+  const text = isBlank(value) ? '' : String(value).trim();
+  return text ? text.slice(0, max) : null;
+}
+
+function optionalInt(value, label) {
+  if (isBlank(value)) return null;
+  const n = parseInt(value);
+  if (isNaN(n) || n < 0) throw new Error(`${label}은(는) 0 이상의 숫자여야 합니다.`);
+  return n;
+}
+
+/**
+ * 입력값 검증 → pricing_rules 컬럼 값
+ * @param {Object} input - { name, channel, brand, supplier, category_id, stock_type, method, value, rounding, min_price, max_price, priority, enabled }
+ */
+function normalizeRule(input = {}) {
+  const name = optionalText(input.name, 100);
+  if (!name) throw new Error('규칙 이름을 입력해주세요.');
+  const channel = optionalText(input.channel, 20);
+  if (channel && !TARGET_CHANNELS.includes(channel)) throw new Error(`알 수 없는 채널: ${channel}`);
+  const stockType = optionalText(input.stock_type, 20);
+  if (stockType && !['inventory', 'sourcing'].includes(stockType)) throw new Error(`알 수 없는 재고 유형: ${stockType}`);
+  if (!METHODS[input.method]) throw new Error(`알 수 없는 가격 계산 방식: ${input.method}`);
+  const value = parseFloat(input.value);
+  if (isNaN(value)) throw new Error('계산 값을 숫자로 입력해주세요.');
+  if (input.method === 'rate' && value <= 0) throw new Error('비율은 0보다 커야 합니다.');
+  if (input.method === 'target_margin' && (value < 0 || value >= 100)) throw new Error('목표 마진율은 0~100% 사이여야 합니다.');
+  const rounding = input.rounding || 'floor_10';
+  if (!ROUNDINGS[rounding]) throw new Error(`알 수 없는 반올림 방식: ${rounding}`);
+  const minPrice = optionalInt(input.min_price, '최저가');
+  const maxPrice = optionalInt(input.max_price, '최고가');
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) throw new Error('최저가가 최고가보다 큽니다.');
+
+  return {
+    name,
+    channel,
+    brand: optionalText(input.brand, 10),
+    supplier: optionalText(input.supplier, 50),
+    category_id: optionalText(input.category_id, 50),
+    stock_type: stockType,
+    method: input.method,
+    value,
+    rounding,
+    min_price: minPrice,
+    max_price: maxPrice,
+    priority: parseInt(input.priority) || 0,
+    enabled: input.enabled === false || input.enabled === 0 || input.enabled === '0' ? 0 : 1,
+  };
+}
+
+/**
+ * 규칙 저장 (id 있으면 수정)
+ * @param {Object} input
+ * @param {Object} [user] - req.user
+ * @param {number} [id]
+ * @returns {Promise<number|null>} 규칙 ID (수정 대상이 없으면 null)
+ */
+async function saveRule(input, user = null, id = null) {
+  const rule = normalizeRule(input);
+  const columns = Object.keys(rule);
+  const values = [...Object.values(rule), user ? user.username : null];
+  if (id) {
+    const result = await query(
+      `UPDATE pricing_rules SET ${columns.map(c => `${c} = ?`).join(', ')}, username = ?, updated_at = NOW() WHERE id = ?`,
+      [...values, id]
+    );
+    return result.affectedRows > 0 ? Number(id) : null;
+  }
+  const result = await query(
+    `INSERT INTO pricing_rules (${columns.join(', ')}, username, updated_at) VALUES (${columns.map(() => '?').join(', ')}, ?, NOW())`,
+    values
+  );
+  return result.insertId;
+}
+
+async function deleteRule(id) {
+  const result = await query('DELETE FROM pricing_rules WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+// === 상품별 가격 결정 ===
+
+/**
+ * 규칙 조건/계산에 쓰는 상품 정보 — A 상품번호로 연결된 재고 상품(브랜드/공급처/재고 유형/원가)
+ * @param {string} channelProductNo - A 스토어 상품번호
+ * @param {Object} sourceProduct - A getChannelProduct() 결과
+ */
+async function loadProductContext(channelProductNo, sourceProduct) {
+  const origin = sourceProduct.originProduct || sourceProduct;
+  const [product] = await query(
+    'SELECT id, brand, supplier, stock_type, cost_price FROM products WHERE naver_a_no = ? LIMIT 1',
+    [String(channelProductNo)]
+  );
+  let cost = null;
+  if (product) {
+    const variants = await query('SELECT cost_price FROM variants WHERE product_id = ?', [product.id]);
+    cost = margin.productUnitCost(product, variants);
+  }
+  return {
+    productId: product ? product.id : null,
+    brand: product ? product.brand : '',
+    supplier: product ? product.supplier : '',
+    stockType: product ? product.stock_type : '',
+    categoryId: origin.leafCategoryId ? String(origin.leafCategoryId) : '',
+    basePrice: NaverCommerceClient.actualSalePrice(origin),
+    cost,
+  };
+}
+
+/**
+ * 채널 가격 계산 함수 결정
+ * @param {string} channel - 'naver_b' | 'coupang' | 'zigzag'
+ * @param {Object} product - loadProductContext() 결과
+ * @param {Object} [opts] - { rules, rates, priceRate(직접 지정 비율 — 규칙보다 우선) }
+ * @returns {Promise<{rule: Object, description: string, context: Object, priceOf: function(number): number}>}
+ */
+async function resolvePricing(channel, product, opts = {}) {
+  if (!TARGET_CHANNELS.includes(channel)) throw new Error(`알 수 없는 채널: ${channel}`);
+  const store = channels.getChannelByKey(channel).store;
+  const rates = opts.rates || await margin.getChannelRates();
+  const context = { ...product, channel, feeRate: rates[store].feeRate };
+
+  let rule;
+  if (opts.priceRate) {
+    rule = { ...defaultRule(parseFloat(opts.priceRate)), name: '직접 지정 비율' };
+  } else {
+    const rules = opts.rules || await loadEnabledRules();
+    rule = selectRule(rules, context) || defaultRule(rates[store].priceRate);
+  }
+  return { rule, description: `${rule.name} (${describeRule(rule)})`, context, priceOf: createPricer(rule, context) };
+}
+
+/**
+ * 복사 전 가격 미리보기 — 채널별 적용 규칙, 판매가, 옵션별 가격, 예상 마진
+ * @param {string} channelProductNo
+ * @param {Object} sourceProduct
+ * @param {Object} [opts] - { channels, rule(저장 전 규칙으로 계산) }
+ */
+async function preview(channelProductNo, sourceProduct, opts = {}) {
+  const product = await loadProductContext(channelProductNo, sourceProduct);
+  const rates = await margin.getChannelRates();
+  const draft = opts.rule ? { id: null, ...normalizeRule(opts.rule) } : null;
+  const rules = draft ? [draft] : await loadEnabledRules();
+  const { options } = NaverCommerceClient.extractOptions(sourceProduct);
+  const targets = (opts.channels && opts.channels.length ? opts.channels : TARGET_CHANNELS)
+    .filter(ch => TARGET_CHANNELS.includes(ch));
+
+  const results = [];
+  for (const channel of targets) {
+    try {
+      const { rule, description, context, priceOf } = await resolvePricing(channel, product, { rules, rates });
+      const price = priceOf(product.basePrice);
+      results.push({
+        channel,
+        rule: { id: rule.id, name: rule.name, description },
+        draftApplied: !!draft && rule === draft,
+        price,
+        feeRate: context.feeRate,
+        margin: margin.calcMargin(price, product.cost, context.feeRate),
+        options: options.map(opt => ({ optionName: opt.optionName, price: priceOf(product.basePrice + (opt.price || 0)) })),
+      });
+    } catch (e) {
+      results.push({ channel, error: e.message });
+    }
+  }
+  return { product, results };
+}
+
+module.exports = {
+  TARGET_CHANNELS,
+  METHODS,
+  ROUNDINGS,
+  describeRule,
+  ruleMatches,
+  selectRule,
+  createPricer,
+  listRules,
+  saveRule,
+  deleteRule,
+  normalizeRule,
+  loadProductContext,
+  resolvePricing,
+  preview,
+};
@@ -0,0 +1,129 @@
+const { getPool, query } = require('./database');
+const channels = require('./channels');
+
+// 반품 처리 원장 — productOrderId × 처리 종류(action)당 1행 (UNIQUE)
+// - inventory: 재고 반영 (자동 동기화 / 반품 불러오기로 재고 추가)
+// - storeB: B 스토어 수량 증가 또는 신규 등록
+// 처리 전에 claim()으로 processing 행을 잡고, 성공하면 complete() → done, 실패하면 release()로 삭제
+// 스케줄러 중복 체크와 화면의 재고 반영/스토어 등록 표시가 모두 이 테이블을 기준으로 함
+
+const ACTIONS = ['inventory', 'storeB'];
+
+// processing으로 이보다 오래 남은 행은 처리 도중 서버가 죽은 것으로 보고 다시 claim 허용
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+/**
+ * productOrderId 목록 정리 — 합산 등록 시 콤마로 이어진 문자열도 허용
+ * @param {string|string[]} productOrderIds
+ * @returns {string[]}
+ */
+function normalizeIds(productOrderIds) {
+  const list = Array.isArray(productOrderIds) ? productOrderIds : String(productOrderIds || '').split(',');
+  return [...new Set(list.map(id => String(id || '').trim()).filter(Boolean))];
+}
+
+function assertAction(action) {
+  if (!ACTIONS.includes(action)) throw new Error(`알 수 없는 반품 처리 종류: ${action}`);
+}
+
+/**
+ * 처리 권한 획득 — 여러 건이면 모두 잡거나 하나도 잡지 않음 (트랜잭션)
+ * 이미 완료됐거나 다른 곳에서 처리 중인 건이 하나라도 있으면 false
+ * @param {string|string[]} productOrderIds
+ * @param {string} action - 'inventory' | 'storeB'
+ * @param {Object} meta - { source: 'sync'|'manual', runId }
+ * @returns {Promise<boolean>}
+ */
+async function claim(productOrderIds, action, { source = 'sync', runId = null } = {}) {
+  assertAction(action);
+  const ids = normalizeIds(productOrderIds);
+  if (ids.length === 0) return true;
+
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    const ph = ids.map(() => '?').join(',');
+    const [existing] = await conn.query(
+      `SELECT product_order_id, status, claimed_at FROM processed_returns
+       WHERE action = ? AND product_order_id IN (${ph}) FOR UPDATE`,
+      [action, ...ids]
+    );
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+    if (existing.some(r => r.status === 'done' || new Date(r.claimed_at) >= staleBefore)) {
+      await conn.rollback();
+      return false;
+    }
+
+    const now = new Date();
+    const stale = new Set(existing.map(r => r.product_order_id));
+    for (const id of ids) {
+      if (stale.has(id)) {
+        await conn.query(
+          `UPDATE processed_returns SET source = ?, run_id = ?, claimed_at = ? WHERE action = ? AND product_order_id = ?`,
+          [source, runId, now, action, id]
+        );
+      } else {
+        // 동시에 같은 건을 INSERT하면 UNIQUE 충돌 → 아래 catch에서 false
+        await conn.query(
+          `INSERT INTO processed_returns (product_order_id, action, status, store, source, run_id, claimed_at)
+           VALUES (?, ?, 'processing', ?, ?, ?, ?)`,
+          [id, action, channels.storeForOrderId(id), source, runId, now]
+        );
+      }
+    }
+    await conn.commit();
+    return true;
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    if (e.code === 'ER_DUP_ENTRY' || e.code === 'ER_LOCK_DEADLOCK') return false;
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// 처리 완료 — detail은 이력 표시용 요약 (예: '정확 매칭 → 재고 #12')
+async function complete(productOrderIds, action, detail = null) {
+  assertAction(action);
+  const ids = normalizeIds(productOrderIds);
+  if (ids.length === 0) return;
+  const ph = ids.map(() => '?').join(',');
+  await query(
+    `UPDATE processed_returns SET status = 'done', detail = ?, completed_at = ?
+     WHERE action = ? AND product_order_id IN (${ph})`,
+    [detail ? String(detail).slice(0, 255) : null, new Date(), action, ...ids]
+  );
+}
+
+// 처리 실패 — 다음 동기화/수동 처리에서 다시 시도할 수 있도록 claim 해제
+async function release(productOrderIds, action) {
+  assertAction(action);
+  const ids = normalizeIds(productOrderIds);
+  if (ids.length === 0) return;
+  const ph = ids.map(() => '?').join(',');
+  await query(
+    `DELETE FROM processed_returns WHERE action = ? AND status = 'processing' AND product_order_id IN (${ph})`,
+    [action, ...ids]
+  );
+}
+
+/**
+ * 처리 여부 조회 (처리 중 포함 — 화면에서 중복 등록을 막기 위해)
+ * @returns {Promise<{inventory: Set<string>, storeB: Set<string>}>}
+ */
+async function getProcessed(productOrderIds) {
+  const result = { inventory: new Set(), storeB: new Set() };
+  const ids = normalizeIds(productOrderIds);
+  if (ids.length === 0) return result;
+  const ph = ids.map(() => '?').join(',');
+  const rows = await query(
+    `SELECT product_order_id, action FROM processed_returns WHERE product_order_id IN (${ph})`,
+    ids
+  );
+  for (const row of rows) {
+    if (result[row.action]) result[row.action].add(row.product_order_id);
+  }
+  return result;
+}
+
+module.exports = { ACTIONS, normalizeIds, claim, complete, release, getProcessed };
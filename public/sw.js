@@ -1,4 +1,4 @@
-const CACHE_VERSION = 'bluefi-v7';
+const CACHE_VERSION = 'bluefi-v8';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -27,7 +27,7 @@ self.addEventListener('activate', (event) => {
   self.clients.claim();
 });
 
-// Fetch: Network-first for API, Cache-first for static assets
+// Fetch: Network-only for API, Network-first for static assets
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
@@ -35,22 +35,13 @@ self.addEventListener('fetch', (event) => {
   // Skip non-GET requests
   if (request.method !== 'GET') return;
 
-  // API calls: network-first with cache fallback
+  // API calls: 로그인 사용자별 응답이므로 캐시하지 않음 (network-only)
   if (url.pathname.startsWith('/api/')) {
     event.respondWith(
-      fetch(request)
-        .then((response) => {
-          const clone = response.clone();
-          caches.open(CACHE_VERSION).then((cache) => cache.put(request, clone));
-          return response;
-        })
-        .catch(() => caches.match(request).then((cached) => {
-          if (cached) return cached;
-          return new Response(JSON.stringify({ error: '오프라인 상태입니다' }), {
-            status: 503,
-            headers: { 'Content-Type': 'application/json' }
-          });
-        }))
+      fetch(request).catch(() => new Response(JSON.stringify({ error: '오프라인 상태입니다' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      }))
     );
     return;
   }
@@ -95,9 +86,15 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
-// Listen for skip-waiting message from client
+// Listen for skip-waiting / logout message from client
 self.addEventListener('message', (event) => {
   if (event.data === 'skipWaiting') {
     self.skipWaiting();
   }
+  // 로그아웃 시 이전 버전에서 남은 캐시까지 모두 삭제
+  if (event.data === 'clearCache') {
+    event.waitUntil(
+      caches.keys().then((keys) => Promise.all(keys.map((k) => caches.delete(k))))
+    );
+  }
 });
@@ -0,0 +1,148 @@
+const { query } = require('./database');
+const lifecycle = require('./return-lifecycle');
+const salesStock = require('./sales-stock');
+const variantItems = require('./variant-channel-items');
+
+// 반품 검수 — 입고된 반품에 등급/메모/사진을 남기고 등급에 따라 처리
+// A: 원래 채널 옵션 재고 복원 (새 상품으로 재판매) → 재입고
+// B: B 스토어 아울렛 등록 (검수 없이 처리하던 기존 경로) → 재입고
+// C: 불량 폐기, D: 공급처 반품 → 폐기
+// 처리 중 오류가 나면 등급만 기록된 검수완료 상태로 남고, 다시 검수하면 재시도
+
+const GRADES = {
+  A: { label: 'A · 새 상품 재판매', outcome: 'restocked' },
+  B: { label: 'B · B스토어 아울렛', outcome: 'restocked' },
+  C: { label: 'C · 불량 폐기', outcome: 'disposed' },
+  D: { label: 'D · 공급처 반품', outcome: 'disposed' },
+};
+
+const NOTE_MAX_LENGTH = 500;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const PHOTO_MAX_COUNT = 10;
+// 사진 업로드 요청 본문 한도 (base64는 원본보다 약 4/3 큼)
+const PHOTO_BODY_LIMIT = '8mb';
+
+const INSPECTABLE_STATES = ['received', 'inspected'];
+
+/**
+ * 검수 입력 검증 (DB 접근 전)
+ * @param {Object} input - { grade, note, variantId }
+ * @returns {{grade: string, note: string|null, variantId: number|null}}
+ */
+function normalizeInspection(input = {}) {
+  const grade = String(input.grade || '').trim().toUpperCase();
+  if (!grade) throw new Error('검수 등급을 선택해주세요.');
+  if (!GRADES[grade]) throw new Error(`알 수 없는 검수 등급: ${input.grade}`);
+  const note = input.note == null ? '' : String(input.note).trim();
+  if (note.length > NOTE_MAX_LENGTH) throw new Error(`메모는 ${NOTE_MAX_LENGTH}자 이내로 입력해주세요.`);
+  let variantId = null;
+  if (input.variantId != null && input.variantId !== '') {
+    variantId = parseInt(input.variantId);
+    if (!(variantId > 0)) throw new Error('옵션 ID가 올바르지 않습니다.');
+  }
+  return { grade, note: note || null, variantId };
+}
+
+function canInspect(row) {
+  return INSPECTABLE_STATES.includes(row.state);
+}
+
+/**
+ * 검수 등급 기록 + 등급별 처리
+ * @param {Object} row - returns 행 (입고완료/검수완료)
+ * @param {Object} input - normalizeInspection 입력
+ * @param {Object} opts - { user, scheduler: B등급 B 스토어 반영 (routeReturnToStoreB) }
+ * @returns {Promise<{grade: string, state: string, result: string}>}
+ */
+async function inspect(row, input, { user = null, scheduler } = {}) {
+  const { grade, note, variantId } = normalizeInspection(input);
+  if (!canInspect(row)) {
+    throw new Error(`${lifecycle.STATE_LABELS[row.state]} 상태에서는 검수할 수 없습니다.`);
+  }
+  const id = row.product_order_id;
+  await query(
+    'UPDATE returns SET grade = ?, inspection_note = ?, inspected_by = ?, updated_at = ? WHERE id = ?',
+    [grade, note, user ? user.username : 'system', new Date(), row.id]
+  );
+  if (row.state === 'received') {
+    const { skipped } = await lifecycle.transition([id], 'inspected', { user, note: `검수 ${grade}등급` });
+    if (skipped.length > 0) throw new Error(skipped[0].error);
+  }
+
+  let result;
+  if (grade === 'A') {
+    // 판매 기록이 없는 채널 반품은 검수 대기 때 기록한 연결 옵션 → 채널 옵션 연결 순 (없으면 restoreReturnStock이 옵션명으로 추정)
+    const linked = variantId || row.variant_id ? null : await variantItems.findItem(row.store, row.channel_product_no, row.option_name);
+    const restored = await salesStock.restoreReturnStock(row, {
+      variantId: variantId || row.variant_id || (linked && linked.variant_id) || null, user,
+    });
+    result = restored.qty > 0 ? `옵션 #${restored.variantId} 재고 +${restored.qty}` : `옵션 #${restored.variantId} 이미 복원됨`;
+  } else if (grade === 'B') {
+    result = await scheduler.routeReturnToStoreB(row);
+  } else {
+    result = grade === 'C' ? '불량 폐기' : '공급처 반품';
+  }
+  await query('UPDATE returns SET route_result = ? WHERE id = ?', [result.slice(0, 255), row.id]);
+
+  // B등급은 재고 반영 과정에서 이미 재입고로 옮겨졌을 수 있음
+  const { outcome, label } = GRADES[grade];
+  const current = (await lifecycle.getByIds([id])).get(id);
+  if (current.state !== outcome) {
+    const { skipped } = await lifecycle.transition([id], outcome, { user, note: `${label}: ${result}`, inspected: true });
+    if (skipped.length > 0) throw new Error(skipped[0].error);
+  }
+  return { grade, state: outcome, result };
+}
+
+/**
+ * data URL → { mimeType, data }
+ * @param {string} dataUrl - data:image/jpeg;base64,...
+ */
+function parsePhoto(dataUrl) {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+  if (!match) throw new Error('사진 형식이 올바르지 않습니다.');
+  const mimeType = match[1].toLowerCase();
+  if (!PHOTO_TYPES.includes(mimeType)) throw new Error('JPG, PNG, WEBP 사진만 올릴 수 있습니다.');
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0) throw new Error('사진 형식이 올바르지 않습니다.');
+  if (data.length > PHOTO_MAX_BYTES) throw new Error(`사진은 ${PHOTO_MAX_BYTES / 1024 / 1024}MB 이하만 올릴 수 있습니다.`);
+  return { mimeType, data };
+}
+
+async function listPhotos(productOrderId) {
+  return query(
+    'SELECT id, mime_type, size, username, created_at FROM return_photos WHERE product_order_id = ? ORDER BY id',
+    [productOrderId]
+  );
+}
+
+async function countPhotos(productOrderId) {
+  const rows = await query('SELECT COUNT(*) AS cnt FROM return_photos WHERE product_order_id = ?', [productOrderId]);
+  return Number(rows[0].cnt);
+}
+
+async function addPhoto(row, photo, user) {
+  const result = await query(
+    `INSERT INTO return_photos (return_id, product_order_id, mime_type, size, data, username, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [row.id, row.product_order_id, photo.mimeType, photo.data.length, photo.data, user ? user.username : 'system', new Date()]
+  );
+  return result.insertId;
+}
+
+async function getPhoto(productOrderId, photoId) {
+  const rows = await query('SELECT * FROM return_photos WHERE id = ? AND product_order_id = ?', [photoId, productOrderId]);
+  return rows[0] || null;
+}
+
+async function deletePhoto(productOrderId, photoId) {
+  const result = await query('DELETE FROM return_photos WHERE id = ? AND product_order_id = ?', [photoId, productOrderId]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  GRADES, PHOTO_MAX_COUNT, PHOTO_BODY_LIMIT,
+  normalizeInspection, canInspect, inspect,
+  parsePhoto, listPhotos, countPhotos, addPhoto, getPhoto, deletePhoto,
+};
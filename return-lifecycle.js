@@ -0,0 +1,234 @@
+const { query, getConfig } = require('./database');
+
+// 반품 생애주기 — productOrderId당 returns 1행, 상태 전이는 return_transitions에 이력으로 남김
+// requested(반품요청) → collecting(수거중) → collected(수거완료) → received(입고) → inspected(검수)
+//   → restocked(재입고) / disposed(폐기) → finalized(최종완료)
+// - 채널에서 관측한 상태(requested~received)는 observe()로 앞으로만 반영 (직원이 처리한 상태는 덮어쓰지 않음)
+// - 직원 처리는 transition()으로, TRANSITIONS에 있는 전이만 허용
+//   (검수 필수 설정이면 입고완료/검수완료 → 재입고/폐기는 검수 등급 처리(return-inspection.js)로만)
+// - 재고 반영(자동 동기화/반품 불러오기)은 markRestocked()로 재입고 처리
+
+const STATES = ['requested', 'collecting', 'collected', 'received', 'inspected', 'restocked', 'disposed', 'finalized'];
+
+const STATE_LABELS = {
+  requested: '반품요청',
+  collecting: '수거중',
+  collected: '수거완료',
+  received: '입고완료',
+  inspected: '검수완료',
+  restocked: '재입고',
+  disposed: '폐기',
+  finalized: '최종완료',
+};
+
+// 직원이 옮길 수 있는 상태 (되돌리기 포함)
+const TRANSITIONS = {
+  requested: ['collecting', 'collected', 'received'],
+  collecting: ['collected', 'received'],
+  collected: ['received'],
+  received: ['inspected', 'restocked', 'disposed', 'collected'],
+  inspected: ['restocked', 'disposed', 'received'],
+  restocked: ['finalized'],
+  disposed: ['finalized'],
+  // 복원 — 최종완료 직전 상태로 (이관된 건은 received일 수 있음)
+  finalized: ['restocked', 'disposed', 'received'],
+};
+
+// 채널이 알려주는 상태 — 이 단계에 있는 건만 채널 상태로 앞당김
+const CHANNEL_STATES = ['requested', 'collecting', 'collected', 'received'];
+
+// 'true'면 (기본 꺼짐) 자동 동기화가 반품을 B 스토어/재고에 바로 반영하지 않고 입고완료로 등록 → 검수 등급에 따라 처리
+const INSPECTION_CONFIG_KEY = 'return_inspection_required';
+
+// 쿠팡/지그재그 반품 자동 처리 (return_auto_<채널 키>)
+// off: 반품 화면에서 수동 처리 / inventory: 자동 동기화가 재고 반영 / storeB: 재고 반영 + B 스토어 반영
+const AUTO_PROCESS_MODES = ['off', 'inventory', 'storeB'];
+const autoProcessConfigKey = (channelKey) => `return_auto_${channelKey}`;
+
+// 재입고/폐기는 같은 단계 (되돌리기 판단용)
+const RANK = { requested: 0, collecting: 1, collected: 2, received: 3, inspected: 4, restocked: 5, disposed: 5, finalized: 6 };
+
+function assertState(state) {
+  if (!STATES.includes(state)) throw new Error(`알 수 없는 반품 상태: ${state}`);
+}
+
+// 입고 확인/취소는 실수거완료 권한, 나머지는 반품 처리 권한
+function permissionFor(from, to) {
+  if (to === 'received' && RANK[from] < RANK.received) return 'returns.confirm';
+  if (from === 'received' && to === 'collected') return 'returns.confirm';
+  return 'returns.process';
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// opts.user: req.user (없으면 시스템 처리로 기록)
+function actorOf(user) {
+  return { userId: user ? user.id : null, username: user ? user.username : 'system' };
+}
+
+async function isInspectionRequired() {
+  return (await getConfig(INSPECTION_CONFIG_KEY)) === 'true';
+}
+
+async function autoProcessMode(channelKey) {
+  const mode = await getConfig(autoProcessConfigKey(channelKey));
+  return AUTO_PROCESS_MODES.includes(mode) ? mode : 'off';
+}
+
+async function getByIds(productOrderIds) {
+  const ids = [...new Set((productOrderIds || []).map(id => String(id || '').trim()).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+  const ph = ids.map(() => '?').join(',');
+  const rows = await query(`SELECT * FROM returns WHERE product_order_id IN (${ph})`, ids);
+  return new Map(rows.map(r => [r.product_order_id, r]));
+}
+
+async function insertRow(item, state, now) {
+  const stamps = state === 'requested' ? ['requested_at'] : ['requested_at', `${state}_at`];
+  const result = await query(
+    `INSERT IGNORE INTO returns (product_order_id, store, product_name, option_name, qty, channel_product_no,
+       channel_status, state, ${stamps.join(', ')}, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${stamps.map(() => '?').join(', ')}, ?, ?)`,
+    [String(item.productOrderId).trim(), item.store || 'A', item.productName || null, item.optionName || null,
+      item.qty || 1, item.channelProductNo || null, item.claimStatus || null, state, ...stamps.map(() => now), now, now]
+  );
+  return result.affectedRows > 0;
+}
+
+// 상태 변경 — state 조건부 UPDATE로 동시에 옮긴 경우 한쪽만 성공
+async function applyTransition(row, to, { user, note, now = new Date() }) {
+  const from = row.state;
+  const { userId, username } = actorOf(user);
+  const sets = ['state = ?', 'previous_state = ?', `${to}_at = ?`];
+  const params = [to, from, now];
+  // 되돌리면 떠나는 상태의 시각을 비움 (최종완료 복원 → finalized_at NULL)
+  if (RANK[to] < RANK[from]) sets.push(`${from}_at = NULL`);
+  sets.push('updated_by = ?', 'updated_at = ?');
+  params.push(username, now, row.id, from);
+
+  const result = await query(`UPDATE returns SET ${sets.join(', ')} WHERE id = ? AND state = ?`, params);
+  if (result.affectedRows === 0) return false;
+  await query(
+    `INSERT INTO return_transitions (return_id, product_order_id, from_state, to_state, user_id, username, note, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.id, row.product_order_id, from, to, userId, username, note ? String(note).slice(0, 255) : null, now]
+  );
+  return true;
+}
+
+/**
+ * 채널 반품 목록 반영 — 처음 본 건은 등록, 채널 상태가 앞서면 앞당김
+ * @param {import('./channels/base').ChannelReturn[]} items
+ * @returns {Promise<Map<string, Object>>} productOrderId → returns 행
+ */
+async function observe(items) {
+  const valid = items.filter(i => i.productOrderId);
+  const existing = await getByIds(valid.map(i => i.productOrderId));
+  const now = new Date();
+
+  for (const item of valid) {
+    const state = CHANNEL_STATES.includes(item.returnState) ? item.returnState : 'requested';
+    const row = existing.get(item.productOrderId);
+    const note = item.claimStatus ? `채널 상태: ${item.claimStatus}` : null;
+    if (!row) {
+      if (await insertRow(item, state, now)) {
+        await query(
+          `INSERT INTO return_transitions (return_id, product_order_id, from_state, to_state, user_id, username, note, created_at)
+           SELECT id, product_order_id, NULL, state, NULL, 'system', ?, ? FROM returns WHERE product_order_id = ?`,
+          [note, now, item.productOrderId]
+        );
+      }
+      continue;
+    }
+    if (item.claimStatus && item.claimStatus !== row.channel_status) {
+      await query('UPDATE returns SET channel_status = ? WHERE id = ?', [item.claimStatus, row.id]);
+    }
+    if (CHANNEL_STATES.includes(row.state) && RANK[state] > RANK[row.state]) {
+      await applyTransition(row, state, { user: null, note, now });
+    }
+  }
+  return getByIds(valid.map(i => i.productOrderId));
+}
+
+/**
+ * 직원 상태 변경 (복수 건) — 허용되지 않은 전이/권한 없는 건은 건너뜀
+ * @param {string[]} productOrderIds
+ * @param {string} to
+ * @param {Object} opts - { user, note, hasPermission: (permission) => boolean, inspected: 검수 처리에서 호출 (return-inspection.js) }
+ * @returns {Promise<{moved: string[], skipped: {productOrderId: string, error: string}[]}>}
+ */
+async function transition(productOrderIds, to, { user = null, note = null, hasPermission = () => true, inspected = false } = {}) {
+  assertState(to);
+  const rows = await getByIds(productOrderIds);
+  // 검수 필수 설정이면 재입고/폐기는 검수(등급 처리)로만 — 등급 없이 옮기면 재고 복원/B 스토어 반영이 빠짐 (최종완료 복원은 허용)
+  const inspectionRequired = !inspected && RANK[to] === RANK.restocked && await isInspectionRequired();
+  const moved = [];
+  const skipped = [];
+  for (const id of new Set(productOrderIds.map(v => String(v || '').trim()).filter(Boolean))) {
+    const row = rows.get(id);
+    let error = null;
+    if (!row) error = '반품 건을 찾을 수 없습니다.';
+    else if (row.state === to) error = `이미 ${STATE_LABELS[to]} 상태입니다.`;
+    else if (!canTransition(row.state, to)) error = `${STATE_LABELS[row.state]} → ${STATE_LABELS[to]}(으)로 변경할 수 없습니다.`;
+    else if (inspectionRequired && RANK[row.state] < RANK.restocked) error = `검수 필수 설정 — ${STATE_LABELS[to]}는 검수 등급으로 처리해주세요.`;
+    else if (!hasPermission(permissionFor(row.state, to))) error = '권한이 없습니다.';
+    else if (!await applyTransition(row, to, { user, note })) error = '다른 곳에서 먼저 처리되었습니다.';
+
+    if (error) skipped.push({ productOrderId: id, error });
+    else moved.push(id);
+  }
+  return { moved, skipped };
+}
+
+/**
+ * 재고 반영 완료 → 재입고 (자동 동기화/반품 불러오기 공통)
+ * 목록을 불러오기 전에 처리된 건은 여기서 등록하고, 이미 재입고/폐기/최종완료면 그대로 둠
+ * @param {Object[]} items - { productOrderId, store, productName, optionName, qty, channelProductNo }
+ * @param {Object} opts - { user, note }
+ */
+async function markRestocked(items, { user = null, note = '재고 반영' } = {}) {
+  const valid = items.filter(i => i.productOrderId);
+  const now = new Date();
+  for (const item of valid) await insertRow(item, 'requested', now);
+
+  const rows = await getByIds(valid.map(i => i.productOrderId));
+  for (const row of rows.values()) {
+    if (RANK[row.state] >= RANK.restocked) continue;
+    await applyTransition(row, 'restocked', { user, note, now });
+  }
+}
+
+/**
+ * 채널 반품을 마스터 상품으로 찾은 결과 기록 — 상품명/옵션명은 마스터 기준, variant_id는 연결 옵션
+ * @param {string} productOrderId
+ * @param {Object} master - { productName, optionName, variantId }
+ */
+async function linkMaster(productOrderId, { productName, optionName, variantId = null }) {
+  await query(
+    'UPDATE returns SET product_name = ?, option_name = ?, variant_id = ? WHERE product_order_id = ?',
+    [productName || null, optionName || null, variantId, String(productOrderId).trim()]
+  );
+}
+
+/**
+ * 상태별 목록
+ * @param {string[]} states
+ * @param {number} limit
+ */
+async function list(states, limit = 500) {
+  states.forEach(assertState);
+  const ph = states.map(() => '?').join(',');
+  return query(`SELECT * FROM returns WHERE state IN (${ph}) ORDER BY updated_at DESC LIMIT ?`, [...states, limit]);
+}
+
+async function history(productOrderId) {
+  return query('SELECT * FROM return_transitions WHERE product_order_id = ? ORDER BY id', [productOrderId]);
+}
+
+module.exports = {
+  STATES, STATE_LABELS, TRANSITIONS, CHANNEL_STATES, INSPECTION_CONFIG_KEY, AUTO_PROCESS_MODES,
+  autoProcessConfigKey, assertState, canTransition, permissionFor, isInspectionRequired, autoProcessMode,
+  getByIds, observe, transition, markRestocked, linkMaster, list, history,
+};
@@ -0,0 +1,288 @@
+const { query } = require('./database');
+const ledger = require('./stock-ledger');
+const channels = require('./channels');
+
+// 스토어 코드 → products 채널 컬럼
+const STORE_PRODUCT_COLUMNS = Object.fromEntries(channels.listChannels().map(ch => [ch.store, ch.productColumn]));
+
+// 이 상태로 바뀌면 차감했던 재고를 복원
+const STOCK_RESTORE_STATUSES = ['CANCELED', 'CANCELED_BY_NOPAYMENT', 'CANCELLED', 'RETURNED'];
+
+// 매출 집계에서 제외하는 주문 상태
+const REVENUE_EXCLUDED_STATUSES = [...STOCK_RESTORE_STATUSES, 'EXCHANGED'];
+
+// sales_orders.stock_state
+// deducted: 재고 차감됨 / restored: 취소·반품으로 복원됨
+// unresolved: 상품/옵션 매칭 실패 → 검토 대기 / skipped: 차감 대상 아님 (사입, 취소 주문, 검토 제외)
+
+function normalize(str) {
+  return String(str || '').toLowerCase().replace(/\s+/g, '');
+}
+
+// "컬러: 블랙 / 사이즈: M", "블랙, M", "블랙 / M" → ['컬러', '블랙', '사이즈', 'm']
+function optionTokens(optionName) {
+  return String(optionName || '')
+    .split(/[\/,|:\s]+/)
+    .map(normalize)
+    .filter(Boolean);
+}
+
+// 옵션명의 컬러/사이즈로 variant 선택 (단일 후보일 때만 확정)
+function matchVariantByOption(variants, optionName) {
+  if (!optionName) return null;
+
+  const full = normalize(optionName);
+  const tokens = optionTokens(optionName);
+  const scored = [];
+  for (const v of variants) {
+    const color = normalize(v.color);
+    const size = normalize(v.size);
+    if (!color && !size) continue;
+    if (color && !full.includes(color)) continue;
+    if (size && !tokens.includes(size)) continue;
+    scored.push({ v, score: (color ? 1 : 0) + (size ? 1 : 0) });
+  }
+  if (scored.length === 0) return null;
+  scored.sort((a, b) => b.score - a.score);
+  if (scored.length > 1 && scored[0].score === scored[1].score) return null;
+  return scored[0].v;
+}
+
+// 주문 옵션명으로 variant 선택 (옵션이 하나뿐인 상품은 바로 확정)
+function matchVariant(variants, optionName) {
+  if (variants.length === 1) return variants[0];
+  return matchVariantByOption(variants, optionName);
+}
+
+// 주문 → { product, variant, reason }
+// 쿠팡/지그재그는 채널 옵션 연결(variant_channel_items) 우선, 연결이 없으면 옵션명 추정
+async function resolveOrderVariant(order) {
+  // variant-channel-items → sales-stock 순환 참조를 피해 지연 로드
+  const variantItems = require('./variant-channel-items');
+  if (variantItems.STORES.includes(order.store)) return variantItems.resolveVariant(order);
+  return guessOrderVariant(order);
+}
+
+// 채널 상품번호(products.<productColumn>) + 옵션명 파싱으로 추정 → { product, variant, reason }
+async function guessOrderVariant(order) {
+  const col = STORE_PRODUCT_COLUMNS[order.store];
+  if (!col || !order.channel_product_no) {
+    return { product: null, variant: null, reason: '채널 상품번호 없음' };
+  }
+  const products = await query(`SELECT * FROM products WHERE ${col} = ? LIMIT 1`, [order.channel_product_no]);
+  if (products.length === 0) {
+    return { product: null, variant: null, reason: '연결된 상품 없음' };
+  }
+  const product = products[0];
+  const variants = await query('SELECT * FROM variants WHERE product_id = ? ORDER BY id', [product.id]);
+  if (variants.length === 0) {
+    return { product, variant: null, reason: '옵션 없음' };
+  }
+  const variant = matchVariant(variants, order.option_name);
+  if (!variant) {
+    return { product, variant: null, reason: `옵션 매칭 실패: ${order.option_name || '(옵션 없음)'}` };
+  }
+  return { product, variant, reason: null };
+}
+
+async function setStockState(orderId, state, variantId, note) {
+  await query(
+    'UPDATE sales_orders SET stock_state = ?, variant_id = ?, stock_note = ? WHERE id = ?',
+    [state, variantId || null, note ? String(note).slice(0, 255) : null, orderId]
+  );
+}
+
+// 이 주문으로 이미 차감된 수량 (매출 리셋 후 재수집 시 중복 차감 방지)
+async function netSaleMovement(productOrderId, variantId) {
+  const rows = await query(
+    `SELECT COALESCE(SUM(delta), 0) as net FROM stock_movements
+     WHERE reference_id = ? AND variant_id = ? AND reason IN ('sale', 'return')`,
+    [productOrderId, variantId]
+  );
+  return Number(rows[0].net) || 0;
+}
+
+async function deductForOrder(order, variant, opts = {}) {
+  const qty = order.qty || 1;
+  const already = await netSaleMovement(order.product_order_id, variant.id);
+  if (already < 0) {
+    await setStockState(order.id, 'deducted', variant.id, '이미 차감된 주문');
+    return;
+  }
+  await ledger.adjustVariantQty(variant.id, -qty, {
+    reason: 'sale',
+    referenceId: order.product_order_id,
+    user: opts.user,
+    actor: 'sales',
+    note: `판매 출고 (${order.store})`,
+  });
+  await setStockState(order.id, 'deducted', variant.id, null);
+}
+
+// 신규 주문 저장 직후 호출: 매칭되면 차감, 아니면 검토 대기
+async function applyNewOrder(salesOrderId) {
+  const rows = await query('SELECT * FROM sales_orders WHERE id = ?', [salesOrderId]);
+  if (rows.length === 0) return null;
+  const order = rows[0];
+
+  if (STOCK_RESTORE_STATUSES.includes(order.product_order_status)) {
+    await setStockState(order.id, 'skipped', null, `차감 전 ${order.product_order_status}`);
+    return 'skipped';
+  }
+
+  const { product, variant, reason } = await resolveOrderVariant(order);
+  if (product && product.stock_type !== 'inventory') {
+    await setStockState(order.id, 'skipped', variant && variant.id, '사입 상품');
+    return 'skipped';
+  }
+  if (!variant) {
+    await setStockState(order.id, 'unresolved', null, reason);
+    console.log(`[SalesStock] 검토 대기: ${order.product_order_id} — ${reason}`);
+    return 'unresolved';
+  }
+  await deductForOrder(order, variant);
+  return 'deducted';
+}
+
+// 기존 주문 상태 변경 시 호출: 취소/반품이면 차감분 복원
+// opts.deferReturn: 반품은 검수(A등급) 후 restoreReturnStock()으로 복원
+async function applyStatusChange(productOrderId, newStatus, opts = {}) {
+  if (!STOCK_RESTORE_STATUSES.includes(newStatus)) return null;
+  const rows = await query('SELECT * FROM sales_orders WHERE product_order_id = ?', [productOrderId]);
+  if (rows.length === 0) return null;
+  const order = rows[0];
+
+  if (order.stock_state === 'unresolved') {
+    await setStockState(order.id, 'skipped', null, `검토 전 ${newStatus}`);
+    return 'skipped';
+  }
+  if (order.stock_state !== 'deducted' || !order.variant_id) return null;
+  if (newStatus === 'RETURNED' && opts.deferReturn) {
+    await setStockState(order.id, 'deducted', order.variant_id, '반품 검수 대기');
+    return 'deferred';
+  }
+
+  const net = await netSaleMovement(order.product_order_id, order.variant_id);
+  if (net < 0) {
+    await ledger.adjustVariantQty(order.variant_id, -net, {
+      reason: newStatus === 'RETURNED' ? 'return' : 'sale',
+      referenceId: order.product_order_id,
+      user: opts.user,
+      actor: 'sales',
+      note: `주문 ${newStatus} → 재고 복원`,
+    });
+  }
+  await setStockState(order.id, 'restored', order.variant_id, newStatus);
+  return 'restored';
+}
+
+// 신규 주문 재고 반영 중 오류 → 검토 대기 (옵션 지정 시 원장 기준으로 이미 차감된 수량은 다시 빼지 않음)
+async function markStockError(salesOrderId, message) {
+  await setStockState(salesOrderId, 'unresolved', null, `재고 반영 오류: ${message}`);
+}
+
+/**
+ * 취소/반품 상태인데 아직 차감 상태로 남은 주문 (상태 변경 반영 중 오류) → 다시 복원
+ * @param {Object} opts - { deferReturn: 반품은 검수 후 복원하므로 제외 }
+ * @returns {Promise<number>} 복원한 주문 수
+ */
+async function retryPendingRestores(opts = {}, limit = 100) {
+  const statuses = opts.deferReturn ? STOCK_RESTORE_STATUSES.filter(s => s !== 'RETURNED') : STOCK_RESTORE_STATUSES;
+  const ph = statuses.map(() => '?').join(',');
+  const rows = await query(
+    `SELECT product_order_id, product_order_status FROM sales_orders
+     WHERE stock_state = 'deducted' AND product_order_status IN (${ph}) ORDER BY id LIMIT ?`,
+    [...statuses, limit]
+  );
+  let restored = 0;
+  for (const row of rows) {
+    try {
+      if (await applyStatusChange(row.product_order_id, row.product_order_status, opts) === 'restored') restored++;
+    } catch (e) {
+      console.error(`[SalesStock] 재고 복원 재시도 오류 (${row.product_order_id}):`, e.message);
+    }
+  }
+  return restored;
+}
+
+/**
+ * 검수에서 새 상품으로 판정된 반품(A등급) → 원래 옵션 재고 복원
+ * 판매 차감분이 남아 있으면 그만큼, 차감 기록이 없는 반품(쿠팡/지그재그 반품 ID 등)은 반품 수량만큼 — 이미 복원됐으면 0
+ * @param {Object} ret - returns 행 (product_order_id, store, channel_product_no, option_name, qty)
+ * @param {Object} opts - { variantId: 직접 지정한 옵션, user }
+ * @returns {Promise<{variantId: number, qty: number}>}
+ */
+async function restoreReturnStock(ret, opts = {}) {
+  const orders = await query('SELECT * FROM sales_orders WHERE product_order_id = ?', [ret.product_order_id]);
+  const order = orders[0] || null;
+
+  let variantId = opts.variantId || (order && order.variant_id) || null;
+  if (opts.variantId) {
+    const variants = await query('SELECT * FROM variants WHERE id = ?', [opts.variantId]);
+    if (variants.length === 0) throw new Error('옵션을 찾을 수 없습니다.');
+  } else if (!variantId) {
+    const { variant, reason } = await resolveOrderVariant({
+      store: ret.store, channel_product_no: ret.channel_product_no, option_name: ret.option_name,
+    });
+    if (!variant) throw new Error(`재입고할 옵션을 찾지 못했습니다 (${reason}). 옵션을 지정해주세요.`);
+    variantId = variant.id;
+  }
+
+  const net = await netSaleMovement(ret.product_order_id, variantId);
+  let qty = 0;
+  if (net < 0) qty = -net;
+  else if (net === 0 && !(order && order.stock_state === 'restored')) qty = ret.qty || 1;
+
+  if (qty > 0) {
+    await ledger.adjustVariantQty(variantId, qty, {
+      reason: 'return',
+      referenceId: ret.product_order_id,
+      user: opts.user,
+      note: '반품 검수 A → 재고 복원',
+    });
+  }
+  if (order && order.stock_state === 'deducted') {
+    await setStockState(order.id, 'restored', variantId, '반품 검수 A');
+  }
+  return { variantId, qty };
+}
+
+// 검토 대기 주문에 옵션 지정 → 차감
+async function resolveReview(salesOrderId, variantId, user) {
+  const rows = await query('SELECT * FROM sales_orders WHERE id = ?', [salesOrderId]);
+  if (rows.length === 0) throw new Error('주문을 찾을 수 없습니다.');
+  const order = rows[0];
+  if (order.stock_state !== 'unresolved') throw new Error('검토 대기 상태가 아닙니다.');
+  const variants = await query('SELECT * FROM variants WHERE id = ?', [variantId]);
+  if (variants.length === 0) throw new Error('옵션을 찾을 수 없습니다.');
+  if (STOCK_RESTORE_STATUSES.includes(order.product_order_status)) {
+    await setStockState(order.id, 'skipped', variantId, `검토 시점 ${order.product_order_status}`);
+    return 'skipped';
+  }
+  await deductForOrder(order, variants[0], { user });
+  return 'deducted';
+}
+
+async function dismissReview(salesOrderId, user) {
+  const rows = await query('SELECT * FROM sales_orders WHERE id = ?', [salesOrderId]);
+  if (rows.length === 0) throw new Error('주문을 찾을 수 없습니다.');
+  if (rows[0].stock_state !== 'unresolved') throw new Error('검토 대기 상태가 아닙니다.');
+  await setStockState(salesOrderId, 'skipped', null, `검토 제외 (${user ? user.username : 'system'})`);
+}
+
+module.exports = {
+  STORE_PRODUCT_COLUMNS,
+  STOCK_RESTORE_STATUSES,
+  REVENUE_EXCLUDED_STATUSES,
+  matchVariant,
+  matchVariantByOption,
+  resolveOrderVariant,
+  guessOrderVariant,
+  applyNewOrder,
+  applyStatusChange,
+  markStockError,
+  retryPendingRestores,
+  restoreReturnStock,
+  resolveReview,
+  dismissReview,
+};
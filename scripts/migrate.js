@@ -0,0 +1,60 @@
+// 스키마 마이그레이션 (migrations/NNN_*.js)
+//
+// 사용법:
+//   node scripts/migrate.js status
+//     → 적용/미적용 마이그레이션 목록
+//   node scripts/migrate.js up [--dry-run] [--to N]
+//     → 미적용 마이그레이션 적용 (서버 기동 시에도 자동 실행됨)
+//   node scripts/migrate.js down [--steps N] [--dry-run]
+//     → 최근 적용분부터 N개 되돌림 (기본 1, down이 없는 마이그레이션은 거부)
+//
+// --dry-run은 실행 대상만 출력하고 DB를 바꾸지 않습니다.
+require('dotenv').config();
+const { getPool } = require('../database');
+const migrate = require('../migrate');
+
+function optionValue(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  const value = parseInt(process.argv[idx + 1], 10);
+  if (!Number.isInteger(value) || value < 1) throw new Error(`${name} 값은 1 이상의 숫자여야 합니다.`);
+  return value;
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  const dryRun = process.argv.includes('--dry-run');
+  const pool = getPool();
+
+  try {
+    if (command === 'status') {
+      const status = await migrate.getStatus(pool);
+      for (const m of status) {
+        const state = m.missing ? '파일 없음' : m.applied ? '적용' : '미적용';
+        const at = m.appliedAt ? ` ${new Date(m.appliedAt).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}` : '';
+        console.log(`[${state}] ${m.name}${at}${m.reversible ? '' : ' (되돌리기 불가)'}`);
+      }
+      const pending = status.filter(m => !m.applied).length;
+      console.log(`[Migrate] 전체 ${status.length}개, 미적용 ${pending}개`);
+    } else if (command === 'up') {
+      const result = await migrate.migrateUp(pool, { dryRun, to: optionValue('--to') });
+      const count = dryRun ? result.pending.length : result.applied.length;
+      console.log(`[Migrate] ${dryRun ? '적용 예정' : '적용 완료'} ${count}개`);
+    } else if (command === 'down') {
+      const result = await migrate.migrateDown(pool, { dryRun, steps: optionValue('--steps') || 1 });
+      const count = dryRun ? result.pending.length : result.reverted.length;
+      console.log(`[Migrate] ${dryRun ? '되돌릴 예정' : '되돌림 완료'} ${count}개`);
+    } else {
+      throw new Error(`알 수 없는 명령: ${command} (status | up | down)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('[Migrate] 실패:', e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+// sync_config 마스터 키 교체
+//
+// 사용법:
+//   node scripts/rotate-config-key.js --generate
+//     → 새 마스터 키 출력
+//   CONFIG_MASTER_KEY=<기존 키> CONFIG_MASTER_KEY_NEW=<새 키> node scripts/rotate-config-key.js
+//     → 암호화된 시크릿의 DEK를 새 키로 재래핑 (평문 시크릿은 새 키로 암호화)
+//
+// 완료 후 배포 환경의 CONFIG_MASTER_KEY를 새 키로 교체하고 재시작하세요.
+require('dotenv').config();
+const configCrypto = require('../config-crypto');
+const { getPool } = require('../database');
+
+async function main() {
+  if (process.argv.includes('--generate')) {
+    console.log(configCrypto.generateMasterKey());
+    return;
+  }
+
+  const oldKey = configCrypto.parseMasterKey(process.env.CONFIG_MASTER_KEY);
+  const newKey = configCrypto.parseMasterKey(process.env.CONFIG_MASTER_KEY_NEW);
+  if (!newKey) {
+    throw new Error('CONFIG_MASTER_KEY_NEW 환경변수가 필요합니다. (--generate로 생성)');
+  }
+
+  const ph = configCrypto.SECRET_CONFIG_KEYS.map(() => '?').join(',');
+  const conn = await getPool().getConnection();
+  let rewrapped = 0;
+  let encrypted = 0;
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      `SELECT \`key\`, value FROM sync_config WHERE \`key\` IN (${ph}) FOR UPDATE`,
+      configCrypto.SECRET_CONFIG_KEYS
+    );
+    for (const row of rows) {
+      if (!row.value) continue;
+      let next;
+      if (configCrypto.isEncrypted(row.value)) {
+        if (!oldKey) throw new Error('암호화된 값이 있어 CONFIG_MASTER_KEY(기존 키)가 필요합니다.');
+        next = configCrypto.rewrapSecret(row.value, oldKey, newKey);
+        rewrapped++;
+      } else {
+        next = configCrypto.encryptSecret(row.value, newKey);
+        encrypted++;
+      }
+      await conn.query('UPDATE sync_config SET value = ?, updated_at = NOW() WHERE `key` = ?', [next, row.key]);
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  console.log(`[KeyRotation] 재래핑 ${rewrapped}건, 신규 암호화 ${encrypted}건 (새 키 ID: ${configCrypto.keyId(newKey)})`);
+  console.log('[KeyRotation] 이제 CONFIG_MASTER_KEY를 새 키로 교체하고 서버를 재시작하세요.');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('[KeyRotation] 실패:', e.message);
+    process.exit(1);
+  });
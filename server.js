@@ -1,22 +1,178 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const { getPool, initDb, query } = require('./database');
-const { scheduler } = require('./sync-scheduler');
+const { getPool, initDb, query, getConfig, setConfig } = require('./database');
+const { scheduler, SALES_LOCK } = require('./sync-scheduler');
+const { jobQueue, parseCron } = require('./job-queue');
+const leaseLock = require('./lease-lock');
+const processedReturns = require('./processed-returns');
+const returnLifecycle = require('./return-lifecycle');
+const returnInspection = require('./return-inspection');
+const categoryMap = require('./category-map');
+const pricing = require('./pricing');
+const exchangeStock = require('./exchange-stock');
+const variantItems = require('./variant-channel-items');
 const { NaverCommerceClient } = require('./smartstore');
 const { CoupangClient } = require('./coupang');
 const { ZigzagClient } = require('./zigzag');
 const webpush = require('web-push');
+const auth = require('./auth');
+const { requirePermission } = auth;
+const ledger = require('./stock-ledger');
+const salesStock = require('./sales-stock');
+const { stockSync } = require('./stock-sync');
+const margin = require('./margin');
+const channels = require('./channels');
+const { parseCoupangItemName, extractBrand } = require('./channels/coupang');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// 반품 검수 사진 업로드(base64)는 권한 확인 뒤 라우트에서 큰 본문 허용 — 전역 파서는 건너뜀
+const PHOTO_UPLOAD_PATH = /^\/api\/returns\/[^/]+\/photos\/?$/;
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'POST' && PHOTO_UPLOAD_PATH.test(req.path)) return next();
+  jsonParser(req, res, next);
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
+// 옵션 수량이 바뀌면 연결된 채널로 재고 전파 (디바운스)
+ledger.onVariantChange((productId) => scheduleStockPush(productId));
+
+// DB 마이그레이션이 끝나기 전에는 API 요청을 받지 않음 (스키마가 맞지 않는 상태로 처리하지 않도록)
+app.use('/api', (req, res, next) => {
+  if (app.locals.dbReady) return next();
+  res.status(503).json({ error: '서버 초기화 중입니다. 잠시 후 다시 시도해주세요.' });
+});
+
+// 모든 /api/* 요청은 로그인 세션 필요 (/api/health, /api/auth/login 제외)
+app.use('/api', auth.requireAuth);
+
+// --- 인증 API ---
+
+// POST /api/auth/login - 로그인 (세션 쿠키 발급)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: '아이디와 비밀번호를 입력해주세요.' });
+    }
+    const result = await auth.login(username, password, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    });
+    if (!result) {
+      return res.status(401).json({ error: '아이디 또는 비밀번호가 올바르지 않습니다.' });
+    }
+    auth.setSessionCookie(res, result.token);
+    console.log(`[Auth] 로그인: ${result.user.username}`);
+    res.json({ success: true, user: result.user });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/auth/logout - 로그아웃 (세션 삭제)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(auth.getRequestToken(req));
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/auth/me - 현재 로그인 사용자
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// PUT /api/auth/password - 비밀번호 변경 (모든 세션 종료)
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await auth.changePassword(req.user.id, currentPassword, newPassword);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /api/users - 사용자 목록
+app.get('/api/users', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const rows = await query('SELECT id, username, display_name, role, is_active, last_login_at, created_at FROM users ORDER BY id');
+    res.json({ users: rows, roles: auth.ROLES.map(r => ({ value: r, label: auth.ROLE_LABELS[r] })) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/users - 사용자 추가
+app.post('/api/users', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { username, password, displayName, role } = req.body;
+    const id = await auth.createUser(username, password, displayName, role || 'staff');
+    res.json({ success: true, id });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// PUT /api/users/:id - 역할 변경
+app.put('/api/users/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role } = req.body;
+    if (!auth.ROLES.includes(role)) {
+      return res.status(400).json({ error: '올바르지 않은 역할입니다.' });
+    }
+    if (id === req.user.id && role !== 'owner') {
+      return res.status(400).json({ error: '본인 계정의 대표 권한은 해제할 수 없습니다.' });
+    }
+    await query('UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?', [role, id]);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/users/:id - 사용자 비활성화 (세션 종료)
+app.delete('/api/users/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (id === req.user.id) {
+      return res.status(400).json({ error: '본인 계정은 비활성화할 수 없습니다.' });
+    }
+    await query('UPDATE users SET is_active = 0, updated_at = NOW() WHERE id = ?', [id]);
+    await query('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // --- Store A 상품 인덱스 (DB 기반 즉시 검색) ---
-let indexingActive = false;
-let indexingProgress = { current: 0, total: 0, startedAt: null };
+// 인덱싱은 작업 큐의 products.index 작업으로 실행 (6시간마다 자동 + 수동 시작)
+
+// 진행 중인 인덱싱 작업 → 기존 indexStatus 응답 형태
+async function getIndexingStatus() {
+  const job = await jobQueue.getLatestJob('products.index');
+  const indexing = !!job && (job.status === 'queued' || job.status === 'running');
+  return {
+    indexing,
+    jobId: job ? job.id : null,
+    progress: indexing ? {
+      current: job.progress.current,
+      total: job.progress.total,
+      phase: job.progress.total > 0 ? 'indexing' : 'collecting',
+      startedAt: job.startedAt,
+    } : null,
+  };
+}
 
 // v2 상세 → DB 저장용 데이터 추출
 function extractProductInfo(v2Detail, channelProductNo) {
@@ -60,118 +216,97 @@ async function checkForNewProducts() {
   return { apiTotal, dbTotal, hasNew: apiTotal > dbTotal };
 }
 
-// 백그라운드 인덱싱: 신규 상품만 증분 인덱싱
-async function runProductIndexing(fullRefresh = false) {
-  if (indexingActive) return;
-  indexingActive = true;
-  indexingProgress = { current: 0, total: 0, phase: 'collecting', startedAt: new Date().toISOString() };
-
-  try {
-    await initSyncClients();
+// 백그라운드 인덱싱: 신규 상품만 증분 인덱싱 (작업 큐 핸들러)
+async function runProductIndexing(ctx, fullRefresh = false) {
+  await initSyncClients();
 
-    // Step 1: 빠른 체크 (API 1회) — 새 상품 있는지 확인
-    if (!fullRefresh) {
-      const check = await checkForNewProducts();
-      console.log(`[Index] 빠른 체크: API ${check.apiTotal}개, DB ${check.dbTotal}개`);
-      if (!check.hasNew) {
-        console.log('[Index] 새 상품 없음 — 스킵');
-        indexingActive = false;
-        return;
-      }
+  // Step 1: 빠른 체크 (API 1회) — 새 상품 있는지 확인
+  if (!fullRefresh) {
+    const check = await checkForNewProducts();
+    console.log(`[Index] 빠른 체크: API ${check.apiTotal}개, DB ${check.dbTotal}개`);
+    if (!check.hasNew) {
+      console.log('[Index] 새 상품 없음 — 스킵');
+      return { indexed: 0, message: '새 상품 없음' };
     }
+  }
 
-    // Step 2: v1 리스트로 상품번호 + 기본정보 일괄 수집 (v2 개별 호출 불필요)
-    console.log('[Index] 상품 리스트 수집 시작...');
-    const allProducts = await scheduler.storeA.getAllProductsFromList();
-    console.log(`[Index] 상품 ${allProducts.length}개 수집 완료`);
-
-    // 이미 인덱싱된 상품 제외
-    const existingRows = await query('SELECT channel_product_no FROM store_a_products');
-    const existingSet = new Set(existingRows.map(r => r.channel_product_no));
-    const allNos = allProducts.map(p => p.channelProductNo);
-    const newProducts = allProducts.filter(p => !existingSet.has(p.channelProductNo));
-
-    // DB에 있지만 API에 없는 상품 삭제 (삭제된 상품 정리)
-    const apiSet = new Set(allNos);
-    const deletedNos = existingRows.map(r => r.channel_product_no).filter(no => !apiSet.has(no));
-    if (deletedNos.length > 0) {
-      const ph = deletedNos.map(() => '?').join(',');
-      await query(`DELETE FROM store_a_products WHERE channel_product_no IN (${ph})`, deletedNos);
-      console.log(`[Index] 삭제된 상품 정리: ${deletedNos.length}건`);
-    }
+  // Step 2: v1 리스트로 상품번호 + 기본정보 일괄 수집 (v2 개별 호출 불필요)
+  ctx.progress(0, 0, '상품번호 수집 중');
+  console.log('[Index] 상품 리스트 수집 시작...');
+  const allProducts = await scheduler.storeA.getAllProductsFromList();
+  console.log(`[Index] 상품 ${allProducts.length}개 수집 완료`);
+  ctx.throwIfCancelled();
 
-    console.log(`[Index] 신규 ${newProducts.length}개 (기존 ${existingSet.size}개)`);
+  // 이미 인덱싱된 상품 제외
+  const existingRows = await query('SELECT channel_product_no FROM store_a_products');
+  const existingSet = new Set(existingRows.map(r => r.channel_product_no));
+  const allNos = allProducts.map(p => p.channelProductNo);
+  const newProducts = allProducts.filter(p => !existingSet.has(p.channelProductNo));
 
-    if (newProducts.length === 0) {
-      console.log('[Index] 인덱싱할 신규 상품 없음');
-      indexingActive = false;
-      return;
-    }
+  // DB에 있지만 API에 없는 상품 삭제 (삭제된 상품 정리)
+  const apiSet = new Set(allNos);
+  const deletedNos = existingRows.map(r => r.channel_product_no).filter(no => !apiSet.has(no));
+  if (deletedNos.length > 0) {
+    const ph = deletedNos.map(() => '?').join(',');
+    await query(`DELETE FROM store_a_products WHERE channel_product_no IN (${ph})`, deletedNos);
+    console.log(`[Index] 삭제된 상품 정리: ${deletedNos.length}건`);
+  }
 
-    indexingProgress.total = newProducts.length;
-    indexingProgress.phase = 'indexing';
+  console.log(`[Index] 신규 ${newProducts.length}개 (기존 ${existingSet.size}개)`);
 
-    // Step 3: 리스트에서 가져온 데이터를 일괄 DB 저장 (50건씩 배치)
-    const batchSize = 50;
-    for (let i = 0; i < newProducts.length; i += batchSize) {
-      if (!indexingActive) break;
+  if (newProducts.length === 0) {
+    console.log('[Index] 인덱싱할 신규 상품 없음');
+    return { indexed: 0, deleted: deletedNos.length, message: '인덱싱할 신규 상품 없음' };
+  }
 
-      const batch = newProducts.slice(i, i + batchSize);
-      const values = [];
-      const placeholders = [];
+  // Step 3: 리스트에서 가져온 데이터를 일괄 DB 저장 (50건씩 배치)
+  // 중단 후 재시도해도 이미 저장한 상품은 Step 2에서 제외되므로 처음부터 다시 하지 않음
+  ctx.progress(0, newProducts.length, '인덱싱 중');
+  const batchSize = 50;
+  let current = 0;
+  for (let i = 0; i < newProducts.length; i += batchSize) {
+    if (ctx.cancelled) break;
 
-      for (const info of batch) {
-        placeholders.push('(?, ?, ?, ?, 0, ?, ?, NOW())');
-        values.push(info.channelProductNo, info.originProductNo, info.name, info.salePrice, info.statusType, info.imageUrl);
-      }
+    const batch = newProducts.slice(i, i + batchSize);
+    const values = [];
+    const placeholders = [];
 
-      try {
-        await query(
-          `INSERT INTO store_a_products (channel_product_no, origin_product_no, name, sale_price, stock_quantity, status_type, image_url, indexed_at)
-           VALUES ${placeholders.join(', ')}
-           ON DUPLICATE KEY UPDATE name=VALUES(name), sale_price=VALUES(sale_price), status_type=VALUES(status_type), image_url=VALUES(image_url), indexed_at=NOW()`,
-          values
-        );
-      } catch (e) {
-        console.log(`[Index] 배치 오류 (${i}~${i + batch.length}):`, e.message.slice(0, 100));
-      }
+    for (const info of batch) {
+      placeholders.push('(?, ?, ?, ?, 0, ?, ?, NOW())');
+      values.push(info.channelProductNo, info.originProductNo, info.name, info.salePrice, info.statusType, info.imageUrl);
+    }
 
-      indexingProgress.current = Math.min(i + batchSize, newProducts.length);
-      if (indexingProgress.current % 200 === 0 || indexingProgress.current === newProducts.length) {
-        console.log(`[Index] 진행: ${indexingProgress.current}/${newProducts.length}`);
-      }
+    try {
+      await query(
+        `INSERT INTO store_a_products (channel_product_no, origin_product_no, name, sale_price, stock_quantity, status_type, image_url, indexed_at)
+         VALUES ${placeholders.join(', ')}
+         ON DUPLICATE KEY UPDATE name=VALUES(name), sale_price=VALUES(sale_price), status_type=VALUES(status_type), image_url=VALUES(image_url), indexed_at=NOW()`,
+        values
+      );
+    } catch (e) {
+      console.log(`[Index] 배치 오류 (${i}~${i + batch.length}):`, e.message.slice(0, 100));
     }
 
-    console.log(`[Index] 완료: ${indexingProgress.current}건 인덱싱됨`);
-  } catch (e) {
-    console.error('[Index] 오류:', e.message);
-  } finally {
-    indexingActive = false;
+    current = Math.min(i + batchSize, newProducts.length);
+    ctx.progress(current, newProducts.length);
+    if (current % 200 === 0 || current === newProducts.length) {
+      console.log(`[Index] 진행: ${current}/${newProducts.length}`);
+    }
   }
-}
 
-// 자동 인덱싱 스케줄러 (6시간마다 새 상품 체크)
-let autoIndexInterval = null;
-function startAutoIndexing() {
-  if (autoIndexInterval) return;
-  const SIX_HOURS = 6 * 60 * 60 * 1000;
-  autoIndexInterval = setInterval(() => {
-    if (!indexingActive) {
-      console.log('[Index] 자동 체크 실행');
-      runProductIndexing().catch(e => console.log('[Index] 자동 체크 오류:', e.message));
-    }
-  }, SIX_HOURS);
-  console.log('[Index] 자동 인덱싱 활성화 (6시간 간격)');
+  console.log(`[Index] 완료: ${current}건 인덱싱됨`);
+  return { indexed: current, deleted: deletedNos.length };
 }
 
 // --- 상품 API (products 통합 테이블) ---
 
-const channelCols = { naver_a: 'naver_a_no', naver_b: 'naver_b_no', coupang: 'coupang_no', zigzag: 'zigzag_no' };
-const storeToChannel = { A: 'naver_a_no', B: 'naver_b_no', C: 'coupang_no', D: 'zigzag_no' };
-const channelToStore = { naver_a: 'A', naver_b: 'B', coupang: 'C', zigzag: 'D' };
+// 채널 키/스토어 코드 → products 채널 컬럼 (channels 레지스트리 기준)
+const channelCols = Object.fromEntries(channels.listChannels().map(ch => [ch.key, ch.productColumn]));
+const storeToChannel = Object.fromEntries(channels.listChannels().map(ch => [ch.store, ch.productColumn]));
+const channelToStore = Object.fromEntries(channels.listChannels().map(ch => [ch.key, ch.store]));
 
 // GET /api/master/products - 상품 목록
-app.get('/api/master/products', async (req, res) => {
+app.get('/api/master/products', requirePermission('inventory.view'), async (req, res) => {
   try {
     const { search, brand, stockType, channel, sort, page = 1, limit = 30 } = req.query;
     const conditions = [];
@@ -228,10 +363,9 @@ app.get('/api/master/products', async (req, res) => {
       const allPairs = [];
       const pairToId = {};
       for (const r of rows) {
-        if (r.naver_a_no) { allPairs.push({ s: 'A', c: r.naver_a_no, id: r.id }); }
-        if (r.naver_b_no) { allPairs.push({ s: 'B', c: r.naver_b_no, id: r.id }); }
-        if (r.coupang_no) { allPairs.push({ s: 'C', c: r.coupang_no, id: r.id }); }
-        if (r.zigzag_no) { allPairs.push({ s: 'D', c: r.zigzag_no, id: r.id }); }
+        for (const [s, col] of Object.entries(storeToChannel)) {
+          if (r[col]) allPairs.push({ s, c: r[col], id: r.id });
+        }
       }
       if (allPairs.length > 0) {
         const orConds = allPairs.map(() => '(store = ? AND channel_product_no = ?)');
@@ -239,7 +373,8 @@ app.get('/api/master/products', async (req, res) => {
         for (const p of allPairs) { orParams.push(p.s, p.c); pairToId[`${p.s}_${p.c}`] = p.id; }
         const salesRows = await query(
           `SELECT store, channel_product_no, SUM(qty) as tq, SUM(total_amount) as ta, MIN(order_date) as fo
-           FROM sales_orders WHERE ${orConds.join(' OR ')} GROUP BY store, channel_product_no`, orParams
+           FROM sales_orders WHERE (${orConds.join(' OR ')}) AND ${revenueStatusFilter()}
+           GROUP BY store, channel_product_no`, [...orParams, ...salesStock.REVENUE_EXCLUDED_STATUSES]
         );
         for (const sr of salesRows) {
           const pid = pairToId[`${sr.store}_${sr.channel_product_no}`];
@@ -252,15 +387,21 @@ app.get('/api/master/products', async (req, res) => {
       }
     }
 
+    // 원가/마진은 costs.view 권한이 있을 때만 포함
+    const canViewCosts = auth.hasPermission(req.user, 'costs.view');
+    const rates = canViewCosts ? await margin.getChannelRates() : null;
     const items = rows.map(r => {
       const variants = variantsMap[r.id] || [];
       const totalQty = variants.reduce((sum, v) => sum + v.qty, 0);
-      return {
+      const item = {
         ...r,
         variants,
         totalQty,
         sales: salesMap[r.id] || { totalQty: 0, totalAmount: 0, firstOrder: null },
       };
+      if (!canViewCosts) return margin.stripCosts(item);
+      item.margins = margin.productMargins(r, variants, rates);
+      return item;
     });
 
     res.json({ items, total, page: parseInt(page), limit: parseInt(limit) });
@@ -270,7 +411,7 @@ app.get('/api/master/products', async (req, res) => {
 });
 
 // GET /api/master/products/:id - 상품 상세
-app.get('/api/master/products/:id', async (req, res) => {
+app.get('/api/master/products/:id', requirePermission('inventory.view'), async (req, res) => {
   try {
     const rows = await query('SELECT * FROM products WHERE id = ?', [req.params.id]);
     if (rows.length === 0) return res.status(404).json({ error: '상품 없음' });
@@ -282,17 +423,20 @@ app.get('/api/master/products/:id', async (req, res) => {
 
     // 채널별 매출 집계
     let sales = { totalQty: 0, totalAmount: 0, firstOrder: null, byChannel: {} };
-    const pairs = [
-      { ch: 'naver_a', s: 'A', no: p.naver_a_no },
-      { ch: 'naver_b', s: 'B', no: p.naver_b_no },
-      { ch: 'coupang', s: 'C', no: p.coupang_no },
-      { ch: 'zigzag', s: 'D', no: p.zigzag_no },
-    ];
+    const pairs = channels.listChannels().map(c => ({ ch: c.key, s: c.store, no: p[c.productColumn] }));
+    const canViewCosts = auth.hasPermission(req.user, 'costs.view');
+    const rates = await margin.getChannelRates();
+    const realized = { revenue: 0, fees: 0, cost: 0, costed_revenue: 0, costed_fees: 0 };
     for (const { ch, s, no } of pairs) {
       if (!no) continue;
+      // 원가: 주문에서 차감된 옵션 원가 > 상품 원가
       const sRows = await query(
-        'SELECT SUM(qty) as tq, SUM(total_amount) as ta, MIN(order_date) as fo FROM sales_orders WHERE store = ? AND channel_product_no = ?',
-        [s, no]
+        `SELECT SUM(s.qty) as tq, SUM(s.total_amount) as ta, MIN(s.order_date) as fo,
+          SUM(s.qty * COALESCE(v.cost_price, ?)) as cost,
+          SUM(CASE WHEN COALESCE(v.cost_price, ?) IS NOT NULL THEN s.total_amount ELSE 0 END) as costed
+         FROM sales_orders s LEFT JOIN variants v ON v.id = s.variant_id
+         WHERE s.store = ? AND s.channel_product_no = ? AND ${revenueStatusFilter()}`,
+        [p.cost_price, p.cost_price, s, no, ...salesStock.REVENUE_EXCLUDED_STATUSES]
       );
       if (sRows[0] && sRows[0].tq) {
         const chSales = { qty: Number(sRows[0].tq), amount: Number(sRows[0].ta), firstOrder: sRows[0].fo };
@@ -300,47 +444,78 @@ app.get('/api/master/products/:id', async (req, res) => {
         sales.totalAmount += chSales.amount;
         if (chSales.firstOrder && (!sales.firstOrder || chSales.firstOrder < sales.firstOrder)) sales.firstOrder = chSales.firstOrder;
         sales.byChannel[ch] = chSales;
+
+        const feeRate = rates[s].feeRate;
+        const costed = Number(sRows[0].costed) || 0;
+        realized.revenue += chSales.amount;
+        realized.fees += chSales.amount * feeRate;
+        realized.cost += Number(sRows[0].cost) || 0;
+        realized.costed_revenue += costed;
+        realized.costed_fees += costed * feeRate;
       }
     }
 
-    res.json({ ...p, variants, totalQty, sales });
+    if (!canViewCosts) {
+      return res.json(margin.stripCosts({ ...p, variants, totalQty, sales }));
+    }
+    sales.margin = margin.salesMargin(realized);
+    const margins = margin.productMargins(p, variants, rates);
+    res.json({ ...p, variants, totalQty, sales, margins });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // PUT /api/master/products/:id - 상품 수정
-app.put('/api/master/products/:id', async (req, res) => {
+app.put('/api/master/products/:id', requirePermission('inventory.edit'), async (req, res) => {
   try {
-    const { name, brand, stock_type, sale_price } = req.body;
+    const { name, brand, supplier, stock_type, sale_price, cost_price, cost_note } = req.body;
+    if (cost_price !== undefined && !auth.hasPermission(req.user, 'costs.view')) {
+      return res.status(403).json({ error: '원가 수정 권한이 없습니다.' });
+    }
+    const before = await query('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    if (before.length === 0) return res.status(404).json({ error: '상품 없음' });
     const sets = [];
     const params = [];
     if (name !== undefined) { sets.push('name = ?'); params.push(name); }
     if (brand !== undefined) { sets.push('brand = ?'); params.push(brand); }
+    if (supplier !== undefined) { sets.push('supplier = ?'); params.push(String(supplier).toUpperCase()); }
     if (stock_type !== undefined) { sets.push('stock_type = ?'); params.push(stock_type); }
     if (sale_price !== undefined) { sets.push('sale_price = ?'); params.push(sale_price); }
+    const newCost = cost_price === undefined ? undefined : parseCostPrice(cost_price);
+    if (newCost !== undefined) { sets.push('cost_price = ?'); params.push(newCost); }
     if (sets.length > 0) {
       sets.push('updated_at = NOW()');
       params.push(req.params.id);
       await query(`UPDATE products SET ${sets.join(', ')} WHERE id = ?`, params);
     }
+    // 원가 변경 이력 (공급처 기준)
+    if (newCost !== undefined && newCost !== before[0].cost_price) {
+      const costSupplier = supplier !== undefined ? String(supplier).toUpperCase() : before[0].supplier;
+      await margin.recordCost(req.params.id, null, costSupplier, newCost, req.user, cost_note);
+    }
+    if (stock_type !== undefined) scheduleStockPush(req.params.id);
     const rows = await query('SELECT * FROM products WHERE id = ?', [req.params.id]);
     const variants = await query('SELECT * FROM variants WHERE product_id = ? ORDER BY id', [req.params.id]);
-    res.json({ ...rows[0], variants, totalQty: variants.reduce((s, v) => s + v.qty, 0) });
+    const product = { ...rows[0], variants, totalQty: variants.reduce((s, v) => s + v.qty, 0) };
+    res.json(auth.hasPermission(req.user, 'costs.view') ? product : margin.stripCosts(product));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // POST /api/master/products/:id/variants - 옵션 추가
-app.post('/api/master/products/:id/variants', async (req, res) => {
+app.post('/api/master/products/:id/variants', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const { color, size, qty } = req.body;
     const result = await query(
       'INSERT INTO variants (product_id, color, size, qty) VALUES (?, ?, ?, ?)',
       [req.params.id, color || '', size || null, qty || 0]
     );
+    await ledger.recordInitialQty('variant', result.insertId, parseInt(qty) || 0,
+      { reason: 'stocktake', user: req.user, note: '옵션 추가' });
     await query('UPDATE products SET updated_at = NOW() WHERE id = ?', [req.params.id]);
+    scheduleStockPush(req.params.id);
     const rows = await query('SELECT * FROM variants WHERE id = ?', [result.insertId]);
     res.json(rows[0]);
   } catch (e) {
@@ -349,47 +524,107 @@ app.post('/api/master/products/:id/variants', async (req, res) => {
 });
 
 // PUT /api/master/variants/:variantId - 옵션 수정 (수량 변경 등)
-app.put('/api/master/variants/:variantId', async (req, res) => {
+app.put('/api/master/variants/:variantId', requirePermission('stock.adjust'), async (req, res) => {
   try {
-    const { color, size, qty } = req.body;
+    const { color, size, qty, reason, note, cost_price } = req.body;
+    // 옵션명(컬러/사이즈) 변경은 상품 수정 권한 필요 — 스태프는 수량만
+    if ((color !== undefined || size !== undefined) && !auth.hasPermission(req.user, 'inventory.edit')) {
+      return res.status(403).json({ error: '옵션명 수정 권한이 없습니다.' });
+    }
+    if (cost_price !== undefined
+      && !(auth.hasPermission(req.user, 'inventory.edit') && auth.hasPermission(req.user, 'costs.view'))) {
+      return res.status(403).json({ error: '원가 수정 권한이 없습니다.' });
+    }
     const sets = [];
     const params = [];
     if (color !== undefined) { sets.push('color = ?'); params.push(color); }
     if (size !== undefined) { sets.push('size = ?'); params.push(size); }
-    if (qty !== undefined) { sets.push('qty = ?, updated_at = NOW()'); params.push(qty); }
-    if (sets.length === 0) return res.status(400).json({ error: '수정할 필드 없음' });
-    params.push(req.params.variantId);
-    await query(`UPDATE variants SET ${sets.join(', ')} WHERE id = ?`, params);
+    if (sets.length === 0 && qty === undefined && cost_price === undefined) {
+      return res.status(400).json({ error: '수정할 필드 없음' });
+    }
+    if (sets.length > 0) {
+      params.push(req.params.variantId);
+      await query(`UPDATE variants SET ${sets.join(', ')} WHERE id = ?`, params);
+    }
+    if (cost_price !== undefined) {
+      const newCost = parseCostPrice(cost_price);
+      const cur = await query(
+        'SELECT v.cost_price, v.product_id, p.supplier FROM variants v JOIN products p ON p.id = v.product_id WHERE v.id = ?',
+        [req.params.variantId]
+      );
+      if (cur.length > 0 && cur[0].cost_price !== newCost) {
+        await query('UPDATE variants SET cost_price = ? WHERE id = ?', [newCost, req.params.variantId]);
+        await margin.recordCost(cur[0].product_id, req.params.variantId, cur[0].supplier, newCost, req.user, note);
+      }
+    }
+    // 수량 변경은 재고 원장(stock_movements)에 함께 기록 (실사 시 reason: 'stocktake')
+    if (qty !== undefined) {
+      await ledger.setVariantQty(req.params.variantId, qty, {
+        reason: reason === 'stocktake' ? 'stocktake' : 'manual',
+        user: req.user,
+        note,
+      });
+    }
     const rows = await query('SELECT * FROM variants WHERE id = ?', [req.params.variantId]);
     if (rows.length > 0) {
       await query('UPDATE products SET updated_at = NOW() WHERE id = ?', [rows[0].product_id]);
+      // 수량 변경은 원장 알림으로 전파됨 — 옵션명 변경은 채널 옵션 매칭이 달라지므로 별도 예약
+      if (sets.length > 0) scheduleStockPush(rows[0].product_id);
     }
-    res.json(rows[0]);
+    res.json(rows.length === 0 || auth.hasPermission(req.user, 'costs.view') ? rows[0] : margin.stripCosts(rows[0]));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // DELETE /api/master/variants/:variantId - 옵션 삭제
-app.delete('/api/master/variants/:variantId', async (req, res) => {
+app.delete('/api/master/variants/:variantId', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const rows = await query('SELECT * FROM variants WHERE id = ?', [req.params.variantId]);
     if (rows.length === 0) return res.status(404).json({ error: '옵션 없음' });
     await query('DELETE FROM variants WHERE id = ?', [req.params.variantId]);
+    await ledger.recordRemoval('variant', rows[0].id, rows[0].qty,
+      { reason: 'manual', user: req.user, note: '옵션 삭제' });
     await query('UPDATE products SET updated_at = NOW() WHERE id = ?', [rows[0].product_id]);
+    scheduleStockPush(rows[0].product_id);
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// GET /api/master/products/:id/costs - 원가 변경 이력
+app.get('/api/master/products/:id/costs', requirePermission('costs.view'), async (req, res) => {
+  try {
+    const rows = await margin.getCostHistory(req.params.id, req.query.limit);
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/master/variants/:variantId/movements - 옵션 재고 변동 이력
+app.get('/api/master/variants/:variantId/movements', requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const rows = await query('SELECT * FROM variants WHERE id = ?', [req.params.variantId]);
+    const movements = await ledger.getMovements('variant', req.params.variantId, req.query.limit);
+    if (rows.length === 0 && movements.length === 0) {
+      return res.status(404).json({ error: '옵션 없음' });
+    }
+    res.json({ variant: rows[0] || null, movements });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // POST /api/master/products/:id/link - 채널 연결
-app.post('/api/master/products/:id/link', async (req, res) => {
+app.post('/api/master/products/:id/link', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const { channel, channel_product_id } = req.body;
     const col = channelCols[channel];
     if (!col || !channel_product_id) return res.status(400).json({ error: 'channel, channel_product_id 필수' });
     await query(`UPDATE products SET ${col} = ?, updated_at = NOW() WHERE id = ?`, [channel_product_id, req.params.id]);
+    scheduleStockPush(req.params.id);
     const rows = await query('SELECT * FROM products WHERE id = ?', [req.params.id]);
     res.json({ success: true, ...rows[0] });
   } catch (e) {
@@ -397,8 +632,22 @@ app.post('/api/master/products/:id/link', async (req, res) => {
   }
 });
 
+// POST /api/master/products/:id/push-stock - 채널 재고 즉시 전송
+app.post('/api/master/products/:id/push-stock', requirePermission('sync.run'), async (req, res) => {
+  try {
+    if (!(await stockSync.isEnabled())) {
+      return res.status(400).json({ error: '채널 재고 전파가 꺼져 있습니다. Settings에서 활성화해주세요.' });
+    }
+    const results = await stockSync.pushProduct(Number(req.params.id));
+    if (results === null) return res.status(409).json({ error: '재고 전송 대상이 아니거나 이미 전송 중입니다.' });
+    res.json({ success: true, results });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // DELETE /api/master/products/:id/link/:channel - 채널 연결 해제
-app.delete('/api/master/products/:id/link/:channel', async (req, res) => {
+app.delete('/api/master/products/:id/link/:channel', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const col = channelCols[req.params.channel];
     if (!col) return res.status(400).json({ error: '유효하지 않은 채널' });
@@ -410,7 +659,7 @@ app.delete('/api/master/products/:id/link/:channel', async (req, res) => {
 });
 
 // GET /api/master/stats - 상품 통계
-app.get('/api/master/stats', async (req, res) => {
+app.get('/api/master/stats', requirePermission('inventory.view'), async (req, res) => {
   try {
     const [totalRow] = await query('SELECT COUNT(*) as cnt FROM products');
     const [invRow] = await query("SELECT COUNT(*) as cnt FROM products WHERE stock_type = 'inventory'");
@@ -436,7 +685,7 @@ app.get('/api/master/stats', async (req, res) => {
 });
 
 // GET /api/master/next-sku - 다음 품번 조회
-app.get('/api/master/next-sku', async (req, res) => {
+app.get('/api/master/next-sku', requirePermission('inventory.view'), async (req, res) => {
   try {
     const supplier = (req.query.supplier || 'ETC').toUpperCase();
     const year = new Date().getFullYear();
@@ -454,7 +703,7 @@ app.get('/api/master/next-sku', async (req, res) => {
 });
 
 // POST /api/master/products - 상품 추가
-app.post('/api/master/products', async (req, res) => {
+app.post('/api/master/products', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const { name, brand, supplier, color, size, qty, stock_type, image_url, naver_a_no } = req.body;
     if (!name) return res.status(400).json({ error: '상품명 필수' });
@@ -475,10 +724,12 @@ app.post('/api/master/products', async (req, res) => {
     const productId = result.insertId;
     // 초기 옵션 생성
     if (color || size || qty) {
-      await query(
+      const vResult = await query(
         'INSERT INTO variants (product_id, color, size, qty) VALUES (?, ?, ?, ?)',
         [productId, color || '', size || null, qty || 0]
       );
+      await ledger.recordInitialQty('variant', vResult.insertId, parseInt(qty) || 0,
+        { reason: 'stocktake', user: req.user, note: '상품 등록' });
     }
     const rows = await query('SELECT * FROM products WHERE id = ?', [productId]);
     const variants = await query('SELECT * FROM variants WHERE product_id = ? ORDER BY id', [productId]);
@@ -489,7 +740,7 @@ app.post('/api/master/products', async (req, res) => {
 });
 
 // POST /api/master/import-from-store-a - A스토어 상품 일괄 등록
-app.post('/api/master/import-from-store-a', async (req, res) => {
+app.post('/api/master/import-from-store-a', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const storeProducts = await query('SELECT * FROM store_a_products ORDER BY name');
     if (storeProducts.length === 0) {
@@ -546,17 +797,21 @@ app.post('/api/master/import-from-store-a', async (req, res) => {
 
 // GET /api/health - 헬스체크 (서버 keep-alive용)
 app.get('/api/health', async (req, res) => {
-  const status = await scheduler.getStatus();
-  res.json({
-    status: 'ok',
-    uptime: Math.floor(process.uptime()),
-    syncActive: status.schedulerActive,
-    lastSync: status.lastSyncTime,
-  });
+  try {
+    const status = await scheduler.getStatus();
+    res.json({
+      status: 'ok',
+      uptime: Math.floor(process.uptime()),
+      syncActive: status.schedulerActive,
+      lastSync: status.lastSyncTime,
+    });
+  } catch (e) {
+    res.status(500).json({ status: 'error', error: e.message });
+  }
 });
 
 // GET /api/inventory - 전체 재고 조회 (검색, 필터, 정렬, 페이지네이션)
-app.get('/api/inventory', async (req, res) => {
+app.get('/api/inventory', requirePermission('inventory.view'), async (req, res) => {
   try {
     const { search, brand, sort, page, limit } = req.query;
     const conditions = [];
@@ -608,7 +863,7 @@ app.get('/api/inventory', async (req, res) => {
 });
 
 // GET /api/stats - 통계
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requirePermission('inventory.view'), async (req, res) => {
   try {
     const totalItems = (await query('SELECT COUNT(*) as cnt FROM inventory'))[0].cnt;
     const totalQty = Number((await query('SELECT COALESCE(SUM(qty), 0) as s FROM inventory'))[0].s);
@@ -621,7 +876,7 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // GET /api/brands - 브랜드 목록
-app.get('/api/brands', async (req, res) => {
+app.get('/api/brands', requirePermission('inventory.view'), async (req, res) => {
   try {
     const rows = await query("SELECT DISTINCT brand FROM inventory WHERE brand != '' ORDER BY brand");
     res.json(rows.map(r => r.brand));
@@ -631,23 +886,18 @@ app.get('/api/brands', async (req, res) => {
 });
 
 // POST /api/inventory - 재고 추가
-app.post('/api/inventory', async (req, res) => {
+app.post('/api/inventory', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const { name, color, qty, brand: inputBrand, productOrderId, channelProductNo, size } = req.body;
     if (!name || !color) {
       return res.status(400).json({ error: '상품명과 컬러는 필수입니다.' });
     }
-    // 중복 방지: productOrderId가 있으면 이미 등록된 건인지 체크 (재고반영/B스토어 복사 포함)
-    if (productOrderId) {
-      const orderIdList = productOrderId.includes(',') ? productOrderId.split(',') : [productOrderId];
-      const placeholders = orderIdList.map(() => '?').join(',');
-      const dupRows = await query(
-        `SELECT product_order_id FROM sync_log WHERE type IN ('inventory_update', 'qty_increase', 'product_create') AND status = 'success' AND product_order_id IN (${placeholders})`,
-        orderIdList.map(id => id.trim())
-      );
-      if (dupRows.length > 0) {
-        return res.status(400).json({ error: '이미 등록된 반품 건입니다.' });
-      }
+    // 반품에서 불러온 건: 합산 선택 시 콤마 구분된 여러 productOrderId를 한 번에 claim
+    // (자동 동기화와 같은 processed_returns 원장 → 이미 재고 반영된 건이면 거부)
+    const orderIdList = productOrderId ? processedReturns.normalizeIds(productOrderId) : [];
+    if (orderIdList.length > 0 &&
+        !await processedReturns.claim(orderIdList, 'inventory', { source: 'manual', runId: 'manual' })) {
+      return res.status(400).json({ error: '이미 등록된 반품 건입니다.' });
     }
 
     const brand = inputBrand || extractBrand(name);
@@ -656,29 +906,48 @@ app.post('/api/inventory', async (req, res) => {
     const trimmedColor = color.trim();
     const trimmedSize = size ? size.trim() : null;
 
-    const result = await query(
-      'INSERT INTO inventory (name, color, qty, brand, channel_product_no, size) VALUES (?, ?, ?, ?, ?, ?)',
-      [trimmedName, trimmedColor, qtyVal, brand, channelProductNo || null, trimmedSize]
-    );
+    let result;
+    try {
+      result = await query(
+        'INSERT INTO inventory (name, color, qty, brand, channel_product_no, size) VALUES (?, ?, ?, ?, ?, ?)',
+        [trimmedName, trimmedColor, qtyVal, brand, channelProductNo || null, trimmedSize]
+      );
+    } catch (insertErr) {
+      await processedReturns.release(orderIdList, 'inventory').catch(() => {});
+      throw insertErr;
+    }
+    await processedReturns.complete(orderIdList, 'inventory', `수동 등록 → 재고 #${result.insertId}`);
     const rows = await query('SELECT * FROM inventory WHERE id = ?', [result.insertId]);
+    await ledger.recordInitialQty('inventory', result.insertId, qtyVal, {
+      reason: productOrderId ? 'return' : 'manual',
+      referenceId: productOrderId || null,
+      user: req.user,
+      note: '재고 추가',
+    });
 
-    // 반품에서 불러온 건이면 sync_log에 기록 → 자동 동기화 중복 방지
-    // 합산 선택 시 콤마 구분된 여러 productOrderId → 각각 기록
-    if (productOrderId) {
+    // 반품에서 불러온 건이면 sync_log에 이력 기록 (중복 방지는 processed_returns가 담당)
+    if (orderIdList.length > 0) {
       try {
-        const orderIdList = productOrderId.includes(',') ? productOrderId.split(',') : [productOrderId];
         for (const oid of orderIdList) {
-          const storeFrom = oid.trim().startsWith('CPG_') ? 'C' : oid.trim().startsWith('ZZG_') ? 'D' : 'A';
-          const storeLabel = storeFrom === 'C' ? '쿠팡' : storeFrom === 'D' ? '지그재그' : '네이버';
+          const storeFrom = channels.storeForOrderId(oid);
+          const storeLabel = channels.getChannel(storeFrom).label;
           await query(
             `INSERT INTO sync_log (run_id, type, store_from, store_to, product_order_id, channel_product_no, product_name, product_option, qty, status, message)
              VALUES ('manual', 'inventory_update', ?, NULL, ?, ?, ?, ?, ?, 'success', ?)`,
-            [storeFrom, oid.trim(), channelProductNo || null, trimmedName, trimmedColor, qtyVal, `수동 등록 (${storeLabel} 불러오기)`]
+            [storeFrom, oid, channelProductNo || null, trimmedName, trimmedColor, qtyVal, `수동 등록 (${storeLabel} 불러오기)`]
           );
         }
       } catch (logErr) {
         console.log('[Inventory] sync_log 기록 실패 (무시):', logErr.message);
       }
+      try {
+        await returnLifecycle.markRestocked(orderIdList.map(oid => ({
+          productOrderId: oid, store: channels.storeForOrderId(oid), productName: trimmedName,
+          optionName: trimmedColor, qty: qtyVal, channelProductNo,
+        })), { user: req.user, note: `재고 추가 → 재고 #${result.insertId}` });
+      } catch (stateErr) {
+        console.error('[Inventory] 반품 재입고 처리 실패:', stateErr.message);
+      }
     }
 
     res.status(201).json(rows[0]);
@@ -688,10 +957,13 @@ app.post('/api/inventory', async (req, res) => {
 });
 
 // PUT /api/inventory/:id - 수량/상품명 수정
-app.put('/api/inventory/:id', async (req, res) => {
+app.put('/api/inventory/:id', requirePermission('stock.adjust'), async (req, res) => {
   try {
     const { id } = req.params;
     const { qty, name } = req.body;
+    if (name !== undefined && !auth.hasPermission(req.user, 'inventory.edit')) {
+      return res.status(403).json({ error: '상품명 수정 권한이 없습니다.' });
+    }
     const sets = [];
     const params = [];
     if (name !== undefined) {
@@ -703,18 +975,22 @@ app.put('/api/inventory/:id', async (req, res) => {
       sets.push('brand = ?');
       params.push(newBrand);
     }
-    if (qty !== undefined) {
-      sets.push('qty = ?, updated_at = NOW()');
-      params.push(Math.max(0, parseInt(qty) || 0));
-    }
-    if (sets.length === 0) {
+    if (sets.length === 0 && qty === undefined) {
       return res.status(400).json({ error: '변경할 항목이 없습니다.' });
     }
-    params.push(id);
-    await query(
-      `UPDATE inventory SET ${sets.join(', ')} WHERE id = ?`,
-      params
-    );
+    if (sets.length > 0) {
+      params.push(id);
+      await query(
+        `UPDATE inventory SET ${sets.join(', ')} WHERE id = ?`,
+        params
+      );
+    }
+    if (qty !== undefined) {
+      await ledger.setInventoryQty(id, qty, {
+        reason: req.body.reason === 'stocktake' ? 'stocktake' : 'manual',
+        user: req.user,
+      });
+    }
     const rows = await query('SELECT * FROM inventory WHERE id = ?', [id]);
     if (rows.length === 0) {
       return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
@@ -726,13 +1002,16 @@ app.put('/api/inventory/:id', async (req, res) => {
 });
 
 // DELETE /api/inventory/:id - 단건 삭제
-app.delete('/api/inventory/:id', async (req, res) => {
+app.delete('/api/inventory/:id', requirePermission('inventory.edit'), async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await query('SELECT id, qty FROM inventory WHERE id = ?', [id]);
     const result = await query('DELETE FROM inventory WHERE id = ?', [id]);
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
     }
+    await ledger.recordRemoval('inventory', existing[0].id, existing[0].qty,
+      { reason: 'manual', user: req.user, note: '재고 삭제' });
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -740,14 +1019,19 @@ app.delete('/api/inventory/:id', async (req, res) => {
 });
 
 // POST /api/inventory/delete-bulk - 일괄 삭제
-app.post('/api/inventory/delete-bulk', async (req, res) => {
+app.post('/api/inventory/delete-bulk', requirePermission('inventory.bulk_delete'), async (req, res) => {
   try {
     const { ids } = req.body;
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ error: '삭제할 항목을 선택해주세요.' });
     }
     const placeholders = ids.map(() => '?').join(',');
+    const existing = await query(`SELECT id, qty FROM inventory WHERE id IN (${placeholders})`, ids);
     const result = await query(`DELETE FROM inventory WHERE id IN (${placeholders})`, ids);
+    for (const row of existing) {
+      await ledger.recordRemoval('inventory', row.id, row.qty,
+        { reason: 'manual', user: req.user, note: '일괄 삭제' });
+    }
     res.json({ success: true, deleted: result.affectedRows });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -755,7 +1039,7 @@ app.post('/api/inventory/delete-bulk', async (req, res) => {
 });
 
 // GET /api/server-ip - 서버 아웃바운드 IP 확인 (임시)
-app.get('/api/server-ip', async (req, res) => {
+app.get('/api/server-ip', requirePermission('sync.config'), async (req, res) => {
   try {
     const r = await fetch('https://api.ipify.org?format=json');
     const data = await r.json();
@@ -768,15 +1052,21 @@ app.get('/api/server-ip', async (req, res) => {
 // --- Sales API Routes ---
 
 // GET /api/sales/stats - 오늘 매출 요약 (어제 비교)
-app.get('/api/sales/stats', async (req, res) => {
+app.get('/api/sales/stats', requirePermission('sales.view'), async (req, res) => {
   try {
     // mysql2 timezone: +09:00 → CURDATE()가 KST 기준, order_date도 KST 저장
-    const excludeStatuses = "('CANCELED', 'CANCELED_BY_NOPAYMENT', 'RETURNED', 'EXCHANGED', 'CANCELLED')";
+    // 수집 후 취소/반품된 주문은 상태가 갱신되므로 집계 시점마다 제외됨
     const today = await query(
-      `SELECT COUNT(*) as orders, COALESCE(SUM(total_amount), 0) as revenue FROM sales_orders WHERE DATE(order_date) = CURDATE() AND product_order_status NOT IN ${excludeStatuses}`
+      `SELECT COUNT(*) as orders, COALESCE(SUM(total_amount), 0) as revenue FROM sales_orders WHERE DATE(order_date) = CURDATE() AND ${revenueStatusFilter()}`,
+      salesStock.REVENUE_EXCLUDED_STATUSES
     );
     const yest = await query(
-      `SELECT COUNT(*) as orders, COALESCE(SUM(total_amount), 0) as revenue FROM sales_orders WHERE DATE(order_date) = CURDATE() - INTERVAL 1 DAY AND product_order_status NOT IN ${excludeStatuses}`
+      `SELECT COUNT(*) as orders, COALESCE(SUM(total_amount), 0) as revenue FROM sales_orders WHERE DATE(order_date) = CURDATE() - INTERVAL 1 DAY AND ${revenueStatusFilter()}`,
+      salesStock.REVENUE_EXCLUDED_STATUSES
+    );
+    const cancelledToday = await query(
+      `SELECT COUNT(*) as orders, COALESCE(SUM(total_amount), 0) as amount FROM sales_orders WHERE DATE(order_date) = CURDATE() AND NOT ${revenueStatusFilter()}`,
+      salesStock.REVENUE_EXCLUDED_STATUSES
     );
 
     const todayRevenue = Number(today[0].revenue);
@@ -802,6 +1092,8 @@ app.get('/api/sales/stats', async (req, res) => {
       avgPrice,
       yesterdayRevenue,
       yesterdayOrders,
+      cancelledOrders: Number(cancelledToday[0].orders),
+      cancelledAmount: Number(cancelledToday[0].amount),
       lastFetchTime,
     });
   } catch (e) {
@@ -809,8 +1101,135 @@ app.get('/api/sales/stats', async (req, res) => {
   }
 });
 
+// 매출 리포트 그룹 기준 SQL (s: sales_orders, p: products) — label이 없으면 key를 그대로 표시
+const SALES_REPORT_GROUPS = {
+  day: { key: "DATE_FORMAT(s.order_date, '%Y-%m-%d')", timeline: true },
+  week: { key: "DATE_FORMAT(DATE_SUB(DATE(s.order_date), INTERVAL WEEKDAY(s.order_date) DAY), '%Y-%m-%d')", timeline: true },
+  month: { key: "DATE_FORMAT(s.order_date, '%Y-%m')", timeline: true },
+  store: { key: 's.store' },
+  brand: { key: "COALESCE(NULLIF(p.brand, ''), '(미분류)')" },
+  sku: { key: "COALESCE(p.sku, '(미연결)')", label: 'MAX(p.name)' },
+  // 마스터 상품 미연결 주문은 채널 상품번호별로 묶음
+  product: {
+    key: "COALESCE(CAST(p.id AS CHAR), CONCAT(s.store, ':', COALESCE(s.channel_product_no, '')))",
+    label: 'COALESCE(MAX(p.name), MAX(s.product_name))',
+  },
+};
+
+// GET /api/sales/report - 기간별 매출 리포트 (?from&to&groupBy&store&limit)
+app.get('/api/sales/report', requirePermission('sales.view'), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    const group = SALES_REPORT_GROUPS[groupBy];
+    if (!group) {
+      return res.status(400).json({ error: `groupBy는 ${Object.keys(SALES_REPORT_GROUPS).join('|')} 중 하나여야 합니다.` });
+    }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    // 2026-02-31처럼 없는 날짜는 Date가 다음 달로 넘기므로 되돌린 문자열이 같은지 확인
+    const invalidDate = (value) => value && (!datePattern.test(value) || isNaN(new Date(value).getTime())
+      || new Date(value).toISOString().slice(0, 10) !== value);
+    if (invalidDate(req.query.from) || invalidDate(req.query.to)) {
+      return res.status(400).json({ error: 'from/to는 YYYY-MM-DD 형식이어야 합니다.' });
+    }
+    const today = new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = req.query.to || today;
+    const from = req.query.from
+      || new Date(new Date(to).getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (from > to) return res.status(400).json({ error: 'from이 to보다 늦습니다.' });
+
+    const conditions = ['s.order_date >= ?', 's.order_date < DATE_ADD(?, INTERVAL 1 DAY)', revenueStatusFilter()];
+    const params = [from, to, ...salesStock.REVENUE_EXCLUDED_STATUSES];
+    if (req.query.store && req.query.store !== 'all') {
+      conditions.push('s.store = ?');
+      params.push(req.query.store);
+    }
+
+    // 주문 스토어의 채널 상품번호 컬럼으로만 마스터 상품 연결 — 같은 번호의 상품이 여러 개여도 1개만 (매출 중복 집계 방지)
+    const productIdCase = 'CASE s.store ' + Object.entries(salesStock.STORE_PRODUCT_COLUMNS)
+      .map(([store, col]) => `WHEN '${store}' THEN (SELECT MIN(pp.id) FROM products pp WHERE pp.${col} = s.channel_product_no)`)
+      .join(' ') + ' END';
+    const source = `FROM sales_orders s LEFT JOIN products p ON p.id = ${productIdCase}
+      LEFT JOIN variants v ON v.id = s.variant_id`;
+    const where = 'WHERE ' + conditions.join(' AND ');
+
+    // 마진 집계: 원가(옵션 > 상품) × 수량, 채널 수수료율 × 매출
+    const canViewCosts = auth.hasPermission(req.user, 'costs.view');
+    let marginCols = '';
+    if (canViewCosts) {
+      const rates = await margin.getChannelRates();
+      const feeCase = 'CASE s.store ' + Object.entries(rates)
+        .map(([store, r]) => `WHEN '${store}' THEN ${Number(r.feeRate) || 0}`).join(' ') + ' ELSE 0 END';
+      const unitCostExpr = 'COALESCE(v.cost_price, p.cost_price)';
+      marginCols = `,
+        COALESCE(SUM(s.total_amount * ${feeCase}), 0) as fees,
+        COALESCE(SUM(s.qty * ${unitCostExpr}), 0) as cost,
+        COALESCE(SUM(CASE WHEN ${unitCostExpr} IS NOT NULL THEN s.total_amount ELSE 0 END), 0) as costed_revenue,
+        COALESCE(SUM(CASE WHEN ${unitCostExpr} IS NOT NULL THEN s.total_amount * ${feeCase} ELSE 0 END), 0) as costed_fees`;
+    }
+    const metrics = `COALESCE(SUM(s.total_amount), 0) as revenue, COUNT(*) as orders, COALESCE(SUM(s.qty), 0) as units${marginCols}`;
+
+    const limit = Math.min(parseInt(req.query.limit) || (group.timeline ? 400 : 50), 500);
+    const rows = await query(
+      `SELECT ${group.key} as group_key, ${group.label || 'NULL'} as label, ${metrics}
+       ${source} ${where}
+       GROUP BY group_key
+       ORDER BY ${group.timeline ? 'group_key ASC' : 'revenue DESC'}
+       LIMIT ?`,
+      [...params, limit]
+    );
+    const totalRows = await query(`SELECT ${metrics} ${source} ${where}`, params);
+
+    const totalRevenue = Number(totalRows[0].revenue);
+    const totalOrders = Number(totalRows[0].orders);
+    const items = rows.map(r => {
+      const revenue = Number(r.revenue);
+      const orders = Number(r.orders);
+      const item = {
+        key: r.group_key,
+        label: r.label || r.group_key,
+        revenue,
+        orders,
+        units: Number(r.units),
+        avgPrice: orders > 0 ? Math.round(revenue / orders) : 0,
+        share: totalRevenue > 0 ? Math.round((revenue / totalRevenue) * 1000) / 10 : 0,
+      };
+      if (canViewCosts) item.margin = margin.salesMargin(r);
+      return item;
+    });
+
+    res.json({
+      from,
+      to,
+      groupBy,
+      items,
+      totals: {
+        revenue: totalRevenue,
+        orders: totalOrders,
+        units: Number(totalRows[0].units),
+        avgPrice: totalOrders > 0 ? Math.round(totalRevenue / totalOrders) : 0,
+        margin: canViewCosts ? margin.salesMargin(totalRows[0]) : undefined,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/sales/orders/:productOrderId/history - 주문 상태 변경 이력
+app.get('/api/sales/orders/:productOrderId/history', requirePermission('sales.view'), async (req, res) => {
+  try {
+    const rows = await query(
+      'SELECT * FROM sales_order_status_history WHERE product_order_id = ? ORDER BY id',
+      [req.params.productOrderId]
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // GET /api/sales/recent - 주문 목록 (날짜 필터 지원)
-app.get('/api/sales/recent', async (req, res) => {
+app.get('/api/sales/recent', requirePermission('sales.view'), async (req, res) => {
   try {
     const { store, limit: lim, date } = req.query;
     const conditions = [];
@@ -839,8 +1258,111 @@ app.get('/api/sales/recent', async (req, res) => {
   }
 });
 
+// GET /api/sales/stock-review - 재고 차감 검토 대기 주문 (상품/옵션 매칭 실패)
+app.get('/api/sales/stock-review', requirePermission('sales.view'), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT * FROM sales_orders WHERE stock_state = 'unresolved' ORDER BY order_date DESC LIMIT 100`
+    );
+    const items = [];
+    for (const row of rows) {
+      // 상품까지 찾았으면 옵션 후보를 함께 반환
+      const { product } = await salesStock.resolveOrderVariant(row);
+      const variants = product
+        ? await query('SELECT id, color, size, qty FROM variants WHERE product_id = ? ORDER BY id', [product.id])
+        : [];
+      items.push({
+        ...row,
+        product: product ? { id: product.id, sku: product.sku, name: product.name } : null,
+        variants,
+      });
+    }
+    const countRows = await query(`SELECT COUNT(*) as cnt FROM sales_orders WHERE stock_state = 'unresolved'`);
+    res.json({ items, total: countRows[0].cnt });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/sales/stock-review/:id/resolve - 옵션 지정 후 재고 차감
+app.post('/api/sales/stock-review/:id/resolve', requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const { variantId } = req.body;
+    if (!variantId) return res.status(400).json({ error: '옵션을 선택해주세요.' });
+    const result = await salesStock.resolveReview(parseInt(req.params.id), parseInt(variantId), req.user);
+    res.json({ success: true, result });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// POST /api/sales/stock-review/:id/dismiss - 재고 차감 없이 검토 제외
+app.post('/api/sales/stock-review/:id/dismiss', requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    await salesStock.dismissReview(parseInt(req.params.id), req.user);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /api/exchanges/review - 교환 재고 검토 대기 (교환 옵션 미제공/옵션 매칭 실패)
+app.get('/api/exchanges/review', requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { items: rows, total } = await exchangeStock.listReview();
+    const items = [];
+    for (const row of rows) {
+      // 추천 옵션이 있으면 그 상품, 없으면 채널 상품번호로 찾은 상품의 옵션을 후보로 반환
+      let productId = null;
+      const suggested = row.inbound_variant_id || row.outbound_variant_id;
+      if (suggested) {
+        const found = await query('SELECT product_id FROM variants WHERE id = ?', [suggested]);
+        if (found[0]) productId = found[0].product_id;
+      }
+      if (!productId) {
+        const { product } = await variantItems.resolveVariant({
+          store: row.store, channel_product_no: row.channel_product_no, option_name: row.inbound_option,
+        });
+        if (product) productId = product.id;
+      }
+      const variants = productId
+        ? await query('SELECT id, color, size, qty FROM variants WHERE product_id = ? ORDER BY id', [productId])
+        : [];
+      items.push({ ...row, variants });
+    }
+    res.json({ items, total });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/exchanges/:id/resolve - 들어온/나갈 옵션 지정 후 재고 반영
+app.post('/api/exchanges/:id/resolve', requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    const { inboundVariantId, outboundVariantId } = req.body;
+    if (!inboundVariantId || !outboundVariantId) return res.status(400).json({ error: '옵션을 선택해주세요.' });
+    await exchangeStock.resolveReview(parseInt(req.params.id), {
+      inboundVariantId: parseInt(inboundVariantId),
+      outboundVariantId: parseInt(outboundVariantId),
+    }, req.user);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// POST /api/exchanges/:id/dismiss - 재고 반영 없이 검토 제외
+app.post('/api/exchanges/:id/dismiss', requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    await exchangeStock.dismissReview(parseInt(req.params.id), req.user);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
 // GET /api/sales/debug - 주문 조회 디버그 (lastChangedType 생략)
-app.get('/api/sales/debug', async (req, res) => {
+app.get('/api/sales/debug', requirePermission('system.debug'), async (req, res) => {
   try {
     await initSyncClients();
     const now = new Date();
@@ -880,31 +1402,30 @@ app.get('/api/sales/debug', async (req, res) => {
 });
 
 // POST /api/sales/fetch - 수동 매출 데이터 수집
-app.post('/api/sales/fetch', async (req, res) => {
+app.post('/api/sales/fetch', requirePermission('sales.fetch'), async (req, res) => {
+  let lease = null;
   try {
-    await initSyncClients();
-
     const { resetDays } = req.body || {};
-    // 네이버 스토어
-    const naverStores = [
-      { key: 'A', client: scheduler.storeA, configKey: 'sales_last_fetch_a' },
-      { key: 'B', client: scheduler.storeB, configKey: 'sales_last_fetch_b' },
-    ];
+    if (resetDays && !auth.hasPermission(req.user, 'sales.reset')) {
+      return res.status(403).json({ error: '매출 데이터 리셋 권한이 없습니다.' });
+    }
 
-    // 쿠팡 클라이언트 초기화
-    const coupangClient = await initCoupangClient();
-    // 지그재그 클라이언트 초기화
-    const zigzagClient = await initZigzagClient();
+    await initSyncClients();
+    // 자동 수집(다른 서버 포함)과 겹치면 같은 주문의 재고 반영이 중복될 수 있음
+    lease = await leaseLock.acquire(SALES_LOCK, { purpose: '매출 수집 (수동)' });
+    if (!lease) {
+      return res.status(409).json({ error: '다른 서버에서 매출 수집이 실행 중입니다. 잠시 후 다시 시도해주세요.' });
+    }
+    const adapters = await scheduler.getChannelAdapters();
 
     // 리셋 요청 시 기존 데이터 삭제 + last_fetch 초기화
     if (resetDays) {
       await query('DELETE FROM sales_orders');
+      await query('DELETE FROM sales_order_status_history');
       const resetTime = new Date(Date.now() - resetDays * 24 * 60 * 60 * 1000).toISOString();
-      for (const s of naverStores) {
-        await scheduler.setConfig(s.configKey, resetTime);
+      for (const adapter of adapters) {
+        await scheduler.setConfig(adapter.constructor.salesConfigKey, resetTime);
       }
-      if (coupangClient) await scheduler.setConfig('sales_last_fetch_c', resetTime);
-      if (zigzagClient) await scheduler.setConfig('sales_last_fetch_d', resetTime);
       console.log(`[Sales] 전체 리셋: 기존 데이터 삭제 + ${resetDays}일 전부터 재수집`);
     }
 
@@ -913,177 +1434,28 @@ app.post('/api/sales/fetch', async (req, res) => {
     const errors = [];
     const storeResults = [];
 
-    // === 네이버 수집 ===
-    for (const { key, client, configKey } of naverStores) {
+    for (const adapter of adapters) {
       try {
-        const lastFetch = await scheduler.getConfig(configKey);
-        const now = new Date();
-        const from = (lastFetch && lastFetch.length > 0) ? new Date(lastFetch) : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-        console.log(`[Sales] Store ${key} 수집 시작: ${from.toISOString()} ~ ${now.toISOString()}`);
-        let cursor = new Date(from);
-        let storeInserted = 0;
-        let storeFound = 0;
-
-        while (cursor < now) {
-          const chunkEnd = new Date(Math.min(cursor.getTime() + 24 * 60 * 60 * 1000, now.getTime()));
-
-          try {
-            const orderIds = await client.getOrders(cursor.toISOString(), chunkEnd.toISOString());
-            storeFound += orderIds.length;
-
-            if (orderIds.length > 0) {
-              const batchSize = 50;
-              for (let i = 0; i < orderIds.length; i += batchSize) {
-                const batch = orderIds.slice(i, i + batchSize);
-                const details = await client.getProductOrderDetail(batch);
-
-                for (const detail of details) {
-                  const po = detail.productOrder || detail;
-                  const order = detail.order || {};
-                  const productOrderId = po.productOrderId || '';
-                  const rawDate = order.paymentDate || order.orderDate || po.placeOrderDate || chunkEnd.toISOString();
-                  const orderDate = new Date(rawDate);
-                  const productName = po.productName || '';
-                  const optionName = po.optionName || null;
-                  const qty = po.quantity || 1;
-                  const unitPrice = po.unitPrice || po.salePrice || 0;
-                  const totalAmount = po.totalPaymentAmount || po.totalProductAmount || (unitPrice * qty);
-                  const status = po.productOrderStatus || '';
-                  const channelProductNo = String(po.channelProductNo || po.productId || '');
-
-                  try {
-                    const insertResult = await query(
-                      `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                      [key, productOrderId, orderDate, productName, optionName, qty, unitPrice, totalAmount, status, channelProductNo]
-                    );
-                    if (insertResult.affectedRows > 0) storeInserted++;
-                  } catch (dbErr) { }
-                }
-
-                if (i + batchSize < orderIds.length) {
-                  await new Promise(r => setTimeout(r, 300));
-                }
-              }
-            }
-          } catch (chunkErr) {
-            errors.push(`Store ${key}: ${chunkErr.message}`);
-            console.log(`[Sales] Store ${key} 청크 오류 (${cursor.toISOString()}):`, chunkErr.message);
-          }
-
-          cursor = chunkEnd;
-          await new Promise(r => setTimeout(r, 300));
-        }
-
-        if (!errors.some(e => e.startsWith(`Store ${key}`))) {
-          await scheduler.setConfig(configKey, now.toISOString());
-        }
-        storeResults.push({ store: `네이버(${key})`, found: storeFound, inserted: storeInserted });
-        totalInserted += storeInserted;
-        totalFound += storeFound;
-        console.log(`[Sales] Store ${key} 수집 완료: 발견 ${storeFound}건, 신규 ${storeInserted}건`);
+        // 수동 수집은 이력이 없으면 30일 전부터
+        const result = await scheduler.collectChannelSales(adapter, 30);
+        errors.push(...result.errors.map(msg => `${adapter.label}: ${msg}`));
+        // 일부 구간/주문 실패 시 result.to는 실패한 첫 구간 시작 → 다음 수집에서 그 구간부터 재조회
+        await scheduler.setConfig(adapter.constructor.salesConfigKey, result.to.toISOString());
+        storeResults.push({ store: adapter.label, storeCode: adapter.store, found: result.found, inserted: result.inserted });
+        totalInserted += result.inserted;
+        totalFound += result.found;
       } catch (storeErr) {
-        errors.push(`Store ${key}: ${storeErr.message}`);
-        console.error(`[Sales] Store ${key} 오류:`, storeErr.message);
+        errors.push(`${adapter.label}: ${storeErr.message}`);
+        console.error(`[Sales] ${adapter.label} 오류:`, storeErr.message);
       }
     }
 
-    // === 쿠팡 수집 ===
-    if (coupangClient) {
+    // 신규 매출 푸시 알림
+    if (totalInserted > 0) {
       try {
-        const configKey = 'sales_last_fetch_c';
-        const lastFetch = await scheduler.getConfig(configKey);
-        const now = new Date();
-        const from = (lastFetch && lastFetch.length > 0) ? new Date(lastFetch) : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-        console.log(`[Sales] Coupang 수집 시작: ${from.toISOString()} ~ ${now.toISOString()}`);
-        let cursor = new Date(from);
-        let storeInserted = 0;
-        let storeFound = 0;
-
-        while (cursor < now) {
-          const chunkEnd = new Date(Math.min(cursor.getTime() + 24 * 60 * 60 * 1000, now.getTime()));
-          try {
-            const items = await coupangClient.getOrderItems(cursor.toISOString(), chunkEnd.toISOString());
-            storeFound += items.length;
-            for (const item of items) {
-              try {
-                const insertResult = await query(
-                  `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                  ['C', item.productOrderId, item.orderDate, item.productName, item.optionName,
-                   item.qty, item.unitPrice, item.totalAmount, item.status, item.channelProductNo]
-                );
-                if (insertResult.affectedRows > 0) storeInserted++;
-              } catch (dbErr) { }
-            }
-          } catch (chunkErr) {
-            errors.push(`Coupang: ${chunkErr.message}`);
-            console.log(`[Sales] Coupang 청크 오류 (${cursor.toISOString()}):`, chunkErr.message);
-          }
-          cursor = chunkEnd;
-          await new Promise(r => setTimeout(r, 300));
-        }
-
-        if (!errors.some(e => e.startsWith('Coupang'))) {
-          await scheduler.setConfig(configKey, now.toISOString());
-        }
-        storeResults.push({ store: '쿠팡', found: storeFound, inserted: storeInserted });
-        totalInserted += storeInserted;
-        totalFound += storeFound;
-        console.log(`[Sales] Coupang 수집 완료: 발견 ${storeFound}건, 신규 ${storeInserted}건`);
-      } catch (e) {
-        errors.push(`Coupang: ${e.message}`);
-        console.error('[Sales] Coupang 오류:', e.message);
-      }
-    }
-
-    // === 지그재그 수집 ===
-    if (zigzagClient) {
-      try {
-        const configKey = 'sales_last_fetch_d';
-        const lastFetch = await scheduler.getConfig(configKey);
-        const now = new Date();
-        const from = (lastFetch && lastFetch.length > 0) ? new Date(lastFetch) : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-        console.log(`[Sales] Zigzag 수집 시작: ${from.toISOString()} ~ ${now.toISOString()}`);
-        let storeInserted = 0;
-        let storeFound = 0;
-
-        const items = await zigzagClient.getOrderItems(from.toISOString(), now.toISOString());
-        storeFound = items.length;
-        for (const item of items) {
-          try {
-            const insertResult = await query(
-              `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-              ['D', item.productOrderId, item.orderDate, item.productName, item.optionName,
-               item.qty, item.unitPrice, item.totalAmount, item.status, item.channelProductNo]
-            );
-            if (insertResult.affectedRows > 0) storeInserted++;
-          } catch (dbErr) { }
-        }
-
-        if (!errors.some(e => e.startsWith('Zigzag'))) {
-          await scheduler.setConfig(configKey, now.toISOString());
-        }
-        storeResults.push({ store: '지그재그', found: storeFound, inserted: storeInserted });
-        totalInserted += storeInserted;
-        totalFound += storeFound;
-        console.log(`[Sales] Zigzag 수집 완료: 발견 ${storeFound}건, 신규 ${storeInserted}건`);
-      } catch (e) {
-        errors.push(`Zigzag: ${e.message}`);
-        console.error('[Sales] Zigzag 오류:', e.message);
-      }
-    }
-
-    // 신규 매출 푸시 알림
-    if (totalInserted > 0) {
-      try {
-        await scheduler.sendPushNotification('신규 주문', `새 주문 ${totalInserted}건이 들어왔습니다`);
-      } catch (pushErr) {
-        console.log('[Sales] 푸시 알림 오류:', pushErr.message);
+        await scheduler.sendPushNotification('신규 주문', `새 주문 ${totalInserted}건이 들어왔습니다`);
+      } catch (pushErr) {
+        console.log('[Sales] 푸시 알림 오류:', pushErr.message);
       }
     }
 
@@ -1094,7 +1466,7 @@ app.post('/api/sales/fetch', async (req, res) => {
         try {
           await query(
             `INSERT INTO sync_log (run_id, type, store_from, product_name, qty, status, message) VALUES (?, 'sales_collect', ?, ?, ?, 'success', ?)`,
-            [salesRunId, d.store === '쿠팡' ? 'C' : d.store === '지그재그' ? 'D' : d.store.includes('A') ? 'A' : 'B', `${d.store} 매출 수집`, d.inserted, `${d.store} 신규 주문 ${d.inserted}건 수집`]
+            [salesRunId, d.storeCode, `${d.store} 매출 수집`, d.inserted, `${d.store} 신규 주문 ${d.inserted}건 수집`]
           );
         } catch (logErr) {
           console.log('[Sales] sync_log 기록 실패:', logErr.message);
@@ -1114,250 +1486,69 @@ app.post('/api/sales/fetch', async (req, res) => {
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
+  } finally {
+    if (lease) await lease.release().catch(e => console.error('[Sales] 락 해제 오류:', e.message));
   }
 });
 
 // --- Sync API Routes ---
 
 // GET /api/sync/returnable-items - 네이버+쿠팡+지그재그 반품/수거 완료 건 목록 (이미 등록된 건도 표시)
-app.get('/api/sync/returnable-items', async (req, res) => {
+app.get('/api/sync/returnable-items', requirePermission('returns.view'), async (req, res) => {
   try {
     await initSyncClients();
     const hours = parseInt(req.query.hours) || 168; // 기본 7일 (반품 요청→수거완료 소요 기간 고려)
     const now = new Date();
-    const from = new Date(now.getTime() - hours * 60 * 60 * 1000);
-
-    // === 네이버 반품 조회 ===
-    const returnableOrders = await scheduler.storeA.getReturnableOrders(from.toISOString(), now.toISOString());
-    console.log(`[Returnable] 네이버: ${returnableOrders.length}건 감지 (${hours}시간)`);
 
     const items = [];
-    const allProductOrderIds = [];
-
-    if (returnableOrders.length > 0) {
-      const orderIds = returnableOrders.map(o => o.productOrderId);
-      allProductOrderIds.push(...orderIds);
-      const statusInfoMap = {};
-      for (const o of returnableOrders) {
-        statusInfoMap[o.productOrderId] = {
-          claimStatus: o.claimStatus,
-          lastChangedDate: o.lastChangedDate,
-        };
-      }
-
-      const details = await scheduler.storeA.getProductOrderDetail(orderIds);
-      console.log(`[Returnable] 네이버 상세: ${details.length}건 조회`);
-
-      const debug = req.query.debug === '1';
-      for (const detail of details) {
-        const po = detail.productOrder || detail;
-        const order = detail.order || {};
-        const productOrderId = po.productOrderId || '';
-        const info = statusInfoMap[productOrderId] || {};
-        const claimStatus = po.claimStatus || info.claimStatus || '';
-        const productOption = po.productOption || po.optionName || null;
-
-        const item = {
-          store: 'A',
-          productOrderId,
-          productName: po.productName || '',
-          optionName: productOption,
-          qty: po.quantity || 1,
-          channelProductNo: String(po.channelProductNo || po.productId || ''),
-          claimStatus,
-          claimType: po.claimType || '',
-          lastChangedDate: info.lastChangedDate || null,
-          ordererName: order.ordererName || po.ordererName || '',
-        };
-
-        if (items.length === 0) {
-          console.log(`[Returnable] 첫 항목 po 키:`, Object.keys(po).join(', '));
-        }
-        console.log(`[Returnable] ${po.productName?.slice(0,30)} / opt=${po.optionName} / claimStatus=${claimStatus}`);
-
-        if (debug) {
-          item._debug = { po: Object.keys(po), order: Object.keys(order), poFull: po };
-        }
-        items.push(item);
-      }
-    }
-
-    // === 쿠팡 반품 조회 ===
-    try {
-      const coupangClient = await initCoupangClient();
-      if (coupangClient) {
-        // 쿠팡은 접수일(createdAt) 기준 조회 → 입고완료까지 시간 걸리므로 기간 2배로 확장
-        const coupangFrom = new Date(now.getTime() - hours * 2 * 60 * 60 * 1000);
-        console.log(`[Returnable] 쿠팡 클라이언트 초기화 성공, 반품 조회 시작 (${Math.round(hours*2/24)}일)...`);
-        const coupangReturns = await coupangClient.getReturnRequests(coupangFrom.toISOString(), now.toISOString());
-        console.log(`[Returnable] 쿠팡: ${coupangReturns.length}건 감지`);
-        // 상태별 분포 로깅
-        const cDist = {};
-        for (const r of coupangReturns) { cDist[r.receiptStatus] = (cDist[r.receiptStatus] || 0) + 1; }
-        console.log(`[Returnable] 쿠팡 receiptStatus 분포:`, JSON.stringify(cDist));
-        // 개별 아이템 로깅 (중복 확인용)
-        for (const r of coupangReturns) {
-          const itemNames = (r.returnItems || []).map(i => i.vendorItemName?.slice(0, 30)).join(', ');
-          console.log(`[Returnable] 쿠팡 개별: receiptId=${r.receiptId} status=${r.receiptStatus} items=[${itemNames}]`);
-        }
-
-        for (const ret of coupangReturns) {
-          // 상태 매핑: 쿠팡 receiptStatus → 네이버 claimStatus 호환
-          const statusMap = {
-            'PR': 'WAREHOUSE_CONFIRM', 'VENDOR_WAREHOUSE_CONFIRM': 'WAREHOUSE_CONFIRM',
-            'REQUEST_COUPANG_CHECK': 'WAREHOUSE_CONFIRM',
-            'CC': 'COLLECT_DONE', 'UNIT_COLLECTED': 'COLLECT_DONE',
-            'RETURNS_COMPLETED': 'COLLECT_DONE',
-            'UC': 'COLLECTING', 'RETURNS_UNCHECKED': 'COLLECTING',
-            'RU': 'COLLECTING', 'RELEASE_STOP_UNCHECKED': 'COLLECTING',
-          };
-          const claimStatus = statusMap[ret.receiptStatus] || 'COLLECTING';
-
-          for (const ri of ret.returnItems) {
-            const productOrderId = `CPG_RET_${ret.receiptId}_${ri.vendorItemId}`;
-            allProductOrderIds.push(productOrderId);
-
-            // vendorItemName 파싱: "ob 캐시미어 니트, 아이보리 free" → 상품명/색상/사이즈 분리
-            const parsed = parseCoupangItemName(ri.vendorItemName);
-
-            // optionName: sellerProductItemName 우선 사용 (구체적 옵션)
-            // sellerProductItemName = 해당 vendorItem의 실제 옵션 (예: "아이보리 free")
-            const spi = (ri.sellerProductItemName || '').trim();
-            let optionName;
-            if (spi) {
-              // sellerProductItemName에서 색상/사이즈 분리
-              const spiTokens = spi.split(/[\s/]+/).filter(t => t);
-              const sizeRe = /^(free|xxl|xl|l|m|s|f)$/i;
-              // 브랜드 이니셜(2글자 영문)은 제외
-              const brandRe = /^[a-zA-Z]{2}$/;
-              const spiColors = spiTokens.filter(t => !sizeRe.test(t) && !brandRe.test(t));
-              const spiSizes = spiTokens.filter(t => sizeRe.test(t)).map(t =>
-                t.toUpperCase() === 'FREE' ? 'Free' : t.toUpperCase()
-              );
-              const optParts = [];
-              if (spiColors.length > 0) optParts.push(`색상: ${spiColors.join(' ')}`);
-              if (spiSizes.length > 0) optParts.push(`사이즈: ${spiSizes[0]}`);
-              else if (parsed.size) optParts.push(`사이즈: ${parsed.size}`);
-              optionName = optParts.length > 0 ? optParts.join(' / ') : spi;
-            } else {
-              // fallback: vendorItemName 파싱 결과 사용
-              const optParts = [];
-              if (parsed.color) optParts.push(`색상: ${parsed.color}`);
-              if (parsed.size) optParts.push(`사이즈: ${parsed.size}`);
-              optionName = optParts.length > 0 ? optParts.join(' / ') : null;
-            }
-
-            items.push({
-              store: 'C',
-              productOrderId,
-              productName: parsed.productName,
-              optionName,
-              brand: parsed.brand || '',
-              qty: ri.returnQuantity || 1,
-              channelProductNo: ri.vendorItemId,
-              claimStatus,
-              claimType: 'RETURN',
-              lastChangedDate: ret.createdAt || null,
-              ordererName: ret.buyerName || '',
-              _parsed: parsed,
-              sellerProductItemName: ri.sellerProductItemName || '',
-              colorOptions: parsed.colorOptions || [],
-              sizeOptions: parsed.sizeOptions || [],
-            });
-          }
-        }
-      } else {
-        console.log(`[Returnable] 쿠팡 클라이언트 미설정 (API 키 없음)`);
+    const failures = [];
+    const adapters = (await scheduler.getChannelAdapters()).filter(a => a.constructor.supportsReturns);
+    for (const adapter of adapters) {
+      try {
+        const channelFrom = new Date(now.getTime() - hours * adapter.constructor.returnLookbackFactor * 60 * 60 * 1000);
+        items.push(...await adapter.listReturns(channelFrom.toISOString(), now.toISOString()));
+      } catch (channelErr) {
+        failures.push(`${adapter.label}: ${channelErr.message}`);
+        console.error(`[Returnable] ${adapter.label} 조회 실패:`, channelErr.message);
       }
-    } catch (coupangErr) {
-      console.error(`[Returnable] 쿠팡 조회 실패:`, coupangErr.message);
     }
-
-    // === 지그재그 반품 조회 ===
-    try {
-      const zigzagClient = await initZigzagClient();
-      if (zigzagClient) {
-        const zigzagFrom = new Date(now.getTime() - hours * 2 * 60 * 60 * 1000);
-        console.log(`[Returnable] 지그재그 반품 조회 시작 (${Math.round(hours*2/24)}일)...`);
-        const zigzagReturns = await zigzagClient.getReturnRequests(zigzagFrom.toISOString(), now.toISOString());
-        console.log(`[Returnable] 지그재그: ${zigzagReturns.length}건 감지`);
-
-        for (const ret of zigzagReturns) {
-          const statusMap = {
-            'RETURN_REQUESTED': 'COLLECTING',
-            'RETURN_COLLECTING': 'COLLECTING',
-            'RETURNED': 'COLLECT_DONE',
-          };
-          const claimStatus = statusMap[ret.receiptStatus] || 'COLLECTING';
-          console.log(`[Returnable] 지그재그 개별: receiptId=${ret.receiptId} receiptStatus=${ret.receiptStatus} → claimStatus=${claimStatus} buyer=${ret.buyerName}`);
-
-          for (const ri of ret.returnItems) {
-            const productOrderId = `ZZG_RET_${ret.receiptId}_${ri.vendorItemId}`;
-            allProductOrderIds.push(productOrderId);
-            console.log(`[Returnable] 지그재그 아이템: ${ri.vendorItemName?.slice(0,30)} opt=${ri.sellerProductItemName} qty=${ri.returnQuantity}`);
-
-            // 옵션 파싱
-            const optionName = ri.sellerProductItemName || null;
-
-            items.push({
-              store: 'D',
-              productOrderId,
-              productName: ri.vendorItemName || '',
-              optionName,
-              qty: ri.returnQuantity || 1,
-              channelProductNo: ri.vendorItemId,
-              claimStatus,
-              claimType: 'RETURN',
-              lastChangedDate: ret.createdAt || null,
-              ordererName: ret.buyerName || '',
-            });
-          }
-        }
-      } else {
-        console.log(`[Returnable] 지그재그 클라이언트 미설정 (API 키 없음)`);
-      }
-    } catch (zigzagErr) {
-      console.error(`[Returnable] 지그재그 조회 실패:`, zigzagErr.message);
+    if (adapters.length > 0 && failures.length === adapters.length) {
+      throw new Error(failures.join('; '));
     }
+    const allProductOrderIds = items.map(item => item.productOrderId);
 
     // === 처리 상태 조회 (재고 반영 / B스토어 복사 분리) ===
-    let inventoryIds = new Set();
-    let storeIds = new Set();
-    if (allProductOrderIds.length > 0) {
-      const placeholders = allProductOrderIds.map(() => '?').join(',');
-      const logRows = await query(
-        `SELECT product_order_id, type FROM sync_log WHERE type IN ('inventory_update', 'qty_increase', 'product_create') AND status = 'success' AND product_order_id IN (${placeholders})`,
-        allProductOrderIds
-      );
-      for (const row of logRows) {
-        if (row.type === 'inventory_update') inventoryIds.add(row.product_order_id);
-        if (row.type === 'qty_increase' || row.type === 'product_create') storeIds.add(row.product_order_id);
-      }
-    }
+    const { inventory: inventoryIds, storeB: storeIds } = await processedReturns.getProcessed(allProductOrderIds);
 
-    // === confirmedPickup 조회 (return_confirmations) ===
-    let confirmedIds = new Set();
-    if (allProductOrderIds.length > 0) {
-      const placeholders2 = allProductOrderIds.map(() => '?').join(',');
-      const confirmRows = await query(
-        `SELECT product_order_id FROM return_confirmations WHERE product_order_id IN (${placeholders2})`,
-        allProductOrderIds
-      );
-      confirmedIds = new Set(confirmRows.map(r => r.product_order_id));
-    }
+    // === 반품 생애주기 반영 (처음 본 건 등록, 채널 상태가 앞서면 앞당김) ===
+    const returnRows = await returnLifecycle.observe(items);
 
     // 플래그 설정
     for (const item of items) {
       item.inventoryAdded = inventoryIds.has(item.productOrderId);
       item.storeAdded = storeIds.has(item.productOrderId);
-      // 쿠팡/지그재그는 B스토어 복사 불필요 → 재고만으로 완료 판정
-      item.alreadyAdded = (item.store === 'C' || item.store === 'D')
-        ? item.inventoryAdded
-        : (item.inventoryAdded && item.storeAdded);
-      item.confirmedPickup = confirmedIds.has(item.productOrderId);
+      // B스토어 복사 대상 채널만 재고 + 복사 모두 끝나야 완료
+      const channel = channels.getChannel(item.store);
+      item.alreadyAdded = channel && channel.returnsToStoreB
+        ? (item.inventoryAdded && item.storeAdded)
+        : item.inventoryAdded;
+      const row = returnRows.get(item.productOrderId);
+      item.state = row ? row.state : item.returnState;
+      item.stateUpdatedBy = row ? row.updated_by : null;
+
+      // 쿠팡/지그재그: 채널 옵션 연결로 마스터 옵션 확정, 연결이 없으면 옵션명 추정(parser)은 제안으로만 표시
+      if (variantItems.STORES.includes(item.store)) {
+        const { product, variant, source } = await variantItems.resolveVariant({
+          store: item.store, channel_product_no: item.channelProductNo, option_name: item.optionName,
+        });
+        item.variantSource = source;
+        item.variant = variant && product ? {
+          id: variant.id, productId: product.id, productName: product.name, brand: product.brand, color: variant.color, size: variant.size,
+        } : null;
+      }
     }
 
-    console.log(`[Returnable] 최종: ${items.length}건 (재고 ${inventoryIds.size}, 스토어 ${storeIds.size}, 실수거완료 ${confirmedIds.size})`);
+    console.log(`[Returnable] 최종: ${items.length}건 (재고 ${inventoryIds.size}, 스토어 ${storeIds.size})`);
     res.json(items);
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1365,7 +1556,7 @@ app.get('/api/sync/returnable-items', async (req, res) => {
 });
 
 // POST /api/sync/run - 수동 즉시 동기화
-app.post('/api/sync/run', async (req, res) => {
+app.post('/api/sync/run', requirePermission('sync.run'), async (req, res) => {
   try {
     await initSyncClients();
     const { resetHours } = req.body || {};
@@ -1382,7 +1573,7 @@ app.post('/api/sync/run', async (req, res) => {
 });
 
 // GET /api/sync/debug - 네이버 API 원본 응답 확인 (디버그)
-app.get('/api/sync/debug', async (req, res) => {
+app.get('/api/sync/debug', requirePermission('system.debug'), async (req, res) => {
   try {
     await initSyncClients();
     const now = new Date();
@@ -1417,7 +1608,7 @@ app.get('/api/sync/debug', async (req, res) => {
 });
 
 // GET /api/sync/debug-raw - 주문 상세 원본 응답
-app.get('/api/sync/debug-raw', async (req, res) => {
+app.get('/api/sync/debug-raw', requirePermission('system.debug'), async (req, res) => {
   try {
     await initSyncClients();
     const now = new Date();
@@ -1442,7 +1633,7 @@ app.get('/api/sync/debug-raw', async (req, res) => {
 });
 
 // GET /api/sync/debug-product - A 스토어 채널상품 상세 원본 응답
-app.get('/api/sync/debug-product', async (req, res) => {
+app.get('/api/sync/debug-product', requirePermission('system.debug'), async (req, res) => {
   try {
     await initSyncClients();
     const productId = req.query.id;
@@ -1455,7 +1646,7 @@ app.get('/api/sync/debug-product', async (req, res) => {
 });
 
 // GET /api/sync/debug-addresses - B 스토어 주소 조회 (여러 경로 시도)
-app.get('/api/sync/debug-addresses', async (req, res) => {
+app.get('/api/sync/debug-addresses', requirePermission('system.debug'), async (req, res) => {
   try { await initSyncClients(); } catch(e) { return res.status(500).json({ error: e.message }); }
   const store = req.query.store === 'A' ? scheduler.storeA : scheduler.storeB;
   const paths = [
@@ -1477,7 +1668,7 @@ app.get('/api/sync/debug-addresses', async (req, res) => {
 });
 
 // GET /api/sync/debug-detail - 반품 건 상세 + B 스토어 검색 결과
-app.get('/api/sync/debug-detail', async (req, res) => {
+app.get('/api/sync/debug-detail', requirePermission('system.debug'), async (req, res) => {
   try {
     await initSyncClients();
     const now = new Date();
@@ -1527,7 +1718,7 @@ app.get('/api/sync/debug-detail', async (req, res) => {
 });
 
 // GET /api/sync/status - 동기화 상태
-app.get('/api/sync/status', async (req, res) => {
+app.get('/api/sync/status', requirePermission('sync.view'), async (req, res) => {
   try {
     res.json(await scheduler.getStatus());
   } catch (e) {
@@ -1536,7 +1727,7 @@ app.get('/api/sync/status', async (req, res) => {
 });
 
 // POST /api/sync/start - 자동 스케줄러 시작
-app.post('/api/sync/start', async (req, res) => {
+app.post('/api/sync/start', requirePermission('sync.config'), async (req, res) => {
   try {
     await initSyncClients();
     const interval = parseInt(req.body.intervalMinutes) || 5;
@@ -1548,7 +1739,7 @@ app.post('/api/sync/start', async (req, res) => {
 });
 
 // POST /api/sync/stop - 자동 스케줄러 중지
-app.post('/api/sync/stop', async (req, res) => {
+app.post('/api/sync/stop', requirePermission('sync.config'), async (req, res) => {
   try {
     await scheduler.stop();
     res.json({ success: true });
@@ -1558,7 +1749,7 @@ app.post('/api/sync/stop', async (req, res) => {
 });
 
 // GET /api/sync/logs - 동기화 로그 (페이지네이션, 필터)
-app.get('/api/sync/logs', async (req, res) => {
+app.get('/api/sync/logs', requirePermission('sync.view'), async (req, res) => {
   try {
     const { type, status, page, limit } = req.query;
     const conditions = [];
@@ -1605,7 +1796,7 @@ app.get('/api/sync/logs', async (req, res) => {
 });
 
 // GET /api/sync/config - 설정 조회
-app.get('/api/sync/config', async (req, res) => {
+app.get('/api/sync/config', requirePermission('sync.config'), async (req, res) => {
   try {
     const rows = await query('SELECT `key`, value FROM sync_config');
     const config = {};
@@ -1632,6 +1823,7 @@ app.get('/api/sync/config', async (req, res) => {
     const zSecretKey = process.env.ZIGZAG_SECRET_KEY || config.zigzag_secret_key || '';
     config.zigzag_access_key = zAccessKey ? maskSecret(zAccessKey) : '';
     config.zigzag_secret_key = zSecretKey ? '****' : '';
+    config.vapid_private_key = config.vapid_private_key ? '****' : '';
     res.json(config);
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1639,17 +1831,16 @@ app.get('/api/sync/config', async (req, res) => {
 });
 
 // PUT /api/sync/config - 설정 수정
-app.put('/api/sync/config', async (req, res) => {
+app.put('/api/sync/config', requirePermission('sync.config'), async (req, res) => {
   try {
     const updates = req.body;
     const conn = await getPool().getConnection();
     try {
       await conn.beginTransaction();
       for (const [k, v] of Object.entries(updates)) {
-        await conn.query(
-          'INSERT INTO sync_config (`key`, value, updated_at) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()',
-          [k, v]
-        );
+        // GET 응답의 마스킹 값('****')이 그대로 돌아오면 시크릿을 덮어쓰지 않음
+        if (v === '****') continue;
+        await setConfig(k, v, conn);
       }
       await conn.commit();
     } catch (e) {
@@ -1665,7 +1856,7 @@ app.put('/api/sync/config', async (req, res) => {
 });
 
 // GET /api/sync/mappings - 상품 매핑 목록
-app.get('/api/sync/mappings', async (req, res) => {
+app.get('/api/sync/mappings', requirePermission('sync.view'), async (req, res) => {
   try {
     const { status, page, limit } = req.query;
     const conditions = [];
@@ -1696,7 +1887,7 @@ app.get('/api/sync/mappings', async (req, res) => {
 });
 
 // PUT /api/sync/mappings/:id - 수동 매핑 설정
-app.put('/api/sync/mappings/:id', async (req, res) => {
+app.put('/api/sync/mappings/:id', requirePermission('sync.config'), async (req, res) => {
   try {
     const { id } = req.params;
     const { store_b_channel_product_no, store_b_product_name, store_b_option_name } = req.body;
@@ -1722,7 +1913,7 @@ app.put('/api/sync/mappings/:id', async (req, res) => {
 });
 
 // POST /api/sync/test-connection - 연결 테스트
-app.post('/api/sync/test-connection', async (req, res) => {
+app.post('/api/sync/test-connection', requirePermission('sync.config'), async (req, res) => {
   const { store, clientId, clientSecret } = req.body;
   if (!clientId || !clientSecret) {
     return res.status(400).json({ error: 'Client ID와 Secret을 입력해주세요.' });
@@ -1733,41 +1924,50 @@ app.post('/api/sync/test-connection', async (req, res) => {
 });
 
 // POST /api/sync/save-keys - 스토어 API 키 저장
-app.post('/api/sync/save-keys', async (req, res) => {
+app.post('/api/sync/save-keys', requirePermission('sync.config'), async (req, res) => {
   try {
     const { store_a_client_id, store_a_client_secret, store_b_client_id, store_b_client_secret,
             store_b_display_status, store_b_sale_status, store_b_name_prefix,
             store_b_return_fee, store_b_exchange_fee,
             sync_interval_minutes,
             coupang_access_key, coupang_secret_key, coupang_vendor_id,
-            coupang_category_code, coupang_outbound_code, coupang_return_center_code, coupang_price_rate,
+            coupang_outbound_code, coupang_return_center_code, coupang_price_rate,
             zigzag_access_key, zigzag_secret_key,
-            zigzag_category_id, zigzag_price_rate } = req.body;
-    const upsertSql = 'INSERT INTO sync_config (`key`, value, updated_at) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()';
-    if (store_a_client_id) await query(upsertSql, ['store_a_client_id', store_a_client_id]);
-    if (store_a_client_secret) await query(upsertSql, ['store_a_client_secret', store_a_client_secret]);
-    if (store_b_client_id) await query(upsertSql, ['store_b_client_id', store_b_client_id]);
-    if (store_b_client_secret) await query(upsertSql, ['store_b_client_secret', store_b_client_secret]);
-    if (store_b_display_status) await query(upsertSql, ['store_b_display_status', store_b_display_status]);
-    if (store_b_sale_status) await query(upsertSql, ['store_b_sale_status', store_b_sale_status]);
-    if (store_b_name_prefix !== undefined) await query(upsertSql, ['store_b_name_prefix', store_b_name_prefix]);
-    if (store_b_return_fee !== undefined) await query(upsertSql, ['store_b_return_fee', store_b_return_fee]);
-    if (store_b_exchange_fee !== undefined) await query(upsertSql, ['store_b_exchange_fee', store_b_exchange_fee]);
+            zigzag_price_rate,
+            return_inspection_required } = req.body;
+    if (store_a_client_id) await setConfig('store_a_client_id', store_a_client_id);
+    if (store_a_client_secret) await setConfig('store_a_client_secret', store_a_client_secret);
+    if (store_b_client_id) await setConfig('store_b_client_id', store_b_client_id);
+    if (store_b_client_secret) await setConfig('store_b_client_secret', store_b_client_secret);
+    if (store_b_display_status) await setConfig('store_b_display_status', store_b_display_status);
+    if (store_b_sale_status) await setConfig('store_b_sale_status', store_b_sale_status);
+    if (store_b_name_prefix !== undefined) await setConfig('store_b_name_prefix', store_b_name_prefix);
+    if (store_b_return_fee !== undefined) await setConfig('store_b_return_fee', store_b_return_fee);
+    if (store_b_exchange_fee !== undefined) await setConfig('store_b_exchange_fee', store_b_exchange_fee);
     // 동기화 주기
-    if (sync_interval_minutes) await query(upsertSql, ['sync_interval_minutes', sync_interval_minutes]);
+    if (sync_interval_minutes) await setConfig('sync_interval_minutes', sync_interval_minutes);
+    // 반품 검수 여부
+    if (return_inspection_required !== undefined) {
+      await setConfig(returnLifecycle.INSPECTION_CONFIG_KEY, String(return_inspection_required) === 'true' ? 'true' : 'false');
+    }
+    // 쿠팡/지그재그 반품 자동 처리 (return_auto_coupang, return_auto_zigzag)
+    for (const key of ['coupang', 'zigzag']) {
+      const mode = req.body[returnLifecycle.autoProcessConfigKey(key)];
+      if (mode === undefined) continue;
+      await setConfig(returnLifecycle.autoProcessConfigKey(key),
+        returnLifecycle.AUTO_PROCESS_MODES.includes(mode) ? mode : 'off');
+    }
     // 쿠팡
-    if (coupang_access_key) await query(upsertSql, ['coupang_access_key', coupang_access_key]);
-    if (coupang_secret_key) await query(upsertSql, ['coupang_secret_key', coupang_secret_key]);
-    if (coupang_vendor_id) await query(upsertSql, ['coupang_vendor_id', coupang_vendor_id]);
-    if (coupang_category_code !== undefined) await query(upsertSql, ['coupang_category_code', coupang_category_code]);
-    if (coupang_outbound_code !== undefined) await query(upsertSql, ['coupang_outbound_code', coupang_outbound_code]);
-    if (coupang_return_center_code !== undefined) await query(upsertSql, ['coupang_return_center_code', coupang_return_center_code]);
-    if (coupang_price_rate !== undefined) await query(upsertSql, ['coupang_price_rate', coupang_price_rate]);
+    if (coupang_access_key) await setConfig('coupang_access_key', coupang_access_key);
+    if (coupang_secret_key) await setConfig('coupang_secret_key', coupang_secret_key);
+    if (coupang_vendor_id) await setConfig('coupang_vendor_id', coupang_vendor_id);
+    if (coupang_outbound_code !== undefined) await setConfig('coupang_outbound_code', coupang_outbound_code);
+    if (coupang_return_center_code !== undefined) await setConfig('coupang_return_center_code', coupang_return_center_code);
+    if (coupang_price_rate !== undefined) await setConfig('coupang_price_rate', coupang_price_rate);
     // 지그재그
-    if (zigzag_access_key) await query(upsertSql, ['zigzag_access_key', zigzag_access_key]);
-    if (zigzag_secret_key) await query(upsertSql, ['zigzag_secret_key', zigzag_secret_key]);
-    if (zigzag_category_id !== undefined) await query(upsertSql, ['zigzag_category_id', zigzag_category_id]);
-    if (zigzag_price_rate !== undefined) await query(upsertSql, ['zigzag_price_rate', zigzag_price_rate]);
+    if (zigzag_access_key) await setConfig('zigzag_access_key', zigzag_access_key);
+    if (zigzag_secret_key) await setConfig('zigzag_secret_key', zigzag_secret_key);
+    if (zigzag_price_rate !== undefined) await setConfig('zigzag_price_rate', zigzag_price_rate);
     scheduler.storeA = null;
     scheduler.storeB = null;
     res.json({ success: true });
@@ -1777,7 +1977,7 @@ app.post('/api/sync/save-keys', async (req, res) => {
 });
 
 // POST /api/coupang/test-connection - 쿠팡 연결 테스트
-app.post('/api/coupang/test-connection', async (req, res) => {
+app.post('/api/coupang/test-connection', requirePermission('sync.config'), async (req, res) => {
   try {
     const { accessKey, secretKey, vendorId } = req.body;
     if (!accessKey || !secretKey || !vendorId) {
@@ -1792,7 +1992,7 @@ app.post('/api/coupang/test-connection', async (req, res) => {
 });
 
 // POST /api/zigzag/test-connection - 지그재그 연결 테스트
-app.post('/api/zigzag/test-connection', async (req, res) => {
+app.post('/api/zigzag/test-connection', requirePermission('sync.config'), async (req, res) => {
   try {
     const { accessKey, secretKey } = req.body;
     if (!accessKey || !secretKey) {
@@ -1807,10 +2007,10 @@ app.post('/api/zigzag/test-connection', async (req, res) => {
 });
 
 // GET /api/coupang/debug-returns - 쿠팡 반품 조회 + 파싱 결과 확인
-app.get('/api/coupang/debug-returns', async (req, res) => {
+app.get('/api/coupang/debug-returns', requirePermission('system.debug'), async (req, res) => {
   try {
-    const coupangClient = await initCoupangClient();
-    if (!coupangClient) {
+    const coupang = await channels.createAdapter('C');
+    if (!coupang) {
       return res.json({ error: '쿠팡 API 키 미설정', keys: { accessKey: !!process.env.COUPANG_ACCESS_KEY, secretKey: !!process.env.COUPANG_SECRET_KEY, vendorId: !!process.env.COUPANG_VENDOR_ID } });
     }
 
@@ -1820,7 +2020,7 @@ app.get('/api/coupang/debug-returns', async (req, res) => {
 
     console.log(`[Coupang Debug] 반품 조회: ${from.toISOString()} ~ ${now.toISOString()}`);
 
-    const returns = await coupangClient.getReturnRequests(from.toISOString(), now.toISOString());
+    const returns = await coupang.client.getReturnRequests(from.toISOString(), now.toISOString());
 
     // 각 아이템에 파싱 결과 추가
     const parsedReturns = returns.map(ret => ({
@@ -1842,112 +2042,309 @@ app.get('/api/coupang/debug-returns', async (req, res) => {
   }
 });
 
-// --- 실수거완료 API ---
+// --- 반품 생애주기 API ---
 
-// POST /api/returns/confirm-pickup - 실수거완료 처리 (복수 건 지원)
-app.post('/api/returns/confirm-pickup', async (req, res) => {
+// GET /api/returns?state=received,inspected - 상태별 반품 목록 (재고/스토어 처리 여부 포함)
+app.get('/api/returns', requirePermission('returns.view'), async (req, res) => {
+  const states = String(req.query.state || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (states.length === 0) {
+    return res.status(400).json({ error: '조회할 반품 상태를 지정해주세요.' });
+  }
+  const unknown = states.find(s => !returnLifecycle.STATES.includes(s));
+  if (unknown) {
+    return res.status(400).json({ error: `알 수 없는 반품 상태: ${unknown}` });
+  }
   try {
-    const { items } = req.body;
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: '실수거완료할 항목을 선택해주세요.' });
+    const rows = await returnLifecycle.list(states);
+    const { inventory: inventoryIds, storeB: storeIds } = await processedReturns.getProcessed(rows.map(r => r.product_order_id));
+    res.json(rows.map(r => ({
+      ...r,
+      inventoryAdded: inventoryIds.has(r.product_order_id),
+      storeAdded: storeIds.has(r.product_order_id),
+      alreadyAdded: inventoryIds.has(r.product_order_id),
+    })));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/returns/:productOrderId/history - 상태 변경 이력
+app.get('/api/returns/:productOrderId/history', requirePermission('returns.view'), async (req, res) => {
+  try {
+    res.json(await returnLifecycle.history(req.params.productOrderId));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/returns/transition - 상태 변경 (복수 건) { productOrderIds, to, note }
+// 입고 확인/취소는 returns.confirm, 나머지는 returns.process 권한 필요 (건별로 확인)
+app.post('/api/returns/transition', requirePermission('returns.confirm'), async (req, res) => {
+  const { productOrderIds, to, note } = req.body || {};
+  if (!Array.isArray(productOrderIds) || productOrderIds.length === 0) {
+    return res.status(400).json({ error: '상태를 변경할 항목을 선택해주세요.' });
+  }
+  if (!returnLifecycle.STATES.includes(to)) {
+    return res.status(400).json({ error: `알 수 없는 반품 상태: ${to}` });
+  }
+  try {
+    const result = await returnLifecycle.transition(productOrderIds, to, {
+      user: req.user,
+      note,
+      hasPermission: (permission) => auth.hasPermission(req.user, permission),
+    });
+    if (result.moved.length === 0 && result.skipped.length > 0) {
+      return res.status(400).json({ error: result.skipped[0].error, ...result });
     }
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    let confirmed = 0;
-    let skipped = 0;
-    for (const item of items) {
-      if (!item.productOrderId) continue;
-      try {
-        const result = await query(
-          `INSERT IGNORE INTO return_confirmations (product_order_id, store, product_name, option_name, qty, channel_product_no)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [item.productOrderId, item.store || 'A', item.productName || null,
-           item.optionName || null, item.qty || 1, item.channelProductNo || null]
-        );
-        if (result.affectedRows > 0) confirmed++;
-        else skipped++;
-      } catch (dbErr) {
-        skipped++;
-      }
+// --- 반품 검수 API ---
+
+async function findReturn(productOrderId) {
+  return (await returnLifecycle.getByIds([productOrderId])).get(String(productOrderId).trim()) || null;
+}
+
+// POST /api/returns/:productOrderId/inspect - 검수 등급 기록 + 등급별 처리 { grade, note, variantId }
+// A: 원래 채널 옵션 재고 복원, B: B스토어 아울렛, C: 불량 폐기, D: 공급처 반품
+app.post('/api/returns/:productOrderId/inspect', requirePermission('returns.process'), async (req, res) => {
+  try {
+    returnInspection.normalizeInspection(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const row = await findReturn(req.params.productOrderId);
+    if (!row) return res.status(404).json({ error: '반품 건을 찾을 수 없습니다.' });
+    if (!returnInspection.canInspect(row)) {
+      return res.status(400).json({ error: `${returnLifecycle.STATE_LABELS[row.state]} 상태에서는 검수할 수 없습니다.` });
+    }
+    if (String(req.body.grade).trim().toUpperCase() === 'B') await initSyncClients();
+    const result = await returnInspection.inspect(row, req.body, { user: req.user, scheduler });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[ReturnInspect] 오류:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/returns/:productOrderId/photos - 검수 사진 목록 (이미지 데이터 제외)
+app.get('/api/returns/:productOrderId/photos', requirePermission('returns.view'), async (req, res) => {
+  try {
+    res.json(await returnInspection.listPhotos(req.params.productOrderId));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/returns/:productOrderId/photos/:photoId - 검수 사진 이미지
+app.get('/api/returns/:productOrderId/photos/:photoId', requirePermission('returns.view'), async (req, res) => {
+  try {
+    const photo = await returnInspection.getPhoto(req.params.productOrderId, parseInt(req.params.photoId));
+    if (!photo) return res.status(404).json({ error: '사진을 찾을 수 없습니다.' });
+    res.set('Content-Type', photo.mime_type);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(photo.data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/returns/:productOrderId/photos - 검수 사진 추가 { dataUrl }
+app.post('/api/returns/:productOrderId/photos', requirePermission('returns.process'),
+  express.json({ limit: returnInspection.PHOTO_BODY_LIMIT }), async (req, res) => {
+  let photo;
+  try {
+    photo = returnInspection.parsePhoto((req.body || {}).dataUrl);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const row = await findReturn(req.params.productOrderId);
+    if (!row) return res.status(404).json({ error: '반품 건을 찾을 수 없습니다.' });
+    if (await returnInspection.countPhotos(row.product_order_id) >= returnInspection.PHOTO_MAX_COUNT) {
+      return res.status(400).json({ error: `사진은 ${returnInspection.PHOTO_MAX_COUNT}장까지 올릴 수 있습니다.` });
     }
+    const id = await returnInspection.addPhoto(row, photo, req.user);
+    res.json({ success: true, id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.json({ success: true, confirmed, skipped });
+// DELETE /api/returns/:productOrderId/photos/:photoId - 검수 사진 삭제
+app.delete('/api/returns/:productOrderId/photos/:photoId', requirePermission('returns.process'), async (req, res) => {
+  try {
+    const deleted = await returnInspection.deletePhoto(req.params.productOrderId, parseInt(req.params.photoId));
+    if (!deleted) return res.status(404).json({ error: '사진을 찾을 수 없습니다.' });
+    res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// GET /api/returns/confirmed - 실수거완료 리스트 (재고 추가 여부 포함)
-// ?finalized=true → 최종완료된 건만, ?finalized=false → 미완료 건만 (기본), 생략 → 전체
-app.get('/api/returns/confirmed', async (req, res) => {
+// --- 작업 큐 API ---
+
+jobQueue.register('sync.run', {
+  label: '반품 동기화',
+  permission: 'sync.run',
+  manual: true,
+  // 실패 건은 runSync가 pending_retry_orders로 다음 주기에 재시도
+  maxAttempts: 1,
+  handler: async () => {
+    await initSyncClients();
+    return scheduler.runSync();
+  },
+});
+
+jobQueue.register('sales.collect', {
+  label: '매출 수집',
+  permission: 'sales.fetch',
+  manual: true,
+  maxAttempts: 2,
+  handler: async (payload, ctx) => {
+    await initSyncClients();
+    return scheduler.fetchSalesData(`job-${ctx.jobId}`);
+  },
+});
+
+jobQueue.register('products.index', {
+  label: 'A 스토어 상품 인덱싱',
+  permission: 'products.copy',
+  manual: true,
+  handler: (payload, ctx) => runProductIndexing(ctx, !!payload.fullRefresh),
+});
+
+jobQueue.register('products.copy_bulk', {
+  label: '상품 일괄 복사',
+  permission: 'products.copy',
+  handler: (payload, ctx) => runBulkCopy(payload, ctx),
+});
+
+// 작업별 권한: 조회는 sync.view 또는 해당 작업 권한, 등록/취소/재실행은 해당 작업 권한
+function canManageJob(user, type) {
+  const def = jobQueue.getType(type);
+  return !!def && auth.hasPermission(user, def.permission);
+}
+
+// GET /api/jobs - 작업 목록 (status=active|queued|running|succeeded|failed|cancelled, type)
+app.get('/api/jobs', requirePermission('sync.view'), async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = await jobQueue.listJobs({ status, type, limit });
+    res.json({
+      jobs,
+      types: jobQueue.listTypes().map(t => ({ ...t, canManage: auth.hasPermission(req.user, t.permission) })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/jobs - 작업 수동 등록 { type, payload } (같은 종류가 대기/실행 중이면 그 작업 반환)
+app.post('/api/jobs', async (req, res) => {
   try {
-    const { finalized } = req.query;
-    let whereClause = '';
-    if (finalized === 'true') whereClause = ' WHERE finalized_at IS NOT NULL';
-    else if (finalized === 'false' || finalized === undefined) whereClause = ' WHERE finalized_at IS NULL';
+    const { type, payload } = req.body || {};
+    const def = jobQueue.getType(type);
+    if (!def || !def.manual) {
+      return res.status(400).json({ error: `수동 실행할 수 없는 작업입니다: ${type || ''}` });
+    }
+    if (!canManageJob(req.user, type)) {
+      return res.status(403).json({ error: '권한이 없습니다.' });
+    }
+    const job = await jobQueue.enqueue(type, payload || {}, { dedupe: true, createdBy: req.user.username });
+    res.status(job.deduped ? 200 : 202).json(job);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const orderBy = finalized === 'true' ? ' ORDER BY finalized_at DESC' : ' ORDER BY confirmed_at DESC';
-    const rows = await query('SELECT * FROM return_confirmations' + whereClause + orderBy);
+// GET /api/jobs/schedules - 주기 실행 목록
+app.get('/api/jobs/schedules', requirePermission('sync.view'), async (req, res) => {
+  try {
+    res.json({ schedules: await jobQueue.listSchedules() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    // sync_log에서 처리 완료 여부 확인 (재고/스토어 분리)
-    let inventoryIds = new Set();
-    let storeIds = new Set();
-    if (rows.length > 0) {
-      const allIds = rows.map(r => r.product_order_id);
-      const placeholders = allIds.map(() => '?').join(',');
-      const logRows = await query(
-        `SELECT product_order_id, type FROM sync_log WHERE type IN ('inventory_update', 'qty_increase', 'product_create') AND status = 'success' AND product_order_id IN (${placeholders})`,
-        allIds
-      );
-      for (const row of logRows) {
-        if (row.type === 'inventory_update') inventoryIds.add(row.product_order_id);
-        if (row.type === 'qty_increase' || row.type === 'product_create') storeIds.add(row.product_order_id);
+// PUT /api/jobs/schedules/:name - 주기 변경/켜기/끄기 { enabled, cron, intervalMinutes }
+app.put('/api/jobs/schedules/:name', requirePermission('sync.config'), async (req, res) => {
+  try {
+    const { enabled, cron, intervalMinutes } = req.body || {};
+    // 자동 동기화는 sync_enabled 설정과 함께 바뀌어야 하므로 /api/sync/start|stop 사용
+    if (req.params.name === 'sync') {
+      return res.status(400).json({ error: '자동 동기화 주기는 설정 화면에서 변경해주세요.' });
+    }
+    if (cron !== undefined && cron !== null) {
+      try {
+        parseCron(cron);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
     }
+    if (intervalMinutes !== undefined && intervalMinutes !== null && !(parseInt(intervalMinutes) >= 1)) {
+      return res.status(400).json({ error: 'intervalMinutes는 1 이상이어야 합니다.' });
+    }
+    if (!(await jobQueue.getSchedule(req.params.name))) {
+      return res.status(404).json({ error: '스케줄을 찾을 수 없습니다.' });
+    }
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = !!enabled;
+    if (cron) changes.cron = String(cron).trim();
+    if (intervalMinutes) changes.intervalMinutes = parseInt(intervalMinutes);
+    res.json(await jobQueue.setSchedule(req.params.name, changes));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const items = rows.map(r => ({
-      ...r,
-      inventoryAdded: inventoryIds.has(r.product_order_id),
-      storeAdded: storeIds.has(r.product_order_id),
-      alreadyAdded: inventoryIds.has(r.product_order_id),
-    }));
-
-    res.json(items);
+// GET /api/jobs/:id - 작업 상세 (진행률/결과)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(parseInt(req.params.id));
+    if (!job) return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    if (!auth.hasPermission(req.user, 'sync.view') && !canManageJob(req.user, job.type)) {
+      return res.status(403).json({ error: '권한이 없습니다.' });
+    }
+    res.json(job);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// POST /api/returns/finalize - 최종완료 처리 (단건/복수)
-app.post('/api/returns/finalize', async (req, res) => {
+// POST /api/jobs/:id/cancel - 작업 취소 (실행 중이면 다음 확인 지점에서 중단)
+app.post('/api/jobs/:id/cancel', async (req, res) => {
   try {
-    const { productOrderIds } = req.body;
-    if (!productOrderIds || !Array.isArray(productOrderIds) || productOrderIds.length === 0) {
-      return res.status(400).json({ error: '최종완료할 항목을 선택해주세요.' });
+    const job = await jobQueue.getJob(parseInt(req.params.id));
+    if (!job) return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    if (!canManageJob(req.user, job.type)) {
+      return res.status(403).json({ error: '권한이 없습니다.' });
     }
-    const placeholders = productOrderIds.map(() => '?').join(',');
-    const result = await query(
-      `UPDATE return_confirmations SET finalized_at = NOW() WHERE product_order_id IN (${placeholders}) AND finalized_at IS NULL`,
-      productOrderIds
-    );
-    res.json({ success: true, finalized: result.affectedRows });
+    if (job.status !== 'queued' && job.status !== 'running') {
+      return res.status(400).json({ error: '이미 종료된 작업입니다.' });
+    }
+    res.json(await jobQueue.cancel(job.id));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// POST /api/returns/unfinalize - 최종완료 취소 (복원)
-app.post('/api/returns/unfinalize', async (req, res) => {
+// POST /api/jobs/:id/retry - 실패/취소된 작업을 같은 내용으로 다시 등록
+app.post('/api/jobs/:id/retry', async (req, res) => {
   try {
-    const { productOrderIds } = req.body;
-    if (!productOrderIds || !Array.isArray(productOrderIds) || productOrderIds.length === 0) {
-      return res.status(400).json({ error: '복원할 항목을 선택해주세요.' });
+    const job = await jobQueue.getJob(parseInt(req.params.id));
+    if (!job) return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    if (!canManageJob(req.user, job.type)) {
+      return res.status(403).json({ error: '권한이 없습니다.' });
     }
-    const placeholders = productOrderIds.map(() => '?').join(',');
-    const result = await query(
-      `UPDATE return_confirmations SET finalized_at = NULL WHERE product_order_id IN (${placeholders}) AND finalized_at IS NOT NULL`,
-      productOrderIds
-    );
-    res.json({ success: true, unfinalized: result.affectedRows });
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(400).json({ error: '대기/실행 중인 작업은 다시 실행할 수 없습니다.' });
+    }
+    res.status(202).json(await jobQueue.retry(job.id, req.user.username));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -1956,7 +2353,7 @@ app.post('/api/returns/unfinalize', async (req, res) => {
 // --- Product Copy API ---
 
 // GET /api/store-a/products/search - A 스토어 상품 검색 (DB 인덱스 기반 즉시 검색)
-app.get('/api/store-a/products/search', async (req, res) => {
+app.get('/api/store-a/products/search', requirePermission('products.copy'), async (req, res) => {
   try {
     const { keyword } = req.query;
     if (!keyword || keyword.trim().length === 0) {
@@ -1971,7 +2368,7 @@ app.get('/api/store-a/products/search', async (req, res) => {
       return res.json({
         items: [],
         total: 0,
-        indexStatus: { indexed: 0, indexing: indexingActive, progress: indexingProgress },
+        indexStatus: { indexed: 0, ...await getIndexingStatus() },
         message: '상품 인덱스가 비어있습니다. "인덱싱 시작" 버튼을 눌러주세요.',
       });
     }
@@ -2019,7 +2416,7 @@ app.get('/api/store-a/products/search', async (req, res) => {
     res.json({
       items,
       total: items.length,
-      indexStatus: { indexed: indexedCount, indexing: indexingActive, progress: indexingProgress },
+      indexStatus: { indexed: indexedCount, ...await getIndexingStatus() },
     });
   } catch (e) {
     console.error('[StoreA Search] 오류:', e.message);
@@ -2028,40 +2425,47 @@ app.get('/api/store-a/products/search', async (req, res) => {
 });
 
 // GET /api/store-a/products/index-status - 인덱스 상태
-app.get('/api/store-a/products/index-status', async (req, res) => {
+app.get('/api/store-a/products/index-status', requirePermission('products.copy'), async (req, res) => {
   try {
     const countRows = await query('SELECT COUNT(*) as cnt FROM store_a_products');
     res.json({
       indexed: countRows[0].cnt,
-      indexing: indexingActive,
-      progress: indexingProgress,
+      ...await getIndexingStatus(),
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// POST /api/store-a/products/index-start - 인덱싱 시작
-app.post('/api/store-a/products/index-start', async (req, res) => {
-  if (indexingActive) {
-    return res.json({ message: '이미 인덱싱 중입니다.', indexing: true, progress: indexingProgress });
+// POST /api/store-a/products/index-start - 인덱싱 시작 (작업 큐에 등록)
+app.post('/api/store-a/products/index-start', requirePermission('products.copy'), async (req, res) => {
+  try {
+    // DB가 비어있으면 fullRefresh=true로 전체 인덱싱
+    const dbRows = await query('SELECT COUNT(*) as cnt FROM store_a_products');
+    const fullRefresh = dbRows[0].cnt === 0;
+    const job = await jobQueue.enqueue('products.index', { fullRefresh }, { dedupe: true, createdBy: req.user.username });
+    if (job.deduped) {
+      return res.json({ message: '이미 인덱싱 중입니다.', indexing: true, jobId: job.id });
+    }
+    res.json({ message: fullRefresh ? '전체 인덱싱을 시작했습니다.' : '증분 인덱싱을 시작했습니다.', indexing: true, jobId: job.id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
-  // DB가 비어있으면 fullRefresh=true로 전체 인덱싱
-  const dbRows = await query('SELECT COUNT(*) as cnt FROM store_a_products');
-  const dbCount = dbRows[0].cnt;
-  const fullRefresh = dbCount === 0;
-  runProductIndexing(fullRefresh).catch(e => console.error('[Index] 오류:', e.message));
-  res.json({ message: fullRefresh ? '전체 인덱싱을 시작했습니다.' : '증분 인덱싱을 시작했습니다.', indexing: true });
 });
 
 // POST /api/store-a/products/index-stop - 인덱싱 중지
-app.post('/api/store-a/products/index-stop', (req, res) => {
-  indexingActive = false;
-  res.json({ message: '인덱싱을 중지합니다.' });
+app.post('/api/store-a/products/index-stop', requirePermission('products.copy'), async (req, res) => {
+  try {
+    const { jobId } = await getIndexingStatus();
+    if (jobId) await jobQueue.cancel(jobId);
+    res.json({ message: '인덱싱을 중지합니다.' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // GET /api/store-a/products/:id - A 스토어 상품 상세
-app.get('/api/store-a/products/:id', async (req, res) => {
+app.get('/api/store-a/products/:id', requirePermission('products.copy'), async (req, res) => {
   try {
     await initSyncClients();
     const { id } = req.params;
@@ -2073,7 +2477,7 @@ app.get('/api/store-a/products/:id', async (req, res) => {
 });
 
 // POST /api/products/copy - 멀티채널 상품 복사
-app.post('/api/products/copy', async (req, res) => {
+app.post('/api/products/copy', requirePermission('products.copy'), async (req, res) => {
   try {
     await initSyncClients();
     const { channelProductNo, targets, options } = req.body;
@@ -2099,10 +2503,9 @@ app.post('/api/products/copy', async (req, res) => {
   }
 });
 
-// POST /api/products/copy-bulk - 여러 상품 일괄 복사
-app.post('/api/products/copy-bulk', async (req, res) => {
+// POST /api/products/copy-bulk - 여러 상품 일괄 복사 (작업 큐에 등록 → GET /api/jobs/:id로 진행 확인)
+app.post('/api/products/copy-bulk', requirePermission('products.copy'), async (req, res) => {
   try {
-    await initSyncClients();
     const { products, targets, options } = req.body;
 
     if (!products || !Array.isArray(products) || products.length === 0) {
@@ -2112,37 +2515,49 @@ app.post('/api/products/copy-bulk', async (req, res) => {
       return res.status(400).json({ error: '복사 대상 채널을 선택해주세요.' });
     }
 
-    const results = [];
-    for (const channelProductNo of products) {
-      try {
-        const result = await scheduler.copyToChannels(String(channelProductNo), targets, options || {});
-        results.push(result);
-      } catch (e) {
-        results.push({
-          source: { channelProductNo },
-          results: {},
-          error: e.message,
-        });
-      }
-      // API rate limit 방지
-      await new Promise(r => setTimeout(r, 1000));
-    }
-
-    const summary = {
-      total: products.length,
-      success: results.filter(r => !r.error && Object.values(r.results || {}).some(v => v.success)).length,
-      failed: results.filter(r => r.error || Object.values(r.results || {}).every(v => !v.success)).length,
-    };
-
-    res.json({ summary, details: results });
+    const job = await jobQueue.enqueue('products.copy_bulk', {
+      products: products.map(String),
+      targets,
+      options: options || {},
+    }, { createdBy: req.user.username });
+    res.status(202).json({ jobId: job.id, job });
   } catch (e) {
     console.error('[BulkCopy] 오류:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
+// 일괄 복사 작업 — 상품별 결과를 체크포인트로 저장해 재시작/재시도 시 남은 상품부터 이어서 복사
+async function runBulkCopy({ products, targets, options }, ctx) {
+  await initSyncClients();
+  const details = Array.isArray(ctx.state.details) ? ctx.state.details : [];
+  const done = new Set(details.map(d => String(d.source && d.source.channelProductNo)));
+
+  for (const channelProductNo of products) {
+    if (done.has(channelProductNo)) continue;
+    if (ctx.cancelled) break;
+    ctx.progress(details.length, products.length, channelProductNo);
+    try {
+      details.push(await scheduler.copyToChannels(channelProductNo, targets, options || {}));
+    } catch (e) {
+      details.push({ source: { channelProductNo }, results: {}, error: e.message });
+    }
+    await ctx.saveState({ details });
+    ctx.progress(details.length, products.length);
+    // API rate limit 방지
+    await new Promise(r => setTimeout(r, 1000));
+  }
+
+  const summary = {
+    total: products.length,
+    success: details.filter(r => !r.error && Object.values(r.results || {}).some(v => v.success)).length,
+    failed: details.filter(r => r.error || Object.values(r.results || {}).every(v => !v.success)).length,
+  };
+  return { summary, details };
+}
+
 // GET /api/products/copy-history - 복사 이력 조회
-app.get('/api/products/copy-history', async (req, res) => {
+app.get('/api/products/copy-history', requirePermission('products.copy'), async (req, res) => {
   try {
     const { page, limit: lim } = req.query;
     const pageNum = parseInt(page) || 1;
@@ -2163,80 +2578,283 @@ app.get('/api/products/copy-history', async (req, res) => {
   }
 });
 
-// POST /api/returns/copy-to-store - 수동 B스토어 복사
-app.post('/api/returns/copy-to-store', async (req, res) => {
-  try {
+// === 카테고리 매핑 (네이버 leafCategoryId → 쿠팡/지그재그) ===
+
+// 카테고리 새로고침용 채널 클라이언트 — 네이버는 A 스토어
+async function categoryClient(channel) {
+  if (channel === 'naver') {
     await initSyncClients();
-    const { productOrderId } = req.body;
-    if (!productOrderId) {
-      return res.status(400).json({ error: 'productOrderId가 필요합니다.' });
+    return scheduler.storeA;
+  }
+  const adapter = await channels.createAdapter(channel === 'coupang' ? 'C' : 'D');
+  if (!adapter) throw new Error(`${categoryMap.CHANNEL_LABELS[channel]} API 키가 설정되지 않았습니다.`);
+  return adapter.client;
+}
+
+// GET /api/categories/status - 채널별 카테고리 캐시 현황
+app.get('/api/categories/status', requirePermission('products.copy'), async (req, res) => {
+  try {
+    res.json(await categoryMap.getCategoryStats());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/categories/:channel?q=&all=1 - 캐시된 카테고리 검색 (기본: 최하위만)
+app.get('/api/categories/:channel', requirePermission('products.copy'), async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (!categoryMap.CHANNEL_LABELS[channel]) return res.status(400).json({ error: `알 수 없는 채널: ${channel}` });
+    const items = await categoryMap.listCategories(channel, {
+      q: String(req.query.q || '').trim(),
+      leafOnly: req.query.all !== '1',
+      limit: req.query.limit,
+    });
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/categories/:channel/refresh - 채널 카테고리 전체 다시 받기
+app.post('/api/categories/:channel/refresh', requirePermission('sync.config'), async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (!categoryMap.CHANNEL_LABELS[channel]) return res.status(400).json({ error: `알 수 없는 채널: ${channel}` });
+    res.json(await categoryMap.refreshCategories(channel, await categoryClient(channel)));
+  } catch (e) {
+    console.error('[Category] 새로고침 오류:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/category-mappings - 매핑 목록
+app.get('/api/category-mappings', requirePermission('products.copy'), async (req, res) => {
+  try {
+    res.json({ items: await categoryMap.listMappings() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/category-mappings/suggest?naverCategoryId=&channel= - 이름이 비슷한 대상 카테고리 추천
+app.get('/api/category-mappings/suggest', requirePermission('products.copy'), async (req, res) => {
+  try {
+    const { naverCategoryId, channel } = req.query;
+    if (!naverCategoryId || !categoryMap.TARGET_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: 'naverCategoryId와 channel(coupang/zigzag)이 필요합니다.' });
     }
+    res.json({ items: await categoryMap.suggest(naverCategoryId, channel) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    // 중복 체크
-    const dupCheck = await query(
-      "SELECT id FROM sync_log WHERE type IN ('qty_increase', 'product_create') AND status = 'success' AND product_order_id = ? LIMIT 1",
-      [productOrderId]
-    );
-    if (dupCheck.length > 0) {
-      return res.status(400).json({ error: '이미 스토어에 등록된 건입니다.' });
+// PUT /api/category-mappings - 매핑 저장 { naverCategoryId, channel, targetCategoryId }
+app.put('/api/category-mappings', requirePermission('sync.config'), async (req, res) => {
+  try {
+    const { naverCategoryId, channel, targetCategoryId } = req.body;
+    if (!naverCategoryId || !targetCategoryId || !categoryMap.TARGET_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: '네이버 카테고리, 채널(coupang/zigzag), 대상 카테고리가 필요합니다.' });
+    }
+    res.json({ success: true, mapping: await categoryMap.setMapping(naverCategoryId, channel, targetCategoryId, req.user) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/category-mappings/:naverCategoryId/:channel - 매핑 삭제
+app.delete('/api/category-mappings/:naverCategoryId/:channel', requirePermission('sync.config'), async (req, res) => {
+  try {
+    const { naverCategoryId, channel } = req.params;
+    if (!categoryMap.TARGET_CHANNELS.includes(channel)) return res.status(400).json({ error: `알 수 없는 채널: ${channel}` });
+    if (!await categoryMap.deleteMapping(naverCategoryId, channel)) {
+      return res.status(404).json({ error: '매핑을 찾을 수 없습니다.' });
     }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    // 네이버 상품 상세 조회
-    const details = await scheduler.storeA.getProductOrderDetail([productOrderId]);
-    if (!details || details.length === 0) {
-      return res.status(404).json({ error: '주문 정보를 찾을 수 없습니다.' });
+// GET /api/pricing-rules - 가격 규칙 목록 + 계산 방식/반올림 선택지
+app.get('/api/pricing-rules', requirePermission('products.copy'), async (req, res) => {
+  try {
+    res.json({
+      items: await pricing.listRules(),
+      methods: Object.entries(pricing.METHODS).map(([key, m]) => ({ key, label: m.label, usesCost: m.usesCost })),
+      roundings: Object.entries(pricing.ROUNDINGS).map(([key, r]) => ({ key, label: r.label })),
+      channels: pricing.TARGET_CHANNELS.map(key => ({ key, label: channels.getChannelByKey(key).label })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/pricing-rules - 가격 규칙 추가
+app.post('/api/pricing-rules', requirePermission('sync.config'), async (req, res) => {
+  try {
+    try {
+      pricing.normalizeRule(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
+    const id = await pricing.saveRule(req.body, req.user);
+    res.json({ success: true, id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const detail = details[0];
-    const runId = 'manual-store-' + Date.now();
-    const productName = scheduler.extractProductName(detail);
-    const optionName = scheduler.extractOptionName(detail);
-    const qty = scheduler.extractQty(detail);
-    const channelProductNo = scheduler.extractChannelProductNo(detail);
+// PUT /api/pricing-rules/:id - 가격 규칙 수정
+app.put('/api/pricing-rules/:id', requirePermission('sync.config'), async (req, res) => {
+  try {
+    try {
+      pricing.normalizeRule(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const id = await pricing.saveRule(req.body, req.user, parseInt(req.params.id));
+    if (!id) return res.status(404).json({ error: '가격 규칙을 찾을 수 없습니다.' });
+    res.json({ success: true, id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    // product_mapping 확인 → B스토어 복사
-    const safeOptionName = optionName || '';
-    const mappingRows = await query(
-      'SELECT * FROM product_mapping WHERE store_a_channel_product_no = ? AND store_a_option_name = ?',
-      [channelProductNo, safeOptionName]
-    );
-    const mapping = mappingRows[0];
+// DELETE /api/pricing-rules/:id - 가격 규칙 삭제
+app.delete('/api/pricing-rules/:id', requirePermission('sync.config'), async (req, res) => {
+  try {
+    if (!await pricing.deleteRule(parseInt(req.params.id))) {
+      return res.status(404).json({ error: '가격 규칙을 찾을 수 없습니다.' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/variant-channel-items?store=C&unlinked=1&search= - 쿠팡/지그재그 옵션 ↔ 마스터 옵션 연결 목록
+app.get('/api/variant-channel-items', requirePermission('inventory.view'), async (req, res) => {
+  const { store, unlinked, search } = req.query;
+  if (store && !variantItems.STORES.includes(store)) {
+    return res.status(400).json({ error: `알 수 없는 채널: ${store}` });
+  }
+  try {
+    res.json(await variantItems.listItems({
+      store: store || null,
+      unlinked: unlinked === '1' || unlinked === 'true',
+      search: String(search || '').trim(),
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    if (mapping && mapping.match_status !== 'unmatched' && mapping.store_b_channel_product_no) {
+// POST /api/variant-channel-items - 직접 연결 추가 { store, channelProductId, channelItemId, channelOptionName, variantId }
+app.post('/api/variant-channel-items', requirePermission('inventory.edit'), async (req, res) => {
+  let item;
+  try {
+    item = variantItems.normalizeItem(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const id = await variantItems.addItem(item, req.user);
+    res.json({ success: true, id });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /api/variant-channel-items/:id - 연결 옵션 변경 { variantId, channelItemId? }
+app.put('/api/variant-channel-items/:id', requirePermission('inventory.edit'), async (req, res) => {
+  if (!(parseInt((req.body || {}).variantId) > 0)) {
+    return res.status(400).json({ error: '연결할 옵션을 선택해주세요.' });
+  }
+  try {
+    if (!await variantItems.setVariant(parseInt(req.params.id), req.body, req.user)) {
+      return res.status(404).json({ error: '채널 옵션 연결을 찾을 수 없습니다.' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/variant-channel-items/:id - 연결 삭제
+app.delete('/api/variant-channel-items/:id', requirePermission('inventory.edit'), async (req, res) => {
+  try {
+    if (!await variantItems.deleteItem(parseInt(req.params.id))) {
+      return res.status(404).json({ error: '채널 옵션 연결을 찾을 수 없습니다.' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/pricing/preview - 복사 전 채널별 판매가 미리보기 { channelProductNo, channels?, rule?(저장 전 규칙) }
+app.post('/api/pricing/preview', requirePermission('products.copy'), async (req, res) => {
+  try {
+    const { channelProductNo, channels: targets, rule } = req.body;
+    if (!channelProductNo) return res.status(400).json({ error: 'channelProductNo가 필요합니다.' });
+    if (rule) {
       try {
-        await scheduler.increaseStoreB(runId, mapping.store_b_channel_product_no, productName, optionName, qty, productOrderId);
+        pricing.normalizeRule(rule);
       } catch (e) {
-        const isNotFound = e.message && (e.message.includes('404') || e.message.includes('not found'));
-        if (isNotFound) {
-          await scheduler.copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId);
-        } else {
-          throw e;
-        }
+        return res.status(400).json({ error: e.message });
       }
-    } else {
-      await scheduler.copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId);
     }
+    await initSyncClients();
+    const sourceProduct = await scheduler.fetchSourceProduct(String(channelProductNo));
+    const origin = sourceProduct.originProduct || sourceProduct;
+    const result = await pricing.preview(String(channelProductNo), sourceProduct, { channels: targets, rule });
 
-    res.json({ success: true, message: 'B스토어에 등록되었습니다.' });
+    // 원가/마진은 costs.view 권한이 있을 때만 포함
+    if (!auth.hasPermission(req.user, 'costs.view')) {
+      delete result.product.cost;
+      for (const r of result.results) delete r.margin;
+    }
+    res.json({ productName: origin.name || '', ...result });
   } catch (e) {
-    console.error('[CopyToStore] 오류:', e.message);
+    console.error('[Pricing] 미리보기 오류:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
-// DELETE /api/returns/confirm-pickup/:productOrderId - 실수거완료 취소
-app.delete('/api/returns/confirm-pickup/:productOrderId', async (req, res) => {
+// POST /api/returns/copy-to-store - 수동 B스토어 복사
+app.post('/api/returns/copy-to-store', requirePermission('returns.process'), async (req, res) => {
   try {
-    const { productOrderId } = req.params;
-    const result = await query(
-      'DELETE FROM return_confirmations WHERE product_order_id = ?',
-      [productOrderId]
-    );
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: '해당 실수거완료 건을 찾을 수 없습니다.' });
+    await initSyncClients();
+    const { productOrderId } = req.body;
+    if (!productOrderId) {
+      return res.status(400).json({ error: 'productOrderId가 필요합니다.' });
     }
-    res.json({ success: true });
+
+    // 중복 체크 (네이버 API 호출 전에 미리 — 실제 중복 방지는 addReturnToStoreB의 claim)
+    if ((await processedReturns.getProcessed([productOrderId])).storeB.has(String(productOrderId).trim())) {
+      return res.status(400).json({ error: '이미 스토어에 등록된 건입니다.' });
+    }
+
+    // 네이버 상품 상세 조회
+    const details = await scheduler.storeA.getProductOrderDetail([productOrderId]);
+    if (!details || details.length === 0) {
+      return res.status(404).json({ error: '주문 정보를 찾을 수 없습니다.' });
+    }
+
+    // product_mapping 확인 → B스토어 수량 증가 또는 신규 등록 (자동 동기화와 같은 경로)
+    const outcome = await scheduler.addReturnToStoreB('manual-store-' + Date.now(), details[0], 'manual');
+    if (outcome === 'already') {
+      return res.status(400).json({ error: '이미 스토어에 등록된 건입니다.' });
+    }
+    if (outcome === 'failed') {
+      return res.status(500).json({ error: 'A 스토어 상품을 조회하지 못해 B스토어에 등록하지 못했습니다.' });
+    }
+
+    res.json({ success: true, message: 'B스토어에 등록되었습니다.' });
   } catch (e) {
+    console.error('[CopyToStore] 오류:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
@@ -2297,7 +2915,7 @@ app.post('/api/push/unsubscribe', async (req, res) => {
 });
 
 // POST /api/push/test - 테스트 푸시 발송
-app.post('/api/push/test', async (req, res) => {
+app.post('/api/push/test', requirePermission('sync.config'), async (req, res) => {
   try {
     const keys = await getVapidKeys();
     webpush.setVapidDetails('mailto:bluefi@example.com', keys.publicKey, keys.privateKey);
@@ -2334,70 +2952,21 @@ app.post('/api/push/test', async (req, res) => {
 
 // === Helpers ===
 
-function extractBrand(name) {
-  if (!name) return '';
-  const trimmed = name.trim();
-  const match = trimmed.match(/^([a-zA-Z]{2})\s/);
-  if (match) return match[1].toLowerCase();
-  return '';
+// 원가 입력값: 빈 값은 NULL(미입력), 숫자는 0 이상 정수
+function parseCostPrice(value) {
+  if (value === null || value === '') return null;
+  const n = parseInt(value, 10);
+  return isNaN(n) || n < 0 ? null : n;
 }
 
-// 쿠팡 vendorItemName 파싱: "ob 캐시미어 니트, 아이보리 free" → { productName, brand, color, size }
-// 콤마 앞 = 상품명 (브랜드 이니셜 포함), 콤마 뒤 = 옵션 (색상 + 사이즈)
-function parseCoupangItemName(vendorItemName) {
-  if (!vendorItemName) return { productName: '', brand: '', color: '', size: '', colorOptions: [], sizeOptions: [] };
-
-  const commaIdx = vendorItemName.indexOf(',');
-  if (commaIdx === -1) {
-    return { productName: vendorItemName.trim(), brand: extractBrand(vendorItemName), color: '', size: '', colorOptions: [], sizeOptions: [] };
-  }
-
-  let productName = vendorItemName.slice(0, commaIdx).trim();
-  const optionPart = vendorItemName.slice(commaIdx + 1).trim();
-  const tokens = optionPart.split(/\s+/).filter(t => t);
-
-  // 브랜드: 상품명 앞 또는 끝에서 2글자 영문 이니셜 추출
-  let brand = extractBrand(productName);
-  if (!brand) {
-    // 끝에 브랜드가 있는 경우: "... 블랙 ob" → brand = "ob" (상품명은 변경하지 않음)
-    const endMatch = productName.match(/\s([a-zA-Z]{2})$/);
-    if (endMatch) {
-      brand = endMatch[1].toLowerCase();
-    }
-  }
-
-  // 첫 토큰이 2글자 영문이면 옵션 쪽 브랜드 — 상품명에 없으면 prepend용
-  let startIdx = 0;
-  if (tokens.length > 0 && /^[a-zA-Z]{2}$/.test(tokens[0])) {
-    const optionBrand = tokens[0].toLowerCase();
-    if (!brand) {
-      brand = optionBrand;
-    }
-    startIdx = 1;
-  }
-
-  // 마지막 토큰이 사이즈 키워드면 추출
-  let size = '';
-  let endIdx = tokens.length;
-  if (tokens.length > startIdx && /^(free|xxl|xl|l|m|s|f)$/i.test(tokens[tokens.length - 1])) {
-    size = tokens[tokens.length - 1];
-    size = size.toUpperCase() === 'FREE' ? 'Free' : size.toUpperCase();
-    endIdx = tokens.length - 1;
-  }
-
-  // 중간 토큰에서 색상/사이즈 분리 (사이즈 키워드가 섞여있을 수 있음)
-  const middleTokens = tokens.slice(startIdx, endIdx);
-  const sizePattern = /^(free|xxl|xl|l|m|s|f)$/i;
-  const colorOptions = middleTokens.filter(t => !sizePattern.test(t));
-  const extraSizes = middleTokens.filter(t => sizePattern.test(t)).map(t =>
-    t.toUpperCase() === 'FREE' ? 'Free' : t.toUpperCase()
-  );
-
-  const color = middleTokens.join(' ');
-  const allSizes = [...new Set([...(size ? [size] : []), ...extraSizes])];
-  const sizeOptions = allSizes.length > 0 ? allSizes : [];
+// 매출 집계 조건: 취소/반품/교환 상태 제외 (NULL 상태는 포함)
+function revenueStatusFilter() {
+  const ph = salesStock.REVENUE_EXCLUDED_STATUSES.map(() => '?').join(', ');
+  return `(product_order_status IS NULL OR product_order_status NOT IN (${ph}))`;
+}
 
-  return { productName, brand, color, size, colorOptions, sizeOptions };
+function scheduleStockPush(productId) {
+  stockSync.schedule(Number(productId)).catch(e => console.error('[StockSync] 예약 실패:', e.message));
 }
 
 function maskSecret(str) {
@@ -2407,52 +2976,22 @@ function maskSecret(str) {
 
 async function initSyncClients() {
   if (scheduler.hasClients()) return;
-  const getVal = async (key) => {
-    const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-    return rows[0] ? rows[0].value : '';
-  };
-  const aId = process.env.STORE_A_CLIENT_ID || await getVal('store_a_client_id');
-  const aSecret = process.env.STORE_A_CLIENT_SECRET || await getVal('store_a_client_secret');
-  const bId = process.env.STORE_B_CLIENT_ID || await getVal('store_b_client_id');
-  const bSecret = process.env.STORE_B_CLIENT_SECRET || await getVal('store_b_client_secret');
+  const aId = process.env.STORE_A_CLIENT_ID || await getConfig('store_a_client_id');
+  const aSecret = process.env.STORE_A_CLIENT_SECRET || await getConfig('store_a_client_secret');
+  const bId = process.env.STORE_B_CLIENT_ID || await getConfig('store_b_client_id');
+  const bSecret = process.env.STORE_B_CLIENT_SECRET || await getConfig('store_b_client_secret');
   if (!aId || !aSecret || !bId || !bSecret) {
     throw new Error('스토어 A/B API 키가 설정되지 않았습니다. Settings에서 입력해주세요.');
   }
   scheduler.initClients(aId, aSecret, bId, bSecret);
 }
 
-async function initCoupangClient() {
-  const getVal = async (key) => {
-    const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-    return rows[0] ? rows[0].value : '';
-  };
-  const accessKey = process.env.COUPANG_ACCESS_KEY || await getVal('coupang_access_key');
-  const secretKey = process.env.COUPANG_SECRET_KEY || await getVal('coupang_secret_key');
-  const vendorId = process.env.COUPANG_VENDOR_ID || await getVal('coupang_vendor_id');
-  if (!accessKey || !secretKey || !vendorId) return null;
-  return new CoupangClient(accessKey, secretKey, vendorId);
-}
-
-async function initZigzagClient() {
-  const getVal = async (key) => {
-    const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-    return rows[0] ? rows[0].value : '';
-  };
-  const accessKey = process.env.ZIGZAG_ACCESS_KEY || await getVal('zigzag_access_key');
-  const secretKey = process.env.ZIGZAG_SECRET_KEY || await getVal('zigzag_secret_key');
-  if (!accessKey || !secretKey) return null;
-  return new ZigzagClient(accessKey, secretKey);
-}
-
 // Initialize DB and start server
-(async () => {
+async function startServer() {
   // 포트를 먼저 열어서 Render 타임아웃 방지
   app.listen(PORT, () => {
     console.log(`블루파이 재고관리 서버 실행중: http://localhost:${PORT}`);
 
-    // 자동 인덱싱 시작 (6시간마다 새 상품 체크)
-    startAutoIndexing();
-
     // Render 무료 플랜 keep-alive: 14분마다 self-ping으로 spin-down 방지
     if (process.env.RENDER_EXTERNAL_URL || process.env.NODE_ENV === 'production') {
       const url = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
@@ -2463,8 +3002,30 @@ async function initZigzagClient() {
     }
   });
 
-  // DB 초기화 (포트 열린 후 백그라운드)
-  await initDb();
+  // DB 초기화 (포트 열린 후 백그라운드) — 마이그레이션 실패 시 반쯤 적용된 스키마로 서비스하지 않고 종료
+  try {
+    await initDb();
+  } catch (e) {
+    console.error('[DB] 초기화/마이그레이션 실패 — 서버를 종료합니다:', e.message);
+    process.exit(1);
+  }
+  app.locals.dbReady = true;
+
+  // 작업 큐 워커 시작 — 재시작 전에 중단된 작업은 이어서 실행
+  // 기본 스케줄: A 스토어 상품 인덱싱 6시간마다 (KST 0/6/12/18시)
+  try {
+    await jobQueue.ensureSchedule('product_index', { jobType: 'products.index', cron: '0 */6 * * *' });
+    await jobQueue.start();
+  } catch (e) {
+    console.error('[Jobs] 작업 큐 시작 실패:', e.message);
+  }
+
+  // 최초 관리자 계정 (사용자가 없을 때만)
+  try {
+    await auth.ensureInitialUser();
+  } catch (e) {
+    console.error('[Auth] 최초 계정 생성 실패:', e.message);
+  }
 
   // Auto-start scheduler if configured
   try {
@@ -2527,4 +3088,11 @@ async function initZigzagClient() {
     console.log('[Update] 버전 확인 오류:', e.message);
   }
 
-})();
+}
+
+// 테스트에서는 require만 하고 서버는 띄우지 않음
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, extractProductInfo };
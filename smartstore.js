@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 
+// NAVER_API_BASE로 교체 가능 (mock 서버 등 오프라인 실행용)
 const COMMERCE_API_BASE = 'https://api.commerce.naver.com/external';
 
 class NaverCommerceClient {
@@ -9,6 +10,7 @@ class NaverCommerceClient {
     this.storeName = storeName;
     this.accessToken = null;
     this.tokenExpiry = 0;
+    this.baseUrl = process.env.NAVER_API_BASE || COMMERCE_API_BASE;
   }
 
   // === Authentication ===
@@ -33,7 +35,7 @@ class NaverCommerceClient {
       type: 'SELF',
     });
 
-    const res = await fetch(`${COMMERCE_API_BASE}/v1/oauth2/token`, {
+    const res = await fetch(`${this.baseUrl}/v1/oauth2/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: params.toString(),
@@ -55,7 +57,7 @@ class NaverCommerceClient {
 
   async apiCall(method, path, body = null, retryCount = 0) {
     const token = await this.getToken();
-    const url = `${COMMERCE_API_BASE}${path}`;
+    const url = `${this.baseUrl}${path}`;
 
     const options = {
       method,
@@ -315,14 +317,11 @@ class NaverCommerceClient {
   }
 
   /**
-   * Update product stock quantity
-   * @param {string} channelProductNo
-   * @param {Object} originProduct - the originProduct part from getChannelProduct response
-   * @param {number} newStockQty - new total stock quantity
-   * @param {Object} [smartstoreChannelProduct] - smartstoreChannelProduct from getChannelProduct response
-   * @returns {Object} update result
+   * 상품 수정(PUT)용 originProduct 정리 — 읽기 전용/서버 계산 필드 제거 (deep copy)
+   * @param {Object} originProduct - getChannelProduct 응답의 originProduct
+   * @returns {Object} 수정 요청용 originProduct
    */
-  async updateProductStock(channelProductNo, originProduct, newStockQty, smartstoreChannelProduct) {
+  static sanitizeOriginForUpdate(originProduct) {
     // Deep copy to avoid mutating the original
     const origin = JSON.parse(JSON.stringify(originProduct));
 
@@ -347,30 +346,19 @@ class NaverCommerceClient {
     if (origin.deliveryInfo) {
       delete origin.deliveryInfo.deliveryBundleGroupId;
     }
+    return origin;
+  }
 
-    // Set new stock quantity
-    origin.stockQuantity = newStockQty;
-
-    // optionStandards 재고도 갱신 — 네이버 API는 옵션별 재고 합계로 전체 재고를 계산
-    const optInfo = origin.detailAttribute?.optionInfo;
-    if (optInfo?.optionStandards && optInfo.optionStandards.length > 0) {
-      // 모든 옵션 재고를 0으로 리셋 후, 첫 번째 옵션에 전체 수량 설정
-      for (const opt of optInfo.optionStandards) {
-        opt.stockQuantity = 0;
-      }
-      optInfo.optionStandards[0].stockQuantity = newStockQty;
-    }
-    if (optInfo?.optionCombinations && optInfo.optionCombinations.length > 0) {
-      for (const opt of optInfo.optionCombinations) {
-        opt.stockQuantity = 0;
-      }
-      optInfo.optionCombinations[0].stockQuantity = newStockQty;
-    }
-
+  /**
+   * 상품 수정(PUT)용 smartstoreChannelProduct 생성 — 기존 값 복사 + 필수 필드 보장
+   * @param {Object} origin - sanitizeOriginForUpdate 결과
+   * @param {Object} [smartstoreChannelProduct] - getChannelProduct 응답의 smartstoreChannelProduct
+   * @returns {Object}
+   */
+  static buildChannelProductForUpdate(origin, smartstoreChannelProduct) {
     const channelProductName = smartstoreChannelProduct?.channelProductName || origin.name || '';
     const displayStatus = smartstoreChannelProduct?.channelProductDisplayStatusType || 'ON';
 
-    // smartstoreChannelProduct: 기존 값 복사 + 필수 필드 보장
     const channelProduct = {};
     if (smartstoreChannelProduct) {
       // 기존 채널 상품 정보를 복사 (read-only 필드 제외)
@@ -386,19 +374,209 @@ class NaverCommerceClient {
     channelProduct.channelProductDisplayStatusType = displayStatus;
     channelProduct.storeKeepExclusiveProduct = channelProduct.storeKeepExclusiveProduct ?? false;
     channelProduct.naverShoppingRegistration = channelProduct.naverShoppingRegistration ?? true;
+    return channelProduct;
+  }
+
+  /**
+   * 주문 옵션명 파싱 — '색상: 블랙 / 사이즈: M' → [{ group: '색상', value: '블랙' }, { group: '사이즈', value: 'M' }]
+   * 그룹명 없이 값만 있는 '블랙 / M'은 group: null (네이버 조합형 옵션은 최대 3단)
+   * @param {string} optionName
+   * @returns {Array<{group: string|null, value: string}>}
+   */
+  static parseOptionName(optionName) {
+    return String(optionName || '').split(' / ')
+      .map(part => {
+        const idx = part.indexOf(':');
+        return idx > 0
+          ? { group: part.slice(0, idx).trim(), value: part.slice(idx + 1).trim() }
+          : { group: null, value: part.trim() };
+      })
+      .filter(opt => opt.value)
+      .slice(0, 3);
+  }
+
+  // 조합형 옵션 1건 (optionName1~3) — 추가 금액 없이 B 판매가 그대로
+  static buildOptionCombination(options, stockQty) {
+    const combo = {};
+    options.forEach((opt, i) => { combo[`optionName${i + 1}`] = opt.value; });
+    combo.stockQuantity = stockQty;
+    combo.price = 0;
+    combo.usable = true;
+    return combo;
+  }
+
+  /**
+   * 반품된 옵션 1개만 가진 B 스토어 등록용 optionInfo
+   * @param {string} optionName - 주문 옵션명
+   * @param {number} stockQty
+   * @param {Object} [sourceGroupNames] - A 상품 optionCombinationGroupNames (주문 옵션명에 그룹명이 없을 때 사용)
+   * @returns {Object|null} 옵션이 없으면 null
+   */
+  static buildOptionInfo(optionName, stockQty, sourceGroupNames = {}) {
+    const options = NaverCommerceClient.parseOptionName(optionName);
+    if (options.length === 0) return null;
+    const groupNames = {};
+    options.forEach((opt, i) => {
+      const key = `optionGroupName${i + 1}`;
+      groupNames[key] = opt.group || sourceGroupNames?.[key] || `옵션${i + 1}`;
+    });
+    return {
+      optionCombinationSortType: 'CREATE',
+      optionCombinationGroupNames: groupNames,
+      optionCombinations: [NaverCommerceClient.buildOptionCombination(options, stockQty)],
+      useStockManagement: true,
+    };
+  }
+
+  /**
+   * 즉시할인 적용된 실제 판매가 — 타 채널 가격 계산의 기준 (pricing.js)
+   * @param {Object} origin - originProduct
+   * @returns {number}
+   */
+  static actualSalePrice(origin) {
+    const salePrice = origin.salePrice || 0;
+    const discount = origin.customerBenefit?.immediateDiscountPolicy?.discountMethod;
+    if (!discount) return salePrice;
+    if (discount.unitType === 'PERCENT') return Math.round(salePrice * (1 - discount.value / 100));
+    return salePrice - (discount.value || 0);
+  }
+
+  /**
+   * 상품의 판매 가능한 옵션 목록 (조합형 optionCombinations, 없으면 단독형 optionStandards) — 타 채널 복사용
+   * optionName은 주문 옵션명과 같은 '색상: 블랙 / 사이즈: M' 형식 (variants 매칭에 그대로 사용)
+   * @param {Object} sourceProduct - getChannelProduct() 결과
+   * @returns {{ groupNames: string[], options: Array<{values: string[], optionName: string, price: number, stockQuantity: number}> }}
+   *   price는 판매가 대비 옵션 추가금액, 옵션 없는 상품은 options가 빈 배열
+   */
+  static extractOptions(sourceProduct) {
+    const origin = sourceProduct.originProduct || sourceProduct;
+    const optInfo = origin.detailAttribute?.optionInfo || {};
+    const keys = ['optionName1', 'optionName2', 'optionName3'];
+
+    let rows = optInfo.optionCombinations || [];
+    let groupNames = keys.map((k, i) => optInfo.optionCombinationGroupNames?.[`optionGroupName${i + 1}`]);
+    if (rows.length === 0) {
+      rows = optInfo.optionStandards || [];
+      groupNames = keys.map((k, i) => optInfo.standardOptionGroups?.[i]?.groupName);
+    }
+    rows = rows.filter(row => row.usable !== false && row.optionName1);
+    if (rows.length === 0) return { groupNames: [], options: [] };
+
+    const depth = Math.max(...rows.map(row => keys.filter(k => row[k]).length));
+    groupNames = groupNames.slice(0, depth).map((name, i) => name || `옵션${i + 1}`);
+    const options = rows.map(row => {
+      const values = keys.slice(0, depth).map(k => String(row[k] || '').trim());
+      return {
+        values,
+        optionName: values.map((v, i) => `${groupNames[i]}: ${v}`).join(' / '),
+        price: row.price || 0,
+        stockQuantity: row.stockQuantity || 0,
+      };
+    });
+    return { groupNames, options };
+  }
+
+  /**
+   * originProduct에 반품 수량 반영 — 같은 옵션 조합이 있으면 재고 증가, 없으면 조합 추가 (origin 직접 수정)
+   * 전체 재고(stockQuantity)는 옵션별 재고 합계로 다시 계산
+   * @param {Object} origin - sanitizeOriginForUpdate 결과
+   * @param {string} optionName - 주문 옵션명
+   * @param {number} qty
+   * @returns {Object|null} { option, added, before, after, total } — 옵션 구성(단수)이 달라 합칠 수 없으면 null
+   */
+  static applyOptionStock(origin, optionName, qty) {
+    const options = NaverCommerceClient.parseOptionName(optionName);
+    const optInfo = origin.detailAttribute?.optionInfo;
+    const combos = optInfo?.optionCombinations || [];
+    const label = options.map(opt => opt.value).join(' / ');
+
+    if (combos.length === 0) {
+      // 옵션 없는 상품에는 옵션 없는 반품만 합침 (단독형 옵션 상품도 구조가 달라 제외)
+      if (options.length > 0 || optInfo?.optionStandards?.length > 0) return null;
+      const before = origin.stockQuantity || 0;
+      origin.stockQuantity = before + qty;
+      return { option: '', added: false, before, after: origin.stockQuantity, total: origin.stockQuantity };
+    }
+
+    const keys = ['optionName1', 'optionName2', 'optionName3'];
+    const groupCount = Object.values(optInfo.optionCombinationGroupNames || {}).filter(Boolean).length
+      || keys.filter(k => combos[0][k]).length;
+    if (options.length !== groupCount) return null;
+
+    const normalize = (v) => String(v || '').trim().toLowerCase();
+    let combo = combos.find(c => options.every((opt, i) => normalize(c[keys[i]]) === normalize(opt.value)));
+    const added = !combo;
+    if (added) {
+      combo = NaverCommerceClient.buildOptionCombination(options, 0);
+      combos.push(combo);
+    }
+    const before = combo.stockQuantity || 0;
+    combo.stockQuantity = before + qty;
+    combo.usable = true;
+    origin.stockQuantity = combos.reduce((sum, c) => sum + (c.stockQuantity || 0), 0);
+    return { option: label, added, before, after: combo.stockQuantity, total: origin.stockQuantity };
+  }
+
+  /**
+   * 반품 수량을 기존 상품의 해당 옵션 재고에 더함 (옵션 조합이 없으면 추가)
+   * @param {string} channelProductNo
+   * @param {string} optionName - 주문 옵션명
+   * @param {number} qty
+   * @returns {Object|null} applyOptionStock 결과 — null이면 수정하지 않음
+   */
+  async increaseOptionStock(channelProductNo, optionName, qty) {
+    const product = await this.getChannelProduct(channelProductNo);
+    const origin = NaverCommerceClient.sanitizeOriginForUpdate(product.originProduct || product);
+    const result = NaverCommerceClient.applyOptionStock(origin, optionName, qty);
+    if (!result) return null;
 
     const updateBody = {
       originProduct: origin,
-      smartstoreChannelProduct: channelProduct,
+      smartstoreChannelProduct: NaverCommerceClient.buildChannelProductForUpdate(origin, product.smartstoreChannelProduct),
     };
 
-    console.log(`[${this.storeName}] 수량 업데이트 요청: ${channelProductNo}, stockQty=${newStockQty}`);
+    console.log(`[${this.storeName}] 옵션 수량 증가 요청: ${channelProductNo}, ${result.option || '옵션없음'} +${qty}${result.added ? ' (옵션 추가)' : ''}`);
+    await this.apiCall('PUT', `/v2/products/channel-products/${channelProductNo}`, updateBody);
+    return result;
+  }
 
-    return this.apiCall(
-      'PUT',
-      `/v2/products/channel-products/${channelProductNo}`,
-      updateBody
-    );
+  /**
+   * 옵션별 재고 업데이트 (조합형 옵션 단위)
+   * @param {string} channelProductNo
+   * @param {Function} stockForOption - (optionCombination | null, 전체 optionCombinations) => 수량, null 반환 시 기존 값 유지
+   *   옵션이 없는 상품은 stockForOption(null)로 전체 재고를 결정
+   * @returns {Object} { total, updatedOptions }
+   */
+  async updateOptionStocks(channelProductNo, stockForOption) {
+    const product = await this.getChannelProduct(channelProductNo);
+    const origin = NaverCommerceClient.sanitizeOriginForUpdate(product.originProduct || {});
+    const combos = origin.detailAttribute?.optionInfo?.optionCombinations || [];
+
+    let total = 0;
+    let updatedOptions = 0;
+    if (combos.length > 0) {
+      for (const combo of combos) {
+        const qty = stockForOption(combo, combos);
+        if (qty !== null && qty !== undefined) {
+          combo.stockQuantity = qty;
+          updatedOptions++;
+        }
+        total += combo.stockQuantity || 0;
+      }
+    } else {
+      const qty = stockForOption(null);
+      total = qty !== null && qty !== undefined ? qty : (origin.stockQuantity || 0);
+    }
+    origin.stockQuantity = total;
+
+    const updateBody = {
+      originProduct: origin,
+      smartstoreChannelProduct: NaverCommerceClient.buildChannelProductForUpdate(origin, product.smartstoreChannelProduct),
+    };
+
+    console.log(`[${this.storeName}] 옵션 재고 업데이트 요청: ${channelProductNo}, total=${total}, options=${updatedOptions}/${combos.length}`);
+    await this.apiCall('PUT', `/v2/products/channel-products/${channelProductNo}`, updateBody);
+    return { total, updatedOptions };
   }
 
   /**
@@ -432,9 +610,12 @@ class NaverCommerceClient {
    * A 스토어 상품 정보를 복사하여 B 스토어용 등록 데이터로 변환
    * @param {Object} sourceProduct - A 스토어 getChannelProduct() 결과
    * @param {number} stockQty - 초기 재고 수량
+   * @param {string} namePrefix - 상품명 앞에 붙일 문구
+   * @param {number|function(number): number} priceRate - A 실제 판매가 대비 B 판매가 비율, 또는 가격 계산 함수 (pricing.js)
+   * @param {string} [optionName] - 반품된 주문 옵션명 — 있으면 이 옵션 하나만 조합형 옵션으로 등록
    * @returns {Object} B 스토어 상품 등록 요청 body
    */
-  static buildProductCopyData(sourceProduct, stockQty = 1, namePrefix = '(오늘출발)') {
+  static buildProductCopyData(sourceProduct, stockQty = 1, namePrefix = '(오늘출발)', priceRate = 0.85, optionName = null) {
     const origin = sourceProduct.originProduct || sourceProduct;
     const baseName = origin.name || '';
     const channelName = sourceProduct.channelProductName || baseName;
@@ -474,9 +655,10 @@ class NaverCommerceClient {
     if (origin.detailAttribute) {
       const da = origin.detailAttribute;
 
-      // B 스토어 상품은 옵션 없이 단순 상품으로 생성
+      // A 스토어 optionInfo는 복사하지 않고 반품된 옵션만 새로 구성
       // (standardOptionGroups를 포함하면 네이버 API가 A 스토어의 옵션별 재고를 자동 복사함)
-      let optionInfo = undefined;
+      const optionInfo = NaverCommerceClient.buildOptionInfo(optionName, stockQty,
+        da.optionInfo?.optionCombinationGroupNames) || undefined;
 
       // 카탈로그 매칭 해제 — A 스토어 재고가 B 상품에 연동되는 것 방지
       let searchInfo = da.naverShoppingSearchInfo ? { ...da.naverShoppingSearchInfo } : undefined;
@@ -505,20 +687,10 @@ class NaverCommerceClient {
       if (da.saleEndDate) o.detailAttribute.saleEndDate = da.saleEndDate;
     }
 
-    // B 스토어 가격 설정: A 할인가 × 85% (10원 단위 절사)
+    // B 스토어 가격 설정: A 할인가 × priceRate (10원 단위 절사) 또는 가격 규칙
     if (origin.salePrice !== undefined) {
-      let actualPrice = origin.salePrice;
-      // 즉시할인이 있으면 할인 적용된 실제 판매가 계산
-      const discount = origin.customerBenefit?.immediateDiscountPolicy?.discountMethod;
-      if (discount) {
-        if (discount.unitType === 'PERCENT') {
-          actualPrice = Math.round(origin.salePrice * (1 - discount.value / 100));
-        } else {
-          actualPrice = origin.salePrice - (discount.value || 0);
-        }
-      }
-      // 85% 적용 후 10원 단위 절사
-      o.salePrice = Math.floor(actualPrice * 0.85 / 10) * 10;
+      const priceOf = typeof priceRate === 'function' ? priceRate : (p) => Math.floor(p * priceRate / 10) * 10;
+      o.salePrice = priceOf(NaverCommerceClient.actualSalePrice(origin));
     }
 
     // 배송 정보: A 스토어의 기본 구조만 복사 (주소 ID는 B 스토어 것으로 교체 필요)
@@ -535,6 +707,15 @@ class NaverCommerceClient {
     return newProduct;
   }
 
+  /**
+   * 전체 카테고리 목록 (리프 여부 포함)
+   * @returns {Array<{id: string, name: string, wholeCategoryName: string, last: boolean}>}
+   *   wholeCategoryName: '패션의류>여성의류>니트'
+   */
+  async getCategories() {
+    return this.apiCall('GET', '/v1/categories');
+  }
+
   /**
    * Get seller's registered delivery addresses
    * @returns {Array} address list
@@ -602,19 +783,20 @@ class NaverCommerceClient {
     );
   }
 
-  // === Store A: Returnable orders (반품완료 + 수거완료) ===
+  // === Claims: 반품/교환 (전체 변경 내역에서 claimType 필터) ===
 
   /**
-   * Get returnable orders (RETURN_DONE + COLLECT_DONE) in a time range
-   * Automatically chunks into 24h segments (Naver API limit)
+   * 기간 내 상태가 바뀐 상품주문 중 claimType이 일치하는 건 (24시간씩 나눠 조회 — 네이버 API 제한)
    * @param {string} fromDate ISO datetime
    * @param {string} toDate ISO datetime
-   * @returns {Array} { productOrderId, claimStatus } objects
+   * @param {string} claimType - RETURN | EXCHANGE
+   * @returns {Promise<Array>} { productOrderId, claimStatus, lastChangedDate } (productOrderId 중복 제거)
    */
-  async getReturnableOrders(fromDate, toDate) {
+  async getClaimStatuses(fromDate, toDate, claimType) {
     // lastChangedType 생략 → 모든 상태 변경 포함
     // 네이버 API에서 반품 수거완료는 COLLECT_DONE lastChangedType에 안 잡힘 (교환 전용)
-    // → 전체 조회 후 claimType=RETURN 필터
+    // → 전체 조회 후 claimType 필터
+    const label = claimType === 'EXCHANGE' ? '교환' : '반품/수거';
     const allStatuses = [];
     const fromMs = new Date(fromDate).getTime();
     const toMs = new Date(toDate).getTime();
@@ -650,11 +832,8 @@ class NaverCommerceClient {
       cursor = chunkEnd;
     }
 
-    // 반품 관련 필터: claimType=RETURN인 건 (수거완료/반품완료 등 모든 단계 포함)
-    const returnStatuses = allStatuses.filter(s => {
-      const claimType = (s.claimType || '').toUpperCase();
-      return claimType === 'RETURN';
-    });
+    // claimType 필터 (수거완료/완료 등 모든 단계 포함)
+    const claimStatuses = allStatuses.filter(s => (s.claimType || '').toUpperCase() === claimType);
 
     // 분포 로깅
     const dist = {};
@@ -662,11 +841,11 @@ class NaverCommerceClient {
       const key = `${s.claimType || '?'}/${s.claimStatus || s.productOrderStatus || '?'}`;
       dist[key] = (dist[key] || 0) + 1;
     });
-    console.log(`[${this.storeName}] 반품/수거 조회: 전체 ${allStatuses.length}건, 필터 ${returnStatuses.length}건`, JSON.stringify(dist));
+    console.log(`[${this.storeName}] ${label} 조회: 전체 ${allStatuses.length}건, 필터 ${claimStatuses.length}건`, JSON.stringify(dist));
 
     // productOrderId 중복 제거
     const seen = new Set();
-    return returnStatuses
+    return claimStatuses
       .filter(s => {
         if (seen.has(s.productOrderId)) return false;
         seen.add(s.productOrderId);
@@ -675,6 +854,25 @@ class NaverCommerceClient {
       .map(s => ({ productOrderId: s.productOrderId, claimStatus: s.claimStatus, lastChangedDate: s.lastChangedDate || null }));
   }
 
+  /**
+   * Get returnable orders (claimType=RETURN, 수거완료/반품완료 등 모든 단계) in a time range
+   * @param {string} fromDate ISO datetime
+   * @param {string} toDate ISO datetime
+   * @returns {Array} { productOrderId, claimStatus } objects
+   */
+  async getReturnableOrders(fromDate, toDate) {
+    return this.getClaimStatuses(fromDate, toDate, 'RETURN');
+  }
+
+  /**
+   * 교환 클레임 (claimType=EXCHANGE) — 교환 요청/수거/재배송/완료/거부 모든 단계
+   * @param {string} fromDate ISO datetime
+   * @param {string} toDate ISO datetime
+   */
+  async getExchangeOrders(fromDate, toDate) {
+    return this.getClaimStatuses(fromDate, toDate, 'EXCHANGE');
+  }
+
   // === Connection test ===
 
   async testConnection() {
@@ -0,0 +1,162 @@
+const { getPool, query } = require('./database');
+
+// 재고 변동 사유
+// return: 반품 입고, sale: 판매 출고, manual: 수동 수정, stocktake: 재고 실사/초기 등록, copy: 상품 복사
+// exchange: 교환 회수 입고/재발송 출고
+const MOVEMENT_REASONS = ['return', 'sale', 'manual', 'stocktake', 'copy', 'exchange'];
+
+const QTY_TABLES = {
+  variant: { table: 'variants', column: 'variant_id' },
+  inventory: { table: 'inventory', column: 'inventory_id' },
+};
+
+// 옵션(variant) 수량 변경 구독자 — 채널 재고 전파 등 (productId, variantId)
+const variantListeners = [];
+
+function onVariantChange(fn) {
+  variantListeners.push(fn);
+}
+
+function notifyVariantChange(productId, variantId) {
+  for (const fn of variantListeners) {
+    try {
+      fn(productId, variantId);
+    } catch (e) {
+      console.error('[StockLedger] 변경 알림 오류:', e.message);
+    }
+  }
+}
+
+// opts.user: req.user (없으면 시스템 처리로 기록)
+function actorOf(opts) {
+  const user = opts.user || null;
+  return {
+    userId: user ? user.id : null,
+    username: user ? user.username : (opts.actor || 'system'),
+  };
+}
+
+// stock_movements에 1건 추가 (append-only — 수정/삭제 없음)
+async function recordMovement(m, conn) {
+  if (!MOVEMENT_REASONS.includes(m.reason)) {
+    throw new Error(`알 수 없는 재고 변동 사유: ${m.reason}`);
+  }
+  const { userId, username } = actorOf(m);
+  const sql = `INSERT INTO stock_movements
+    (variant_id, inventory_id, delta, qty_before, qty_after, reason, reference_id, user_id, username, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const params = [
+    m.variantId || null, m.inventoryId || null,
+    m.delta, m.qtyBefore, m.qtyAfter,
+    m.reason, m.referenceId || null,
+    userId, username, m.note ? String(m.note).slice(0, 255) : null,
+  ];
+  if (conn) {
+    await conn.query(sql, params);
+  } else {
+    await query(sql, params);
+  }
+}
+
+// 수량 변경 + 원장 기록을 한 트랜잭션으로 처리
+// computeQty(oldQty) → newQty
+async function changeQty(kind, id, computeQty, opts) {
+  const { table, column } = QTY_TABLES[kind];
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    const cols = kind === 'variant' ? 'qty, product_id' : 'qty';
+    const [rows] = await conn.query(`SELECT ${cols} FROM ${table} WHERE id = ? FOR UPDATE`, [id]);
+    if (rows.length === 0) {
+      await conn.rollback();
+      return null;
+    }
+    const oldQty = rows[0].qty;
+    const newQty = computeQty(oldQty);
+    if (newQty !== oldQty) {
+      await conn.query(`UPDATE ${table} SET qty = ?, updated_at = NOW() WHERE id = ?`, [newQty, id]);
+      await recordMovement({
+        ...opts,
+        variantId: column === 'variant_id' ? id : null,
+        inventoryId: column === 'inventory_id' ? id : null,
+        delta: newQty - oldQty,
+        qtyBefore: oldQty,
+        qtyAfter: newQty,
+      }, conn);
+    }
+    await conn.commit();
+    if (kind === 'variant' && newQty !== oldQty) {
+      notifyVariantChange(rows[0].product_id, id);
+    }
+    return { oldQty, newQty, delta: newQty - oldQty };
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+function setVariantQty(variantId, qty, opts) {
+  return changeQty('variant', variantId, () => Math.max(0, parseInt(qty) || 0), opts);
+}
+
+function adjustVariantQty(variantId, delta, opts) {
+  return changeQty('variant', variantId, (oldQty) => Math.max(0, oldQty + delta), opts);
+}
+
+function setInventoryQty(inventoryId, qty, opts) {
+  return changeQty('inventory', inventoryId, () => Math.max(0, parseInt(qty) || 0), opts);
+}
+
+function adjustInventoryQty(inventoryId, delta, opts) {
+  return changeQty('inventory', inventoryId, (oldQty) => Math.max(0, oldQty + delta), opts);
+}
+
+// 신규 행 생성 시 초기 수량 기록 (0 → qty)
+async function recordInitialQty(kind, id, qty, opts) {
+  if (!qty) return;
+  await recordMovement({
+    ...opts,
+    variantId: kind === 'variant' ? id : null,
+    inventoryId: kind === 'inventory' ? id : null,
+    delta: qty,
+    qtyBefore: 0,
+    qtyAfter: qty,
+  });
+}
+
+// 행 삭제 시 남은 수량을 0으로 기록
+async function recordRemoval(kind, id, qty, opts) {
+  if (!qty) return;
+  await recordMovement({
+    ...opts,
+    variantId: kind === 'variant' ? id : null,
+    inventoryId: kind === 'inventory' ? id : null,
+    delta: -qty,
+    qtyBefore: qty,
+    qtyAfter: 0,
+  });
+}
+
+async function getMovements(kind, id, limit = 100) {
+  const { column } = QTY_TABLES[kind];
+  return query(
+    `SELECT * FROM stock_movements WHERE ${column} = ? ORDER BY id DESC LIMIT ?`,
+    [id, Math.min(parseInt(limit) || 100, 500)]
+  );
+}
+
+module.exports = {
+  MOVEMENT_REASONS,
+  onVariantChange,
+  notifyVariantChange,
+  recordMovement,
+  setVariantQty,
+  adjustVariantQty,
+  setInventoryQty,
+  adjustInventoryQty,
+  recordInitialQty,
+  recordRemoval,
+  getMovements,
+};
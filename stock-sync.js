@@ -0,0 +1,179 @@
+const { query, getConfig } = require('./database');
+const { matchVariantByOption } = require('./sales-stock');
+const variantItems = require('./variant-channel-items');
+const channels = require('./channels');
+
+// 재고 전파 대상 채널 (key: sync_config 접미사 — stock_buffer_<key>, stock_cap_<key>)
+const STOCK_CHANNELS = channels.listChannels().map(ch => ({ key: ch.key, store: ch.store, column: ch.productColumn }));
+
+const DEFAULT_DEBOUNCE_MS = 5000;
+
+// 채널 노출 재고 = min(상한, max(0, 수량 - 버퍼)) — 상한이 비어 있으면 제한 없음
+function channelQty(qty, rule) {
+  const available = Math.max(0, (qty || 0) - (rule.buffer || 0));
+  return rule.cap === null ? available : Math.min(rule.cap, available);
+}
+
+function parseRuleValue(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = parseInt(value, 10);
+  return isNaN(n) || n < 0 ? null : n;
+}
+
+class StockSync {
+  constructor() {
+    this.timers = new Map();    // productId → debounce 타이머
+    this.running = new Set();   // 전송 중인 productId
+    this.rerun = new Set();     // 전송 중 다시 변경된 productId
+  }
+
+  async isEnabled() {
+    return (await getConfig('stock_push_enabled')) === 'true';
+  }
+
+  async getDebounceMs() {
+    const ms = parseInt(await getConfig('stock_push_debounce_ms'), 10);
+    return isNaN(ms) || ms < 0 ? DEFAULT_DEBOUNCE_MS : ms;
+  }
+
+  async getRules() {
+    const rules = {};
+    for (const ch of STOCK_CHANNELS) {
+      rules[ch.key] = {
+        buffer: parseRuleValue(await getConfig(`stock_buffer_${ch.key}`)) || 0,
+        cap: parseRuleValue(await getConfig(`stock_cap_${ch.key}`)),
+      };
+    }
+    return rules;
+  }
+
+  // 옵션 변경 시 호출 — 같은 상품의 연속 변경은 마지막 변경 후 한 번만 전송
+  async schedule(productId) {
+    if (!productId || !(await this.isEnabled())) return;
+    const ms = await this.getDebounceMs();
+    clearTimeout(this.timers.get(productId));
+    this.timers.set(productId, setTimeout(() => {
+      this.timers.delete(productId);
+      this.pushProduct(productId).catch(e => {
+        console.error(`[StockSync] 상품 ${productId} 재고 전송 오류:`, e.message);
+      });
+    }, ms));
+  }
+
+  // === 채널 어댑터 ===
+
+  async getAdapters() {
+    // sync-scheduler → stock-ledger → (listener) 순환 참조를 피해 지연 로드
+    const { scheduler } = require('./sync-scheduler');
+    const adapters = {};
+    for (const adapter of await scheduler.getChannelAdapters()) {
+      adapters[adapter.store] = adapter;
+    }
+    return { adapters, scheduler };
+  }
+
+  // === 전송 ===
+
+  async pushProduct(productId) {
+    if (this.running.has(productId)) {
+      this.rerun.add(productId);
+      return null;
+    }
+    this.running.add(productId);
+    try {
+      return await this.pushProductNow(productId);
+    } finally {
+      this.running.delete(productId);
+      if (this.rerun.delete(productId)) {
+        this.schedule(productId).catch(() => {});
+      }
+    }
+  }
+
+  async pushProductNow(productId) {
+    if (!(await this.isEnabled())) return null;
+    const products = await query('SELECT * FROM products WHERE id = ?', [productId]);
+    if (products.length === 0) return null;
+    const product = products[0];
+    // 사입 상품은 채널 재고를 건드리지 않음 (재고 없이 판매)
+    if (product.stock_type !== 'inventory') return null;
+
+    const variants = await query('SELECT * FROM variants WHERE product_id = ? ORDER BY id', [productId]);
+    const rules = await this.getRules();
+    const { adapters, scheduler } = await this.getAdapters();
+    const runId = 'stock-' + Date.now();
+    const results = [];
+
+    for (const ch of STOCK_CHANNELS) {
+      const channelNo = product[ch.column];
+      if (!channelNo) continue;
+      try {
+        const adapter = adapters[ch.store];
+        if (!adapter) throw new Error('API 키 미설정');
+        const { qty, skipped } = await this.pushChannel(adapter, channelNo, variants, rules[ch.key]);
+        results.push({ store: ch.store, success: true, qty });
+        const skippedNote = skipped.length > 0 ? ` / 옵션 연결·매칭 불명확 → 기존 재고 유지: ${skipped.join(', ')}` : '';
+        await scheduler.logSync(runId, 'stock_push', 'master', ch.store, null, channelNo,
+          product.name, null, qty, 'success', `버퍼 ${rules[ch.key].buffer} / 상한 ${rules[ch.key].cap ?? '-'}${skippedNote}`.slice(0, 500));
+      } catch (e) {
+        results.push({ store: ch.store, success: false, error: e.message });
+        console.error(`[StockSync] ${ch.store} ${channelNo} 재고 전송 실패:`, e.message);
+        await scheduler.logSync(runId, 'stock_push', 'master', ch.store, null, channelNo,
+          product.name, null, 0, 'fail', e.message).catch(() => {});
+      }
+    }
+
+    if (results.length > 0) {
+      const ok = results.filter(r => r.success).length;
+      console.log(`[StockSync] ${product.name}: ${ok}/${results.length}개 채널 재고 전송`);
+    }
+    return results;
+  }
+
+  // 채널 1곳에 재고 전송 → { qty: 전송한 총 수량, skipped: 기존 재고를 유지한 옵션명 }
+  // 옵션 단위 재고를 받는 채널은 옵션명으로 variant 매칭 — 1:1로 맞는 옵션만 전송, 나머지는 기존 재고 유지
+  // (컬러만 있는 variant가 사이즈별 옵션 여러 개에 맞으면 옵션마다 같은 수량이 올라가 과다 노출되므로 제외)
+  // 쿠팡/지그재그는 옵션 연결(variant_channel_items)로 아이템마다 연결된 variant 수량 — 연결 없는 아이템은 기존 재고 유지
+  async pushChannel(adapter, channelNo, variants, rule) {
+    const totalQty = variants.reduce((s, v) => s + v.qty, 0);
+    const skipped = [];
+    const items = variantItems.STORES.includes(adapter.store)
+      ? await this.linkedItems(adapter.store, variants, rule, skipped)
+      : [];
+    const qty = await adapter.updateStock(channelNo, {
+      total: channelQty(totalQty, rule),
+      items,
+      forOption: (optionName, optionNames = [optionName]) => {
+        const variant = matchVariantByOption(variants, optionName);
+        const matches = variant ? optionNames.filter(name => matchVariantByOption(variants, name) === variant).length : 0;
+        if (matches !== 1) {
+          skipped.push(optionName);
+          return null;
+        }
+        return channelQty(variant.qty, rule);
+      },
+    });
+    return { qty, skipped };
+  }
+
+  // 마스터 상품의 채널 옵션 → [{ channelProductId, channelItemId, qty }] (variant 미연결/아이템 ID 없는 옵션은 skipped)
+  async linkedItems(store, variants, rule, skipped) {
+    if (variants.length === 0) return [];
+    const rows = await variantItems.listProductItems(store, variants[0].product_id);
+    if (rows.length === 0) skipped.push('(채널 옵션 연결 없음)');
+    const items = [];
+    for (const row of rows) {
+      const variant = variants.find(v => v.id === row.variant_id);
+      if (!variant || !row.channel_item_id) {
+        skipped.push(row.channel_option_name || row.option_name || row.channel_item_id);
+        continue;
+      }
+      items.push({ channelProductId: row.channel_product_id, channelItemId: row.channel_item_id, qty: channelQty(variant.qty, rule) });
+    }
+    return items;
+  }
+}
+
+const stockSync = new StockSync();
+
+module.exports = { stockSync, STOCK_CHANNELS, channelQty };
@@ -3,13 +3,37 @@ const webpush = require('web-push');
 const { NaverCommerceClient } = require('./smartstore');
 const { CoupangClient } = require('./coupang');
 const { ZigzagClient } = require('./zigzag');
-const { query } = require('./database');
+const { getPool, query, getConfig, setConfig } = require('./database');
+const ledger = require('./stock-ledger');
+const salesStock = require('./sales-stock');
+const channels = require('./channels');
+const { jobQueue } = require('./job-queue');
+const leaseLock = require('./lease-lock');
+const processedReturns = require('./processed-returns');
+const returnLifecycle = require('./return-lifecycle');
+const variantItems = require('./variant-channel-items');
+const categoryMap = require('./category-map');
+const pricing = require('./pricing');
+const exchangeStock = require('./exchange-stock');
+
+// 자동 동기화는 작업 큐 스케줄로 실행 (서버 재시작 후에도 주기 유지)
+const SYNC_SCHEDULE = 'sync';
+
+// 인스턴스 간 리스 락 이름 — isRunning은 같은 프로세스 안에서만 유효
+const SYNC_LOCK = 'sync.run';
+const SALES_LOCK = 'sales.collect';
+const returnLockName = (productOrderId) => `return:${productOrderId}`;
+
+// 쿠팡/지그재그 반품은 접수일 기준 조회 → 수거완료까지 걸리는 기간만큼 매번 다시 조회 (반품 화면 기본 조회 기간과 같음)
+// 이미 재고 반영된 건은 processed_returns로 건너뜀
+const CHANNEL_RETURN_LOOKBACK_HOURS = 168;
+// 이 상태로 관측된 반품만 처리 (수거 전 반품은 다음 실행에서 다시 확인)
+const CHANNEL_RETURN_READY_STATES = ['collected', 'received'];
 
 class SyncScheduler {
   constructor() {
     this.storeA = null;
     this.storeB = null;
-    this.intervalHandle = null;
     this.isRunning = false;
     this.lastRunResult = null;
     this.storeBDeliveryInfo = null;
@@ -28,61 +52,52 @@ class SyncScheduler {
 
   // === Config helpers ===
 
+  // 시크릿 키 암호화/복호화는 database.js 접근자에서 처리
   async getConfig(key) {
-    const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-    return rows[0] ? rows[0].value : null;
+    return getConfig(key);
   }
 
   async setConfig(key, value) {
-    await query(
-      'INSERT INTO sync_config (`key`, value, updated_at) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()',
-      [key, value]
-    );
+    await setConfig(key, value);
   }
 
   // === Scheduler control ===
 
   async start(intervalMinutes) {
-    if (this.intervalHandle) {
-      clearInterval(this.intervalHandle);
-    }
-    const ms = (intervalMinutes || 5) * 60 * 1000;
-    this.intervalHandle = setInterval(() => {
-      this.runSync().catch(e => {
-        console.error('[Sync] 스케줄러 실행 오류 (다음 주기에 재시도):', e.message);
-      });
-    }, ms);
+    const minutes = intervalMinutes || 5;
+    // 서버 시작 직후 첫 동기화는 30초 후
+    await jobQueue.setSchedule(SYNC_SCHEDULE, {
+      jobType: 'sync.run',
+      intervalMinutes: minutes,
+      enabled: true,
+      nextRunAt: new Date(Date.now() + 30 * 1000),
+    });
     await this.setConfig('sync_enabled', 'true');
-    await this.setConfig('sync_interval_minutes', String(intervalMinutes || 5));
-    console.log(`[Sync] 스케줄러 시작 (${intervalMinutes}분 간격)`);
-
-    // 서버 시작 직후 첫 동기화 즉시 실행 (30초 후)
-    setTimeout(() => {
-      console.log('[Sync] 서버 시작 후 첫 동기화 실행...');
-      this.runSync().catch(e => {
-        console.error('[Sync] 첫 동기화 실행 오류:', e.message);
-      });
-    }, 30 * 1000);
+    await this.setConfig('sync_interval_minutes', String(minutes));
+    console.log(`[Sync] 스케줄러 시작 (${minutes}분 간격)`);
   }
 
   async stop() {
-    if (this.intervalHandle) {
-      clearInterval(this.intervalHandle);
-      this.intervalHandle = null;
+    if (await jobQueue.getSchedule(SYNC_SCHEDULE)) {
+      await jobQueue.setSchedule(SYNC_SCHEDULE, { enabled: false });
     }
     await this.setConfig('sync_enabled', 'false');
     console.log('[Sync] 스케줄러 중지');
   }
 
   async getStatus() {
+    const schedule = await jobQueue.getSchedule(SYNC_SCHEDULE);
     return {
-      schedulerActive: !!this.intervalHandle,
+      schedulerActive: !!(schedule && schedule.enabled),
+      nextRunAt: schedule && schedule.enabled ? schedule.nextRunAt : null,
       isRunning: this.isRunning,
       hasClients: this.hasClients(),
       lastSyncTime: await this.getConfig('last_sync_time') || null,
       syncEnabled: (await this.getConfig('sync_enabled')) === 'true',
       intervalMinutes: parseInt(await this.getConfig('sync_interval_minutes')) || 5,
       lastRunResult: this.lastRunResult,
+      instanceId: leaseLock.INSTANCE_ID,
+      locks: await leaseLock.listLocks(),
     };
   }
 
@@ -97,6 +112,12 @@ class SyncScheduler {
       return { skipped: true, message: '스토어 API 키가 설정되지 않았습니다.' };
     }
 
+    const lease = await leaseLock.acquire(SYNC_LOCK, { purpose: '반품 동기화' });
+    if (!lease) {
+      console.log('[Sync] 다른 서버에서 실행 중, 스킵');
+      return { skipped: true, message: '다른 서버에서 동기화가 실행 중입니다.' };
+    }
+
     this.isRunning = true;
     const runId = crypto.randomUUID();
     const result = { runId, detected: 0, processed: 0, errors: 0, skipped: 0 };
@@ -113,7 +134,8 @@ class SyncScheduler {
       const returnedOrderIds = await this.storeA.getReturnedOrders(fromStr, toStr);
       result.detected = returnedOrderIds.length;
 
-      const pendingRetry = await this.getPendingRetryOrders();
+      // 쿠팡/지그재그 재시도 건은 processChannelReturns에서 처리
+      const pendingRetry = (await this.getPendingRetryOrders()).filter(id => channels.storeForOrderId(id) === 'A');
       if (pendingRetry.length > 0) {
         console.log(`[Sync] 이전 실패 건 ${pendingRetry.length}개 재시도`);
         for (const orderId of pendingRetry) {
@@ -129,6 +151,7 @@ class SyncScheduler {
         await this.logSync(runId, 'return_detect', 'A', null, null, null,
           `조회 기간: ${fromStr.slice(0,16)} ~ ${toStr.slice(0,16)}`, null, 0, 'success', '반품 관련 건 없음');
         await this.setConfig('last_sync_time', toStr);
+        await this.processChannelReturns(runId, result, lease);
 
         // 반품 없어도 매출 수집은 항상 실행
         try {
@@ -156,15 +179,29 @@ class SyncScheduler {
       }
 
       const failedOrderIds = [];
+      const busyOrderIds = [];
       for (const detail of allDetails) {
+        // 락이 만료돼 다른 서버가 동기화를 이어받았으면 중단 (last_sync_time은 그대로 → 다음 실행에서 재조회)
+        if (lease.lost) throw new Error('동기화 락이 만료되어 중단합니다.');
+        const orderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
         try {
-          await this.processReturnedItem(runId, detail);
+          // 같은 반품 건을 두 서버가 동시에 B 스토어/재고에 반영하지 않도록 건별 락
+          if (orderId) {
+            await leaseLock.withLock(returnLockName(orderId), () => this.processReturnedItem(runId, detail),
+              { purpose: '반품 처리' });
+          } else {
+            await this.processReturnedItem(runId, detail);
+          }
           result.processed++;
-          const orderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
           await this.removePendingRetryOrder(orderId);
         } catch (e) {
+          if (e instanceof leaseLock.LockBusyError) {
+            result.skipped++;
+            if (orderId) busyOrderIds.push(orderId);
+            console.log(`[Sync] 다른 서버에서 처리 중인 반품, 스킵: ${orderId}`);
+            continue;
+          }
           result.errors++;
-          const orderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
           if (orderId) failedOrderIds.push(orderId);
           const productName = this.extractProductName(detail);
           await this.logSync(runId, 'error', 'A', 'B',
@@ -174,12 +211,14 @@ class SyncScheduler {
         await this.sleep(500);
       }
 
-      if (failedOrderIds.length > 0) {
-        await this.addPendingRetryOrders(failedOrderIds);
-        console.log(`[Sync] 실패 ${failedOrderIds.length}건 → 다음 실행 시 재시도`);
+      // 다른 서버가 처리 중이던 건도 last_sync_time이 지나가므로 재시도 목록에 (처리됐으면 다음 실행에서 스킵 후 제거)
+      if (failedOrderIds.length > 0 || busyOrderIds.length > 0) {
+        await this.addPendingRetryOrders([...failedOrderIds, ...busyOrderIds]);
+        console.log(`[Sync] 실패 ${failedOrderIds.length}건, 처리 중 스킵 ${busyOrderIds.length}건 → 다음 실행 시 재시도`);
       }
 
       await this.setConfig('last_sync_time', toStr);
+      await this.processChannelReturns(runId, result, lease);
 
       // 매출 데이터 자동 수집
       try {
@@ -200,41 +239,256 @@ class SyncScheduler {
       return result;
     } finally {
       this.isRunning = false;
+      await lease.release().catch(e => console.error('[Sync] 락 해제 오류:', e.message));
+    }
+  }
+
+  // === Coupang / Zigzag returns ===
+
+  /**
+   * 쿠팡/지그재그 반품 자동 처리 — 채널별 설정(return_auto_<채널 키>)이 켜진 채널만
+   * 수거완료/입고된 반품을 A 스토어 반품과 같은 경로(검수 대기 또는 재고 + B 스토어)로 처리
+   * 실패한 건과 다른 서버가 처리 중이던 건은 pending_retry_orders에 남기고, 조회 기간을 벗어나도 returns 행으로 다시 시도
+   * @param {string} runId
+   * @param {Object} result - runSync 결과 (detected/processed/errors/skipped 누적)
+   * @param {Object} lease - 동기화 리스 락
+   */
+  async processChannelReturns(runId, result, lease) {
+    const adapters = (await this.getChannelAdapters())
+      .filter(a => a.constructor.supportsReturns && !a.constructor.returnsToStoreB);
+    for (const adapter of adapters) {
+      const mode = await returnLifecycle.autoProcessMode(adapter.key);
+      if (mode === 'off') continue;
+      const label = adapter.label;
+
+      let items;
+      try {
+        items = await this.listChannelReturnsToProcess(adapter);
+      } catch (e) {
+        result.errors++;
+        await this.logSync(runId, 'error', adapter.store, null, null, null,
+          `${label} 반품 조회`, null, 0, 'fail', e.message);
+        console.error(`[Sync] ${label} 반품 조회 오류:`, e.message);
+        continue;
+      }
+      if (items.length === 0) continue;
+
+      result.detected += items.length;
+      await this.logSync(runId, 'return_detect', adapter.store, null, null, null,
+        `${label} 반품 ${items.length}건 감지`, null, items.length, 'success');
+
+      const failedOrderIds = [];
+      const busyOrderIds = [];
+      for (const item of items) {
+        if (lease.lost) throw new Error('동기화 락이 만료되어 중단합니다.');
+        try {
+          await leaseLock.withLock(returnLockName(item.productOrderId),
+            () => this.processChannelReturn(runId, item, mode), { purpose: '반품 처리' });
+          result.processed++;
+          await this.removePendingRetryOrder(item.productOrderId);
+        } catch (e) {
+          if (e instanceof leaseLock.LockBusyError) {
+            result.skipped++;
+            busyOrderIds.push(item.productOrderId);
+            console.log(`[Sync] 다른 서버에서 처리 중인 반품, 스킵: ${item.productOrderId}`);
+            continue;
+          }
+          result.errors++;
+          failedOrderIds.push(item.productOrderId);
+          await this.logSync(runId, 'error', adapter.store, null, item.productOrderId, item.channelProductNo,
+            item.productName, item.optionName, item.qty, 'fail', e.message);
+          console.error(`[Sync] ${label} 반품 처리 오류: ${item.productName}`, e.message);
+        }
+        await this.sleep(500);
+      }
+      if (failedOrderIds.length > 0 || busyOrderIds.length > 0) {
+        await this.addPendingRetryOrders([...failedOrderIds, ...busyOrderIds]);
+        console.log(`[Sync] ${label} 실패 ${failedOrderIds.length}건, 처리 중 스킵 ${busyOrderIds.length}건 → 다음 실행 시 재시도`);
+      }
+    }
+  }
+
+  /**
+   * 처리할 채널 반품 — 수거완료/입고 건 중 아직 처리하지 않은 건 + 이전 실패 건
+   * 검수 대상이면 입고완료 전 상태였던 건만, 아니면 재고 반영 전이고 직원이 처리하지 않은 건만
+   * @param {ChannelAdapter} adapter
+   * @returns {Promise<import('./channels/base').ChannelReturn[]>}
+   */
+  async listChannelReturnsToProcess(adapter) {
+    const now = new Date();
+    const from = new Date(now.getTime() - CHANNEL_RETURN_LOOKBACK_HOURS * adapter.constructor.returnLookbackFactor * 60 * 60 * 1000);
+    const listed = await adapter.listReturns(from.toISOString(), now.toISOString());
+
+    const retryIds = (await this.getPendingRetryOrders()).filter(id => channels.storeForOrderId(id) === adapter.store);
+    const before = await returnLifecycle.getByIds([...listed.map(i => i.productOrderId), ...retryIds]);
+    await returnLifecycle.observe(listed);
+
+    const candidates = listed.filter(i => i.productOrderId && CHANNEL_RETURN_READY_STATES.includes(i.returnState));
+    for (const id of retryIds) {
+      const row = before.get(id);
+      if (!row || candidates.some(i => i.productOrderId === id)) continue;
+      candidates.push({
+        store: row.store, productOrderId: id, productName: row.product_name || '', optionName: row.option_name,
+        qty: row.qty || 1, channelProductNo: row.channel_product_no || '', returnState: 'received',
+      });
+    }
+    if (candidates.length === 0) return [];
+
+    if (await returnLifecycle.isInspectionRequired()) {
+      const retrying = new Set(retryIds);
+      return candidates.filter(i => {
+        const row = before.get(i.productOrderId);
+        return retrying.has(i.productOrderId) || !row || ['requested', 'collecting', 'collected'].includes(row.state);
+      });
+    }
+    const { inventory } = await processedReturns.getProcessed(candidates.map(i => i.productOrderId));
+    const current = await returnLifecycle.getByIds(candidates.map(i => i.productOrderId));
+    return candidates.filter(i => {
+      const row = current.get(i.productOrderId);
+      return !inventory.has(i.productOrderId) && (!row || returnLifecycle.CHANNEL_STATES.includes(row.state));
+    });
+  }
+
+  /**
+   * 채널 반품 1건 처리 — 채널 옵션 연결(variant_channel_items)로 찾은 마스터 상품의 A 스토어 상품번호/옵션명으로
+   * A 스토어 반품과 같은 재고 매칭/B 스토어 반영을 적용 (연결이 없으면 products.coupang_no / zigzag_no + 옵션명 추정)
+   * 마스터 상품이 없으면 채널 상품명으로 재고만 반영 (B 스토어는 A 스토어 상품이 있어야 복사 가능)
+   * @param {string} runId
+   * @param {import('./channels/base').ChannelReturn} item
+   * @param {string} mode - 'inventory' | 'storeB'
+   */
+  async processChannelReturn(runId, item, mode) {
+    const { product, variant, storeANo, optionName, detail } = await this.resolveChannelReturn(item);
+
+    // 검수 대기 — 채널 상품번호는 그대로 두고 마스터 상품명/옵션명과 연결 옵션을 기록
+    if (await returnLifecycle.isInspectionRequired()) {
+      const held = this.channelReturnDetail(item, detail.productOrder.productName, item.channelProductNo, optionName);
+      await this.holdReturnForInspection(runId, { productOrder: held }, item.store, variant ? variant.id : null);
+      return;
+    }
+
+    if (mode === 'storeB') {
+      if (storeANo) {
+        await this.restockToStoreB(runId, detail);
+        return;
+      }
+      await this.logSync(runId, 'product_create', item.store, 'B', item.productOrderId, item.channelProductNo,
+        item.productName, item.optionName, item.qty, 'skipped',
+        product ? '마스터 상품에 A 스토어 상품번호 없음 → 재고만 반영' : '연결된 마스터 상품 없음 → 재고만 반영');
+    }
+    await this.updateInventoryFromReturn(runId, item.productOrderId, storeANo, detail.productOrder.productName,
+      optionName, item.qty);
+  }
+
+  /**
+   * 채널 반품 → 마스터 상품의 A 스토어 상품번호/옵션명 (processChannelReturn, 검수 B등급 공통)
+   * 검수 대기로 둘 때 기록한 연결 옵션(variantId)이 있으면 그 옵션의 상품으로 (옵션명은 이미 마스터 기준)
+   * @param {import('./channels/base').ChannelReturn & {variantId?: number}} item
+   * @returns {Promise<{product: Object|null, variant: Object|null, storeANo: string, optionName: string, detail: Object}>}
+   *   storeANo: 마스터 상품이 없거나 A 스토어 상품번호가 없으면 '' / detail: A 스토어 주문 상세 형태
+   */
+  async resolveChannelReturn(item) {
+    let product = null;
+    let variant = null;
+    let optionName = item.optionName;
+    if (item.variantId) {
+      variant = (await query('SELECT * FROM variants WHERE id = ?', [item.variantId]))[0] || null;
+      if (variant) product = (await query('SELECT * FROM products WHERE id = ?', [variant.product_id]))[0] || null;
+    }
+    if (!variant) {
+      const resolved = await variantItems.resolveVariant({
+        store: item.store, channel_product_no: item.channelProductNo, option_name: item.optionName,
+      });
+      ({ product, variant } = resolved);
+      if (resolved.source === 'mapping' && resolved.item.option_name) optionName = resolved.item.option_name;
     }
+    const storeANo = product && product.naver_a_no ? String(product.naver_a_no) : '';
+    const detail = { productOrder: this.channelReturnDetail(item, product ? product.name : item.productName, storeANo, optionName) };
+    return { product, variant, storeANo, optionName, detail };
+  }
+
+  // 채널 반품 → A 스토어 주문 상세 형태 (extract*/addReturnToStoreB 입력)
+  channelReturnDetail(item, productName, channelProductNo, optionName = item.optionName) {
+    return {
+      productOrderId: item.productOrderId,
+      productName,
+      optionName,
+      quantity: item.qty || 1,
+      channelProductNo,
+    };
   }
 
   // === Process a single returned item ===
 
+  // 검수를 거치도록 설정돼 있으면 입고완료로 등록만 하고, 아니면 바로 B 스토어 + 재고 반영
   async processReturnedItem(runId, detail) {
+    if (await returnLifecycle.isInspectionRequired()) {
+      await this.holdReturnForInspection(runId, detail);
+      return;
+    }
+    await this.restockToStoreB(runId, detail);
+  }
+
+  // variantId: 채널 반품을 마스터 옵션으로 찾은 경우 — 목록 조회 때 채널 값으로 등록된 행도 마스터 기준으로 갱신
+  async holdReturnForInspection(runId, detail, store = 'A', variantId = null) {
     const productName = this.extractProductName(detail);
     const optionName = this.extractOptionName(detail);
     const qty = this.extractQty(detail);
     const productOrderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
     const channelProductNo = this.extractChannelProductNo(detail);
 
-    const safeOptionName = optionName || '';
-    const rows = await query(
-      'SELECT * FROM product_mapping WHERE store_a_channel_product_no = ? AND store_a_option_name = ?',
-      [channelProductNo, safeOptionName]
-    );
-    const mapping = rows[0];
+    await returnLifecycle.observe([{
+      store, productOrderId, productName, optionName, qty, channelProductNo,
+      claimStatus: store === 'A' ? 'RETURN_DONE' : null, returnState: 'received',
+    }]);
+    if (store !== 'A' && productOrderId) {
+      await returnLifecycle.linkMaster(productOrderId, { productName, optionName, variantId });
+    }
+    await this.logSync(runId, 'return_inspect', store, null, productOrderId, channelProductNo,
+      productName, optionName, qty, 'success', '검수 대기');
+    await this.sendPushNotification('반품 검수 대기', `${productName} (${optionName || '기본'}) ${qty}개`);
+  }
 
-    if (mapping && mapping.match_status !== 'unmatched' && mapping.store_b_channel_product_no) {
-      try {
-        await this.increaseStoreB(runId, mapping.store_b_channel_product_no, productName, optionName, qty, productOrderId);
-      } catch (e) {
-        const isNotFound = e.message && (e.message.includes('404') || e.message.includes('not found') || e.message.includes('존재하지'));
-        if (isNotFound) {
-          console.log(`[Sync] B 상품 없음 (삭제됨?) → 매핑 초기화 후 신규 생성: ${productName}`);
-          await this.resetMapping(channelProductNo, safeOptionName);
-          await this.copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId);
-        } else {
-          throw e;
-        }
-      }
+  /**
+   * 검수 B등급 — B 스토어 반영 + 재고 반영 (검수 없이 처리할 때와 같은 경로)
+   * A 스토어 반품은 주문 상세로, 쿠팡/지그재그 반품은 마스터 상품의 A 스토어 상품번호/옵션명으로
+   * @param {Object} ret - returns 행
+   * @returns {Promise<string>} 처리 결과 요약
+   */
+  async routeReturnToStoreB(ret) {
+    const channel = channels.getChannel(ret.store);
+    if (!channel || (!channel.returnsToStoreB && !channel.supportsReturns)) {
+      throw new Error(`${channel ? channel.label : ret.store} 반품은 B스토어 아울렛으로 보낼 수 없습니다.`);
+    }
+    let detail;
+    if (channel.returnsToStoreB) {
+      const details = await this.storeA.getProductOrderDetail([ret.product_order_id]);
+      if (!details || details.length === 0) throw new Error('주문 정보를 찾을 수 없습니다.');
+      detail = details[0];
     } else {
-      await this.copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId);
+      const resolved = await this.resolveChannelReturn({
+        store: ret.store, productOrderId: ret.product_order_id, productName: ret.product_name,
+        optionName: ret.option_name, qty: ret.qty, channelProductNo: ret.channel_product_no, variantId: ret.variant_id,
+      });
+      if (!resolved.storeANo) {
+        throw new Error(`${resolved.product ? '마스터 상품에 A 스토어 상품번호가 없어' : '연결된 마스터 상품이 없어'} B스토어 아울렛으로 보낼 수 없습니다.`);
+      }
+      detail = resolved.detail;
     }
+    const outcome = await this.restockToStoreB('inspect-' + Date.now(), detail, 'manual');
+    if (outcome === 'failed') throw new Error('A 스토어 상품을 조회하지 못해 B스토어에 등록하지 못했습니다.');
+    return outcome === 'already' ? 'B스토어 이미 등록됨' : 'B스토어 등록';
+  }
+
+  // B 스토어 반영 후 inventory 테이블 재고 반영 — addReturnToStoreB 결과 반환
+  async restockToStoreB(runId, detail, source = 'sync') {
+    const productName = this.extractProductName(detail);
+    const optionName = this.extractOptionName(detail);
+    const qty = this.extractQty(detail);
+    const productOrderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
+    const channelProductNo = this.extractChannelProductNo(detail);
+
+    const outcome = await this.addReturnToStoreB(runId, detail, source);
 
     // B 스토어 처리 성공 후 → inventory 테이블에 재고 반영
     try {
@@ -248,30 +502,126 @@ class SyncScheduler {
     } catch (invErr) {
       console.error(`[Sync→Inventory] 재고 반영 실패 (무시): ${invErr.message}`);
     }
+    return outcome;
+  }
+
+  // === Add returned item to Store B ===
+
+  /**
+   * 반품 건을 B 스토어에 반영 — 매핑된(또는 같은 A 상품의 다른 옵션이 등록된) B 상품에 옵션 재고 증가/추가,
+   * 없거나 B 상품이 삭제됐거나 옵션 구성이 다르면 신규 등록
+   * processed_returns(storeB)로 productOrderId당 한 번만 처리
+   * @returns {Promise<'done'|'already'|'failed'>} failed는 오류 없이 등록하지 못한 경우 (sync_log에 사유 기록)
+   */
+  async addReturnToStoreB(runId, detail, source = 'sync') {
+    const productName = this.extractProductName(detail);
+    const optionName = this.extractOptionName(detail);
+    const qty = this.extractQty(detail);
+    const productOrderId = detail.productOrderId || detail.productOrder?.productOrderId || '';
+    const channelProductNo = this.extractChannelProductNo(detail);
+
+    if (productOrderId && !await processedReturns.claim(productOrderId, 'storeB', { source, runId })) {
+      console.log(`[Sync] 이미 B 스토어에 반영된 반품, 스킵: ${productOrderId}`);
+      return 'already';
+    }
+
+    let outcome = null;
+    try {
+      const safeOptionName = optionName || '';
+      const rows = await query(
+        'SELECT * FROM product_mapping WHERE store_a_channel_product_no = ? AND store_a_option_name = ?',
+        [channelProductNo, safeOptionName]
+      );
+      const mapping = rows[0];
+      let target = mapping && mapping.match_status !== 'unmatched' && mapping.store_b_channel_product_no ? mapping : null;
+      if (!target) {
+        // 같은 A 상품의 다른 옵션이 이미 B에 등록돼 있으면 그 상품에 옵션 추가
+        const siblings = await query(`
+          SELECT * FROM product_mapping
+          WHERE store_a_channel_product_no = ? AND match_status != 'unmatched'
+            AND store_b_channel_product_no IS NOT NULL AND store_b_channel_product_no != ''
+          ORDER BY updated_at DESC LIMIT 1
+        `, [channelProductNo]);
+        target = siblings[0] || null;
+      }
+
+      if (target) {
+        const storeBNo = target.store_b_channel_product_no;
+        try {
+          const merged = await this.increaseStoreB(runId, storeBNo, productName, optionName, qty, productOrderId);
+          if (merged !== null) {
+            if (target !== mapping) {
+              await this.saveMapping(channelProductNo, productName, optionName,
+                storeBNo, target.store_b_product_name, optionName, 'matched');
+            }
+            outcome = merged?.added
+              ? `옵션 추가 → B ${storeBNo} (${merged.option}) +${qty}`
+              : `수량 증가 → B ${storeBNo} +${qty}`;
+          }
+        } catch (e) {
+          const isNotFound = e.message && (e.message.includes('404') || e.message.includes('not found') || e.message.includes('존재하지'));
+          if (!isNotFound) throw e;
+          console.log(`[Sync] B 상품 없음 (삭제됨?) → 매핑 초기화 후 신규 생성: ${productName}`);
+          await this.resetMapping(channelProductNo, target.store_a_option_name);
+        }
+      }
+      if (!outcome) {
+        const newProductNo = await this.copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId);
+        if (newProductNo !== null) outcome = `신규 등록 → B ${newProductNo || '-'} (${qty}개)`;
+      }
+    } catch (e) {
+      if (productOrderId) await processedReturns.release(productOrderId, 'storeB').catch(() => {});
+      throw e;
+    }
+
+    if (productOrderId) {
+      if (outcome) await processedReturns.complete(productOrderId, 'storeB', outcome);
+      else await processedReturns.release(productOrderId, 'storeB');
+    }
+    return outcome ? 'done' : 'failed';
   }
 
   // === Update inventory from return ===
 
+  // processed_returns(inventory)로 productOrderId당 한 번만 반영
   async updateInventoryFromReturn(runId, productOrderId, channelProductNo, productName, optionName, qty) {
-    const color = (optionName || '').trim();
     if (!productName) {
       console.log(`[Sync→Inventory] 상품명 없음, 스킵`);
       return null;
     }
+    if (productOrderId && !await processedReturns.claim(productOrderId, 'inventory', { source: 'sync', runId })) {
+      console.log(`[Sync→Inventory] 이미 처리된 반품, 스킵: ${productOrderId}`);
+      return { action: 'skipped', reason: 'already_processed' };
+    }
 
+    let result = null;
     try {
-      // 0단계: productOrderId 중복 체크 — 이미 처리된 반품이면 스킵
+      result = await this.applyReturnToInventory(runId, productOrderId, channelProductNo, productName, optionName, qty);
+    } finally {
       if (productOrderId) {
-        const dupCheck = await query(
-          "SELECT id FROM sync_log WHERE type = 'inventory_update' AND product_order_id = ? AND status = 'success' LIMIT 1",
-          [productOrderId]
-        );
-        if (dupCheck.length > 0) {
-          console.log(`[Sync→Inventory] 이미 처리된 반품, 스킵: ${productOrderId}`);
-          return { action: 'skipped', reason: 'already_processed' };
+        if (result) {
+          const summary = [result.action, result.matchType || result.reason].filter(Boolean).join(':');
+          await processedReturns.complete(productOrderId, 'inventory',
+            result.inventoryId ? `${summary} → 재고 #${result.inventoryId}` : summary);
+          if (result.action === 'updated' || result.action === 'created') {
+            await returnLifecycle.markRestocked([{
+              productOrderId, store: channels.storeForOrderId(productOrderId), productName, optionName, qty, channelProductNo,
+            }], { note: `자동 동기화 → 재고 #${result.inventoryId}` })
+              .catch(e => console.error('[Sync→Inventory] 반품 재입고 처리 실패:', e.message));
+          }
+        } else {
+          await processedReturns.release(productOrderId, 'inventory');
         }
       }
+    }
+    return result;
+  }
 
+  // 4단계 매칭으로 재고 반영 — 오류는 sync_log에 남기고 null
+  async applyReturnToInventory(runId, productOrderId, channelProductNo, productName, optionName, qty) {
+    const color = (optionName || '').trim();
+
+    try {
       // 스토어 상품명 정규화: [hm], (오늘출발) 등 제거
       const cleanName = productName
         .replace(/\[.*?\]/g, '')
@@ -313,8 +663,8 @@ class SyncScheduler {
             console.log(`[Sync→Inventory] 수동 반영 추정, 스킵: ${item.name} (${item.color})`);
             return { action: 'skipped', reason: 'manual_update_detected', inventoryId: item.id };
           }
-          const newQty = item.qty + qty;
-          await query('UPDATE inventory SET qty = ?, updated_at = NOW() WHERE id = ?', [newQty, item.id]);
+          const { newQty } = await ledger.adjustInventoryQty(item.id, qty,
+            { reason: 'return', referenceId: productOrderId, actor: 'sync', note: '반품 자동 반영 (직접 매칭)' });
           await this.logSync(runId, 'inventory_update', null, null, productOrderId, channelProductNo,
             productName, optionName, qty, 'success',
             `직접 매칭 → ${item.name} (${item.color}) ${item.qty}→${newQty}`);
@@ -343,15 +693,12 @@ class SyncScheduler {
           console.log(`[Sync→Inventory] 수동 반영 추정, 연결만 저장: ${item.name} (${item.color})`);
           return { action: 'skipped', reason: 'manual_update_detected', inventoryId: item.id };
         }
-        const newQty = item.qty + qty;
-        // 수량 증가 + channel_product_no 점진적 연결
-        const updateSql = channelProductNo && !item.channel_product_no
-          ? 'UPDATE inventory SET qty = ?, updated_at = NOW(), channel_product_no = ? WHERE id = ?'
-          : 'UPDATE inventory SET qty = ?, updated_at = NOW() WHERE id = ?';
-        const updateParams = channelProductNo && !item.channel_product_no
-          ? [newQty, channelProductNo, item.id]
-          : [newQty, item.id];
-        await query(updateSql, updateParams);
+        // 수량 증가(원장 기록) + channel_product_no 점진적 연결
+        const { newQty } = await ledger.adjustInventoryQty(item.id, qty,
+          { reason: 'return', referenceId: productOrderId, actor: 'sync', note: '반품 자동 반영 (정확 매칭)' });
+        if (channelProductNo && !item.channel_product_no) {
+          await query('UPDATE inventory SET channel_product_no = ? WHERE id = ?', [channelProductNo, item.id]);
+        }
         await this.logSync(runId, 'inventory_update', null, null, productOrderId, channelProductNo,
           productName, optionName, qty, 'success',
           `정확 매칭 → ${item.name} (${item.color}) ${item.qty}→${newQty}${!item.channel_product_no && channelProductNo ? ' [연결 저장]' : ''}`);
@@ -379,14 +726,11 @@ class SyncScheduler {
             console.log(`[Sync→Inventory] 수동 반영 추정, 연결만 저장: ${item.name} (${item.color})`);
             return { action: 'skipped', reason: 'manual_update_detected', inventoryId: item.id };
           }
-          const newQty = item.qty + qty;
-          const updateSql = channelProductNo && !item.channel_product_no
-            ? 'UPDATE inventory SET qty = ?, updated_at = NOW(), channel_product_no = ? WHERE id = ?'
-            : 'UPDATE inventory SET qty = ?, updated_at = NOW() WHERE id = ?';
-          const updateParams = channelProductNo && !item.channel_product_no
-            ? [newQty, channelProductNo, item.id]
-            : [newQty, item.id];
-          await query(updateSql, updateParams);
+          const { newQty } = await ledger.adjustInventoryQty(item.id, qty,
+            { reason: 'return', referenceId: productOrderId, actor: 'sync', note: '반품 자동 반영 (유사 매칭)' });
+          if (channelProductNo && !item.channel_product_no) {
+            await query('UPDATE inventory SET channel_product_no = ? WHERE id = ?', [channelProductNo, item.id]);
+          }
           await this.logSync(runId, 'inventory_update', null, null, productOrderId, channelProductNo,
             productName, optionName, qty, 'success',
             `유사 매칭 → ${item.name} (${item.color}) ${item.qty}→${newQty}${!item.channel_product_no && channelProductNo ? ' [연결 저장]' : ''}`);
@@ -410,6 +754,8 @@ class SyncScheduler {
         'INSERT INTO inventory (name, color, qty, brand, channel_product_no) VALUES (?, ?, ?, ?, ?)',
         [newName, color || '기본', qty, newBrand, channelProductNo || null]
       );
+      await ledger.recordInitialQty('inventory', result.insertId, qty,
+        { reason: 'return', referenceId: productOrderId, actor: 'sync', note: '반품 자동 반영 (신규 등록)' });
       await this.logSync(runId, 'inventory_update', null, null, productOrderId, channelProductNo,
         productName, optionName, qty, 'success',
         `신규 등록 → ${newName} (${color || '기본'}) ${qty}개${newBrand ? ` [${newBrand}]` : ''}`);
@@ -426,21 +772,23 @@ class SyncScheduler {
 
   // === Increase Store B stock ===
 
+  // 해당 옵션 재고 증가 (없는 옵션이면 조합 추가) — 옵션 구성이 달라 합칠 수 없으면 null
   async increaseStoreB(runId, storeBProductNo, productName, optionName, qty, productOrderId) {
     try {
-      const fullResponse = await this.storeB.getChannelProduct(storeBProductNo);
-      const originProduct = fullResponse.originProduct || fullResponse;
-      const smartstoreCP = fullResponse.smartstoreChannelProduct || null;
-      const currentStock = originProduct.stockQuantity || 0;
-      const newStock = currentStock + qty;
-
-      await this.storeB.updateProductStock(storeBProductNo, originProduct, newStock, smartstoreCP);
+      const result = await this.storeB.increaseOptionStock(storeBProductNo, optionName, qty);
+      if (!result) {
+        console.log(`[Sync] B 상품 옵션 구성이 달라 합칠 수 없음: ${storeBProductNo} (${optionName || '옵션없음'})`);
+        return null;
+      }
 
+      const message = result.added
+        ? `옵션 추가: ${result.option} ${qty}개 (전체 ${result.total})`
+        : `${result.option ? `${result.option} ` : ''}수량 ${result.before} → ${result.after} (+${qty})`;
       await this.logSync(runId, 'qty_increase', 'A', 'B', productOrderId, storeBProductNo,
-        productName, optionName, qty, 'success',
-        `수량 ${currentStock} → ${newStock} (+${qty})`);
+        productName, optionName, qty, 'success', message);
 
-      console.log(`[Sync] B 수량 증가: ${productName} ${currentStock}→${newStock}`);
+      console.log(`[Sync] B 수량 증가: ${productName} ${message}`);
+      return result;
     } catch (e) {
       await this.logSync(runId, 'qty_increase', 'A', 'B', productOrderId, storeBProductNo,
         productName, optionName, qty, 'fail', e.message);
@@ -448,6 +796,7 @@ class SyncScheduler {
     }
   }
 
+
   // === Get Store B delivery info template ===
 
   async getStoreBDeliveryInfo(sourceDeliveryInfo) {
@@ -549,6 +898,7 @@ class SyncScheduler {
 
   // === Copy product from Store A and create in Store B ===
 
+  // 생성된 B 상품번호 반환 (A 스토어 상품 조회 실패 시 null)
   async copyAndCreateInStoreB(runId, detail, channelProductNo, productName, optionName, qty, productOrderId) {
     try {
       const po = detail.productOrder || detail;
@@ -573,11 +923,12 @@ class SyncScheduler {
       if (!sourceProduct) {
         await this.logSync(runId, 'product_create', 'A', 'B', productOrderId, channelProductNo,
           productName, optionName, qty, 'fail', `A 스토어 상품 조회 실패 (productId=${productId}, originalProductId=${originalProductId})`);
-        return;
+        return null;
       }
 
       const namePrefix = await this.getConfig('store_b_name_prefix') ?? '(오늘출발)';
-      const copyData = NaverCommerceClient.buildProductCopyData(sourceProduct, qty, namePrefix);
+      const { priceOf } = await this.resolveCopyPricing('naver_b', channelProductNo, sourceProduct);
+      const copyData = NaverCommerceClient.buildProductCopyData(sourceProduct, qty, namePrefix, priceOf, optionName);
 
       // B 스토어 상품 상태 설정 적용
       const bDisplayStatus = await this.getConfig('store_b_display_status') || 'ON';
@@ -585,18 +936,6 @@ class SyncScheduler {
       copyData.smartstoreChannelProduct.channelProductDisplayStatusType = bDisplayStatus;
       copyData.originProduct.statusType = bSaleStatus;
 
-      const optInfo = copyData.originProduct?.detailAttribute?.optionInfo;
-      if (optInfo?.optionCombinations && optionName) {
-        for (const opt of optInfo.optionCombinations) {
-          const combinedName = [opt.optionName1, opt.optionName2, opt.optionName3]
-            .filter(Boolean).join('/');
-          if (combinedName === optionName || opt.optionName1 === optionName) {
-            opt.stockQuantity = qty;
-            break;
-          }
-        }
-      }
-
       const sourceDelivery = sourceProduct?.originProduct?.deliveryInfo || sourceProduct?.deliveryInfo;
       const storeBDelivery = await this.getStoreBDeliveryInfo(sourceDelivery);
       if (storeBDelivery) {
@@ -619,10 +958,9 @@ class SyncScheduler {
           const bProduct = await this.storeB.getChannelProduct(String(newProductNo));
           const currentStock = bProduct?.originProduct?.stockQuantity || 0;
           if (currentStock !== qty) {
+            // 신규 상품은 반품된 옵션 조합 1개뿐 → 그 옵션(또는 상품 전체) 재고를 반품 수량으로
             console.log(`[Sync] B 재고 보정: ${currentStock} → ${qty}`);
-            const bOrigin = bProduct.originProduct || bProduct;
-            const bChannel = bProduct.smartstoreChannelProduct || null;
-            await this.storeB.updateProductStock(String(newProductNo), bOrigin, qty, bChannel);
+            await this.storeB.updateOptionStocks(String(newProductNo), () => qty);
           }
         } catch (e) {
           console.log(`[Sync] B 재고 보정 실패 (무시): ${e.message}`);
@@ -641,6 +979,7 @@ class SyncScheduler {
 
       // 푸시 알림
       await this.sendPushNotification('B스토어 신규 상품 등록', `${productName} (${optionName || '옵션없음'}) ${qty}개`);
+      return String(newProductNo);
     } catch (e) {
       await this.logSync(runId, 'product_create', 'A', 'B', productOrderId, channelProductNo,
         productName, optionName, qty, 'fail', e.message);
@@ -662,19 +1001,7 @@ class SyncScheduler {
     const runId = 'copy-' + Date.now();
     const results = {};
 
-    // A 스토어 상품 조회
-    let sourceProduct;
-    try {
-      sourceProduct = await this.storeA.getChannelProduct(channelProductNo);
-    } catch (e) {
-      // channel product 조회 실패 시 origin product 시도
-      try {
-        sourceProduct = await this.storeA.getOriginProduct(channelProductNo);
-      } catch (e2) {
-        throw new Error(`A 스토어 상품 조회 실패: ${e.message}`);
-      }
-    }
-
+    const sourceProduct = await this.fetchSourceProduct(channelProductNo);
     const origin = sourceProduct.originProduct || sourceProduct;
     const productName = origin.name || '';
 
@@ -703,6 +1030,34 @@ class SyncScheduler {
     return { runId, source: { channelProductNo, productName }, results };
   }
 
+  /**
+   * 복사 원본 A 스토어 상품 조회 (채널상품 조회 실패 시 원상품으로)
+   * @param {string} channelProductNo
+   */
+  async fetchSourceProduct(channelProductNo) {
+    try {
+      return await this.storeA.getChannelProduct(channelProductNo);
+    } catch (e) {
+      try {
+        return await this.storeA.getOriginProduct(channelProductNo);
+      } catch (e2) {
+        throw new Error(`A 스토어 상품 조회 실패: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * 채널 판매가 계산 — 직접 지정 비율 > 가격 규칙 > 채널 판매가 비율 (pricing.js)
+   * @param {string} channel - 'naver_b' | 'coupang' | 'zigzag'
+   * @param {string} channelProductNo - A 스토어 상품번호
+   * @param {Object} sourceProduct
+   * @param {number|string} [priceRate] - 복사 요청에서 직접 지정한 비율
+   */
+  async resolveCopyPricing(channel, channelProductNo, sourceProduct, priceRate = null) {
+    const product = await pricing.loadProductContext(channelProductNo, sourceProduct);
+    return pricing.resolvePricing(channel, product, { priceRate });
+  }
+
   /**
    * A → B 스토어 직접 복사 (기존 copyAndCreateInStoreB 재활용)
    */
@@ -720,7 +1075,8 @@ class SyncScheduler {
     }
 
     const namePrefix = options.storeBNamePrefix || await this.getConfig('store_b_name_prefix') || '(오늘출발)';
-    const copyData = NaverCommerceClient.buildProductCopyData(sourceProduct, 1, namePrefix);
+    const { priceOf, description: priceRule } = await this.resolveCopyPricing('naver_b', channelProductNo, sourceProduct, options.storeBPriceRate);
+    const copyData = NaverCommerceClient.buildProductCopyData(sourceProduct, 1, namePrefix, priceOf);
 
     // B 스토어 설정 적용
     const bDisplayStatus = await this.getConfig('store_b_display_status') || 'ON';
@@ -737,19 +1093,15 @@ class SyncScheduler {
     // 반품/교환 배송비: B스토어 고정값 우선, 없으면 A스토어 값 사용
     await this.applyClaimFees(copyData, sourceDelivery);
 
-    const created = await this.storeB.createProduct(copyData);
-    const newProductNo = created?.smartstoreChannelProductNo
-      || created?.smartstoreChannelProduct?.channelProductNo
-      || created?.channelProductNo
-      || created?.originProductNo
-      || '';
+    const storeB = await channels.createAdapter('B', this.storeB);
+    const { channelProductNo: newProductNo } = await storeB.createProduct(copyData);
 
     // 매핑 저장
     const storeBName = copyData.smartstoreChannelProduct?.channelProductName || productName;
     await this.saveChannelMapping(channelProductNo, productName, 'storeB', String(newProductNo), storeBName, 'success');
 
     await this.logSync(runId, 'product_copy', 'A', 'B', null, String(newProductNo),
-      productName, null, 1, 'success', `B 스토어 복사 완료`);
+      productName, null, 1, 'success', `B 스토어 복사 완료 (가격: ${priceRule})`);
 
     console.log(`[Copy] B 스토어 등록: ${productName} → ${newProductNo}`);
     return { success: true, targetProductId: String(newProductNo), productName: storeBName };
@@ -771,51 +1123,75 @@ class SyncScheduler {
       return { success: true, skipped: true, message: '이미 쿠팡에 등록된 상품입니다.', targetProductId: existing[0].target_product_id };
     }
 
-    // 쿠팡 클라이언트 초기화
-    const getVal = async (key) => {
-      const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-      return rows[0] ? rows[0].value : '';
-    };
-    const accessKey = process.env.COUPANG_ACCESS_KEY || await getVal('coupang_access_key');
-    const secretKey = process.env.COUPANG_SECRET_KEY || await getVal('coupang_secret_key');
-    const vendorId = process.env.COUPANG_VENDOR_ID || await getVal('coupang_vendor_id');
-
-    if (!accessKey || !secretKey || !vendorId) {
+    const coupang = await channels.createAdapter('C');
+    if (!coupang) {
       throw new Error('쿠팡 API 키가 설정되지 않았습니다.');
     }
 
-    const coupang = new CoupangClient(accessKey, secretKey, vendorId);
-
-    // 설정 조회
-    const categoryCode = options.coupangCategoryCode || await getVal('coupang_category_code') || '';
-    const priceRate = parseFloat(options.coupangPriceRate || await getVal('coupang_price_rate')) || 0.85;
-    const outboundCode = options.coupangOutboundCode || await getVal('coupang_outbound_code') || '';
-    const returnCenterCode = options.coupangReturnCenterCode || await getVal('coupang_return_center_code') || '';
+    // 카테고리: 직접 지정 > 네이버 카테고리 매핑 (없으면 오류)
+    const categoryCode = options.coupangCategoryCode
+      || (await categoryMap.resolveCategory(origin.leafCategoryId, 'coupang')).categoryId;
+    const { priceOf, description: priceRule } = await this.resolveCopyPricing('coupang', channelProductNo, sourceProduct, options.coupangPriceRate);
+    const outboundCode = options.coupangOutboundCode || await this.getConfig('coupang_outbound_code') || '';
+    const returnCenterCode = options.coupangReturnCenterCode || await this.getConfig('coupang_return_center_code') || '';
 
-    if (!categoryCode) {
-      throw new Error('쿠팡 카테고리 코드가 설정되지 않았습니다. 설정에서 입력해주세요.');
+    // 구매옵션 속성명(색상/사이즈 등) — 조회 실패 시 네이버 옵션 그룹명 그대로 사용
+    let categoryMeta = null;
+    try {
+      categoryMeta = await coupang.client.getCategoryMeta(parseInt(categoryCode));
+    } catch (e) {
+      console.log(`[Copy] 쿠팡 카테고리 메타 조회 실패 (${categoryCode}): ${e.message}`);
     }
 
     const coupangData = CoupangClient.buildCoupangProductData(sourceProduct, {
-      vendorId,
+      vendorId: coupang.client.vendorId,
       categoryCode: parseInt(categoryCode),
-      priceRate,
+      priceOf,
       outboundCode,
       returnCenterCode,
       namePrefix: options.coupangNamePrefix || '',
+      categoryMeta,
     });
 
-    const result = await coupang.createProduct(coupangData);
-    const sellerProductId = result?.data?.sellerProductId || result?.sellerProductId || '';
+    const { channelProductNo: sellerProductId } = await coupang.createProduct(coupangData);
 
     // 매핑 저장
     await this.saveChannelMapping(channelProductNo, productName, 'coupang', String(sellerProductId), productName, 'success');
+    const linked = await this.saveCoupangItems(channelProductNo, String(sellerProductId), sourceProduct, coupangData, coupang);
 
     await this.logSync(runId, 'product_copy', 'A', 'C', null, String(sellerProductId),
-      productName, null, 1, 'success', `쿠팡 복사 완료 (가격비율: ${priceRate})`);
+      productName, null, 1, 'success',
+      `쿠팡 복사 완료 (가격: ${priceRule}, 옵션 ${coupangData.items.length}개 / 재고 연결 ${linked.linked}개)`);
 
-    console.log(`[Copy] 쿠팡 등록: ${productName} → ${sellerProductId}`);
-    return { success: true, targetProductId: String(sellerProductId), productName };
+    console.log(`[Copy] 쿠팡 등록: ${productName} → ${sellerProductId} (옵션 ${coupangData.items.length}개)`);
+    return { success: true, targetProductId: String(sellerProductId), productName, options: coupangData.items.length, linkedVariants: linked.linked };
+  }
+
+  /**
+   * 쿠팡 옵션(vendorItemId) 기록 — 등록 후 상품을 다시 조회해 itemName으로 옵션명 연결
+   * 승인 전이라 vendorItemId가 아직 없으면 옵션명만 저장
+   */
+  async saveCoupangItems(channelProductNo, sellerProductId, sourceProduct, coupangData, coupang) {
+    const { options } = NaverCommerceClient.extractOptions(sourceProduct);
+    const optionByItemName = new Map(options.map(opt => [opt.values.join(' '), opt.optionName]));
+
+    let registered = [];
+    try {
+      const detail = await coupang.getProduct(sellerProductId);
+      registered = detail?.data?.items || detail?.items || [];
+    } catch (e) {
+      console.log(`[Copy] 쿠팡 등록 상품 조회 실패 (${sellerProductId}): ${e.message}`);
+    }
+    const items = coupangData.items.map(item => {
+      const found = registered.find(r => r.itemName === item.itemName);
+      return {
+        optionName: optionByItemName.get(item.itemName) || '',
+        channelItemId: found?.vendorItemId || null,
+        channelOptionName: item.itemName,
+        price: item.salePrice,
+      };
+    });
+    return variantItems.saveItems('C', sellerProductId, items, channelProductNo);
   }
 
   /**
@@ -834,40 +1210,49 @@ class SyncScheduler {
       return { success: true, skipped: true, message: '이미 지그재그에 등록된 상품입니다.', targetProductId: existing[0].target_product_id };
     }
 
-    // 지그재그 클라이언트 초기화
-    const getVal = async (key) => {
-      const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-      return rows[0] ? rows[0].value : '';
-    };
-    const accessKey = process.env.ZIGZAG_ACCESS_KEY || await getVal('zigzag_access_key');
-    const secretKey = process.env.ZIGZAG_SECRET_KEY || await getVal('zigzag_secret_key');
-
-    if (!accessKey || !secretKey) {
+    const zigzag = await channels.createAdapter('D');
+    if (!zigzag) {
       throw new Error('지그재그 API 키가 설정되지 않았습니다.');
     }
 
-    const zigzag = new ZigzagClient(accessKey, secretKey);
-
-    const priceRate = parseFloat(options.zigzagPriceRate || await getVal('zigzag_price_rate')) || 0.85;
-    const categoryId = options.zigzagCategoryId || await getVal('zigzag_category_id') || '';
+    const { priceOf, description: priceRule } = await this.resolveCopyPricing('zigzag', channelProductNo, sourceProduct, options.zigzagPriceRate);
+    // 카테고리: 직접 지정 > 네이버 카테고리 매핑 (없으면 오류)
+    const categoryId = options.zigzagCategoryId
+      || (await categoryMap.resolveCategory(origin.leafCategoryId, 'zigzag')).categoryId;
 
     const zigzagData = ZigzagClient.buildZigzagProductData(sourceProduct, {
       categoryId,
-      priceRate,
+      priceOf,
       namePrefix: options.zigzagNamePrefix || '',
     });
 
-    const result = await zigzag.createProduct(zigzagData);
-    const productId = result?.createProduct?.product_id || '';
+    const { channelProductNo: productId, raw } = await zigzag.createProduct(zigzagData);
 
     // 매핑 저장
     await this.saveChannelMapping(channelProductNo, productName, 'zigzag', String(productId), productName, 'success');
 
+    // 옵션 item_id 기록 — 옵션 없는 상품은 상품 자체가 재고 단위
+    const { options: naverOptions } = NaverCommerceClient.extractOptions(sourceProduct);
+    const createdOptions = raw?.createProduct?.product_option_list || [];
+    const items = naverOptions.length === 0
+      ? [{ optionName: '', channelItemId: String(productId), channelOptionName: null, price: zigzagData.discount_price }]
+      : (zigzagData.product_option_list || []).map((input, i) => {
+        const found = createdOptions.find(o => (o.option_names || []).join('/') === input.option_names.join('/'));
+        return {
+          optionName: naverOptions[i].optionName,
+          channelItemId: found?.item_id || null,
+          channelOptionName: input.option_names.join(' / '),
+          price: zigzagData.discount_price + input.additional_price,
+        };
+      });
+    const linked = await variantItems.saveItems('D', String(productId), items, channelProductNo);
+
     await this.logSync(runId, 'product_copy', 'A', 'D', null, String(productId),
-      productName, null, 1, 'success', `지그재그 복사 완료 (가격비율: ${priceRate})`);
+      productName, null, 1, 'success',
+      `지그재그 복사 완료 (가격: ${priceRule}, 옵션 ${items.length}개 / 재고 연결 ${linked.linked}개)`);
 
-    console.log(`[Copy] 지그재그 등록: ${productName} → ${productId}`);
-    return { success: true, targetProductId: String(productId), productName };
+    console.log(`[Copy] 지그재그 등록: ${productName} → ${productId} (옵션 ${items.length}개)`);
+    return { success: true, targetProductId: String(productId), productName, options: items.length, linkedVariants: linked.linked };
   }
 
   // === Channel mapping helpers ===
@@ -919,198 +1304,220 @@ class SyncScheduler {
 
   // === Sales data fetch ===
 
-  async fetchSalesData(runId = null) {
-    if (!this.hasClients()) return;
-    const logRunId = runId || 'sales-' + Date.now();
-    let totalNewOrders = 0;
-    let totalNewAmount = 0;
+  // 매출 주문 1건 저장 → 신규면 true
+  // 신규 주문은 연결된 옵션 재고를 차감하고, 기존 주문이 취소/반품 상태로 오면 차감분을 복원
+  // 재고 반영 오류: 신규 주문은 검토 대기로, 복원은 다음 수집 때 retryPendingRestores가 다시 시도
+  async saveSalesOrder(store, item) {
+    // 신규 주문은 INSERT, 기존 주문은 상태가 바뀐 경우에만 UPDATE + 이력 기록
+    const conn = await getPool().getConnection();
+    let insertId = null;
+    let prevStatus = null;
+    let statusChanged = false;
+    try {
+      await conn.beginTransaction();
+      // statusOnly: 취소/반품 조회 결과처럼 주문 정보가 없는 건은 이미 수집한 주문만 갱신
+      const [insertResult] = item.statusOnly ? [{ affectedRows: 0 }] : await conn.query(
+        `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [store, item.productOrderId, item.orderDate, item.productName, item.optionName,
+         item.qty, item.unitPrice, item.totalAmount, item.status, item.channelProductNo]
+      );
+      if (insertResult.affectedRows > 0) {
+        insertId = insertResult.insertId;
+        await conn.query(
+          'INSERT INTO sales_order_status_history (product_order_id, store, from_status, to_status) VALUES (?, ?, NULL, ?)',
+          [item.productOrderId, store, item.status || null]
+        );
+      } else if (item.status) {
+        const [rows] = await conn.query(
+          'SELECT id, product_order_status FROM sales_orders WHERE product_order_id = ? FOR UPDATE',
+          [item.productOrderId]
+        );
+        prevStatus = rows.length > 0 ? rows[0].product_order_status : null;
+        if (rows.length > 0 && prevStatus !== item.status) {
+          await conn.query(
+            'UPDATE sales_orders SET product_order_status = ?, status_changed_at = NOW() WHERE id = ?',
+            [item.status, rows[0].id]
+          );
+          await conn.query(
+            'INSERT INTO sales_order_status_history (product_order_id, store, from_status, to_status) VALUES (?, ?, ?, ?)',
+            [item.productOrderId, store, prevStatus, item.status]
+          );
+          statusChanged = true;
+        }
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    if (statusChanged) {
+      console.log(`[Sales] 주문 상태 변경: ${item.productOrderId} ${prevStatus || '-'} → ${item.status}`);
+    }
+    try {
+      if (insertId) {
+        await salesStock.applyNewOrder(insertId);
+      } else if (statusChanged) {
+        await salesStock.applyStatusChange(item.productOrderId, item.status,
+          { deferReturn: await returnLifecycle.isInspectionRequired() });
+      }
+    } catch (e) {
+      console.error(`[SalesStock] 재고 반영 오류 (${item.productOrderId}):`, e.message);
+      if (insertId) {
+        await salesStock.markStockError(insertId, e.message)
+          .catch(markErr => console.error(`[SalesStock] 검토 대기 등록 오류 (${item.productOrderId}):`, markErr.message));
+      }
+    }
+    return !!insertId;
+  }
 
-    const stores = [
-      { key: 'A', client: this.storeA, configKey: 'sales_last_fetch_a' },
-      { key: 'B', client: this.storeB, configKey: 'sales_last_fetch_b' },
-    ];
+  // === Channel adapters ===
 
-    for (const { key, client, configKey } of stores) {
-      try {
-        const lastFetch = await this.getConfig(configKey);
-        const now = new Date();
-        const from = lastFetch ? new Date(lastFetch) : new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  // 설정된 판매 채널 어댑터 — 네이버는 스케줄러 클라이언트 재사용
+  async getChannelAdapters() {
+    return channels.createAdapters({ A: this.storeA, B: this.storeB });
+  }
 
-        let cursor = new Date(from);
-        let inserted = 0;
+  /**
+   * 채널 1곳 매출 수집: 마지막 수집 시각 이후 주문 저장 (조회 구간 제한 채널은 나눠서 조회)
+   * 주문일 기준 조회 채널은 salesLookbackMs만큼 다시 조회해 기존 주문의 취소/반품 상태 변경을 잡음
+   * 마지막 수집 시각 갱신은 호출 측에서 결정 — to는 실패한 첫 구간의 시작 (다음 수집에서 그 구간부터 다시 조회)
+   * @param {ChannelAdapter} adapter
+   * @param {number} defaultDays - 수집 이력이 없을 때 조회 기간
+   * @returns {{ to: Date, found: number, inserted: number, errors: string[] }}
+   */
+  async collectChannelSales(adapter, defaultDays = 1) {
+    const Channel = adapter.constructor;
+    const lastFetch = await this.getConfig(Channel.salesConfigKey);
+    const now = new Date();
+    let from = lastFetch ? new Date(lastFetch) : new Date(now.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+    if (Channel.salesLookbackMs > 0) {
+      from = new Date(Math.min(from.getTime(), now.getTime() - Channel.salesLookbackMs));
+    }
+    const windowMs = Channel.orderWindowMs || Math.max(now.getTime() - from.getTime(), 1);
 
-        while (cursor < now) {
-          const chunkEnd = new Date(Math.min(cursor.getTime() + 24 * 60 * 60 * 1000, now.getTime()));
+    console.log(`[Sales] ${adapter.label} 수집 시작: ${from.toISOString()} ~ ${now.toISOString()}`);
+    let cursor = new Date(from);
+    let found = 0;
+    let inserted = 0;
+    const errors = [];
+    let failedFrom = null;
 
+    while (cursor < now) {
+      const chunkEnd = new Date(Math.min(cursor.getTime() + windowMs, now.getTime()));
+      try {
+        const orders = await adapter.listOrders(cursor.toISOString(), chunkEnd.toISOString());
+        found += orders.length;
+        for (const order of orders) {
           try {
-            // lastChangedType 생략 → 모든 상태 변경 포함
-            const orderIds = await client.getOrders(cursor.toISOString(), chunkEnd.toISOString());
-
-            if (orderIds.length > 0) {
-              const batchSize = 50;
-              for (let i = 0; i < orderIds.length; i += batchSize) {
-                const batch = orderIds.slice(i, i + batchSize);
-                const details = await client.getProductOrderDetail(batch);
-
-                for (const detail of details) {
-                  const po = detail.productOrder || detail;
-                  const order = detail.order || {};
-                  const rawDate = order.paymentDate || order.orderDate || po.placeOrderDate || chunkEnd.toISOString();
-                  const orderDate = new Date(rawDate);
-                  try {
-                    const insertResult = await query(
-                      `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                      [
-                        key,
-                        po.productOrderId || '',
-                        orderDate,
-                        po.productName || '',
-                        po.optionName || null,
-                        po.quantity || 1,
-                        po.unitPrice || po.salePrice || 0,
-                        po.totalPaymentAmount || po.totalProductAmount || ((po.unitPrice || 0) * (po.quantity || 1)),
-                        po.productOrderStatus || '',
-                        String(po.channelProductNo || po.productId || ''),
-                      ]
-                    );
-                    if (insertResult.affectedRows > 0) inserted++;
-                  } catch (dbErr) {
-                    // duplicate ignored
-                  }
-                }
-
-                if (i + batchSize < orderIds.length) await this.sleep(300);
-              }
-            }
-          } catch (chunkErr) {
-            console.log(`[Sales] Store ${key} 청크 오류:`, chunkErr.message);
+            if (await this.saveSalesOrder(adapter.store, order)) inserted++;
+          } catch (dbErr) {
+            errors.push(`${order.productOrderId}: ${dbErr.message}`);
+            console.error(`[Sales] ${adapter.label} 주문 저장 오류 (${order.productOrderId}):`, dbErr.message);
+            if (!failedFrom) failedFrom = cursor;
           }
-
-          cursor = chunkEnd;
-          await this.sleep(300);
-        }
-
-        await this.setConfig(configKey, now.toISOString());
-        if (inserted > 0) {
-          totalNewOrders += inserted;
-          console.log(`[Sales] Store ${key} 자동 수집: ${inserted}건`);
-          const storeLabel = key === 'A' ? '네이버A' : '네이버B';
-          await this.logSync(logRunId, 'sales_collect', key, null, null, null,
-            `${storeLabel} 매출 수집`, null, inserted, 'success', `${storeLabel} 스토어 신규 주문 ${inserted}건 수집`);
         }
-      } catch (e) {
-        console.error(`[Sales] Store ${key} 수집 오류:`, e.message);
-        const storeLabel = key === 'A' ? '네이버A' : '네이버B';
-        await this.logSync(logRunId, 'sales_collect', key, null, null, null,
-          `${storeLabel} 매출 수집`, null, 0, 'fail', e.message).catch(() => {});
+      } catch (chunkErr) {
+        errors.push(chunkErr.message);
+        console.log(`[Sales] ${adapter.label} 청크 오류 (${cursor.toISOString()}):`, chunkErr.message);
+        if (!failedFrom) failedFrom = cursor;
       }
+      cursor = chunkEnd;
+      if (cursor < now) await this.sleep(300);
     }
 
-    // 쿠팡 자동 수집
-    try {
-      const getVal = async (key) => {
-        const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-        return rows[0] ? rows[0].value : '';
-      };
-      const cAccessKey = process.env.COUPANG_ACCESS_KEY || await getVal('coupang_access_key');
-      const cSecretKey = process.env.COUPANG_SECRET_KEY || await getVal('coupang_secret_key');
-      const cVendorId = process.env.COUPANG_VENDOR_ID || await getVal('coupang_vendor_id');
-
-      if (cAccessKey && cSecretKey && cVendorId) {
-        const coupang = new CoupangClient(cAccessKey, cSecretKey, cVendorId);
-        const configKey = 'sales_last_fetch_c';
-        const lastFetch = await this.getConfig(configKey);
-        const now = new Date();
-        const from = lastFetch ? new Date(lastFetch) : new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-        let cursor = new Date(from);
-        let inserted = 0;
-
-        while (cursor < now) {
-          const chunkEnd = new Date(Math.min(cursor.getTime() + 24 * 60 * 60 * 1000, now.getTime()));
-          try {
-            const items = await coupang.getOrderItems(cursor.toISOString(), chunkEnd.toISOString());
-            for (const item of items) {
-              try {
-                const insertResult = await query(
-                  `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                  ['C', item.productOrderId, item.orderDate, item.productName, item.optionName,
-                   item.qty, item.unitPrice, item.totalAmount, item.status, item.channelProductNo]
-                );
-                if (insertResult.affectedRows > 0) inserted++;
-              } catch (dbErr) { }
-            }
-          } catch (chunkErr) {
-            console.log('[Sales] Coupang 청크 오류:', chunkErr.message);
-          }
-          cursor = chunkEnd;
-          await this.sleep(300);
-        }
+    console.log(`[Sales] ${adapter.label} 수집 완료: 발견 ${found}건, 신규 ${inserted}건${errors.length ? `, 오류 ${errors.length}건` : ''}`);
+    return { to: failedFrom || now, found, inserted, errors };
+  }
 
-        await this.setConfig(configKey, now.toISOString());
-        if (inserted > 0) {
-          totalNewOrders += inserted;
-          console.log(`[Sales] Coupang 자동 수집: ${inserted}건`);
-          await this.logSync(logRunId, 'sales_collect', 'C', null, null, null,
-            '쿠팡 매출 수집', null, inserted, 'success', `쿠팡 신규 주문 ${inserted}건 수집`);
-        }
-      }
-    } catch (e) {
-      console.error('[Sales] Coupang 수집 오류:', e.message);
-      await this.logSync(logRunId, 'sales_collect', 'C', null, null, null,
-        '쿠팡 매출 수집', null, 0, 'fail', e.message).catch(() => {});
+  /**
+   * 채널 1곳 교환 확인: 마지막 확인 이후 교환 클레임 반영 (회수 완료 건은 재고 반영 또는 검토 목록)
+   * 접수일 기준 조회 채널은 exchangeLookbackMs만큼 다시 조회해 진행 중 교환의 상태 변경을 잡음
+   * @param {ChannelAdapter} adapter
+   * @returns {Promise<{found: number, applied: number, review: number}>}
+   */
+  async collectChannelExchanges(adapter) {
+    const Channel = adapter.constructor;
+    const configKey = `exchange_last_fetch_${Channel.key}`;
+    const lastFetch = await this.getConfig(configKey);
+    const now = new Date();
+    let from = lastFetch ? new Date(lastFetch) : new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    if (Channel.exchangeLookbackMs > 0) {
+      from = new Date(Math.min(from.getTime(), now.getTime() - Channel.exchangeLookbackMs));
     }
 
-    // === 지그재그 자동 수집 ===
+    const items = await adapter.listExchanges(from.toISOString(), now.toISOString());
+    const summary = items.length > 0 ? await exchangeStock.observe(items) : { found: 0, applied: 0, review: 0 };
+    await this.setConfig(configKey, now.toISOString());
+    return summary;
+  }
+
+  async fetchSalesData(runId = null) {
+    if (!this.hasClients()) return { inserted: 0 };
+    // 같은 주문을 두 서버가 동시에 저장하면 상태 변경 재고 반영이 두 번 일어남
+    const lease = await leaseLock.acquire(SALES_LOCK, { purpose: '매출 수집' });
+    if (!lease) {
+      console.log('[Sales] 다른 서버에서 수집 중, 스킵');
+      return { inserted: 0, skipped: true };
+    }
+    const logRunId = runId || 'sales-' + Date.now();
+    let totalNewOrders = 0;
+
     try {
-      const getValZ = async (key) => {
-        const rows = await query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
-        return rows[0] ? rows[0].value : '';
-      };
-      const zAccessKey = process.env.ZIGZAG_ACCESS_KEY || await getValZ('zigzag_access_key');
-      const zSecretKey = process.env.ZIGZAG_SECRET_KEY || await getValZ('zigzag_secret_key');
-
-      if (zAccessKey && zSecretKey) {
-        const zigzag = new ZigzagClient(zAccessKey, zSecretKey);
-        const configKey = 'sales_last_fetch_d';
-        const lastFetch = await this.getConfig(configKey);
-        const now = new Date();
-        const from = lastFetch ? new Date(lastFetch) : new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-        let inserted = 0;
-        const items = await zigzag.getOrderItems(from.toISOString(), now.toISOString());
-        for (const item of items) {
-          try {
-            const insertResult = await query(
-              `INSERT IGNORE INTO sales_orders (store, product_order_id, order_date, product_name, option_name, qty, unit_price, total_amount, product_order_status, channel_product_no)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-              ['D', item.productOrderId, item.orderDate, item.productName, item.optionName,
-               item.qty, item.unitPrice, item.totalAmount, item.status, item.channelProductNo]
-            );
-            if (insertResult.affectedRows > 0) inserted++;
-          } catch (dbErr) { }
+      for (const adapter of await this.getChannelAdapters()) {
+        const label = adapter.label;
+        try {
+          const { to, inserted, errors } = await this.collectChannelSales(adapter);
+          await this.setConfig(adapter.constructor.salesConfigKey, to.toISOString());
+          if (inserted > 0) {
+            totalNewOrders += inserted;
+            await this.logSync(logRunId, 'sales_collect', adapter.store, null, null, null,
+              `${label} 매출 수집`, null, inserted, 'success', `${label} 신규 주문 ${inserted}건 수집`);
+          }
+          if (errors.length > 0) {
+            await this.logSync(logRunId, 'sales_collect', adapter.store, null, null, null,
+              `${label} 매출 수집`, null, 0, 'fail', `${label} 수집 오류 ${errors.length}건: ${errors[0]}`);
+          }
+        } catch (e) {
+          console.error(`[Sales] ${label} 수집 오류:`, e.message);
+          await this.logSync(logRunId, 'sales_collect', adapter.store, null, null, null,
+            `${label} 매출 수집`, null, 0, 'fail', e.message).catch(() => {});
         }
 
-        await this.setConfig(configKey, now.toISOString());
-        if (inserted > 0) {
-          totalNewOrders += inserted;
-          console.log(`[Sales] Zigzag 자동 수집: ${inserted}건`);
-          await this.logSync(logRunId, 'sales_collect', 'D', null, null, null,
-            '지그재그 매출 수집', null, inserted, 'success', `지그재그 신규 주문 ${inserted}건 수집`);
+        // 교환은 매출 차감 이후에 반영해야 원 주문의 차감 옵션을 들어온 옵션으로 쓸 수 있음
+        if (!adapter.constructor.supportsExchanges) continue;
+        try {
+          const { found, applied, review } = await this.collectChannelExchanges(adapter);
+          if (found > 0) {
+            await this.logSync(logRunId, 'exchange_collect', adapter.store, null, null, null,
+              `${label} 교환 확인`, null, applied, 'success',
+              `${label} 교환 ${found}건 확인 (재고 반영 ${applied}건, 검토 필요 ${review}건)`);
+          }
+        } catch (e) {
+          console.error(`[Exchange] ${label} 확인 오류:`, e.message);
+          await this.logSync(logRunId, 'exchange_collect', adapter.store, null, null, null,
+            `${label} 교환 확인`, null, 0, 'fail', e.message).catch(() => {});
         }
       }
-    } catch (e) {
-      console.error('[Sales] Zigzag 수집 오류:', e.message);
-      await this.logSync(logRunId, 'sales_collect', 'D', null, null, null,
-        '지그재그 매출 수집', null, 0, 'fail', e.message).catch(() => {});
+      // 취소/반품 복원 중 오류로 차감 상태에 남은 주문 재시도
+      try {
+        const restored = await salesStock.retryPendingRestores({ deferReturn: await returnLifecycle.isInspectionRequired() });
+        if (restored > 0) console.log(`[SalesStock] 재고 복원 재시도 ${restored}건`);
+      } catch (e) {
+        console.error('[SalesStock] 재고 복원 재시도 오류:', e.message);
+      }
+    } finally {
+      await lease.release().catch(e => console.error('[Sales] 락 해제 오류:', e.message));
     }
 
     // 신규 매출 푸시 알림
     if (totalNewOrders > 0) {
       await this.sendPushNotification('신규 주문', `새 주문 ${totalNewOrders}건이 들어왔습니다`);
     }
+    return { inserted: totalNewOrders };
   }
 
   // === Pending retry helpers ===
@@ -1209,4 +1616,4 @@ class SyncScheduler {
 
 const scheduler = new SyncScheduler();
 
-module.exports = { scheduler };
+module.exports = { scheduler, SALES_LOCK };
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+const { useMarketplaceMock } = require('./helpers/marketplace');
+
+const db = installFakeDb();
+const categoryMap = require('../category-map');
+const { NaverCommerceClient } = require('../smartstore');
+const { CoupangClient } = require('../coupang');
+const { ZigzagClient } = require('../zigzag');
+
+// channel_categories / category_mappings 인메모리 처리
+function installCategoryTables() {
+  const categories = () => db.rows('channel_categories');
+  db.on(/^DELETE FROM channel_categories WHERE channel = \?$/, ([channel]) => {
+    db.tables.channel_categories = categories().filter(r => r.channel !== channel);
+    return { affectedRows: 0 };
+  });
+  db.on(/^INSERT INTO channel_categories /, (p) => {
+    for (let i = 0; i < p.length; i += 7) {
+      db.insert('channel_categories', {
+        channel: p[i], category_id: p[i + 1], name: p[i + 2], path: p[i + 3], parent_id: p[i + 4], is_leaf: p[i + 5], synced_at: p[i + 6],
+      });
+    }
+    return { affectedRows: p.length / 7 };
+  });
+  db.on(/^SELECT category_id, name, path, is_leaf FROM channel_categories WHERE channel = \? AND category_id = \?/, ([channel, id]) =>
+    db.select('channel_categories', r => r.channel === channel && r.category_id === id, 1));
+  db.on(/^SELECT category_id, name, path FROM channel_categories WHERE channel = \? AND is_leaf = 1$/, ([channel]) =>
+    db.select('channel_categories', r => r.channel === channel && r.is_leaf === 1));
+
+  const mappings = () => db.rows('category_mappings');
+  db.on(/^INSERT INTO category_mappings /, ([naverId, naverPath, channel, targetId, targetPath, username]) => {
+    const row = mappings().find(r => r.naver_category_id === naverId && r.target_channel === channel);
+    const values = { naver_category_path: naverPath, target_category_id: targetId, target_category_path: targetPath, username };
+    if (row) Object.assign(row, values);
+    else db.insert('category_mappings', { naver_category_id: naverId, target_channel: channel, ...values });
+    return { affectedRows: row ? 2 : 1 };
+  });
+  db.on(/^SELECT target_category_id, target_category_path FROM category_mappings WHERE naver_category_id = \? AND target_channel = \?/, ([id, channel]) =>
+    db.select('category_mappings', r => r.naver_category_id === id && r.target_channel === channel, 1));
+}
+
+async function refreshAll(t) {
+  const { env } = await useMarketplaceMock(t);
+  await categoryMap.refreshCategories('naver', new NaverCommerceClient(env.STORE_A_CLIENT_ID, env.STORE_A_CLIENT_SECRET, 'A'));
+  await categoryMap.refreshCategories('coupang', new CoupangClient(env.COUPANG_ACCESS_KEY, env.COUPANG_SECRET_KEY, env.COUPANG_VENDOR_ID));
+  await categoryMap.refreshCategories('zigzag', new ZigzagClient(env.ZIGZAG_ACCESS_KEY, env.ZIGZAG_SECRET_KEY));
+}
+
+test.beforeEach(() => {
+  db.reset();
+  installCategoryTables();
+});
+
+const cached = (channel) => db.rows('channel_categories').filter(r => r.channel === channel)
+  .map(r => [r.category_id, r.path, r.parent_id, r.is_leaf]);
+
+test('refreshCategories: 채널별 응답을 경로/리프 여부로 펼쳐 캐시, 다시 받으면 교체', async (t) => {
+  await refreshAll(t);
+
+  assert.deepEqual(cached('naver'), [
+    ['50000000', '패션의류', null, 0], ['50000805', '패션의류 > 여성의류 > 니트', null, 1], ['50000812', '패션의류 > 여성의류 > 코트', null, 1],
+  ]);
+  assert.deepEqual(cached('coupang'), [
+    ['69000', '여성패션', null, 0], ['69500', '여성패션 > 여성의류', '69000', 0],
+    ['69520', '여성패션 > 여성의류 > 니트/스웨터', '69500', 1], ['69530', '여성패션 > 여성의류 > 코트', '69500', 1],
+    ['69540', '여성패션 > 여성의류 > 스커트', '69500', 1],
+  ]);
+  assert.deepEqual(cached('zigzag'), [['1000', '상의', null, 0], ['1001', '상의 > 니트', '1000', 1], ['2000', '아우터', null, 0], ['2001', '아우터 > 코트', '2000', 1]]);
+
+  const result = await categoryMap.refreshCategories('zigzag', { getCategories: async () => ({ category_list: [{ category_id: '3000', name: '원피스' }] }) });
+  assert.deepEqual(result, { channel: 'zigzag', count: 1, leaves: 1 });
+  assert.deepEqual(cached('zigzag'), [['3000', '원피스', null, 1]]);
+  assert.equal(cached('naver').length, 3);
+  await assert.rejects(categoryMap.refreshCategories('zigzag', { getCategories: async () => ({ category_list: [] }) }), /가져오지 못했습니다/);
+});
+
+test('flattenCoupang: 사용 중지 카테고리 제외, 하위가 모두 중지되면 리프', () => {
+  const rows = categoryMap.flattenCoupang({
+    data: { displayItemCategoryCode: 0, name: 'ROOT', child: [
+      { displayItemCategoryCode: 1, name: '잡화', status: 'ACTIVE', child: [{ displayItemCategoryCode: 2, name: '모자', status: 'READY', child: [] }] },
+    ] },
+  });
+  assert.deepEqual(rows.map(r => [r.categoryId, r.isLeaf]), [['1', true]]);
+});
+
+test('suggest: 대상 채널 리프 카테고리를 이름 유사도 순으로 추천', async (t) => {
+  await refreshAll(t);
+
+  const coupang = await categoryMap.suggest('50000805', 'coupang');
+  assert.equal(coupang[0].categoryId, '69520');
+  assert.ok(coupang.every(s => s.score > 0 && s.score <= 1));
+  assert.equal((await categoryMap.suggest('50000812', 'zigzag'))[0].categoryId, '2001');
+  await assert.rejects(categoryMap.suggest('99999999', 'coupang'), /네이버 카테고리를 먼저 새로고침/);
+  await assert.rejects(categoryMap.suggest('50000805', 'naver'), /알 수 없는 카테고리 채널/);
+});
+
+test('setMapping → resolveCategory: 캐시된 리프만 연결, 같은 카테고리는 덮어씀', async (t) => {
+  await refreshAll(t);
+
+  await assert.rejects(categoryMap.setMapping('50000805', 'coupang', '69500'), /최하위 카테고리만 선택/);
+  await assert.rejects(categoryMap.setMapping('50000805', 'coupang', '12345'), /쿠팡 카테고리를 찾을 수 없습니다/);
+
+  await categoryMap.setMapping('50000805', 'coupang', '69530', { username: 'admin' });
+  const saved = await categoryMap.setMapping('50000805', 'coupang', '69520', { username: 'admin' });
+  assert.deepEqual(saved, { naverCategoryId: '50000805', channel: 'coupang', categoryId: '69520', path: '여성패션 > 여성의류 > 니트/스웨터' });
+  assert.equal(db.rows('category_mappings').length, 1);
+  assert.equal(db.rows('category_mappings')[0].naver_category_path, '패션의류 > 여성의류 > 니트');
+
+  assert.deepEqual(await categoryMap.resolveCategory('50000805', 'coupang'), { categoryId: '69520', path: '여성패션 > 여성의류 > 니트/스웨터' });
+  await assert.rejects(categoryMap.resolveCategory('50000805', 'zigzag'), (e) => {
+    assert.ok(e instanceof categoryMap.UnmappedCategoryError);
+    assert.equal(e.channel, 'zigzag');
+    assert.match(e.message, /지그재그 카테고리 매핑이 없습니다: 네이버 패션의류 > 여성의류 > 니트 \(50000805\)/);
+    return true;
+  });
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { NaverCommerceClient } = require('../smartstore');
+const { CoupangClient } = require('../coupang');
+const { ZigzagClient } = require('../zigzag');
+const { useMarketplaceMock } = require('./helpers/marketplace');
+
+function sourceProduct(origin = {}) {
+  return {
+    originProduct: {
+      name: 'ob 캐시미어 니트',
+      salePrice: 59000,
+      leafCategoryId: '50000805',
+      detailContent: '<p>니트</p>',
+      images: { representativeImage: { url: 'https://img/1.jpg' } },
+      ...origin,
+    },
+  };
+}
+
+test('buildProductCopyData: A 판매가 × 비율, 10원 단위 절사', () => {
+  const data = NaverCommerceClient.buildProductCopyData(sourceProduct({ salePrice: 59900 }), 1, '', 0.85);
+  // 59900 × 0.85 = 50915 → 50910
+  assert.equal(data.originProduct.salePrice, 50910);
+});
+
+test('buildProductCopyData: 정률 즉시할인 적용 후 비율 계산', () => {
+  const data = NaverCommerceClient.buildProductCopyData(sourceProduct({
+    salePrice: 59000,
+    customerBenefit: { immediateDiscountPolicy: { discountMethod: { unitType: 'PERCENT', value: 10 } } },
+  }), 1, '', 0.85);
+  // 59000 × 0.9 = 53100 → × 0.85 = 45135 → 45130
+  assert.equal(data.originProduct.salePrice, 45130);
+});
+
+test('buildProductCopyData: 정액 즉시할인 적용 후 비율 계산', () => {
+  const data = NaverCommerceClient.buildProductCopyData(sourceProduct({
+    salePrice: 59000,
+    customerBenefit: { immediateDiscountPolicy: { discountMethod: { unitType: 'WON', value: 5000 } } },
+  }), 1, '', 0.9);
+  // (59000 - 5000) × 0.9 = 48600
+  assert.equal(data.originProduct.salePrice, 48600);
+});
+
+test('buildProductCopyData: 기본 비율 0.85, 판매가 없으면 가격 미설정', () => {
+  assert.equal(NaverCommerceClient.buildProductCopyData(sourceProduct({ salePrice: 10000 })).originProduct.salePrice, 8500);
+  const noPrice = NaverCommerceClient.buildProductCopyData(sourceProduct({ salePrice: undefined }));
+  assert.equal('salePrice' in noPrice.originProduct, false);
+});
+
+test('buildProductCopyData: 접두어 중복 방지, 재고 수량, 카탈로그 매칭 해제', () => {
+  const data = NaverCommerceClient.buildProductCopyData(sourceProduct({
+    detailAttribute: {
+      naverShoppingSearchInfo: { matchedCatalogId: 123, catalogMatchingYn: true, brandName: 'ob' },
+      optionInfo: { optionCombinations: [{ id: 1, stockQuantity: 3 }] },
+    },
+  }), 3, '(오늘출발)');
+  assert.equal(data.originProduct.name, '(오늘출발) ob 캐시미어 니트');
+  assert.equal(data.originProduct.stockQuantity, 3);
+  assert.deepEqual(data.originProduct.detailAttribute.naverShoppingSearchInfo, { catalogMatchingYn: false, brandName: 'ob' });
+  // 옵션은 복사하지 않음 (A 옵션 재고가 따라오는 것 방지)
+  assert.equal('optionInfo' in data.originProduct.detailAttribute, false);
+
+  const again = NaverCommerceClient.buildProductCopyData(sourceProduct({ name: '(오늘출발) ob 니트' }), 1, '(오늘출발)');
+  assert.equal(again.originProduct.name, '(오늘출발) ob 니트');
+});
+
+test('parseOptionName: 그룹명: 값 / … 형식, 그룹명 없는 값, 빈 옵션', () => {
+  assert.deepEqual(NaverCommerceClient.parseOptionName('색상: 블랙 / 사이즈: M'),
+    [{ group: '색상', value: '블랙' }, { group: '사이즈', value: 'M' }]);
+  assert.deepEqual(NaverCommerceClient.parseOptionName('블랙'), [{ group: null, value: '블랙' }]);
+  assert.deepEqual(NaverCommerceClient.parseOptionName(''), []);
+});
+
+test('buildProductCopyData: 반품 옵션만 조합형 옵션으로 등록 (A 옵션 재고는 복사하지 않음)', () => {
+  const source = sourceProduct({
+    detailAttribute: {
+      optionInfo: {
+        optionCombinationGroupNames: { optionGroupName1: '색상', optionGroupName2: '사이즈' },
+        optionCombinations: [{ id: 1, optionName1: '블랙', optionName2: 'M', stockQuantity: 30 }],
+      },
+    },
+  });
+  const { optionInfo } = NaverCommerceClient.buildProductCopyData(source, 2, '', 0.85, '색상: 블랙 / 사이즈: M').originProduct.detailAttribute;
+  assert.deepEqual(optionInfo.optionCombinationGroupNames, { optionGroupName1: '색상', optionGroupName2: '사이즈' });
+  assert.deepEqual(optionInfo.optionCombinations, [{ optionName1: '블랙', optionName2: 'M', stockQuantity: 2, price: 0, usable: true }]);
+
+  // 주문 옵션명에 그룹명이 없으면 A 상품 그룹명 사용
+  const plain = NaverCommerceClient.buildProductCopyData(source, 1, '', 0.85, '블랙').originProduct.detailAttribute.optionInfo;
+  assert.deepEqual(plain.optionCombinationGroupNames, { optionGroupName1: '색상' });
+});
+
+test('applyOptionStock: 같은 옵션은 재고 증가, 없는 옵션은 추가, 전체 재고는 옵션 합계', () => {
+  const origin = {
+    stockQuantity: 1,
+    detailAttribute: {
+      optionInfo: {
+        optionCombinationGroupNames: { optionGroupName1: '색상', optionGroupName2: '사이즈' },
+        optionCombinations: [{ id: 11, optionName1: '블랙', optionName2: 'M', stockQuantity: 1, price: 0, usable: true }],
+      },
+    },
+  };
+  assert.deepEqual(NaverCommerceClient.applyOptionStock(origin, '색상: 블랙 / 사이즈: m', 2),
+    { option: '블랙 / m', added: false, before: 1, after: 3, total: 3 });
+  assert.deepEqual(NaverCommerceClient.applyOptionStock(origin, '색상: 블랙 / 사이즈: L', 1),
+    { option: '블랙 / L', added: true, before: 0, after: 1, total: 4 });
+  assert.deepEqual(origin.detailAttribute.optionInfo.optionCombinations.map(c => [c.id, c.optionName2, c.stockQuantity]),
+    [[11, 'M', 3], [undefined, 'L', 1]]);
+  assert.equal(origin.stockQuantity, 4);
+
+  // 옵션 단수가 다르거나, 옵션 없는 상품에 옵션 반품이면 합치지 않음
+  assert.equal(NaverCommerceClient.applyOptionStock(origin, '블랙', 1), null);
+  const plain = { stockQuantity: 2, detailAttribute: {} };
+  assert.equal(NaverCommerceClient.applyOptionStock(plain, '블랙', 1), null);
+  assert.deepEqual(NaverCommerceClient.applyOptionStock(plain, '', 1), { option: '', added: false, before: 2, after: 3, total: 3 });
+});
+
+// 색상 2 × 사이즈 2 (블랙/L은 +2000원, 아이보리/L은 판매 중지)
+function optionSource() {
+  return sourceProduct({
+    salePrice: 50000,
+    detailAttribute: {
+      optionInfo: {
+        optionCombinationGroupNames: { optionGroupName1: '컬러', optionGroupName2: '사이즈' },
+        optionCombinations: [
+          { id: 1, optionName1: '블랙', optionName2: 'M', stockQuantity: 3, price: 0, usable: true },
+          { id: 2, optionName1: '블랙', optionName2: 'L', stockQuantity: 1, price: 2000, usable: true },
+          { id: 3, optionName1: '아이보리', optionName2: 'M', stockQuantity: 0, price: 0, usable: true },
+          { id: 4, optionName1: '아이보리', optionName2: 'L', stockQuantity: 5, price: 0, usable: false },
+        ],
+      },
+    },
+  });
+}
+
+test('extractOptions: 조합형 옵션 (판매 중지 제외), 단독형 옵션, 옵션 없음', () => {
+  const { groupNames, options } = NaverCommerceClient.extractOptions(optionSource());
+  assert.deepEqual(groupNames, ['컬러', '사이즈']);
+  assert.deepEqual(options.map(o => [o.optionName, o.price, o.stockQuantity]), [
+    ['컬러: 블랙 / 사이즈: M', 0, 3], ['컬러: 블랙 / 사이즈: L', 2000, 1], ['컬러: 아이보리 / 사이즈: M', 0, 0],
+  ]);
+
+  const standard = NaverCommerceClient.extractOptions(sourceProduct({
+    detailAttribute: { optionInfo: { optionStandards: [{ optionName1: '블랙', stockQuantity: 2 }] } },
+  }));
+  assert.deepEqual(standard, { groupNames: ['옵션1'], options: [{ values: ['블랙'], optionName: '옵션1: 블랙', price: 0, stockQuantity: 2 }] });
+  assert.deepEqual(NaverCommerceClient.extractOptions(sourceProduct()), { groupNames: [], options: [] });
+});
+
+test('buildCoupangProductData: 옵션마다 아이템 — 카테고리 구매옵션 속성명, 옵션 추가금액, 옵션별 재고', () => {
+  const categoryMeta = { data: { attributes: [
+    { attributeTypeName: '패션의류/잡화 사이즈', exposed: 'EXPOSED' },
+    { attributeTypeName: '색상', exposed: 'EXPOSED' },
+    { attributeTypeName: '제조국', exposed: 'NONE' },
+  ] } };
+  const data = CoupangClient.buildCoupangProductData(optionSource(), { vendorId: 'A0001', priceRate: 0.9, categoryMeta });
+
+  assert.deepEqual(data.items.map(i => [i.itemName, i.originalPrice, i.salePrice, i.maximumBuyCount]), [
+    ['블랙 M', 50000, 45000, 3], ['블랙 L', 52000, 46800, 1], ['아이보리 M', 50000, 45000, 0],
+  ]);
+  assert.deepEqual(data.items[1].attributes, [
+    { attributeTypeName: '색상', attributeValueName: '블랙' },
+    { attributeTypeName: '패션의류/잡화 사이즈', attributeValueName: 'L' },
+  ]);
+
+  // 옵션 없는 상품은 기존처럼 단일 아이템
+  const single = CoupangClient.buildCoupangProductData(sourceProduct({ salePrice: 10000 }), { priceRate: 0.85 });
+  assert.deepEqual(single.items.map(i => [i.itemName, i.salePrice, i.maximumBuyCount, i.attributes]), [['ob 캐시미어 니트', 8500, 999, undefined]]);
+});
+
+test('resolveAttributeTypes: 이름 매칭 → 남은 노출 속성 순서 → 네이버 그룹명', () => {
+  const meta = { data: { attributes: [{ attributeTypeName: '색상', exposed: 'EXPOSED' }, { attributeTypeName: '수량', exposed: 'EXPOSED' }] } };
+  assert.deepEqual(CoupangClient.resolveAttributeTypes(['사이즈', 'Color', '소재'], meta), ['수량', '색상', '소재']);
+  assert.deepEqual(CoupangClient.resolveAttributeTypes(['색상'], null), ['색상']);
+});
+
+test('buildZigzagProductData: 조합형 옵션 입력 (추가금액 비율 적용, 옵션별 재고)', () => {
+  const data = ZigzagClient.buildZigzagProductData(optionSource(), { priceRate: 0.9 });
+  assert.equal(data.option_type, 'COMBINATION');
+  assert.deepEqual(data.option_group_names, ['컬러', '사이즈']);
+  assert.deepEqual(data.product_option_list.map(o => [o.option_names.join('/'), o.additional_price, o.stock_quantity]), [
+    ['블랙/M', 0, 3], ['블랙/L', 1800, 1], ['아이보리/M', 0, 0],
+  ]);
+  assert.equal('product_option_list' in ZigzagClient.buildZigzagProductData(sourceProduct()), false);
+});
+
+test('CoupangClient.generateSignature: datetime + method + path + query (? 제외)', () => {
+  const client = new CoupangClient('access', 'secret', 'A0001');
+  const datetime = '250101T000000Z';
+  const fullPath = '/v2/providers/openapi/apis/api/v4/vendors/A0001/ordersheets?status=ACCEPT&maxPerPage=50';
+  const expected = crypto.createHmac('sha256', 'secret')
+    .update(`${datetime}GET/v2/providers/openapi/apis/api/v4/vendors/A0001/ordersheetsstatus=ACCEPT&maxPerPage=50`)
+    .digest('hex');
+  assert.equal(client.generateSignature('GET', fullPath, datetime), expected);
+  assert.notEqual(client.generateSignature('POST', fullPath, datetime), expected);
+});
+
+test('CoupangClient.formatDatetime: yyMMddTHHmmssZ (UTC)', () => {
+  const client = new CoupangClient('access', 'secret', 'A0001');
+  assert.equal(client.formatDatetime(new Date(Date.UTC(2025, 0, 2, 3, 4, 5))), '250102T030405Z');
+});
+
+test('ZigzagClient.buildAuthorization: HMAC-SHA1(signedDate.정규화 쿼리)', (t) => {
+  t.mock.method(Date, 'now', () => 1735689600000);
+  const client = new ZigzagClient('access', 'secret');
+  const header = client.buildAuthorization('query {\n  shop {\n    shop_id\n  }\n}');
+  const expected = crypto.createHmac('sha1', 'secret')
+    .update('1735689600000.query { shop { shop_id } }', 'utf-8')
+    .digest('hex');
+  assert.equal(header, `CEA algorithm=HmacSHA256, access-key=access, signed-date=1735689600000, signature=${expected}`);
+});
+
+test('서명 검증: mock API가 실제 클라이언트 서명을 받아들이고 잘못된 키는 거부', async (t) => {
+  const { env } = await useMarketplaceMock(t);
+  assert.deepEqual(await new CoupangClient(env.COUPANG_ACCESS_KEY, env.COUPANG_SECRET_KEY, env.COUPANG_VENDOR_ID).testConnection(),
+    { success: true, message: 'Coupang 연결 성공' });
+  const badCoupang = await new CoupangClient(env.COUPANG_ACCESS_KEY, 'wrong', env.COUPANG_VENDOR_ID).testConnection();
+  assert.equal(badCoupang.success, false);
+
+  assert.equal((await new ZigzagClient(env.ZIGZAG_ACCESS_KEY, env.ZIGZAG_SECRET_KEY).testConnection()).success, true);
+  assert.equal((await new ZigzagClient(env.ZIGZAG_ACCESS_KEY, 'wrong').testConnection()).success, false);
+
+  assert.equal((await new NaverCommerceClient(env.STORE_A_CLIENT_ID, env.STORE_A_CLIENT_SECRET, 'A').testConnection()).success, true);
+});
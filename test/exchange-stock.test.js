@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const exchangeStock = require('../exchange-stock');
+
+const user = { id: 2, username: 'park' };
+
+// resolveVariants()가 사용하는 sales_orders / products / variants 쿼리
+function installProductTables() {
+  db.on(/^SELECT variant_id FROM sales_orders WHERE product_order_id = \?$/, ([id]) =>
+    db.select('sales_orders', r => r.product_order_id === id));
+  db.on(/^SELECT \* FROM products WHERE (\w+) = \? LIMIT 1$/, ([no], text) => {
+    const col = text.match(/WHERE (\w+) = \?/)[1];
+    return db.select('products', r => String(r[col]) === String(no), 1);
+  });
+  db.on(/^SELECT \* FROM variants WHERE product_id = \? ORDER BY id$/, ([id]) => db.select('variants', r => r.product_id === id));
+  db.on(/^SELECT \* FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+  db.on(/^SELECT id FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+}
+
+test.beforeEach(() => {
+  db.reset();
+  installProductTables();
+  db.insert('products', { name: '캐시미어 니트', coupang_no: '5001', naver_a_no: '9001' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'Free', qty: 3 });
+  db.insert('variants', { product_id: 1, color: '아이보리', size: 'Free', qty: 2 });
+});
+
+const exchange = (overrides) => ({
+  store: 'C', claimId: 'CPG_EXC_1_5001', productOrderId: 'CPG_70_5001', productName: '캐시미어 니트', qty: 1,
+  channelProductNo: '5001', inboundOption: '블랙 Free', outboundChannelProductNo: '5001', outboundOption: '아이보리 Free',
+  claimStatus: 'PROGRESS', exchangeState: 'requested', ...overrides,
+});
+const row = (claimId) => db.rows('exchanges').find(r => r.claim_id === claimId);
+const qty = (id) => db.find('variants', id).qty;
+
+test('observe: 교환 옵션을 알려주는 채널은 회수 완료 시 들어온 옵션 +, 나갈 옵션 - 한 번만', async () => {
+  assert.deepEqual(await exchangeStock.observe([exchange()]), { found: 1, applied: 0, review: 0 });
+  assert.equal(row('CPG_EXC_1_5001').stock_state, 'pending');
+  assert.deepEqual([qty(1), qty(2)], [3, 2]);
+
+  assert.deepEqual(await exchangeStock.observe([exchange({ exchangeState: 'collected' })]), { found: 1, applied: 1, review: 0 });
+  assert.deepEqual([qty(1), qty(2)], [4, 1]);
+  assert.deepEqual(db.rows('stock_movements').map(m => [m.variant_id, m.delta, m.reason, m.reference_id]),
+    [[1, 1, 'exchange', 'CPG_EXC_1_5001'], [2, -1, 'exchange', 'CPG_EXC_1_5001']]);
+
+  // 같은 교환을 다시 조회해도 재반영 없음
+  await exchangeStock.observe([exchange({ exchangeState: 'completed', claimStatus: 'SUCCESS' })]);
+  assert.deepEqual([qty(1), qty(2), row('CPG_EXC_1_5001').exchange_state], [4, 1, 'completed']);
+});
+
+test('observe: 교환 옵션 미제공 채널은 원 주문 차감 옵션을 추천해 검토 목록, 철회는 제외', async () => {
+  db.insert('sales_orders', { product_order_id: 'N1', variant_id: 2 });
+  const naver = exchange({ store: 'A', claimId: 'N1', productOrderId: 'N1', channelProductNo: '9001',
+    inboundOption: '색상: 아이보리', outboundChannelProductNo: null, outboundOption: null, exchangeState: 'collected' });
+  const cancelled = exchange({ claimId: 'CPG_EXC_2_5001', exchangeState: 'cancelled', claimStatus: 'CANCEL' });
+
+  assert.deepEqual(await exchangeStock.observe([naver, cancelled]), { found: 2, applied: 0, review: 1 });
+  assert.deepEqual([row('N1').stock_state, row('N1').inbound_variant_id, row('N1').outbound_variant_id, row('N1').stock_note],
+    ['review', 2, 2, '교환 옵션 확인 필요 (채널에서 교환 옵션 미제공)']);
+  assert.deepEqual([row('CPG_EXC_2_5001').stock_state, row('CPG_EXC_2_5001').stock_note], ['skipped', '교환 철회/거부 (CANCEL)']);
+  assert.deepEqual([qty(1), qty(2)], [3, 2]);
+
+  const { items, total } = await exchangeStock.listReview();
+  assert.deepEqual([total, items.map(i => i.claim_id)], [1, ['N1']]);
+});
+
+test('resolveReview / dismissReview: 지정한 옵션으로 반영, 검토 대기 건만 처리', async () => {
+  await exchangeStock.observe([
+    exchange({ claimId: 'X1', outboundOption: '없는 옵션', exchangeState: 'collected' }),
+    exchange({ claimId: 'X2', outboundOption: '없는 옵션', exchangeState: 'collected' }),
+  ]);
+  assert.equal(row('X1').stock_note, '나갈 옵션: 옵션 매칭 실패: 없는 옵션');
+
+  const id = row('X1').id;
+  await assert.rejects(exchangeStock.resolveReview(id, { inboundVariantId: 1, outboundVariantId: 99 }, user), /옵션을 찾을 수 없습니다/);
+  await exchangeStock.resolveReview(id, { inboundVariantId: 1, outboundVariantId: 2 }, user);
+  assert.deepEqual([row('X1').stock_state, row('X1').applied_by, qty(1), qty(2)], ['applied', 'park', 4, 1]);
+  await assert.rejects(exchangeStock.resolveReview(id, { inboundVariantId: 1, outboundVariantId: 2 }, user), /검토 대기 상태가 아닙니다/);
+
+  await exchangeStock.dismissReview(row('X2').id, user);
+  assert.deepEqual([row('X2').stock_state, row('X2').stock_note], ['skipped', '검토 제외 (park)']);
+  await assert.rejects(exchangeStock.dismissReview(999, user), /교환 건을 찾을 수 없습니다/);
+});
+
+test('applyStock: 나갈 옵션 반영 실패로 검토에 간 건은 다시 반영해도 들어온 옵션을 두 번 더하지 않음', async (t) => {
+  const ledger = require('../stock-ledger');
+  const adjust = ledger.adjustVariantQty;
+  let failOutbound = true;
+  t.mock.method(ledger, 'adjustVariantQty', async (variantId, delta, opts) => {
+    if (delta < 0 && failOutbound) throw new Error('DB 연결 끊김');
+    return adjust(variantId, delta, opts);
+  });
+
+  await exchangeStock.observe([exchange({ exchangeState: 'collected' })]);
+  const ex = row('CPG_EXC_1_5001');
+  assert.deepEqual([ex.stock_state, ex.inbound_applied, ex.stock_note, qty(1), qty(2)],
+    ['review', 1, '재고 반영 오류 (들어온 옵션은 반영됨): DB 연결 끊김', 4, 2]);
+
+  // 검토에서 들어온 옵션을 다르게 골라도 이미 반영된 옵션 유지, 나갈 옵션만 반영
+  failOutbound = false;
+  await exchangeStock.resolveReview(ex.id, { inboundVariantId: 2, outboundVariantId: 2 }, user);
+  assert.deepEqual([row('CPG_EXC_1_5001').stock_state, row('CPG_EXC_1_5001').inbound_variant_id, qty(1), qty(2)], ['applied', 1, 4, 1]);
+  assert.deepEqual(db.rows('stock_movements').map(m => [m.variant_id, m.delta]), [[1, 1], [2, -1]]);
+});
@@ -0,0 +1,327 @@
+// database.js 대체 — MySQL 없이 테스트하기 위한 인메모리 저장소
+// SQL을 해석하지 않고, 정규화된 SQL 문자열을 등록된 패턴(정규식)으로 찾아 핸들러 결과를 돌려준다.
+// 등록되지 않은 쿼리는 예외 → 테스트가 예상하지 못한 DB 접근을 바로 드러낸다.
+const Module = require('module');
+const path = require('path');
+
+const DATABASE_PATH = path.resolve(__dirname, '../../database.js');
+
+class FakeDb {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tables = {};
+    this.config = new Map();
+    this.handlers = [];
+    this.queries = [];
+    this.failure = null;
+    this.installDefaults();
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  insert(table, row) {
+    const rows = this.rows(table);
+    const id = rows.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1;
+    rows.push({ id, ...row });
+    return { insertId: id, affectedRows: 1 };
+  }
+
+  // SELECT 결과처럼 행 복사본을 반환 (이후 UPDATE가 이미 읽은 결과를 바꾸지 않도록)
+  select(table, predicate, limit = Infinity) {
+    return this.rows(table).filter(predicate).slice(0, limit).map(r => ({ ...r }));
+  }
+
+  find(table, id) {
+    return this.rows(table).find(r => r.id === Number(id)) || null;
+  }
+
+  // 나중에 등록한 핸들러가 우선 (테스트별로 기본 동작 덮어쓰기)
+  on(pattern, handler) {
+    this.handlers.unshift({ pattern, handler });
+  }
+
+  // 이후 모든 쿼리를 실패시킴 (500 에러 경로 테스트용) — except에 맞는 쿼리는 정상 처리
+  failAll(message = 'fake-db: 연결 실패', except = null) {
+    this.failure = { error: new Error(message), except };
+  }
+
+  async query(sql, params = []) {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    this.queries.push({ sql: text, params });
+    if (this.failure && !(this.failure.except && this.failure.except.test(text))) throw this.failure.error;
+    const entry = this.handlers.find(h => h.pattern.test(text));
+    if (!entry) throw new Error(`fake-db: 등록되지 않은 쿼리 — ${text}`);
+    return entry.handler(params, text);
+  }
+
+  // sync_config / sync_log / stock_movements / 수량 트랜잭션 — 여러 모듈이 공통으로 쓰는 쿼리
+  installDefaults() {
+    this.on(/^SELECT value FROM sync_config WHERE `key` = \?$/, ([key]) =>
+      this.config.has(key) ? [{ value: this.config.get(key) }] : []);
+    this.on(/^INSERT INTO sync_config .* ON DUPLICATE KEY UPDATE/, ([key, value]) => {
+      this.config.set(key, value == null ? value : String(value));
+      return { affectedRows: 1 };
+    });
+
+    this.on(/^INSERT INTO sync_log /, (p) => this.insert('sync_log', {
+      run_id: p[0], type: p[1], store_from: p[2], store_to: p[3], product_order_id: p[4],
+      channel_product_no: p[5], product_name: p[6], product_option: p[7], qty: p[8], status: p[9], message: p[10],
+    }));
+
+    // processed-returns.js — 반품 처리 원장 (스케줄러/재고 추가/반품 화면 공통)
+    const processed = () => this.rows('processed_returns');
+    this.on(/^SELECT product_order_id, status, claimed_at FROM processed_returns WHERE action = \? AND product_order_id IN/, ([action, ...ids]) =>
+      this.select('processed_returns', r => r.action === action && ids.includes(r.product_order_id)));
+    this.on(/^INSERT INTO processed_returns /, ([id, action, store, source, runId, claimedAt]) => {
+      if (processed().some(r => r.product_order_id === id && r.action === action)) {
+        throw Object.assign(new Error(`Duplicate entry '${id}-${action}'`), { code: 'ER_DUP_ENTRY' });
+      }
+      return this.insert('processed_returns', {
+        product_order_id: id, action, status: 'processing', store, source, run_id: runId,
+        detail: null, claimed_at: claimedAt, completed_at: null,
+      });
+    });
+    this.on(/^UPDATE processed_returns SET source = \?, run_id = \?, claimed_at = \? WHERE action = \? AND product_order_id = \?$/, ([source, runId, claimedAt, action, id]) => {
+      const row = processed().find(r => r.action === action && r.product_order_id === id);
+      if (row) Object.assign(row, { source, run_id: runId, claimed_at: claimedAt });
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^UPDATE processed_returns SET status = 'done'/, ([detail, completedAt, action, ...ids]) => {
+      const rows = processed().filter(r => r.action === action && ids.includes(r.product_order_id));
+      for (const row of rows) Object.assign(row, { status: 'done', detail, completed_at: completedAt });
+      return { affectedRows: rows.length };
+    });
+    this.on(/^DELETE FROM processed_returns WHERE action = \? AND status = 'processing'/, ([action, ...ids]) => {
+      const before = processed().length;
+      this.tables.processed_returns = processed().filter(r => !(r.action === action && r.status === 'processing' && ids.includes(r.product_order_id)));
+      return { affectedRows: before - processed().length };
+    });
+    this.on(/^SELECT product_order_id, action FROM processed_returns WHERE product_order_id IN/, (ids) =>
+      this.select('processed_returns', r => ids.includes(r.product_order_id)));
+
+    // return-lifecycle.js — 반품 상태 (반품 화면/재고 추가/자동 동기화 공통)
+    const transitions = (p) => this.insert('return_transitions', {
+      return_id: p[0], product_order_id: p[1], from_state: p[2], to_state: p[3], user_id: p[4], username: p[5], note: p[6], created_at: p[7],
+    });
+    this.on(/^SELECT \* FROM returns WHERE product_order_id IN/, (ids) => this.select('returns', r => ids.includes(r.product_order_id)));
+    this.on(/^SELECT \* FROM returns WHERE state IN \(.*\) ORDER BY updated_at DESC LIMIT \?$/, (p) => {
+      const states = p.slice(0, -1);
+      return this.select('returns', r => states.includes(r.state)).sort((a, b) => b.updated_at - a.updated_at).slice(0, p[p.length - 1]);
+    });
+    this.on(/^INSERT IGNORE INTO returns \(/, (p, text) => {
+      const columns = text.match(/^INSERT IGNORE INTO returns \(([^)]+)\)/)[1].split(',').map(c => c.trim());
+      const row = Object.fromEntries(columns.map((c, i) => [c, p[i]]));
+      if (this.rows('returns').some(r => r.product_order_id === row.product_order_id)) return { affectedRows: 0 };
+      return this.insert('returns', { previous_state: null, updated_by: null, ...row });
+    });
+    this.on(/^UPDATE returns SET channel_status = \? WHERE id = \?$/, ([status, id]) => {
+      const row = this.find('returns', id);
+      if (row) row.channel_status = status;
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^UPDATE returns SET state = \?/, (p, text) => {
+      const sets = text.match(/SET (.+) WHERE/)[1].split(', ');
+      const values = [...p];
+      const [id, state] = values.splice(-2);
+      const row = this.find('returns', id);
+      if (!row || row.state !== state) return { affectedRows: 0 };
+      for (const set of sets) {
+        const [column, value] = set.split(' = ');
+        row[column] = value === 'NULL' ? null : values.shift();
+      }
+      return { affectedRows: 1 };
+    });
+    this.on(/^UPDATE returns SET product_name = \?, option_name = \?, variant_id = \? WHERE product_order_id = \?$/, ([name, option, variantId, id]) => {
+      const row = this.rows('returns').find(r => r.product_order_id === id);
+      if (row) Object.assign(row, { product_name: name, option_name: option, variant_id: variantId });
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^INSERT INTO return_transitions .* VALUES/, transitions);
+    this.on(/^INSERT INTO return_transitions .* SELECT .* FROM returns WHERE product_order_id = \?$/, ([note, createdAt, id]) => {
+      const row = this.rows('returns').find(r => r.product_order_id === id);
+      return transitions([row.id, id, null, row.state, null, 'system', note, createdAt]);
+    });
+    this.on(/^SELECT \* FROM return_transitions WHERE product_order_id = \? ORDER BY id$/, ([id]) =>
+      this.select('return_transitions', r => r.product_order_id === id));
+
+    // return-inspection.js — 검수 등급/사진
+    this.on(/^UPDATE returns SET grade = \?, inspection_note = \?, inspected_by = \?, updated_at = \? WHERE id = \?$/, ([grade, note, by, at, id]) => {
+      const row = this.find('returns', id);
+      if (row) Object.assign(row, { grade, inspection_note: note, inspected_by: by, updated_at: at });
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^UPDATE returns SET route_result = \? WHERE id = \?$/, ([result, id]) => {
+      const row = this.find('returns', id);
+      if (row) row.route_result = result;
+      return { affectedRows: row ? 1 : 0 };
+    });
+    const photos = (id) => this.select('return_photos', r => r.product_order_id === id);
+    this.on(/^SELECT id, mime_type, size, username, created_at FROM return_photos WHERE product_order_id = \? ORDER BY id$/, ([id]) =>
+      photos(id).map(({ data, ...rest }) => rest));
+    this.on(/^SELECT COUNT\(\*\) AS cnt FROM return_photos WHERE product_order_id = \?$/, ([id]) => [{ cnt: photos(id).length }]);
+    this.on(/^INSERT INTO return_photos /, (p) => this.insert('return_photos', {
+      return_id: p[0], product_order_id: p[1], mime_type: p[2], size: p[3], data: p[4], username: p[5], created_at: p[6],
+    }));
+    this.on(/^SELECT \* FROM return_photos WHERE id = \? AND product_order_id = \?$/, ([photoId, id]) =>
+      this.select('return_photos', r => r.id === photoId && r.product_order_id === id));
+    this.on(/^DELETE FROM return_photos WHERE id = \? AND product_order_id = \?$/, ([photoId, id]) => {
+      const before = this.rows('return_photos').length;
+      this.tables.return_photos = this.rows('return_photos').filter(r => !(r.id === photoId && r.product_order_id === id));
+      return { affectedRows: before - this.rows('return_photos').length };
+    });
+
+    // exchange-stock.js — 교환 재고 (매출 수집/재고 화면 공통)
+    const exchanges = () => this.rows('exchanges');
+    this.on(/^SELECT \* FROM exchanges WHERE claim_id IN/, (ids) => this.select('exchanges', r => ids.includes(r.claim_id)));
+    this.on(/^SELECT \* FROM exchanges WHERE id = \?$/, ([id]) => this.select('exchanges', r => r.id === id));
+    this.on(/^INSERT IGNORE INTO exchanges \(/, (p, text) => {
+      const columns = text.match(/^INSERT IGNORE INTO exchanges \(([^)]+)\)/)[1].split(',').map(c => c.trim());
+      const row = Object.fromEntries(columns.map((c, i) => [c, p[i]]));
+      if (exchanges().some(r => r.claim_id === row.claim_id)) return { affectedRows: 0 };
+      return this.insert('exchanges', {
+        inbound_variant_id: null, outbound_variant_id: null, inbound_applied: 0, stock_state: 'pending', stock_note: null,
+        applied_by: null, applied_at: null, ...row,
+      });
+    });
+    this.on(/^UPDATE exchanges SET claim_status = \?, exchange_state = \?, updated_at = \? WHERE id = \?$/, ([status, state, at, id]) => {
+      const row = this.find('exchanges', id);
+      if (row) Object.assign(row, { claim_status: status, exchange_state: state, updated_at: at });
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^UPDATE exchanges SET stock_state = \?, inbound_variant_id = \?/, ([to, inbound, outbound, note, at, id, from]) => {
+      const row = this.find('exchanges', id);
+      if (!row || row.stock_state !== from) return { affectedRows: 0 };
+      Object.assign(row, { stock_state: to, inbound_variant_id: inbound, outbound_variant_id: outbound, stock_note: note, updated_at: at });
+      return { affectedRows: 1 };
+    });
+    this.on(/^UPDATE exchanges SET stock_state = 'applied'/, ([inbound, outbound, by, appliedAt, at, id, from]) => {
+      const row = this.find('exchanges', id);
+      if (!row || row.stock_state !== from) return { affectedRows: 0 };
+      Object.assign(row, {
+        stock_state: 'applied', inbound_variant_id: inbound, outbound_variant_id: outbound, stock_note: null,
+        applied_by: by, applied_at: appliedAt, updated_at: at,
+      });
+      return { affectedRows: 1 };
+    });
+    this.on(/^UPDATE exchanges SET inbound_applied = 1 WHERE id = \?$/, ([id]) => {
+      const row = this.find('exchanges', id);
+      if (row) row.inbound_applied = 1;
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^SELECT \* FROM exchanges WHERE stock_state = 'review' ORDER BY updated_at DESC LIMIT \?$/, ([limit]) =>
+      this.select('exchanges', r => r.stock_state === 'review').sort((a, b) => b.updated_at - a.updated_at).slice(0, limit));
+    this.on(/^SELECT COUNT\(\*\) as cnt FROM exchanges WHERE stock_state = 'review'$/, () =>
+      [{ cnt: exchanges().filter(r => r.stock_state === 'review').length }]);
+
+    // variant-channel-items.js — 채널 옵션 연결 (반품/교환/검수 공통)
+    this.on(/^SELECT \* FROM variant_channel_items WHERE store = \? AND channel_item_id = \? ORDER BY id LIMIT 1$/, ([store, itemId]) =>
+      this.select('variant_channel_items', r => r.store === store && r.channel_item_id === itemId, 1));
+    this.on(/^SELECT \* FROM variant_channel_items WHERE store = \? AND channel_product_id = \? ORDER BY id$/, ([store, productId]) =>
+      this.select('variant_channel_items', r => r.store === store && r.channel_product_id === productId));
+
+    this.on(/^INSERT INTO stock_movements /, (p) => this.insert('stock_movements', {
+      variant_id: p[0], inventory_id: p[1], delta: p[2], qty_before: p[3], qty_after: p[4],
+      reason: p[5], reference_id: p[6], user_id: p[7], username: p[8], note: p[9],
+    }));
+
+    // lease-lock.js — 동기화/매출 수집/작업 큐가 공통으로 사용
+    const locks = () => this.rows('lease_locks');
+    const removeLocks = (predicate) => {
+      const before = locks().length;
+      this.tables.lease_locks = locks().filter(r => !predicate(r));
+      return { affectedRows: before - locks().length };
+    };
+    this.on(/^DELETE FROM lease_locks WHERE name = \? AND expires_at < \?$/, ([name, now]) =>
+      removeLocks(r => r.name === name && r.expires_at < now));
+    this.on(/^DELETE FROM lease_locks WHERE name = \? AND token = \?$/, ([name, token]) =>
+      removeLocks(r => r.name === name && r.token === token));
+    this.on(/^INSERT IGNORE INTO lease_locks /, ([name, token, holder, purpose, acquiredAt, heartbeatAt, expiresAt]) => {
+      if (locks().some(r => r.name === name)) return { affectedRows: 0 };
+      locks().push({ name, token, holder, purpose, acquired_at: acquiredAt, heartbeat_at: heartbeatAt, expires_at: expiresAt });
+      return { affectedRows: 1 };
+    });
+    this.on(/^UPDATE lease_locks SET heartbeat_at = \?, expires_at = \? WHERE name = \? AND token = \?$/, ([heartbeatAt, expiresAt, name, token]) => {
+      const row = locks().find(r => r.name === name && r.token === token);
+      if (row) Object.assign(row, { heartbeat_at: heartbeatAt, expires_at: expiresAt });
+      return { affectedRows: row ? 1 : 0 };
+    });
+    this.on(/^SELECT holder FROM lease_locks WHERE name = \?$/, ([name]) => this.select('lease_locks', r => r.name === name, 1));
+    this.on(/^SELECT \* FROM lease_locks WHERE expires_at >= \? ORDER BY name$/, ([now]) =>
+      this.select('lease_locks', r => r.expires_at >= now).sort((a, b) => a.name.localeCompare(b.name)));
+
+    // pricing.js — 상품 복사 가격 계산 (스케줄러/미리보기 공통)
+    this.on(/^SELECT \* FROM pricing_rules WHERE enabled = 1$/, () => this.select('pricing_rules', r => r.enabled !== 0));
+    this.on(/^SELECT id, brand, supplier, stock_type, cost_price FROM products WHERE naver_a_no = \? LIMIT 1$/, ([no]) =>
+      this.select('products', r => r.naver_a_no === no, 1));
+    this.on(/^SELECT cost_price FROM variants WHERE product_id = \?$/, ([id]) => this.select('variants', r => r.product_id === id));
+
+    this.on(/^SELECT (.+) FROM (\w+) WHERE id = \? FOR UPDATE$/,([id], text) => {
+      const table = text.match(/FROM (\w+)/)[1];
+      const row = this.find(table, id);
+      return row ? [{ ...row }] : [];
+    });
+    this.on(/^UPDATE (\w+) SET qty = \?, updated_at = NOW\(\) WHERE id = \?$/, ([qty, id], text) => {
+      const row = this.find(text.match(/^UPDATE (\w+)/)[1], id);
+      if (row) {
+        row.qty = qty;
+        row.updated_at = new Date();
+      }
+      return { affectedRows: row ? 1 : 0 };
+    });
+  }
+
+  connection() {
+    return {
+      query: async (sql, params) => [await this.query(sql, params)],
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      release: () => {},
+    };
+  }
+
+  // database.js와 같은 모양의 exports
+  moduleExports() {
+    return {
+      getPool: () => ({
+        query: async (sql, params) => [await this.query(sql, params)],
+        getConnection: async () => this.connection(),
+      }),
+      initDb: async () => {},
+      query: (sql, params) => this.query(sql, params),
+      // 실제 접근자와 같은 쿼리를 거치도록 (failAll 등 핸들러가 그대로 적용됨)
+      getConfig: async (key) => {
+        const rows = await this.query('SELECT value FROM sync_config WHERE `key` = ?', [key]);
+        return rows[0] ? rows[0].value : null;
+      },
+      setConfig: async (key, value) => {
+        await this.query('INSERT INTO sync_config (`key`, value, updated_at) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()',
+          [key, value]);
+      },
+      encodeConfigValue: (key, value) => value,
+    };
+  }
+}
+
+/**
+ * require 캐시에 fake database 모듈을 넣는다.
+ * 다른 앱 모듈을 require하기 전에 호출해야 함 (모듈들이 로드 시점에 query를 구조분해함)
+ * @returns {FakeDb}
+ */
+function installFakeDb() {
+  const db = new FakeDb();
+  const mod = new Module(DATABASE_PATH, module);
+  mod.filename = DATABASE_PATH;
+  mod.loaded = true;
+  mod.exports = db.moduleExports();
+  require.cache[DATABASE_PATH] = mod;
+  return db;
+}
+
+module.exports = { FakeDb, installFakeDb };
@@ -0,0 +1,108 @@
+// job-queue.js가 쓰는 jobs / job_schedules 쿼리를 FakeDb 위에 구현
+
+// "col = ?, col2 = NULL, attempts = attempts + 1, started_at = COALESCE(started_at, ?)" 적용 — params는 앞에서부터 소비
+function applySet(row, setClause, params) {
+  for (const assignment of setClause.split(/, (?=\w+ = )/)) {
+    const [, col, expr] = assignment.match(/^(\w+) = (.+)$/);
+    if (expr === '?') row[col] = params.shift();
+    else if (expr === 'NULL') row[col] = null;
+    else if (/^'.*'$/.test(expr)) row[col] = expr.slice(1, -1);
+    else if (/^\d+$/.test(expr)) row[col] = Number(expr);
+    else if (expr === `${col} + 1`) row[col] = (row[col] || 0) + 1;
+    else if (expr === `COALESCE(${col}, ?)`) {
+      const value = params.shift();
+      row[col] = row[col] ?? value;
+    } else if (expr === `VALUES(${col})`) {
+      // ON DUPLICATE KEY UPDATE — 호출 측에서 처리
+    } else throw new Error(`fake-jobs: 지원하지 않는 SET — ${assignment}`);
+  }
+}
+
+const ACTIVE = ['queued', 'running'];
+
+function installJobTables(db) {
+  const jobs = () => db.rows('jobs');
+  const schedules = () => db.rows('job_schedules');
+  const byIdDesc = (a, b) => b.id - a.id;
+
+  db.on(/^INSERT INTO jobs /, ([type, payload, maxAttempts, runAt, scheduleName, createdBy]) => db.insert('jobs', {
+    type, status: 'queued', payload, result: null, error: null,
+    progress_current: 0, progress_total: 0, progress_message: null,
+    attempts: 0, max_attempts: maxAttempts, run_at: runAt, cancel_requested: 0,
+    locked_by: null, heartbeat_at: null, schedule_name: scheduleName, created_by: createdBy,
+    created_at: new Date(), started_at: null, finished_at: null,
+  }));
+  db.on(/^SELECT \* FROM jobs WHERE id = \?$/, ([id]) => db.select('jobs', r => r.id === Number(id), 1));
+  db.on(/^SELECT cancel_requested FROM jobs WHERE id = \?$/, ([id]) => db.select('jobs', r => r.id === Number(id), 1));
+  db.on(/^SELECT \* FROM jobs WHERE type = \? AND status IN \('queued', 'running'\)/, ([type]) =>
+    db.select('jobs', r => r.type === type && ACTIVE.includes(r.status), 1));
+  db.on(/^SELECT \* FROM jobs WHERE type = \? ORDER BY FIELD/, ([type]) => {
+    const rows = jobs().filter(r => r.type === type).sort(byIdDesc);
+    const active = rows.find(r => ACTIVE.includes(r.status));
+    return [{ ...(active || rows[0]) }].filter(r => r.id);
+  });
+  db.on(/^SELECT \* FROM jobs (WHERE .+ )?ORDER BY id DESC LIMIT \?$/, (params, text) => {
+    const p = [...params];
+    const limit = p.pop();
+    let rows = jobs();
+    if (/status IN \('queued', 'running'\)/.test(text)) rows = rows.filter(r => ACTIVE.includes(r.status));
+    if (/status = \?/.test(text)) {
+      const status = p.shift();
+      rows = rows.filter(r => r.status === status);
+    }
+    if (/type = \?/.test(text)) {
+      const type = p.shift();
+      rows = rows.filter(r => r.type === type);
+    }
+    return rows.sort(byIdDesc).slice(0, limit).map(r => ({ ...r }));
+  });
+  db.on(/^SELECT \* FROM jobs WHERE status = 'queued' AND run_at <= \? AND type IN/, ([now, ...types]) => {
+    const running = new Set(jobs().filter(r => r.status === 'running').map(r => r.type));
+    return jobs()
+      .filter(r => r.status === 'queued' && r.run_at <= now && types.includes(r.type) && !running.has(r.type))
+      .sort((a, b) => a.run_at - b.run_at || a.id - b.id)
+      .slice(0, 1).map(r => ({ ...r }));
+  });
+  db.on(/^SELECT \* FROM jobs WHERE status = 'running' AND \(heartbeat_at IS NULL OR heartbeat_at < \?\)$/, ([before]) =>
+    db.select('jobs', r => r.status === 'running' && (!r.heartbeat_at || r.heartbeat_at < before)));
+  db.on(/^UPDATE jobs SET (.+) WHERE id = \?( AND status = '(\w+)')?$/, (params, text) => {
+    const [, setClause, , status] = text.match(/^UPDATE jobs SET (.+) WHERE id = \?( AND status = '(\w+)')?$/);
+    const p = [...params];
+    const id = p.pop();
+    const row = db.find('jobs', id);
+    if (!row || (status && row.status !== status)) return { affectedRows: 0 };
+    applySet(row, setClause, p);
+    return { affectedRows: 1 };
+  });
+  db.on(/^DELETE FROM jobs WHERE status IN /, ([before]) => {
+    const keep = jobs().filter(r => ACTIVE.includes(r.status) || !(r.finished_at < before));
+    const removed = jobs().length - keep.length;
+    db.tables.jobs = keep;
+    return { affectedRows: removed };
+  });
+
+  db.on(/^SELECT \* FROM job_schedules WHERE name = \?$/, ([name]) => db.select('job_schedules', r => r.name === name, 1));
+  db.on(/^SELECT \* FROM job_schedules ORDER BY name$/, () =>
+    schedules().map(r => ({ ...r })).sort((a, b) => a.name.localeCompare(b.name)));
+  db.on(/^SELECT \* FROM job_schedules WHERE enabled = 1 AND next_run_at <= \?$/, ([now]) =>
+    db.select('job_schedules', r => r.enabled === 1 && r.next_run_at && r.next_run_at <= now));
+  db.on(/^INSERT INTO job_schedules /, ([name, jobType, cron, interval, payload, enabled, nextRunAt, updatedAt]) => {
+    const values = { job_type: jobType, cron, interval_minutes: interval, payload, enabled, next_run_at: nextRunAt, updated_at: updatedAt };
+    const existing = schedules().find(r => r.name === name);
+    if (existing) Object.assign(existing, values);
+    else schedules().push({ name, last_run_at: null, last_job_id: null, ...values });
+    return { affectedRows: 1 };
+  });
+  db.on(/^UPDATE job_schedules SET next_run_at = \?, last_run_at = \? WHERE name = \? AND next_run_at = \?$/, ([next, last, name, current]) => {
+    const row = schedules().find(r => r.name === name && r.next_run_at.getTime() === current.getTime());
+    if (!row) return { affectedRows: 0 };
+    Object.assign(row, { next_run_at: next, last_run_at: last });
+    return { affectedRows: 1 };
+  });
+  db.on(/^UPDATE job_schedules SET last_job_id = \? WHERE name = \?$/, ([jobId, name]) => {
+    schedules().find(r => r.name === name).last_job_id = jobId;
+    return { affectedRows: 1 };
+  });
+}
+
+module.exports = { installJobTables };
@@ -0,0 +1,25 @@
+// 마켓 API mock 서버를 임의 포트로 띄우고, 테스트 동안 클라이언트가 mock을 바라보도록 환경변수 설정
+const { startMockServer } = require('../../mock');
+
+/**
+ * @param {import('node:test').TestContext} t - 종료 시 서버/환경변수 정리
+ * @param {Object} [fixtures] - createFixtures() 형식
+ */
+async function useMarketplaceMock(t, fixtures) {
+  const mock = await startMockServer({ fixtures });
+  const previous = {};
+  for (const [key, value] of Object.entries(mock.env)) {
+    previous[key] = process.env[key];
+    process.env[key] = value;
+  }
+  t.after(async () => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await mock.close();
+  });
+  return mock;
+}
+
+module.exports = { useMarketplaceMock };
@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+const { installJobTables } = require('./helpers/fake-jobs');
+
+const db = installFakeDb();
+const { JobQueue, JobCancelledError, parseCron, nextCronTime } = require('../job-queue');
+
+let queue;
+
+test.beforeEach((t) => {
+  db.reset();
+  installJobTables(db);
+  queue = new JobQueue();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const row = (id) => db.find('jobs', id);
+
+// 대기 중인 작업 하나를 꺼내 끝까지 실행
+async function runNext() {
+  const job = await queue.claimNext();
+  if (job) await queue.execute(job);
+  return job;
+}
+
+// === cron ===
+
+test('nextCronTime: KST 기준으로 계산해 UTC Date 반환', () => {
+  const at = (iso) => new Date(iso);
+  // 09:30 KST → 다음 6시간 정각은 12:00 KST
+  assert.equal(nextCronTime('0 */6 * * *', at('2025-01-01T00:30:00Z')).toISOString(), '2025-01-01T03:00:00.000Z');
+  assert.equal(nextCronTime('*/5 * * * *', at('2025-01-01T00:33:10Z')).toISOString(), '2025-01-01T00:35:00.000Z');
+  // 정확히 맞는 시각이면 그 다음 회차
+  assert.equal(nextCronTime('0 * * * *', at('2025-01-01T01:00:00Z')).toISOString(), '2025-01-01T02:00:00.000Z');
+  // 월요일 09:30 KST (2025-01-01은 수요일)
+  assert.equal(nextCronTime('30 9 * * 1', at('2025-01-01T00:00:00Z')).toISOString(), '2025-01-06T00:30:00.000Z');
+  // 일/요일 둘 다 지정하면 OR — 1/3(금)이 15일보다 먼저
+  assert.equal(nextCronTime('0 0 15 * 5', at('2025-01-01T00:00:00Z')).toISOString(), '2025-01-02T15:00:00.000Z');
+  assert.equal(nextCronTime('0 0 29 2 *', at('2025-01-01T00:00:00Z')).toISOString(), '2028-02-28T15:00:00.000Z');
+});
+
+test('parseCron: 목록/범위/간격, 형식 오류', () => {
+  const cron = parseCron('0,30 9-18/3 * * 7');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 12, 15, 18]);
+  assert.ok(cron.dow.has(0));
+  assert.throws(() => parseCron('* * * *'), /5개 필드/);
+  assert.throws(() => parseCron('60 * * * *'), /잘못된 cron 범위/);
+  assert.throws(() => parseCron('a * * * *'), /잘못된 cron 필드/);
+});
+
+// === 실행 ===
+
+test('등록 → 실행 → 완료: 결과/진행률/시도 횟수 기록', async () => {
+  queue.register('demo', {
+    label: '데모',
+    handler: async (payload, ctx) => {
+      ctx.progress(2, 2, '마무리');
+      return { echoed: payload.value };
+    },
+  });
+  const job = await queue.enqueue('demo', { value: 7 }, { createdBy: 'owner' });
+  assert.deepEqual([job.status, job.label, job.payload, job.createdBy], ['queued', '데모', { value: 7 }, 'owner']);
+
+  await runNext();
+
+  const done = await queue.getJob(job.id);
+  assert.equal(done.status, 'succeeded');
+  assert.deepEqual(done.result, { echoed: 7 });
+  assert.deepEqual(done.progress, { current: 2, total: 2, message: '마무리' });
+  assert.equal(done.attempts, 1);
+  assert.ok(done.finishedAt);
+  assert.equal(row(job.id).locked_by, null);
+  assert.equal(queue.active.size, 0);
+});
+
+test('실패하면 지수 백오프로 재시도, 최대 횟수를 넘으면 failed', async () => {
+  queue.register('flaky', { label: '불안정', maxAttempts: 2, backoffSeconds: 10, handler: async () => { throw new Error('API 503'); } });
+  const job = await queue.enqueue('flaky');
+
+  const before = Date.now();
+  await runNext();
+  assert.deepEqual([row(job.id).status, row(job.id).error, row(job.id).attempts], ['queued', 'API 503', 1]);
+  const delay = row(job.id).run_at.getTime() - before;
+  assert.ok(delay >= 10000 && delay < 12000, `backoff ${delay}ms`);
+  // 백오프 시간 전에는 꺼내지 않음
+  assert.equal(await queue.claimNext(), null);
+
+  row(job.id).run_at = new Date(Date.now() - 1000);
+  await runNext();
+  assert.deepEqual([row(job.id).status, row(job.id).attempts], ['failed', 2]);
+  assert.ok(row(job.id).finished_at);
+});
+
+test('같은 종류는 동시에 하나만 실행, 다른 종류는 함께 실행', async () => {
+  for (const type of ['a', 'b']) queue.register(type, { label: type, handler: async () => {} });
+  const first = await queue.enqueue('a');
+  await queue.enqueue('a');
+  const other = await queue.enqueue('b');
+
+  assert.equal((await queue.claimNext()).id, first.id);
+  assert.equal((await queue.claimNext()).id, other.id);
+  assert.equal(await queue.claimNext(), null);
+});
+
+test('dedupe: 같은 종류가 대기/실행 중이면 새로 만들지 않음', async () => {
+  queue.register('index', { label: '인덱싱', handler: async () => {} });
+  const first = await queue.enqueue('index', {}, { dedupe: true });
+  const again = await queue.enqueue('index', {}, { dedupe: true });
+  assert.equal(again.id, first.id);
+  assert.equal(again.deduped, true);
+  assert.equal(db.rows('jobs').length, 1);
+
+  await runNext();
+  assert.notEqual((await queue.enqueue('index', {}, { dedupe: true })).id, first.id);
+});
+
+test('취소: 대기 중이면 즉시, 실행 중이면 핸들러가 확인 지점에서 중단', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  queue.register('long', {
+    label: '긴 작업',
+    handler: async (payload, ctx) => {
+      await ctx.saveState({ done: 1 });
+      await gate;
+      ctx.throwIfCancelled();
+      return { done: 2 };
+    },
+  });
+  const queued = await queue.enqueue('long');
+  const cancelledQueued = await queue.cancel(queued.id);
+  assert.equal(cancelledQueued.status, 'cancelled');
+  assert.equal(await queue.claimNext(), null);
+
+  const job = await queue.enqueue('long');
+  const running = queue.execute(await queue.claimNext());
+  const requested = await queue.cancel(job.id);
+  assert.deepEqual([requested.status, requested.cancelRequested], ['running', true]);
+  release();
+  await running;
+
+  const done = await queue.getJob(job.id);
+  assert.equal(done.status, 'cancelled');
+  // 중단 시점까지의 체크포인트는 남김
+  assert.deepEqual(done.result, { done: 1 });
+});
+
+test('체크포인트: 재시도 시 이전 시도의 state로 이어서 실행', async () => {
+  const seen = [];
+  queue.register('resume', {
+    label: '이어하기',
+    backoffSeconds: 0,
+    handler: async (payload, ctx) => {
+      seen.push(ctx.state.cursor || 0);
+      if (ctx.attempt === 1) {
+        await ctx.saveState({ cursor: 5 });
+        throw new Error('중간 실패');
+      }
+      return { finishedFrom: ctx.state.cursor };
+    },
+  });
+  const job = await queue.enqueue('resume');
+  await runNext();
+  await runNext();
+
+  assert.deepEqual(seen, [0, 5]);
+  assert.deepEqual((await queue.getJob(job.id)).result, { finishedFrom: 5 });
+});
+
+test('heartbeat가 끊긴 running 작업: 재시도 남으면 queued, 없으면 failed, 취소 요청이면 cancelled', async () => {
+  queue.register('x', { label: 'x', handler: async () => {} });
+  const old = new Date(Date.now() - 10 * 60 * 1000);
+  const stale = (extra) => db.insert('jobs', {
+    type: 'x', status: 'running', attempts: 1, max_attempts: 3, heartbeat_at: old, cancel_requested: 0, run_at: old, ...extra,
+  }).insertId;
+  const retry = stale();
+  const exhausted = stale({ attempts: 3 });
+  const cancelled = stale({ cancel_requested: 1 });
+  const alive = stale({ heartbeat_at: new Date() });
+
+  await queue.recoverStale();
+
+  assert.equal(row(retry).status, 'queued');
+  assert.match(row(retry).error, /중단/);
+  assert.equal(row(exhausted).status, 'failed');
+  assert.equal(row(cancelled).status, 'cancelled');
+  assert.equal(row(alive).status, 'running');
+});
+
+test('retry: 종료된 작업만 같은 payload로 새로 등록', async () => {
+  queue.register('y', { label: 'y', maxAttempts: 1, handler: async () => { throw new Error('x'); } });
+  const job = await queue.enqueue('y', { n: 1 });
+  await assert.rejects(queue.retry(job.id), /대기\/실행 중인 작업/);
+  await runNext();
+
+  const again = await queue.retry(job.id, 'owner');
+  assert.notEqual(again.id, job.id);
+  assert.deepEqual([again.status, again.payload, again.createdBy], ['queued', { n: 1 }, 'owner']);
+});
+
+test('JobCancelledError는 실패가 아니라 취소로 기록', async () => {
+  queue.register('z', { label: 'z', handler: async () => { throw new JobCancelledError(); } });
+  const job = await queue.enqueue('z');
+  await runNext();
+  assert.equal(row(job.id).status, 'cancelled');
+});
+
+// === 스케줄 ===
+
+test('스케줄: 시각이 되면 한 번만 등록하고 다음 시각으로 이동', async () => {
+  queue.register('sync', { label: '동기화', handler: async () => {} });
+  const schedule = await queue.setSchedule('sync', { jobType: 'sync', intervalMinutes: 5 });
+  assert.ok(schedule.nextRunAt > new Date());
+
+  db.rows('job_schedules')[0].next_run_at = new Date(Date.now() - 1000);
+  await queue.runDueSchedules();
+  await queue.runDueSchedules();
+
+  const jobs = db.rows('jobs');
+  assert.equal(jobs.length, 1);
+  assert.deepEqual([jobs[0].type, jobs[0].schedule_name, jobs[0].created_by], ['sync', 'sync', 'schedule']);
+  const after = await queue.getSchedule('sync');
+  assert.equal(after.lastJobId, jobs[0].id);
+  assert.ok(after.nextRunAt.getTime() > Date.now() + 4 * 60 * 1000);
+});
+
+test('스케줄: 꺼져 있으면 실행 안 함, 다시 켜면 다음 시각 재계산, ensureSchedule은 기존 설정 유지', async () => {
+  queue.register('index', { label: '인덱싱', handler: async () => {} });
+  await queue.ensureSchedule('index', { jobType: 'index', cron: '0 */6 * * *' });
+  await queue.setSchedule('index', { enabled: false });
+  db.rows('job_schedules')[0].next_run_at = new Date(Date.now() - 1000);
+  await queue.runDueSchedules();
+  assert.equal(db.rows('jobs').length, 0);
+
+  const enabled = await queue.setSchedule('index', { enabled: true });
+  assert.ok(enabled.nextRunAt > new Date());
+  assert.equal(enabled.cron, '0 */6 * * *');
+
+  await queue.setSchedule('index', { cron: '0 3 * * *' });
+  const kept = await queue.ensureSchedule('index', { jobType: 'index', cron: '0 */6 * * *' });
+  assert.deepEqual([kept.cron, kept.intervalMinutes], ['0 3 * * *', null]);
+});
+
+// === 인스턴스 간 락 ===
+
+test('다른 서버가 같은 종류의 락을 잡고 있으면 꺼내지 않고, 실행이 끝나면 락 해제', async () => {
+  queue.register('sync', { label: '동기화', handler: async () => {
+    assert.deepEqual(db.rows('lease_locks').map(r => r.name), ['job:sync']);
+  } });
+  const job = await queue.enqueue('sync');
+  const now = new Date();
+  db.rows('lease_locks').push({
+    name: 'job:sync', token: 'other-token', holder: 'other-host:1', purpose: null,
+    acquired_at: now, heartbeat_at: now, expires_at: new Date(now.getTime() + 60 * 1000),
+  });
+  assert.equal(await queue.claimNext(), null);
+  assert.equal(row(job.id).status, 'queued');
+
+  db.tables.lease_locks = [];
+  await runNext();
+  assert.equal(row(job.id).status, 'succeeded');
+  assert.deepEqual(db.rows('lease_locks'), []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const leaseLock = require('../lease-lock');
+
+test.beforeEach((t) => {
+  db.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const lockRow = (name) => db.rows('lease_locks').find(r => r.name === name);
+
+// 다른 서버 인스턴스가 잡고 있는 락
+function heldElsewhere(name, { expiresInMs = 60 * 1000 } = {}) {
+  const now = new Date();
+  db.rows('lease_locks').push({
+    name, token: 'other-token', holder: 'other-host:1', purpose: null,
+    acquired_at: now, heartbeat_at: now, expires_at: new Date(now.getTime() + expiresInMs),
+  });
+}
+
+test('acquire: 보유 중이면 null, 해제 후 다시 획득', async () => {
+  const lease = await leaseLock.acquire('sync.run', { purpose: '반품 동기화' });
+  assert.ok(lease);
+  assert.deepEqual([lockRow('sync.run').holder, lockRow('sync.run').purpose], [leaseLock.INSTANCE_ID, '반품 동기화']);
+  assert.equal(await leaseLock.acquire('sync.run'), null);
+
+  await lease.release();
+  assert.equal(lockRow('sync.run'), undefined);
+  const again = await leaseLock.acquire('sync.run');
+  assert.ok(again);
+  await again.release();
+});
+
+test('heartbeat: 만료 시각 연장, 만료 후 다른 서버가 가져가면 lost이고 해제해도 새 보유자 락은 유지', async () => {
+  const lease = await leaseLock.acquire('sales.collect', { ttlSeconds: 60 });
+  lockRow('sales.collect').expires_at = new Date(Date.now() + 1000);
+  assert.equal(await lease.heartbeat(), true);
+  assert.ok(lockRow('sales.collect').expires_at.getTime() > Date.now() + 50 * 1000);
+
+  // 만료 → 다른 서버가 획득
+  db.tables.lease_locks = [];
+  heldElsewhere('sales.collect');
+  assert.equal(await lease.heartbeat(), false);
+  assert.equal(lease.lost, true);
+
+  await lease.release();
+  assert.equal(lockRow('sales.collect').holder, 'other-host:1');
+});
+
+test('acquire: 만료된 락은 다른 인스턴스가 가져감', async () => {
+  heldElsewhere('sync.run', { expiresInMs: -1000 });
+  const lease = await leaseLock.acquire('sync.run');
+  assert.ok(lease);
+  assert.equal(lockRow('sync.run').holder, leaseLock.INSTANCE_ID);
+  await lease.release();
+});
+
+test('withLock: 보유 중이면 LockBusyError(보유자 포함), 실행 후에는 오류가 나도 해제', async () => {
+  heldElsewhere('return:PO-1');
+  await assert.rejects(leaseLock.withLock('return:PO-1', async () => 'x'), (e) => {
+    assert.ok(e instanceof leaseLock.LockBusyError);
+    assert.deepEqual([e.lockName, e.holder], ['return:PO-1', 'other-host:1']);
+    return true;
+  });
+
+  assert.equal(await leaseLock.withLock('return:PO-2', async (lease) => lease.name), 'return:PO-2');
+  await assert.rejects(leaseLock.withLock('return:PO-3', async () => { throw new Error('처리 실패'); }), /처리 실패/);
+  assert.deepEqual(db.rows('lease_locks').map(r => r.name), ['return:PO-1']);
+});
+
+test('listLocks: 만료되지 않은 락만, 이 인스턴스 보유 여부 표시', async () => {
+  heldElsewhere('sales.collect');
+  heldElsewhere('old', { expiresInMs: -1000 });
+  const lease = await leaseLock.acquire('job:products.index', { purpose: '작업 #3' });
+
+  const locks = await leaseLock.listLocks();
+  assert.deepEqual(locks.map(l => [l.name, l.holder === leaseLock.INSTANCE_ID, l.mine, l.purpose]),
+    [['job:products.index', true, true, '작업 #3'], ['sales.collect', false, false, null]]);
+  await lease.release();
+});
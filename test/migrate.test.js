@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrate = require('../migrate');
+const { FakeDb } = require('./helpers/fake-db');
+
+// schema_migrations + 마이그레이션이 쓰는 items 테이블만 있는 풀 — 트랜잭션 롤백 시 스냅샷 복원
+function fakePool() {
+  const state = { applied: [], items: [], locked: false, queries: [] };
+  let snapshot = null;
+  const conn = {
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      state.queries.push(text);
+      if (/^SELECT GET_LOCK/.test(text)) {
+        const acquired = state.locked ? 0 : 1;
+        state.locked = true;
+        return [[{ acquired }]];
+      }
+      if (/^SELECT RELEASE_LOCK/.test(text)) {
+        state.locked = false;
+        return [[]];
+      }
+      if (/^CREATE TABLE IF NOT EXISTS schema_migrations/.test(text)) return [{}];
+      if (/^SELECT version, name, applied_at FROM schema_migrations/.test(text)) {
+        return [state.applied.map(r => ({ ...r })).sort((a, b) => a.version - b.version)];
+      }
+      if (/^INSERT INTO schema_migrations/.test(text)) {
+        state.applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (/^DELETE FROM schema_migrations/.test(text)) {
+        state.applied = state.applied.filter(r => r.version !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (/^INSERT INTO items/.test(text)) {
+        state.items.push(params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (/^DELETE FROM items/.test(text)) {
+        state.items = state.items.filter(v => v !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      throw new Error(`unknown query: ${text}`);
+    },
+    async beginTransaction() {
+      snapshot = { applied: [...state.applied], items: [...state.items] };
+    },
+    async commit() { snapshot = null; },
+    async rollback() {
+      Object.assign(state, snapshot);
+      snapshot = null;
+    },
+    release() {},
+  };
+  return { state, pool: { getConnection: async () => conn } };
+}
+
+// 임시 디렉터리에 마이그레이션 파일 생성 — files: { '001_a.js': 소스 }
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const item = (value, reversible = true) => `module.exports = {
+  description: '${value}',
+  async up(conn) { await conn.query('INSERT INTO items VALUES (?)', ['${value}']); },
+  down: ${reversible ? `async (conn) => { await conn.query('DELETE FROM items WHERE v = ?', ['${value}']); }` : 'null'},
+};`;
+const failing = `module.exports = {
+  async up(conn) {
+    await conn.query('INSERT INTO items VALUES (?)', ['partial']);
+    throw new Error('boom');
+  },
+};`;
+const quiet = { log: () => {} };
+
+test('loadMigrations: 번호 순 정렬, 형식 외 파일 무시, 번호 중복/up 누락은 오류', (t) => {
+  const dir = migrationsDir(t, { '002_b.js': item('b'), '001_a.js': item('a', false), 'README.md': '', 'helper.js': '' });
+  const loaded = migrate.loadMigrations(dir);
+  assert.deepEqual(loaded.map(m => [m.version, m.name, !!m.down]), [[1, '001_a', false], [2, '002_b', true]]);
+
+  assert.throws(() => migrate.loadMigrations(migrationsDir(t, { '001_a.js': item('a'), '001_b.js': item('b') })), /번호 중복/);
+  assert.throws(() => migrate.loadMigrations(migrationsDir(t, { '001_a.js': 'module.exports = {};' })), /up\(\)이 없습니다/);
+});
+
+test('migrateUp: 미적용분만 순서대로 적용하고 기록, 재실행 시 아무것도 안 함', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a'), '002_b.js': item('b') });
+  const { state, pool } = fakePool();
+
+  assert.deepEqual(await migrate.migrateUp(pool, { dir, ...quiet }), { applied: ['001_a', '002_b'], pending: [] });
+  assert.deepEqual(state.items, ['a', 'b']);
+  assert.deepEqual(state.applied.map(r => r.name), ['001_a', '002_b']);
+  assert.equal(state.locked, false);
+
+  assert.deepEqual(await migrate.migrateUp(pool, { dir, ...quiet }), { applied: [], pending: [] });
+  assert.deepEqual(state.items, ['a', 'b']);
+});
+
+test('migrateUp --dry-run / --to: 대상만 보고 DB는 그대로', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a'), '002_b.js': item('b') });
+  const { state, pool } = fakePool();
+
+  assert.deepEqual(await migrate.migrateUp(pool, { dir, dryRun: true, ...quiet }), { applied: [], pending: ['001_a', '002_b'] });
+  assert.deepEqual([state.items, state.applied], [[], []]);
+
+  await migrate.migrateUp(pool, { dir, to: 1, ...quiet });
+  assert.deepEqual(state.items, ['a']);
+});
+
+test('migrateUp: 실패한 마이그레이션은 롤백되고 이후 번호는 실행하지 않음', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a'), '002_fail.js': failing, '003_c.js': item('c') });
+  const { state, pool } = fakePool();
+
+  await assert.rejects(migrate.migrateUp(pool, { dir, ...quiet }), /002_fail up 실패: boom/);
+  assert.deepEqual(state.items, ['a']);
+  assert.deepEqual(state.applied.map(r => r.version), [1]);
+  assert.equal(state.locked, false);
+});
+
+test('migrateUp: 다른 프로세스가 락을 잡고 있으면 실행하지 않음', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a') });
+  const { state, pool } = fakePool();
+  state.locked = true;
+
+  await assert.rejects(migrate.migrateUp(pool, { dir, ...quiet }), /다른 프로세스가 마이그레이션을 실행 중/);
+  assert.deepEqual(state.items, []);
+});
+
+test('migrateDown: 최근 적용분부터 steps개 되돌림, down 없는 마이그레이션은 거부', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a', false), '002_b.js': item('b'), '003_c.js': item('c') });
+  const { state, pool } = fakePool();
+  await migrate.migrateUp(pool, { dir, ...quiet });
+
+  assert.deepEqual(await migrate.migrateDown(pool, { dir, dryRun: true, steps: 2, ...quiet }), { reverted: [], pending: ['003_c', '002_b'] });
+  assert.deepEqual(state.items, ['a', 'b', 'c']);
+
+  assert.deepEqual((await migrate.migrateDown(pool, { dir, ...quiet })).reverted, ['003_c']);
+  assert.deepEqual(state.items, ['a', 'b']);
+
+  // 되돌릴 수 없는 001이 포함되면 002도 되돌리지 않음
+  await assert.rejects(migrate.migrateDown(pool, { dir, steps: 5, ...quiet }), /001_a은\(는\) 되돌릴 수 없는/);
+  assert.deepEqual(state.applied.map(r => r.version), [1, 2]);
+});
+
+test('getStatus: 적용 여부/되돌리기 가능 여부, 파일이 사라진 기록 표시', async (t) => {
+  const dir = migrationsDir(t, { '001_a.js': item('a', false), '002_b.js': item('b') });
+  const { state, pool } = fakePool();
+  await migrate.migrateUp(pool, { dir, to: 1, ...quiet });
+  state.applied.push({ version: 7, name: '007_removed', applied_at: new Date() });
+
+  const status = await migrate.getStatus(pool, { dir });
+  assert.deepEqual(status.map(s => [s.name, s.applied, s.reversible, !!s.missing]),
+    [['001_a', true, false, false], ['002_b', false, true, false], ['007_removed', true, false, true]]);
+});
+
+test('migrations/: 번호가 연속이고, 002는 플래그가 기록된 기존 DB에서 아무것도 바꾸지 않음', async () => {
+  const versions = migrate.loadMigrations().map(m => m.version);
+  assert.deepEqual(versions, versions.map((_, i) => i + 1));
+
+  const db = new FakeDb();
+  for (const key of ['sales_tz_migrated', 'naver_sales_tz_fixed', 'cpg_price_fix_migrated',
+    'master_products_v2_migrated', 'products_table_migrated', 'variants_migrated']) {
+    db.config.set(key, 'true');
+  }
+  const legacy = migrate.loadMigrations().find(m => m.name === '002_legacy_data_migrations');
+  await legacy.up(db.connection());
+  assert.ok(db.queries.length === 6 && db.queries.every(q => /^SELECT value FROM sync_config/.test(q.sql)));
+});
+
+test('migrations/005: sync_log 성공 기록을 건별 처리 원장으로 이관 (합산 등록 분리)', async () => {
+  const db = new FakeDb();
+  db.on(/^CREATE TABLE IF NOT EXISTS processed_returns/, () => ({}));
+  db.on(/^SELECT run_id, type, store_from, product_order_id, message, created_at FROM sync_log/, () => [
+    { run_id: 'run-1', type: 'inventory_update', store_from: null, product_order_id: 'PO-1', message: '정확 매칭', created_at: new Date() },
+    { run_id: 'manual', type: 'inventory_update', store_from: 'C', product_order_id: 'PO-2, PO-3', message: '수동 등록', created_at: new Date() },
+    { run_id: 'run-1', type: 'product_create', store_from: 'A', product_order_id: 'PO-1', message: '신규 등록', created_at: new Date() },
+  ]);
+  db.on(/^INSERT IGNORE INTO processed_returns/, ([id, action, store, source]) =>
+    db.insert('processed_returns', { product_order_id: id, action, store, source }));
+
+  const backfill = migrate.loadMigrations().find(m => m.name === '005_processed_returns');
+  await backfill.up(db.connection());
+
+  assert.deepEqual(db.rows('processed_returns').map(r => [r.product_order_id, r.action, r.source]), [
+    ['PO-1', 'inventory', 'sync'], ['PO-2', 'inventory', 'manual'], ['PO-3', 'inventory', 'manual'], ['PO-1', 'storeB', 'sync'],
+  ]);
+});
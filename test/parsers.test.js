@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+installFakeDb();
+const { parseCoupangItemName, extractBrand } = require('../channels/coupang');
+const { extractProductInfo } = require('../server');
+
+test('extractBrand: 앞 2글자 영문 이니셜만 브랜드로 인정', () => {
+  assert.equal(extractBrand('OB 캐시미어 니트'), 'ob');
+  assert.equal(extractBrand('  ms 울 코트'), 'ms');
+  assert.equal(extractBrand('obx 니트'), '');
+  assert.equal(extractBrand('캐시미어 니트'), '');
+  assert.equal(extractBrand(''), '');
+  assert.equal(extractBrand(null), '');
+});
+
+test('parseCoupangItemName: 콤마 앞 상품명, 뒤 색상 + 사이즈', () => {
+  assert.deepEqual(parseCoupangItemName('ob 캐시미어 니트, 아이보리 free'), {
+    productName: 'ob 캐시미어 니트',
+    brand: 'ob',
+    color: '아이보리',
+    size: 'Free',
+    colorOptions: ['아이보리'],
+    sizeOptions: ['Free'],
+  });
+});
+
+test('parseCoupangItemName: 사이즈는 대문자로 정규화', () => {
+  const parsed = parseCoupangItemName('ms 울 코트, 차콜 xl');
+  assert.equal(parsed.size, 'XL');
+  assert.equal(parsed.color, '차콜');
+});
+
+test('parseCoupangItemName: 상품명 끝의 브랜드 이니셜', () => {
+  const parsed = parseCoupangItemName('캐시미어 니트 블랙 ob, 블랙 m');
+  assert.equal(parsed.brand, 'ob');
+  assert.equal(parsed.productName, '캐시미어 니트 블랙 ob');
+  assert.equal(parsed.size, 'M');
+});
+
+test('parseCoupangItemName: 옵션 첫 토큰의 브랜드는 상품명에 없을 때만 사용', () => {
+  const fromOption = parseCoupangItemName('캐시미어 니트, hm 블랙 free');
+  assert.equal(fromOption.brand, 'hm');
+  assert.equal(fromOption.color, '블랙');
+
+  const fromName = parseCoupangItemName('ob 캐시미어 니트, hm 블랙 free');
+  assert.equal(fromName.brand, 'ob');
+  assert.equal(fromName.color, '블랙');
+});
+
+test('parseCoupangItemName: 중간에 섞인 사이즈 키워드는 sizeOptions로 분리', () => {
+  const parsed = parseCoupangItemName('ob 니트, 블랙 s m');
+  assert.equal(parsed.size, 'M');
+  assert.deepEqual(parsed.colorOptions, ['블랙']);
+  assert.deepEqual(parsed.sizeOptions, ['M', 'S']);
+});
+
+test('parseCoupangItemName: 콤마 없음 / 빈 값', () => {
+  assert.deepEqual(parseCoupangItemName('ob 캐시미어 니트'), {
+    productName: 'ob 캐시미어 니트', brand: 'ob', color: '', size: '', colorOptions: [], sizeOptions: [],
+  });
+  assert.deepEqual(parseCoupangItemName(''), {
+    productName: '', brand: '', color: '', size: '', colorOptions: [], sizeOptions: [],
+  });
+});
+
+function v2Detail(overrides = {}) {
+  return {
+    originProduct: {
+      originProductNo: 8000000001,
+      name: 'ob 캐시미어 니트',
+      salePrice: 59000,
+      stockQuantity: 5,
+      statusType: 'SALE',
+      images: { representativeImage: { url: 'https://img/1.jpg' } },
+      ...overrides.originProduct,
+    },
+    smartstoreChannelProduct: {
+      channelProductNo: 9000000001,
+      channelProductDisplayStatusType: 'ON',
+      ...overrides.smartstoreChannelProduct,
+    },
+  };
+}
+
+test('extractProductInfo: 기본 필드 추출', () => {
+  assert.deepEqual(extractProductInfo(v2Detail(), 9000000001), {
+    channelProductNo: '9000000001',
+    originProductNo: '8000000001',
+    name: 'ob 캐시미어 니트',
+    salePrice: 59000,
+    stockQuantity: 5,
+    imageUrl: 'https://img/1.jpg',
+    statusType: 'SALE',
+  });
+});
+
+test('extractProductInfo: 채널 상품명 우선, 번호는 상세에서 보완', () => {
+  const info = extractProductInfo(v2Detail({ smartstoreChannelProduct: { channelProductName: '(오늘출발) ob 니트' } }));
+  assert.equal(info.name, '(오늘출발) ob 니트');
+  assert.equal(info.channelProductNo, '9000000001');
+});
+
+test('extractProductInfo: 즉시할인 (정률은 반올림, 정액은 차감)', () => {
+  const percent = extractProductInfo(v2Detail({ originProduct: {
+    salePrice: 59900,
+    customerBenefit: { immediateDiscountPolicy: { discountMethod: { unitType: 'PERCENT', value: 15 } } },
+  } }), 1);
+  assert.equal(percent.salePrice, Math.round(59900 * 0.85));
+
+  const won = extractProductInfo(v2Detail({ originProduct: {
+    customerBenefit: { immediateDiscountPolicy: { discountMethod: { unitType: 'WON', value: 4000 } } },
+  } }), 1);
+  assert.equal(won.salePrice, 55000);
+});
+
+test('extractProductInfo: 빈 상세는 기본값', () => {
+  assert.deepEqual(extractProductInfo({}, null), {
+    channelProductNo: '',
+    originProductNo: '',
+    name: '',
+    salePrice: 0,
+    stockQuantity: 0,
+    imageUrl: '',
+    statusType: '',
+  });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+const { useMarketplaceMock } = require('./helpers/marketplace');
+
+const db = installFakeDb();
+const pricing = require('../pricing');
+const { NaverCommerceClient } = require('../smartstore');
+
+test.beforeEach(() => db.reset());
+
+const rule = (fields) => ({ id: 1, enabled: 1, priority: 0, rounding: 'floor_10', min_price: null, max_price: null, ...fields });
+const priceOf = (r, ctx, input = ctx.basePrice) => pricing.createPricer(rule(r), { cost: null, feeRate: 0, ...ctx })(input);
+
+test('createPricer: 계산 방식별 판매가', () => {
+  const ctx = { basePrice: 59000, cost: 30000, feeRate: 0.1 };
+  assert.equal(priceOf({ method: 'rate', value: 0.85 }, ctx), 50150);
+  assert.equal(priceOf({ method: 'markup_percent', value: -5 }, ctx), 56050);
+  assert.equal(priceOf({ method: 'markup_fixed', value: 2000 }, ctx), 61000);
+  assert.equal(priceOf({ method: 'cost_plus', value: 50 }, ctx), 45000);
+  // 30000 / (1 - 0.1 - 0.2) = 42857.1 → 42850
+  assert.equal(priceOf({ method: 'target_margin', value: 20 }, ctx), 42850);
+  assert.throws(() => priceOf({ method: 'target_margin', value: 95 }, ctx), /100% 이상입니다/);
+});
+
+test('createPricer: 반올림 방식과 최저/최고가', () => {
+  const ctx = { basePrice: 27350 };
+  const rounded = (rounding) => priceOf({ method: 'rate', value: 1, rounding }, ctx);
+  assert.deepEqual(['none', 'floor_10', 'ceil_100', 'round_100', 'floor_100', 'end_900'].map(rounded),
+    [27350, 27350, 27400, 27400, 27300, 26900]);
+  assert.equal(priceOf({ method: 'rate', value: 1, rounding: 'end_900' }, { basePrice: 27450 }), 27900);
+  assert.equal(priceOf({ method: 'rate', value: 0.5, min_price: 15000 }, ctx), 15000);
+  assert.equal(priceOf({ method: 'rate', value: 1, max_price: 20000 }, ctx), 20000);
+});
+
+test('createPricer: 옵션 추가금액 — 판매가 기준은 함께 계산, 원가 기준은 그대로 더함', () => {
+  const ctx = { basePrice: 30000, cost: 10000 };
+  assert.equal(priceOf({ method: 'rate', value: 0.9 }, ctx, 31000), 27900);
+  assert.equal(priceOf({ method: 'cost_plus', value: 100 }, ctx, 31000), 21000);
+});
+
+test('selectRule: 조건 일치 → 우선순위 → 조건 수 순, 원가 없는 상품은 원가 기반 규칙 제외', () => {
+  const rules = [
+    rule({ id: 1, name: '전체', method: 'rate', value: 0.9 }),
+    rule({ id: 2, name: '쿠팡', channel: 'coupang', method: 'rate', value: 0.95 }),
+    rule({ id: 3, name: '쿠팡 OB', channel: 'coupang', brand: 'ob', method: 'rate', value: 1 }),
+    rule({ id: 4, name: '원가', method: 'cost_plus', value: 50, priority: 10 }),
+    rule({ id: 5, name: '꺼짐', channel: 'coupang', method: 'rate', value: 0.5, priority: 20, enabled: 0 }),
+    rule({ id: 6, name: '위탁', stock_type: 'sourcing', method: 'rate', value: 0.8 }),
+  ];
+  const ctx = { channel: 'coupang', brand: 'OB', supplier: '', categoryId: '50000805', stockType: 'inventory', cost: null };
+  assert.equal(pricing.selectRule(rules, ctx).name, '쿠팡 OB');
+  assert.equal(pricing.selectRule(rules, { ...ctx, cost: 20000 }).name, '원가');
+  assert.equal(pricing.selectRule(rules, { ...ctx, channel: 'zigzag' }).name, '전체');
+  assert.equal(pricing.selectRule(rules, { ...ctx, channel: 'zigzag', stockType: 'sourcing' }).name, '위탁');
+  assert.equal(pricing.selectRule([], ctx), null);
+});
+
+test('normalizeRule: 입력 검증, 빈 조건은 NULL', () => {
+  const base = { name: ' 쿠팡 ', channel: 'coupang', brand: '', method: 'rate', value: '0.9' };
+  assert.deepEqual(pricing.normalizeRule(base), {
+    name: '쿠팡', channel: 'coupang', brand: null, supplier: null, category_id: null, stock_type: null,
+    method: 'rate', value: 0.9, rounding: 'floor_10', min_price: null, max_price: null, priority: 0, enabled: 1,
+  });
+  const invalid = [
+    [{ name: '' }, /규칙 이름/],
+    [{ channel: 'naver_a' }, /알 수 없는 채널/],
+    [{ method: 'magic' }, /알 수 없는 가격 계산 방식/],
+    [{ value: 'abc' }, /숫자로 입력/],
+    [{ value: 0 }, /비율은 0보다/],
+    [{ method: 'target_margin', value: 100 }, /0~100%/],
+    [{ rounding: 'floor_7' }, /알 수 없는 반올림/],
+    [{ min_price: 5000, max_price: 1000 }, /최저가가 최고가보다/],
+    [{ stock_type: 'rental' }, /알 수 없는 재고 유형/],
+  ];
+  for (const [patch, error] of invalid) assert.throws(() => pricing.normalizeRule({ ...base, ...patch }), error);
+});
+
+test('resolvePricing: 규칙 없으면 채널 판매가 비율, 직접 지정 비율은 규칙보다 우선', async () => {
+  db.config.set('coupang_price_rate', '0.9');
+  db.config.set('fee_rate_coupang', '0.108');
+  const product = { basePrice: 59000, cost: null, brand: 'ob', categoryId: '50000805' };
+
+  const fallback = await pricing.resolvePricing('coupang', product);
+  assert.deepEqual([fallback.rule.name, fallback.context.feeRate, fallback.priceOf(59000)], ['기본 판매가 비율', 0.108, 53100]);
+
+  db.insert('pricing_rules', rule({ name: 'OB 쿠팡', brand: 'OB', method: 'markup_fixed', value: 1000 }));
+  const ruled = await pricing.resolvePricing('coupang', product);
+  assert.deepEqual([ruled.description, ruled.priceOf(59000)], ['OB 쿠팡 (판매가 +1,000원)', 60000]);
+
+  const manual = await pricing.resolvePricing('coupang', product, { priceRate: '1' });
+  assert.deepEqual([manual.rule.name, manual.priceOf(59000)], ['직접 지정 비율', 59000]);
+  await assert.rejects(pricing.resolvePricing('naver_a', product), /알 수 없는 채널/);
+});
+
+test('preview: A 상품 + 재고 상품(원가/브랜드)으로 채널별 판매가·옵션가·마진 계산', async (t) => {
+  const { env } = await useMarketplaceMock(t);
+  const storeA = new NaverCommerceClient(env.STORE_A_CLIENT_ID, env.STORE_A_CLIENT_SECRET, 'A');
+  const source = await storeA.getChannelProduct('9000000001');
+  source.originProduct.detailAttribute.optionInfo.optionCombinations[1].price = 2000;
+  const productId = db.insert('products', { naver_a_no: '9000000001', brand: 'OB', supplier: '오비', stock_type: 'inventory', cost_price: null }).insertId;
+  db.insert('variants', { product_id: productId, cost_price: 20000 });
+  db.insert('variants', { product_id: productId, cost_price: 24000 });
+  db.insert('pricing_rules', rule({ name: '지그재그 마진', channel: 'zigzag', method: 'target_margin', value: 30, rounding: 'end_900' }));
+  db.config.set('fee_rate_zigzag', '0.13');
+
+  const { product, results } = await pricing.preview('9000000001', source, { channels: ['zigzag', 'coupang', 'gmarket'] });
+  assert.deepEqual([product.basePrice, product.cost, product.brand, product.categoryId], [59000, 22000, 'OB', '50000805']);
+  assert.deepEqual(results.map(r => r.channel), ['zigzag', 'coupang']);
+
+  // 22000 / (1 - 0.13 - 0.3) = 38596 → 38900, 옵션 +2000 → 40596 → 40900
+  const [zigzag, coupang] = results;
+  assert.deepEqual([zigzag.rule.name, zigzag.price, zigzag.options.map(o => o.price)], ['지그재그 마진', 38900, [38900, 40900]]);
+  assert.equal(zigzag.margin.marginRate, 30.4);
+  assert.deepEqual([coupang.rule.name, coupang.price, coupang.options[1]], ['기본 판매가 비율', 50150, { optionName: '색상: 아이보리 / 사이즈: Free', price: 51850 }]);
+
+  // 저장 전 규칙 — 조건이 맞지 않는 채널은 기본 비율
+  const draft = await pricing.preview('9000000001', source, { rule: { name: '초안', channel: 'coupang', method: 'rate', value: 1 } });
+  assert.deepEqual(draft.results.map(r => [r.channel, r.price, r.draftApplied]),
+    [['naver_b', 50150, false], ['coupang', 59000, true], ['zigzag', 50150, false]]);
+});
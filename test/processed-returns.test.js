@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const processedReturns = require('../processed-returns');
+
+test.beforeEach(() => db.reset());
+
+const rowsFor = (action) => db.rows('processed_returns').filter(r => r.action === action)
+  .map(r => [r.product_order_id, r.status]);
+
+test('normalizeIds: 콤마 문자열/배열, 공백·빈 값·중복 제거', () => {
+  assert.deepEqual(processedReturns.normalizeIds(' PO-1, PO-2,,PO-1 '), ['PO-1', 'PO-2']);
+  assert.deepEqual(processedReturns.normalizeIds(['PO-3', ' ', null]), ['PO-3']);
+  assert.deepEqual(processedReturns.normalizeIds(''), []);
+});
+
+test('claim → complete: 완료된 건은 다시 claim 불가, 처리 종류(action)별로 따로 관리', async () => {
+  assert.equal(await processedReturns.claim('PO-1', 'inventory', { source: 'manual', runId: 'manual' }), true);
+  assert.equal(await processedReturns.claim('PO-1', 'inventory'), false);
+  await processedReturns.complete('PO-1', 'inventory', '수동 등록 → 재고 #3');
+
+  assert.deepEqual(rowsFor('inventory'), [['PO-1', 'done']]);
+  const [row] = db.rows('processed_returns');
+  assert.deepEqual([row.source, row.store, row.detail], ['manual', 'A', '수동 등록 → 재고 #3']);
+  assert.equal(await processedReturns.claim('PO-1', 'inventory'), false);
+  assert.equal(await processedReturns.claim('PO-1', 'storeB'), true);
+});
+
+test('release: 처리 실패 시 claim 해제 → 다음에 다시 처리, 완료된 건은 지우지 않음', async () => {
+  await processedReturns.claim(['PO-1', 'PO-2'], 'storeB');
+  await processedReturns.complete('PO-2', 'storeB');
+  await processedReturns.release(['PO-1', 'PO-2'], 'storeB');
+
+  assert.deepEqual(rowsFor('storeB'), [['PO-2', 'done']]);
+  assert.equal(await processedReturns.claim('PO-1', 'storeB'), true);
+});
+
+test('claim 여러 건: 하나라도 처리됐으면 아무것도 잡지 않음', async () => {
+  await processedReturns.claim('PO-2', 'inventory');
+  await processedReturns.complete('PO-2', 'inventory');
+
+  assert.equal(await processedReturns.claim('PO-1,PO-2,PO-3', 'inventory'), false);
+  assert.deepEqual(rowsFor('inventory'), [['PO-2', 'done']]);
+});
+
+test('오래된 processing(처리 중 서버 중단)은 다시 claim, 최근 processing은 대기', async () => {
+  await processedReturns.claim(['PO-1', 'PO-2'], 'inventory', { runId: 'old-run' });
+  db.rows('processed_returns')[0].claimed_at = new Date(Date.now() - 60 * 60 * 1000);
+
+  assert.equal(await processedReturns.claim('PO-1', 'inventory', { runId: 'new-run' }), true);
+  assert.equal(db.rows('processed_returns')[0].run_id, 'new-run');
+  assert.equal(await processedReturns.claim('PO-2', 'inventory'), false);
+});
+
+test('getProcessed: 처리 중 포함, 재고/스토어 분리', async () => {
+  await processedReturns.claim('PO-1', 'inventory');
+  await processedReturns.claim('PO-1', 'storeB');
+  await processedReturns.complete('PO-1', 'storeB');
+  await processedReturns.claim('PO-2', 'storeB');
+
+  const { inventory, storeB } = await processedReturns.getProcessed(['PO-1', 'PO-2', 'PO-3']);
+  assert.deepEqual([[...inventory], [...storeB].sort()], [['PO-1'], ['PO-1', 'PO-2']]);
+  assert.deepEqual(await processedReturns.getProcessed([]), { inventory: new Set(), storeB: new Set() });
+  await assert.rejects(processedReturns.claim('PO-1', 'coupang'), /알 수 없는 반품 처리 종류/);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const lifecycle = require('../return-lifecycle');
+const inspection = require('../return-inspection');
+const { scheduler } = require('../sync-scheduler');
+
+const user = { id: 2, username: 'park' };
+
+// restoreReturnStock()이 사용하는 sales_orders / variants 쿼리
+function installSalesTables() {
+  db.on(/^SELECT \* FROM sales_orders WHERE product_order_id = \?$/, ([id]) => db.select('sales_orders', r => r.product_order_id === id));
+  db.on(/^UPDATE sales_orders SET stock_state = \?, variant_id = \?, stock_note = \? WHERE id = \?$/, ([state, variantId, note, id]) => {
+    Object.assign(db.find('sales_orders', id), { stock_state: state, variant_id: variantId, stock_note: note });
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT COALESCE\(SUM\(delta\), 0\) as net FROM stock_movements/, ([id, variantId]) => [{
+    net: db.rows('stock_movements').filter(m => m.reference_id === id && m.variant_id === variantId).reduce((sum, m) => sum + m.delta, 0),
+  }]);
+  db.on(/^SELECT \* FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+}
+
+test.beforeEach(() => {
+  db.reset();
+  installSalesTables();
+  db.insert('variants', { product_id: 1, qty: 3 });
+});
+
+async function received(productOrderId, store) {
+  await lifecycle.observe([{ store, productOrderId, productName: '울 코트', optionName: '블랙', qty: 1, returnState: 'received' }]);
+  return (await lifecycle.getByIds([productOrderId])).get(productOrderId);
+}
+const row = (id) => db.rows('returns').find(r => r.product_order_id === id);
+
+test('normalizeInspection: 등급/메모/옵션 검증', () => {
+  assert.throws(() => inspection.normalizeInspection({}), /검수 등급을 선택해주세요/);
+  assert.throws(() => inspection.normalizeInspection({ grade: 'E' }), /알 수 없는 검수 등급: E/);
+  assert.throws(() => inspection.normalizeInspection({ grade: 'A', note: 'x'.repeat(501) }), /500자 이내/);
+  assert.throws(() => inspection.normalizeInspection({ grade: 'A', variantId: 'abc' }), /옵션 ID가 올바르지 않습니다/);
+  assert.deepEqual(inspection.normalizeInspection({ grade: 'b', note: '  ' }), { grade: 'B', note: null, variantId: null });
+});
+
+test('inspect A: 판매 차감분만큼 원래 옵션 재고 복원 → 재입고, 이미 복원된 주문은 그대로', async () => {
+  db.insert('stock_movements', { variant_id: 1, delta: -1, reason: 'sale', reference_id: 'N1' });
+  db.insert('sales_orders', { product_order_id: 'N1', store: 'A', variant_id: 1, stock_state: 'deducted', qty: 1 });
+  const ret = await received('N1', 'A');
+
+  const result = await inspection.inspect(ret, { grade: 'A', note: '택 있음' }, { user });
+  assert.deepEqual(result, { grade: 'A', state: 'restocked', result: '옵션 #1 재고 +1' });
+  assert.equal(db.find('variants', 1).qty, 4);
+  assert.equal(db.find('sales_orders', 1).stock_state, 'restored');
+  assert.deepEqual([row('N1').grade, row('N1').inspection_note, row('N1').inspected_by], ['A', '택 있음', 'park']);
+  assert.deepEqual((await lifecycle.history('N1')).map(h => h.to_state), ['received', 'inspected', 'restocked']);
+
+  // 검수 설정 전 반품 처리로 이미 복원된 주문 → 중복 복원 없음
+  db.insert('sales_orders', { product_order_id: 'N9', store: 'A', variant_id: 1, stock_state: 'restored', qty: 1 });
+  const again = await inspection.inspect(await received('N9', 'A'), { grade: 'A' }, { user });
+  assert.deepEqual([again.result, again.state], ['옵션 #1 이미 복원됨', 'restocked']);
+  assert.equal(db.find('variants', 1).qty, 4);
+});
+
+test('inspect A: 판매 기록 없는 채널 반품은 지정한 옵션에 반품 수량만큼', async () => {
+  const ret = await received('C1', 'C');
+  await assert.rejects(inspection.inspect(ret, { grade: 'A' }, { user }), /재입고할 옵션을 찾지 못했습니다/);
+  assert.equal(row('C1').state, 'inspected');
+
+  await inspection.inspect(row('C1'), { grade: 'A', variantId: 1 }, { user });
+  assert.deepEqual([row('C1').state, row('C1').route_result, db.find('variants', 1).qty], ['restocked', '옵션 #1 재고 +1', 4]);
+  assert.deepEqual(db.rows('stock_movements').map(m => [m.reason, m.reference_id, m.username]), [['return', 'C1', 'park']]);
+
+  // 채널 옵션 연결(vendorItemId)이 있으면 옵션 지정 없이 연결된 옵션으로
+  db.insert('variant_channel_items', { store: 'C', channel_product_id: '500', channel_item_id: '7001', product_id: 1, variant_id: 1 });
+  await lifecycle.observe([{ store: 'C', productOrderId: 'C3', productName: '울 코트', optionName: '블랙', qty: 2, channelProductNo: '7001', returnState: 'received' }]);
+  await inspection.inspect(row('C3'), { grade: 'A' }, { user });
+  assert.deepEqual([row('C3').route_result, db.find('variants', 1).qty], ['옵션 #1 재고 +2', 6]);
+
+  // 검수 대기로 둘 때 기록한 연결 옵션이 있으면 그 옵션으로
+  await received('D1', 'D');
+  await lifecycle.linkMaster('D1', { productName: 'ob 울 코트', optionName: '블랙', variantId: 1 });
+  await inspection.inspect(row('D1'), { grade: 'A' }, { user });
+  assert.deepEqual([row('D1').route_result, db.find('variants', 1).qty], ['옵션 #1 재고 +1', 7]);
+});
+
+test('inspect C/D: 재고 변동 없이 폐기, B는 A 스토어 상품이 있어야', async () => {
+  await inspection.inspect(await received('N2', 'A'), { grade: 'C' }, { user });
+  await inspection.inspect(await received('N3', 'A'), { grade: 'D' }, { user });
+  assert.deepEqual([row('N2').state, row('N2').route_result, row('N3').state, row('N3').route_result],
+    ['disposed', '불량 폐기', 'disposed', '공급처 반품']);
+  assert.equal(db.find('variants', 1).qty, 3);
+
+  await assert.rejects(inspection.inspect(await received('C2', 'C'), { grade: 'B' }, { user, scheduler }),
+    /연결된 마스터 상품이 없어 B스토어 아울렛으로 보낼 수 없습니다/);
+  await assert.rejects(inspection.inspect(row('N2'), { grade: 'A' }, { user }), /폐기 상태에서는 검수할 수 없습니다/);
+});
+
+test('inspect B: 쿠팡 반품은 연결된 마스터 상품의 A 스토어 상품번호/옵션명으로 B스토어 + 재고 반영', async (t) => {
+  db.on(/^SELECT \* FROM products WHERE id = \?$/, ([id]) => db.select('products', r => r.id === id));
+  db.insert('products', { name: 'ob 울 코트', coupang_no: '500', naver_a_no: '9001' });
+  db.insert('variant_channel_items', { store: 'C', channel_product_id: '500', channel_item_id: '7001', option_name: '색상: 블랙',
+    product_id: 1, variant_id: 1 });
+  const storeB = [];
+  const inventory = [];
+  t.mock.method(scheduler, 'addReturnToStoreB', async (runId, detail, source) => { storeB.push([detail.productOrder, source]); return 'done'; });
+  t.mock.method(scheduler, 'updateInventoryFromReturn', async (...args) => { inventory.push(args.slice(1)); return null; });
+
+  await lifecycle.observe([{ store: 'C', productOrderId: 'CPG_RET_1_7001', productName: '울 코트 블랙', optionName: '블랙',
+    qty: 1, channelProductNo: '7001', returnState: 'received' }]);
+  const result = await inspection.inspect(row('CPG_RET_1_7001'), { grade: 'B' }, { user, scheduler });
+
+  assert.deepEqual(result, { grade: 'B', state: 'restocked', result: 'B스토어 등록' });
+  assert.deepEqual(storeB, [[{ productOrderId: 'CPG_RET_1_7001', productName: 'ob 울 코트', optionName: '색상: 블랙', quantity: 1,
+    channelProductNo: '9001' }, 'manual']]);
+  assert.deepEqual(inventory, [['CPG_RET_1_7001', '9001', 'ob 울 코트', '색상: 블랙', 1]]);
+
+  // A 스토어 상품이 없으면 B스토어로 보낼 수 없음
+  db.find('products', 1).naver_a_no = null;
+  await lifecycle.observe([{ store: 'C', productOrderId: 'CPG_RET_2_7001', productName: '울 코트 블랙', optionName: '블랙',
+    qty: 1, channelProductNo: '7001', returnState: 'received' }]);
+  await assert.rejects(inspection.inspect(row('CPG_RET_2_7001'), { grade: 'B' }, { user, scheduler }),
+    /마스터 상품에 A 스토어 상품번호가 없어 B스토어 아울렛으로 보낼 수 없습니다/);
+});
+
+test('parsePhoto / addPhoto: 형식·크기 검증, 목록은 이미지 데이터 제외', async () => {
+  assert.throws(() => inspection.parsePhoto('not-a-photo'), /사진 형식이 올바르지 않습니다/);
+  assert.throws(() => inspection.parsePhoto('data:image/gif;base64,R0lGOD'), /JPG, PNG, WEBP/);
+  const big = Buffer.alloc(5 * 1024 * 1024 + 1).toString('base64');
+  assert.throws(() => inspection.parsePhoto(`data:image/jpeg;base64,${big}`), /5MB 이하/);
+
+  const ret = await received('N4', 'A');
+  const photo = inspection.parsePhoto(`data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+  const id = await inspection.addPhoto(ret, photo, user);
+  assert.deepEqual((await inspection.listPhotos('N4')).map(p => [p.id, p.mime_type, p.size, p.data]), [[id, 'image/png', 3, undefined]]);
+  assert.equal((await inspection.getPhoto('N4', id)).data.toString(), 'png');
+  assert.equal(await inspection.deletePhoto('N5', id), false);
+  assert.equal(await inspection.deletePhoto('N4', id), true);
+  assert.equal(await inspection.countPhotos('N4'), 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const lifecycle = require('../return-lifecycle');
+
+test.beforeEach(() => db.reset());
+
+const channelItem = (productOrderId, returnState, claimStatus) => ({
+  store: 'C', productOrderId, productName: 'ob 니트', optionName: '블랙', qty: 1, channelProductNo: '777', returnState, claimStatus,
+});
+const row = (id) => db.rows('returns').find(r => r.product_order_id === id);
+
+test('observe: 처음 본 건 등록, 채널 상태는 앞으로만 반영하고 직원 처리 상태는 유지', async () => {
+  await lifecycle.observe([channelItem('R1', 'requested', 'UC'), channelItem('R2', 'collected', 'CC')]);
+  assert.deepEqual([row('R1').state, row('R2').state, row('R2').requested_at instanceof Date], ['requested', 'collected', true]);
+
+  const rows = await lifecycle.observe([channelItem('R1', 'collected', 'CC'), channelItem('R2', 'requested', 'UC')]);
+  assert.deepEqual([rows.get('R1').state, rows.get('R1').previous_state, rows.get('R1').channel_status], ['collected', 'requested', 'CC']);
+  assert.equal(rows.get('R2').state, 'collected');
+
+  await lifecycle.transition(['R1'], 'received');
+  await lifecycle.transition(['R1'], 'inspected');
+  await lifecycle.observe([channelItem('R1', 'received', 'PR')]);
+  assert.equal(row('R1').state, 'inspected');
+
+  assert.deepEqual((await lifecycle.history('R1')).map(h => [h.from_state, h.to_state, h.note]), [
+    [null, 'requested', '채널 상태: UC'],
+    ['requested', 'collected', '채널 상태: CC'],
+    ['collected', 'received', null],
+    ['received', 'inspected', null],
+  ]);
+});
+
+test('transition: 허용된 전이만, 되돌리면 떠나는 상태 시각을 비움', async () => {
+  await lifecycle.observe([channelItem('R1', 'received', 'PR')]);
+  const user = { id: 3, username: 'kim' };
+
+  const skipped = await lifecycle.transition(['R1'], 'finalized', { user });
+  assert.deepEqual(skipped, { moved: [], skipped: [{ productOrderId: 'R1', error: '입고완료 → 최종완료(으)로 변경할 수 없습니다.' }] });
+  await lifecycle.transition(['R1'], 'restocked', { user });
+  await lifecycle.transition(['R1'], 'finalized', { user });
+  assert.deepEqual([row('R1').state, row('R1').finalized_at instanceof Date, row('R1').updated_by], ['finalized', true, 'kim']);
+
+  // 복원 → 최종완료 직전 상태
+  await lifecycle.transition(['R1'], row('R1').previous_state, { user });
+  assert.deepEqual([row('R1').state, row('R1').finalized_at, row('R1').restocked_at instanceof Date], ['restocked', null, true]);
+
+  const noPermission = await lifecycle.transition(['R1'], 'finalized', { hasPermission: (p) => p === 'returns.confirm' });
+  assert.deepEqual(noPermission.skipped.map(s => s.error), ['권한이 없습니다.']);
+  assert.equal(lifecycle.permissionFor('collected', 'received'), 'returns.confirm');
+  assert.equal(lifecycle.permissionFor('received', 'collected'), 'returns.confirm');
+  assert.equal(lifecycle.permissionFor('received', 'restocked'), 'returns.process');
+  await assert.rejects(lifecycle.transition(['R1'], 'lost'), /알 수 없는 반품 상태: lost/);
+});
+
+test('markRestocked: 목록에 없던 건은 등록 후 재입고, 이미 처리된 건은 그대로', async () => {
+  await lifecycle.observe([channelItem('R1', 'collected', 'CC'), channelItem('R2', 'received', 'PR')]);
+  await lifecycle.transition(['R2'], 'disposed');
+
+  await lifecycle.markRestocked([channelItem('R1'), channelItem('R2'), channelItem('R3')], { user: { id: 1, username: 'lee' } });
+  assert.deepEqual(['R1', 'R2', 'R3'].map(id => row(id).state), ['restocked', 'disposed', 'restocked']);
+  assert.deepEqual([row('R3').store, row('R3').updated_by], ['C', 'lee']);
+  assert.deepEqual((await lifecycle.list(['restocked'])).map(r => r.product_order_id).sort(), ['R1', 'R3']);
+});
+
+test('transition: 검수 필수 설정이면 입고완료/검수완료 → 재입고/폐기는 검수 처리에서만', async () => {
+  await lifecycle.observe([channelItem('R1', 'received', 'PR')]);
+  db.config.set('return_inspection_required', 'true');
+
+  const blocked = await lifecycle.transition(['R1'], 'restocked');
+  assert.deepEqual(blocked.skipped.map(s => s.error), ['검수 필수 설정 — 재입고는 검수 등급으로 처리해주세요.']);
+  await lifecycle.transition(['R1'], 'inspected');
+  assert.equal((await lifecycle.transition(['R1'], 'disposed')).moved.length, 0);
+  assert.equal(row('R1').state, 'inspected');
+
+  assert.deepEqual(await lifecycle.transition(['R1'], 'disposed', { inspected: true }), { moved: ['R1'], skipped: [] });
+  // 최종완료 복원은 그대로 허용
+  await lifecycle.transition(['R1'], 'finalized');
+  assert.deepEqual((await lifecycle.transition(['R1'], 'disposed')).moved, ['R1']);
+});
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { installFakeDb } = require('./helpers/fake-db');
+const { useMarketplaceMock } = require('./helpers/marketplace');
+const { installJobTables } = require('./helpers/fake-jobs');
+
+const db = installFakeDb();
+const { app } = require('../server');
+
+const PUBLIC_PATHS = ['/api/health', '/api/auth/login'];
+const SESSION_QUERY = /^SELECT u\.\* FROM user_sessions s JOIN users u/;
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  // startServer()의 initDb() 완료 상태
+  app.locals.dbReady = true;
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach((t) => {
+  db.reset();
+  db.on(SESSION_QUERY, ([tokenHash]) => {
+    const session = db.rows('user_sessions').find(s => s.token_hash === tokenHash);
+    return session ? db.select('users', u => u.id === session.user_id && u.is_active === 1, 1) : [];
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// 해당 역할의 로그인 세션 쿠키 (ROLE_PERMISSIONS에 없는 역할은 권한 없음)
+function sessionCookie(role) {
+  const { insertId } = db.insert('users', { username: `${role}-user`, role, is_active: 1 });
+  const token = crypto.randomBytes(16).toString('hex');
+  db.insert('user_sessions', { token_hash: crypto.createHash('sha256').update(token).digest('hex'), user_id: insertId });
+  return `bf_session=${token}`;
+}
+
+async function request(method, path, { body, cookie } = {}) {
+  const headers = {};
+  if (cookie) headers.Cookie = cookie;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const res = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(5000),
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (e) { /* HTML 등 */ }
+  return { status: res.status, body: json, headers: res.headers };
+}
+
+// 등록된 /api 라우트 목록 — :param은 임의 값으로 채움
+function apiRoutes() {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route || !String(layer.route.path).startsWith('/api/')) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        url: layer.route.path.replace(/:(\w+)/g, '1'),
+        // requirePermission 미들웨어 + 핸들러
+        guarded: layer.route.stack.length > 1,
+      });
+    }
+  }
+  return routes;
+}
+
+// === 인증 / 권한 ===
+
+test('로그인 없이 호출하면 공개 API 외 모든 라우트가 401', async () => {
+  db.failAll('DB에 접근하면 안 됨', SESSION_QUERY);
+  const routes = apiRoutes().filter(r => !PUBLIC_PATHS.includes(r.path));
+  assert.ok(routes.length > 50);
+  for (const route of routes) {
+    const res = await request(route.method, route.url);
+    assert.equal(res.status, 401, `${route.method} ${route.path}`);
+    assert.equal(res.body.error, '로그인이 필요합니다.');
+  }
+});
+
+test('권한 없는 역할은 requirePermission 라우트가 모두 403 (핸들러 미실행)', async () => {
+  const cookie = sessionCookie('no_role');
+  db.failAll('핸들러가 실행되면 안 됨', SESSION_QUERY);
+  const routes = apiRoutes().filter(r => r.guarded);
+  assert.ok(routes.length > 50);
+  for (const route of routes) {
+    const res = await request(route.method, route.url, { cookie });
+    assert.equal(res.status, 403, `${route.method} ${route.path}`);
+    assert.equal(res.body.error, '권한이 없습니다.');
+  }
+});
+
+test('DB 초기화(마이그레이션) 전에는 공개 API 포함 503', async (t) => {
+  app.locals.dbReady = false;
+  t.after(() => { app.locals.dbReady = true; });
+  db.failAll('DB에 접근하면 안 됨');
+  for (const path of ['/api/health', '/api/inventory']) {
+    const res = await request('GET', path);
+    assert.equal(res.status, 503, path);
+    assert.match(res.body.error, /초기화 중/);
+  }
+  assert.equal((await request('POST', '/api/auth/login', { body: { username: 'a', password: 'b' } })).status, 503);
+});
+
+test('세션 조회 DB 오류는 500', async () => {
+  db.failAll('DB down');
+  const res = await request('GET', '/api/inventory', { cookie: 'bf_session=abc' });
+  assert.deepEqual([res.status, res.body.error], [500, 'DB down']);
+});
+
+test('로그인: 입력 누락 400, 불일치 401, 성공 시 세션 쿠키', async () => {
+  db.on(/^SELECT \* FROM users WHERE username = \? AND is_active = 1$/, ([username]) =>
+    db.select('users', u => u.username === username && u.is_active === 1));
+  db.on(/^INSERT INTO user_sessions /, (p) => db.insert('user_sessions', { token_hash: p[0], user_id: p[1] }));
+  db.on(/^UPDATE users SET last_login_at = NOW\(\)/, () => ({ affectedRows: 1 }));
+  db.on(/^DELETE FROM user_sessions WHERE expires_at < NOW\(\)$/, () => ({ affectedRows: 0 }));
+  db.insert('users', { username: 'owner', role: 'owner', is_active: 1, password_hash: bcrypt.hashSync('password123', 4) });
+
+  assert.equal((await request('POST', '/api/auth/login', { body: { username: 'owner' } })).status, 400);
+  assert.equal((await request('POST', '/api/auth/login', { body: { username: 'owner', password: 'wrong' } })).status, 401);
+
+  const ok = await request('POST', '/api/auth/login', { body: { username: 'owner', password: 'password123' } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.role, 'owner');
+  const cookie = ok.headers.get('set-cookie').split(';')[0];
+  const me = await request('GET', '/api/auth/me', { cookie });
+  assert.equal(me.body.user.username, 'owner');
+});
+
+test('스태프는 수량만 수정 가능 (상품명/옵션명/원가는 403)', async () => {
+  const cookie = sessionCookie('staff');
+  db.failAll('핸들러 검증 단계에서 끝나야 함', SESSION_QUERY);
+  const cases = [
+    ['PUT', '/api/inventory/1', { name: '새 이름' }, '상품명 수정 권한이 없습니다.'],
+    ['PUT', '/api/master/variants/1', { color: '블랙' }, '옵션명 수정 권한이 없습니다.'],
+    ['PUT', '/api/master/variants/1', { cost_price: 1000 }, '원가 수정 권한이 없습니다.'],
+  ];
+  for (const [method, url, body, error] of cases) {
+    const res = await request(method, url, { body, cookie });
+    assert.deepEqual([res.status, res.body.error], [403, error], `${method} ${url}`);
+  }
+});
+
+// === 입력 검증 (DB 접근 전 400) ===
+
+const VALIDATION_CASES = [
+  ['PUT', '/api/users/1', { role: 'admin' }, '올바르지 않은 역할입니다.'],
+  ['DELETE', '/api/users/SELF', undefined, '본인 계정은 비활성화할 수 없습니다.'],
+  ['PUT', '/api/users/SELF', { role: 'manager' }, '본인 계정의 대표 권한은 해제할 수 없습니다.'],
+  ['PUT', '/api/master/variants/1', {}, '수정할 필드 없음'],
+  ['POST', '/api/master/products/1/link', { channel: 'unknown', channel_product_id: '1' }, 'channel, channel_product_id 필수'],
+  ['POST', '/api/master/products/1/link', { channel: 'naver_a' }, 'channel, channel_product_id 필수'],
+  ['DELETE', '/api/master/products/1/link/unknown', undefined, '유효하지 않은 채널'],
+  ['POST', '/api/master/products', { brand: 'ob' }, '상품명 필수'],
+  ['POST', '/api/inventory', { name: 'ob 니트' }, '상품명과 컬러는 필수입니다.'],
+  ['PUT', '/api/inventory/1', { name: '   ' }, '상품명을 입력해주세요.'],
+  ['PUT', '/api/inventory/1', {}, '변경할 항목이 없습니다.'],
+  ['POST', '/api/inventory/delete-bulk', { ids: [] }, '삭제할 항목을 선택해주세요.'],
+  ['GET', '/api/sales/report?groupBy=hour', undefined, /^groupBy는 /],
+  ['GET', '/api/sales/report?from=2025-1-1', undefined, 'from/to는 YYYY-MM-DD 형식이어야 합니다.'],
+  ['GET', '/api/sales/report?to=abc', undefined, 'from/to는 YYYY-MM-DD 형식이어야 합니다.'],
+  ['GET', '/api/sales/report?to=2025-13-45', undefined, 'from/to는 YYYY-MM-DD 형식이어야 합니다.'],
+  ['GET', '/api/sales/report?from=2026-02-31', undefined, 'from/to는 YYYY-MM-DD 형식이어야 합니다.'],
+  ['GET', '/api/sales/report?from=2025-02-01&to=2025-01-01', undefined, 'from이 to보다 늦습니다.'],
+  ['POST', '/api/sales/stock-review/1/resolve', {}, '옵션을 선택해주세요.'],
+  ['POST', '/api/exchanges/1/resolve', { inboundVariantId: 1 }, '옵션을 선택해주세요.'],
+  ['POST', '/api/sync/test-connection', { clientId: 'id' }, 'Client ID와 Secret을 입력해주세요.'],
+  ['POST', '/api/coupang/test-connection', { accessKey: 'a', secretKey: 's' }, 'Access Key, Secret Key, Vendor ID를 모두 입력해주세요.'],
+  ['POST', '/api/zigzag/test-connection', { accessKey: 'a' }, 'Access Key, Secret Key를 모두 입력해주세요.'],
+  ['GET', '/api/returns', undefined, '조회할 반품 상태를 지정해주세요.'],
+  ['GET', '/api/returns?state=received,lost', undefined, '알 수 없는 반품 상태: lost'],
+  ['POST', '/api/returns/transition', { productOrderIds: 'x', to: 'received' }, '상태를 변경할 항목을 선택해주세요.'],
+  ['POST', '/api/returns/transition', { productOrderIds: ['1'], to: 'done' }, '알 수 없는 반품 상태: done'],
+  ['POST', '/api/returns/1/inspect', {}, '검수 등급을 선택해주세요.'],
+  ['POST', '/api/returns/1/inspect', { grade: 'S' }, '알 수 없는 검수 등급: S'],
+  ['POST', '/api/returns/1/photos', { dataUrl: 'data:text/plain;base64,aGk=' }, 'JPG, PNG, WEBP 사진만 올릴 수 있습니다.'],
+  ['GET', '/api/store-a/products/search?keyword=%20', undefined, '검색 키워드를 입력해주세요.'],
+  ['POST', '/api/push/subscribe', { endpoint: 'https://push' }, '유효하지 않은 구독 정보입니다.'],
+  ['POST', '/api/products/copy-bulk', { products: [], targets: ['storeB'] }, '복사할 상품을 선택해주세요.'],
+  ['POST', '/api/products/copy-bulk', { products: ['1'] }, '복사 대상 채널을 선택해주세요.'],
+  ['POST', '/api/jobs', { type: 'products.copy_bulk' }, '수동 실행할 수 없는 작업입니다: products.copy_bulk'],
+  ['POST', '/api/jobs', {}, '수동 실행할 수 없는 작업입니다: '],
+  ['PUT', '/api/jobs/schedules/sync', { enabled: false }, '자동 동기화 주기는 설정 화면에서 변경해주세요.'],
+  ['PUT', '/api/jobs/schedules/product_index', { cron: '0 */6 * *' }, /^cron은 5개 필드/],
+  ['PUT', '/api/jobs/schedules/product_index', { cron: '61 * * * *' }, /^잘못된 cron 범위/],
+  ['PUT', '/api/jobs/schedules/product_index', { intervalMinutes: 0 }, 'intervalMinutes는 1 이상이어야 합니다.'],
+  ['POST', '/api/pricing-rules', { method: 'rate', value: 0.9 }, '규칙 이름을 입력해주세요.'],
+  ['PUT', '/api/pricing-rules/1', { name: '쿠팡', method: 'rate', value: 0 }, '비율은 0보다 커야 합니다.'],
+  ['POST', '/api/pricing/preview', {}, 'channelProductNo가 필요합니다.'],
+  ['GET', '/api/variant-channel-items?store=A', undefined, '알 수 없는 채널: A'],
+  ['POST', '/api/variant-channel-items', { store: 'C', channelProductId: '1', variantId: 1 }, '채널 옵션 ID 또는 채널 옵션명을 입력해주세요.'],
+  ['PUT', '/api/variant-channel-items/1', { variantId: 'x' }, '연결할 옵션을 선택해주세요.'],
+  ['POST', '/api/pricing/preview', { channelProductNo: '1', rule: { name: '초안', method: 'cost' } }, '알 수 없는 가격 계산 방식: cost'],
+];
+
+test('입력 검증 실패는 DB 접근 없이 400', async () => {
+  const cookie = sessionCookie('owner');
+  const self = db.rows('users')[0].id;
+  db.failAll('검증 단계에서 DB에 접근하면 안 됨', SESSION_QUERY);
+  for (const [method, url, body, error] of VALIDATION_CASES) {
+    const res = await request(method, url.replace('SELF', self), { body, cookie });
+    assert.equal(res.status, 400, `${method} ${url}: ${JSON.stringify(res.body)}`);
+    if (error instanceof RegExp) assert.match(res.body.error, error);
+    else assert.equal(res.body.error, error, `${method} ${url}`);
+  }
+});
+
+test('API 키가 필요한 라우트의 입력 검증 (키는 mock 서버)', async (t) => {
+  await useMarketplaceMock(t);
+  const { scheduler } = require('../sync-scheduler');
+  t.after(() => { scheduler.storeA = null; scheduler.storeB = null; });
+  const cookie = sessionCookie('owner');
+  db.failAll('검증 단계에서 DB에 접근하면 안 됨', SESSION_QUERY);
+
+  const cases = [
+    ['/api/products/copy', { targets: ['storeB'] }, 'channelProductNo가 필요합니다.'],
+    ['/api/products/copy', { channelProductNo: '1', targets: [] }, '복사 대상 채널을 선택해주세요.'],
+    ['/api/products/copy', { channelProductNo: '1', targets: ['storeB', 'gmarket'] }, '지원하지 않는 채널: gmarket'],
+    ['/api/returns/copy-to-store', {}, 'productOrderId가 필요합니다.'],
+  ];
+  for (const [url, body, error] of cases) {
+    const res = await request('POST', url, { body, cookie });
+    assert.deepEqual([res.status, res.body.error], [400, error], url);
+  }
+  const debug = await request('GET', '/api/sync/debug-product', { cookie });
+  assert.deepEqual([debug.status, debug.body.error], [400, 'id 파라미터 필요']);
+});
+
+test('스토어 API 키가 없으면 복사/동기화 라우트는 500', async () => {
+  const cookie = sessionCookie('owner');
+  for (const url of ['/api/products/copy', '/api/returns/copy-to-store']) {
+    const res = await request('POST', url, { body: {}, cookie });
+    assert.equal(res.status, 500, url);
+    assert.match(res.body.error, /API 키가 설정되지 않았습니다/);
+  }
+});
+
+test('작업 API: 일괄 복사는 작업 등록 후 202, 조회/취소/등록은 작업 종류별 권한', async () => {
+  installJobTables(db);
+  const owner = sessionCookie('owner');
+  const manager = sessionCookie('manager');
+  const readOnly = sessionCookie('read_only');
+  const staff = sessionCookie('staff');
+
+  const copy = await request('POST', '/api/products/copy-bulk', { body: { products: [1, '2'], targets: ['storeB'] }, cookie: owner });
+  assert.equal(copy.status, 202);
+  assert.deepEqual([copy.body.job.type, copy.body.job.status, copy.body.job.payload.products], ['products.copy_bulk', 'queued', ['1', '2']]);
+  const jobUrl = `/api/jobs/${copy.body.jobId}`;
+
+  assert.equal((await request('GET', jobUrl, { cookie: readOnly })).status, 200);
+  assert.equal((await request('GET', jobUrl, { cookie: staff })).status, 403);
+  assert.equal((await request('GET', '/api/jobs/999', { cookie: owner })).status, 404);
+  assert.equal((await request('POST', `${jobUrl}/cancel`, { cookie: readOnly })).status, 403);
+  const cancelled = await request('POST', `${jobUrl}/cancel`, { cookie: owner });
+  assert.deepEqual([cancelled.status, cancelled.body.status], [200, 'cancelled']);
+  assert.equal((await request('POST', `${jobUrl}/cancel`, { cookie: owner })).status, 400);
+
+  assert.equal((await request('POST', '/api/jobs', { body: { type: 'sync.run' }, cookie: staff })).status, 403);
+  const sync = await request('POST', '/api/jobs', { body: { type: 'sync.run' }, cookie: manager });
+  assert.deepEqual([sync.status, sync.body.type, sync.body.createdBy], [202, 'sync.run', 'manager-user']);
+  const again = await request('POST', '/api/jobs', { body: { type: 'sync.run' }, cookie: manager });
+  assert.deepEqual([again.status, again.body.id, again.body.deduped], [200, sync.body.id, true]);
+
+  const list = await request('GET', '/api/jobs?status=active', { cookie: readOnly });
+  assert.deepEqual(list.body.jobs.map(j => j.type), ['sync.run']);
+  const syncType = list.body.types.find(t => t.type === 'sync.run');
+  assert.deepEqual([syncType.label, syncType.manual, syncType.canManage], ['반품 동기화', true, false]);
+});
+
+test('반품 상태 변경: 입고 확인은 스태프, 이후 처리는 반품 처리 권한 + 허용된 전이만', async () => {
+  const staff = sessionCookie('staff');
+  const owner = sessionCookie('owner');
+  db.insert('returns', { product_order_id: 'P1', store: 'A', state: 'collected', updated_at: new Date() });
+  const transition = (cookie, to, ids = ['P1']) =>
+    request('POST', '/api/returns/transition', { body: { productOrderIds: ids, to }, cookie });
+
+  const received = await transition(staff, 'received');
+  assert.deepEqual([received.status, received.body.moved], [200, ['P1']]);
+  const denied = await transition(staff, 'restocked');
+  assert.deepEqual([denied.status, denied.body.error], [400, '권한이 없습니다.']);
+  const invalid = await transition(owner, 'finalized', ['P1', 'NONE']);
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.skipped.map(s => s.error), ['입고완료 → 최종완료(으)로 변경할 수 없습니다.', '반품 건을 찾을 수 없습니다.']);
+  assert.equal((await transition(owner, 'disposed')).status, 200);
+
+  const list = await request('GET', '/api/returns?state=disposed', { cookie: staff });
+  assert.deepEqual(list.body.map(r => [r.product_order_id, r.previous_state, r.updated_by, r.alreadyAdded]), [['P1', 'received', 'owner-user', false]]);
+  const history = await request('GET', '/api/returns/P1/history', { cookie: staff });
+  assert.deepEqual(history.body.map(h => [h.from_state, h.to_state, h.username]),
+    [['collected', 'received', 'staff-user'], ['received', 'disposed', 'owner-user']]);
+});
+
+test('반품 검수: 반품 처리 권한, 입고 전 건은 400, 사진은 전역 본문 한도보다 크게 허용', async () => {
+  const staff = sessionCookie('staff');
+  const owner = sessionCookie('owner');
+  db.insert('returns', { product_order_id: 'P1', store: 'A', state: 'collected', updated_at: new Date() });
+  db.insert('returns', { product_order_id: 'P2', store: 'A', state: 'received', updated_at: new Date() });
+  const inspect = (id, cookie) => request('POST', `/api/returns/${id}/inspect`, { body: { grade: 'C', note: '오염' }, cookie });
+
+  assert.equal((await inspect('P2', staff)).status, 403);
+  assert.equal((await inspect('NONE', owner)).status, 404);
+  const early = await inspect('P1', owner);
+  assert.deepEqual([early.status, early.body.error], [400, '수거완료 상태에서는 검수할 수 없습니다.']);
+  const done = await inspect('P2', owner);
+  assert.deepEqual([done.status, done.body.state, done.body.result], [200, 'disposed', '불량 폐기']);
+
+  const dataUrl = `data:image/jpeg;base64,${Buffer.alloc(300 * 1024, 1).toString('base64')}`;
+  // 큰 본문 파서는 권한 확인 뒤에만
+  assert.equal((await request('POST', '/api/returns/P2/photos', { body: { dataUrl } })).status, 401);
+  assert.equal((await request('POST', '/api/returns/P2/photos', { body: { dataUrl }, cookie: staff })).status, 403);
+  const upload = await request('POST', '/api/returns/P2/photos', { body: { dataUrl }, cookie: owner });
+  assert.deepEqual([upload.status, upload.body.success], [200, true]);
+  const photos = await request('GET', '/api/returns/P2/photos', { cookie: staff });
+  assert.deepEqual(photos.body.map(p => [p.mime_type, p.size, p.username]), [['image/jpeg', 300 * 1024, 'owner-user']]);
+});
+
+// === DB 오류 → 500 { error } ===
+
+const DB_ERROR_ROUTES = [
+  ['GET', '/api/health'],
+  ['GET', '/api/users'],
+  ['GET', '/api/master/products'],
+  ['GET', '/api/master/products/1'],
+  ['GET', '/api/master/stats'],
+  ['GET', '/api/master/next-sku'],
+  ['POST', '/api/master/products', { name: 'ob 니트' }],
+  ['GET', '/api/inventory'],
+  ['GET', '/api/stats'],
+  ['GET', '/api/brands'],
+  ['POST', '/api/inventory', { name: 'ob 니트', color: '블랙' }],
+  ['PUT', '/api/inventory/1', { qty: 3 }],
+  ['DELETE', '/api/inventory/1'],
+  ['GET', '/api/sales/stats'],
+  ['GET', '/api/sales/report'],
+  ['GET', '/api/sales/recent'],
+  ['GET', '/api/sales/stock-review'],
+  ['GET', '/api/exchanges/review'],
+  ['GET', '/api/variant-channel-items?unlinked=1'],
+  ['POST', '/api/variant-channel-items', { store: 'C', channelProductId: '1', channelItemId: '2', variantId: 1 }],
+  ['PUT', '/api/variant-channel-items/1', { variantId: 1 }],
+  ['GET', '/api/sync/status'],
+  ['GET', '/api/sync/logs'],
+  ['GET', '/api/sync/mappings'],
+  ['GET', '/api/returns?state=received'],
+  ['GET', '/api/returns/1/history'],
+  ['POST', '/api/returns/transition', { productOrderIds: ['1'], to: 'finalized' }],
+  ['POST', '/api/returns/1/inspect', { grade: 'C' }],
+  ['GET', '/api/returns/1/photos'],
+  ['POST', '/api/returns/1/photos', { dataUrl: 'data:image/jpeg;base64,/9j/' }],
+  ['GET', '/api/store-a/products/index-status'],
+  ['GET', '/api/products/copy-history'],
+  ['GET', '/api/push/vapid-key'],
+  ['POST', '/api/store-a/products/index-start'],
+  ['POST', '/api/store-a/products/index-stop'],
+  ['POST', '/api/products/copy-bulk', { products: ['1'], targets: ['storeB'] }],
+  ['GET', '/api/jobs'],
+  ['POST', '/api/jobs', { type: 'sync.run' }],
+  ['GET', '/api/jobs/schedules'],
+  ['PUT', '/api/jobs/schedules/product_index', { enabled: false }],
+  ['GET', '/api/jobs/1'],
+  ['POST', '/api/jobs/1/cancel'],
+  ['POST', '/api/jobs/1/retry'],
+];
+
+test('DB 오류는 500과 error 메시지로 응답', async () => {
+  const cookie = sessionCookie('owner');
+  db.failAll('DB down', SESSION_QUERY);
+  for (const [method, url, body] of DB_ERROR_ROUTES) {
+    const res = await request(method, url, { body, cookie });
+    assert.equal(res.status, 500, `${method} ${url}`);
+    assert.equal(res.body.error, 'DB down', `${method} ${url}`);
+  }
+});
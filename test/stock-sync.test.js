@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const { stockSync } = require('../stock-sync');
+const channels = require('../channels');
+
+// 채널 어댑터 대신 — 옵션마다 forOption(옵션명, 전체 옵션명)을 호출해 결과를 기록
+function fakeAdapter(optionNames) {
+  const sent = {};
+  return {
+    sent,
+    async updateStock(channelNo, stock) {
+      for (const name of optionNames) sent[name] = stock.forOption(name, optionNames);
+      return stock.total;
+    },
+  };
+}
+
+const rule = { buffer: 0, cap: null };
+
+test('pushChannel: 옵션과 1:1로 맞는 variant만 전송, 컬러만 있는 variant가 여러 사이즈에 맞으면 기존 재고 유지', async () => {
+  const adapter = fakeAdapter(['블랙 / M', '블랙 / L', '아이보리 / M']);
+  const variants = [
+    { id: 1, color: '블랙', size: '', qty: 5 },
+    { id: 2, color: '아이보리', size: 'M', qty: 2 },
+  ];
+
+  const result = await stockSync.pushChannel(adapter, '1001', variants, rule);
+  assert.deepEqual(result, { qty: 7, skipped: ['블랙 / M', '블랙 / L'] });
+  assert.deepEqual(adapter.sent, { '블랙 / M': null, '블랙 / L': null, '아이보리 / M': 2 });
+});
+
+test('pushChannel: 쿠팡/지그재그는 옵션 연결된 아이템마다 옵션 재고 전송, 연결 없는 아이템은 기존 재고 유지', async () => {
+  db.reset();
+  db.on(/^SELECT \* FROM variant_channel_items WHERE store = \? AND product_id = \? ORDER BY id$/, ([store, productId]) =>
+    db.select('variant_channel_items', r => r.store === store && r.product_id === productId));
+  const variants = [
+    { id: 1, product_id: 7, color: '블랙', size: 'M', qty: 5 },
+    { id: 2, product_id: 7, color: '블랙', size: 'L', qty: 2 },
+  ];
+  const item = (store, productId, itemId, name, variantId) => db.insert('variant_channel_items',
+    { store, channel_product_id: productId, channel_item_id: itemId, option_name: name, channel_option_name: name, product_id: 7, variant_id: variantId });
+  item('C', '500', '5001', '블랙 M', 1);
+  item('C', '500', '5002', '블랙 L', 2);
+  item('C', '500', '5003', '그레이 M', null);
+  item('D', '600', '6001', '블랙 / M', 1);
+  item('D', '600', null, '블랙 / L', 2);
+
+  const sent = [];
+  const coupang = await channels.createAdapter('C', {
+    updateVendorItemQuantity: async (vendorItemId, qty) => sent.push([vendorItemId, qty]),
+  });
+  const result = await stockSync.pushChannel(coupang, '500', variants, { buffer: 1, cap: null });
+  assert.deepEqual(sent, [['5001', 4], ['5002', 1]]);
+  assert.deepEqual(result, { qty: 5, skipped: ['그레이 M'] });
+
+  const updates = [];
+  const zigzag = await channels.createAdapter('D', { updateProduct: async (input) => updates.push(input) });
+  assert.deepEqual(await stockSync.pushChannel(zigzag, '600', variants, rule), { qty: 5, skipped: ['블랙 / L'] });
+  assert.deepEqual(updates, [{ product_id: '600', product_option_list: [{ item_id: '6001', stock_quantity: 5 }] }]);
+
+  // 연결이 하나도 없으면 합계를 보내지 않음
+  db.reset();
+  db.on(/^SELECT \* FROM variant_channel_items WHERE store = \? AND product_id = \? ORDER BY id$/, () => []);
+  sent.length = 0;
+  assert.deepEqual(await stockSync.pushChannel(coupang, '500', variants, rule), { qty: 0, skipped: ['(채널 옵션 연결 없음)'] });
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,717 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+const { useMarketplaceMock } = require('./helpers/marketplace');
+
+const db = installFakeDb();
+const { scheduler } = require('../sync-scheduler');
+const { NaverCommerceClient } = require('../smartstore');
+const channels = require('../channels');
+const returnLifecycle = require('../return-lifecycle');
+
+const OLD = new Date('2025-01-01T00:00:00Z');
+
+// updateInventoryFromReturn()이 사용하는 inventory 쿼리
+function installInventoryTable() {
+  const like = (value, pattern) => String(value).includes(pattern.replace(/^%|%$/g, ''));
+
+  db.on(/^SELECT \* FROM inventory WHERE channel_product_no = \? AND color = \? LIMIT 1$/, ([no, color]) =>
+    db.select('inventory', r => r.channel_product_no === no && r.color === color, 1));
+  db.on(/^SELECT \* FROM inventory WHERE channel_product_no = \? LIMIT 1$/, ([no]) =>
+    db.select('inventory', r => r.channel_product_no === no, 1));
+  db.on(/^SELECT \* FROM inventory WHERE name = \? AND color = \? LIMIT 1$/, ([name, color]) =>
+    db.select('inventory', r => r.name === name && r.color === color, 1));
+  db.on(/^SELECT \* FROM inventory WHERE name LIKE \? AND color LIKE \? LIMIT 1$/, ([name, color]) =>
+    db.select('inventory', r => like(r.name, name) && like(r.color, color), 1));
+  db.on(/^UPDATE inventory SET channel_product_no = \? WHERE id = \?$/, ([no, id]) => {
+    db.find('inventory', id).channel_product_no = no;
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT DISTINCT brand FROM inventory WHERE brand != ''$/, () =>
+    [...new Set(db.rows('inventory').map(r => r.brand).filter(Boolean))].map(brand => ({ brand })));
+  db.on(/^INSERT INTO inventory \(name, color, qty, brand, channel_product_no\)/, ([name, color, qty, brand, no]) =>
+    db.insert('inventory', { name, color, qty, brand, channel_product_no: no, updated_at: new Date() }));
+}
+
+function addInventory(row) {
+  return db.insert('inventory', { brand: '', channel_product_no: null, updated_at: OLD, ...row }).insertId;
+}
+
+test.beforeEach((t) => {
+  db.reset();
+  installInventoryTable();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// === updateInventoryFromReturn: 4단계 매칭 ===
+
+test('1단계: channel_product_no + 색상 직접 매칭', async () => {
+  addInventory({ name: 'ob 캐시미어 니트', color: '아이보리', qty: 1, channel_product_no: '9000000001' });
+  const id = addInventory({ name: 'ob 캐시미어 니트', color: '블랙', qty: 2, channel_product_no: '9000000001' });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-1', '9000000001', 'ob 캐시미어 니트', '블랙', 1);
+
+  assert.deepEqual(result, { action: 'updated', matchType: 'direct', inventoryId: id, oldQty: 2, newQty: 3 });
+  assert.equal(db.find('inventory', id).qty, 3);
+  const [movement] = db.rows('stock_movements');
+  assert.equal(movement.inventory_id, id);
+  assert.equal(movement.reason, 'return');
+  assert.equal(movement.reference_id, 'PO-1');
+  assert.equal(db.rows('sync_log')[0].status, 'success');
+});
+
+test('1단계: 색상이 다르면 같은 채널 상품의 첫 재고로 매칭', async () => {
+  const id = addInventory({ name: 'ob 캐시미어 니트', color: '블랙', qty: 2, channel_product_no: '9000000001' });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-1', '9000000001', 'ob 캐시미어 니트', '네이비', 2);
+
+  assert.equal(result.matchType, 'direct');
+  assert.equal(db.find('inventory', id).qty, 4);
+});
+
+test('2단계: 정규화한 상품명 + 색상 정확 매칭 후 채널 번호 연결', async () => {
+  const id = addInventory({ name: 'ob 캐시미어 니트', color: '블랙', qty: 0 });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-2', '9000000001', '[hm] (오늘출발) ob 캐시미어 니트', '블랙', 1);
+
+  assert.equal(result.matchType, 'exact');
+  assert.equal(db.find('inventory', id).qty, 1);
+  assert.equal(db.find('inventory', id).channel_product_no, '9000000001');
+  assert.match(db.rows('sync_log')[0].message, /\[연결 저장\]/);
+});
+
+test('3단계: 브랜드를 뺀 키워드 + 색상 부분 매칭', async () => {
+  const id = addInventory({ name: 'ob 캐시미어 니트 23FW', color: '블랙 Free', qty: 1 });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-3', '', 'ob 캐시미어 니트', '블랙', 1);
+
+  assert.deepEqual(result, { action: 'updated', matchType: 'fuzzy', inventoryId: id, oldQty: 1, newQty: 2 });
+  assert.equal(db.find('inventory', id).channel_product_no, null);
+});
+
+test('3단계: 색상이 없으면 유사 매칭하지 않고 신규 등록', async () => {
+  addInventory({ name: 'ob 캐시미어 니트 23FW', color: '블랙', qty: 1 });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-3', '', 'ob 캐시미어 니트', '', 1);
+
+  assert.equal(result.action, 'created');
+  assert.equal(result.color, '기본');
+});
+
+test('4단계: 매칭 실패 → 브랜드/채널 번호 포함 신규 등록 + 초기 수량 원장 기록', async () => {
+  addInventory({ name: 'ms 울 코트', color: '차콜', qty: 1, brand: 'ms' });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-4', '9000000009', '(오늘출발) ob 캐시미어 니트', '블랙', 2);
+
+  assert.equal(result.action, 'created');
+  const created = db.find('inventory', result.inventoryId);
+  assert.equal(created.name, 'ob 캐시미어 니트');
+  assert.equal(created.brand, 'ob');
+  assert.equal(created.qty, 2);
+  assert.equal(created.channel_product_no, '9000000009');
+  const [movement] = db.rows('stock_movements');
+  assert.deepEqual([movement.qty_before, movement.qty_after, movement.reason], [0, 2, 'return']);
+});
+
+test('이미 반영된 productOrderId는 스킵', async () => {
+  const id = addInventory({ name: 'ob 캐시미어 니트', color: '블랙', qty: 2, channel_product_no: '9000000001' });
+  await scheduler.updateInventoryFromReturn('run', 'PO-5', '9000000001', 'ob 캐시미어 니트', '블랙', 1);
+
+  const again = await scheduler.updateInventoryFromReturn('run', 'PO-5', '9000000001', 'ob 캐시미어 니트', '블랙', 1);
+
+  assert.deepEqual(again, { action: 'skipped', reason: 'already_processed' });
+  assert.equal(db.find('inventory', id).qty, 3);
+});
+
+test('재고 반영 실패 시 처리 원장 claim을 풀어 다음 동기화에서 재시도', async () => {
+  db.on(/^SELECT \* FROM inventory WHERE name = \?/, () => { throw new Error('deadlock'); });
+  assert.equal(await scheduler.updateInventoryFromReturn('run', 'PO-8', '', 'ob 니트', '블랙', 1), null);
+  assert.deepEqual(db.rows('processed_returns'), []);
+});
+
+test('마지막 동기화 이후 수정된 재고는 수동 반영으로 보고 스킵 (연결만 저장)', async () => {
+  db.config.set('last_sync_time', '2025-06-01T00:00:00.000Z');
+  const id = addInventory({ name: 'ob 캐시미어 니트', color: '블랙', qty: 5, updated_at: new Date('2025-06-02T00:00:00Z') });
+
+  const result = await scheduler.updateInventoryFromReturn('run', 'PO-6', '9000000001', 'ob 캐시미어 니트', '블랙', 1);
+
+  assert.deepEqual(result, { action: 'skipped', reason: 'manual_update_detected', inventoryId: id });
+  assert.equal(db.find('inventory', id).qty, 5);
+  assert.equal(db.find('inventory', id).channel_product_no, '9000000001');
+  assert.equal(db.rows('stock_movements').length, 0);
+});
+
+test('상품명이 없으면 null, DB 오류는 실패 로그 후 null', async () => {
+  assert.equal(await scheduler.updateInventoryFromReturn('run', 'PO-7', '1', '', '블랙', 1), null);
+
+  db.on(/^SELECT \* FROM inventory WHERE name = \?/, () => { throw new Error('deadlock'); });
+  assert.equal(await scheduler.updateInventoryFromReturn('run', 'PO-7', '', 'ob 니트', '블랙', 1), null);
+  const [log] = db.rows('sync_log');
+  assert.equal(log.status, 'fail');
+  assert.match(log.message, /deadlock/);
+});
+
+// === addReturnToStoreB: B 스토어 반영 ===
+
+const returnDetail = (productOrderId) => ({
+  productOrder: { productOrderId, productName: 'ob 캐시미어 니트', productOption: '블랙', quantity: 1, productId: '9000000001' },
+});
+
+test('addReturnToStoreB: 매핑된 B 상품 수량 증가는 productOrderId당 한 번, 실패하면 다시 시도 가능', async (t) => {
+  db.on(/^SELECT \* FROM product_mapping WHERE store_a_channel_product_no = \?/, () =>
+    [{ match_status: 'matched', store_b_channel_product_no: '8000000001' }]);
+  let fail = true;
+  t.mock.method(scheduler, 'increaseStoreB', async () => {
+    if (fail) throw new Error('B API 500');
+  });
+
+  await assert.rejects(scheduler.addReturnToStoreB('run', returnDetail('PO-9')), /B API 500/);
+  assert.deepEqual(db.rows('processed_returns'), []);
+
+  fail = false;
+  assert.equal(await scheduler.addReturnToStoreB('run', returnDetail('PO-9')), 'done');
+  assert.equal(await scheduler.addReturnToStoreB('run', returnDetail('PO-9'), 'manual'), 'already');
+  assert.equal(scheduler.increaseStoreB.mock.callCount(), 2);
+  const [row] = db.rows('processed_returns');
+  assert.deepEqual([row.action, row.status, row.detail], ['storeB', 'done', '수량 증가 → B 8000000001 +1']);
+});
+
+test('addReturnToStoreB: A 상품 조회 실패로 등록하지 못하면 failed, claim 해제', async (t) => {
+  db.on(/^SELECT \* FROM product_mapping WHERE store_a_channel_product_no = \?/, () => []);
+  t.mock.method(scheduler, 'copyAndCreateInStoreB', async () => null);
+
+  assert.equal(await scheduler.addReturnToStoreB('run', returnDetail('PO-10')), 'failed');
+  assert.deepEqual(db.rows('processed_returns'), []);
+});
+
+test('addReturnToStoreB: 다른 옵션이 이미 B에 있으면 그 상품에 옵션 추가 후 매핑 저장', async (t) => {
+  db.on(/^SELECT \* FROM product_mapping WHERE store_a_channel_product_no = \? AND store_a_option_name = \?$/, () => []);
+  db.on(/^SELECT \* FROM product_mapping WHERE store_a_channel_product_no = \? AND match_status != 'unmatched'/, () =>
+    [{ store_a_option_name: '화이트', match_status: 'matched', store_b_channel_product_no: '8000000001', store_b_product_name: '(오늘출발) ob 니트' }]);
+  db.on(/^INSERT INTO product_mapping /, (p) => db.insert('product_mapping', {
+    store_a_channel_product_no: p[0], store_a_option_name: p[2], store_b_channel_product_no: p[3], store_b_product_name: p[4],
+  }));
+  t.mock.method(scheduler, 'increaseStoreB', async () => ({ option: '블랙', added: true, before: 0, after: 1, total: 3 }));
+  t.mock.method(scheduler, 'copyAndCreateInStoreB', async () => '8000000002');
+
+  const detail = returnDetail('PO-11');
+  detail.productOrder.optionName = '블랙';
+  assert.equal(await scheduler.addReturnToStoreB('run', detail), 'done');
+
+  assert.equal(scheduler.copyAndCreateInStoreB.mock.callCount(), 0);
+  assert.deepEqual(scheduler.increaseStoreB.mock.calls[0].arguments.slice(1, 4), ['8000000001', 'ob 캐시미어 니트', '블랙']);
+  const [mapping] = db.rows('product_mapping');
+  assert.deepEqual([mapping.store_a_option_name, mapping.store_b_channel_product_no, mapping.store_b_product_name],
+    ['블랙', '8000000001', '(오늘출발) ob 니트']);
+  assert.equal(db.rows('processed_returns')[0].detail, '옵션 추가 → B 8000000001 (블랙) +1');
+});
+
+test('addReturnToStoreB: B 상품 옵션 구성이 달라 합칠 수 없으면 신규 등록', async (t) => {
+  db.on(/^SELECT \* FROM product_mapping WHERE store_a_channel_product_no = \?/, () =>
+    [{ match_status: 'matched', store_b_channel_product_no: '8000000001' }]);
+  t.mock.method(scheduler, 'increaseStoreB', async () => null);
+  t.mock.method(scheduler, 'copyAndCreateInStoreB', async () => '8000000002');
+
+  assert.equal(await scheduler.addReturnToStoreB('run', returnDetail('PO-12')), 'done');
+  assert.equal(db.rows('processed_returns')[0].detail, '신규 등록 → B 8000000002 (1개)');
+});
+
+test('increaseStoreB: mock 네이버 B 상품에 옵션 재고 반영', async (t) => {
+  const { env } = await useMarketplaceMock(t);
+  scheduler.initClients(env.STORE_A_CLIENT_ID, env.STORE_A_CLIENT_SECRET, env.STORE_B_CLIENT_ID, env.STORE_B_CLIENT_SECRET);
+  t.after(() => { scheduler.storeA = null; scheduler.storeB = null; });
+  const created = await scheduler.storeB.createProduct({
+    originProduct: {
+      name: '(오늘출발) ob 니트', stockQuantity: 1,
+      detailAttribute: { optionInfo: NaverCommerceClient.buildOptionInfo('색상: 블랙 / 사이즈: M', 1) },
+    },
+    smartstoreChannelProduct: { channelProductName: '(오늘출발) ob 니트' },
+  });
+  const storeBNo = String(created.smartstoreChannelProductNo);
+
+  await scheduler.increaseStoreB('run', storeBNo, 'ob 니트', '색상: 블랙 / 사이즈: M', 1, 'PO-1');
+  const result = await scheduler.increaseStoreB('run', storeBNo, 'ob 니트', '색상: 블랙 / 사이즈: L', 2, 'PO-2');
+
+  assert.equal(result.added, true);
+  const { originProduct } = await scheduler.storeB.getChannelProduct(storeBNo);
+  assert.deepEqual(originProduct.detailAttribute.optionInfo.optionCombinations.map(c => [c.optionName2, c.stockQuantity]),
+    [['M', 2], ['L', 2]]);
+  assert.equal(originProduct.stockQuantity, 4);
+  assert.deepEqual(db.rows('sync_log').map(r => r.message), ['블랙 / M 수량 1 → 2 (+1)', '옵션 추가: 블랙 / L 2개 (전체 4)']);
+});
+
+// === copyToCoupang / copyToZigzag: 옵션별 채널 아이템 → variant_channel_items ===
+
+function installCopyTables() {
+  db.on(/^SELECT \* FROM channel_product_mapping WHERE store_a_channel_product_no = \? AND target_channel = \?$/, () => []);
+  db.on(/^INSERT INTO channel_product_mapping /, (p) => db.insert('channel_product_mapping', { store_a_channel_product_no: p[0], target_channel: p[2], target_product_id: p[3] }));
+  db.on(/^SELECT id FROM products WHERE naver_a_no = \? LIMIT 1$/, ([no]) => db.select('products', r => r.naver_a_no === no, 1));
+  db.on(/^SELECT \* FROM variants WHERE product_id = \? ORDER BY id$/, ([id]) => db.select('variants', r => r.product_id === id));
+  db.on(/^INSERT INTO variant_channel_items /, (p) => db.insert('variant_channel_items', {
+    store: p[0], channel_product_id: p[1], channel_item_id: p[2], option_name: p[3], channel_option_name: p[4], product_id: p[5], variant_id: p[6], price: p[7],
+  }));
+  db.on(/^SELECT target_category_id, target_category_path FROM category_mappings WHERE naver_category_id = \? AND target_channel = \?/, ([id, channel]) =>
+    db.select('category_mappings', r => r.naver_category_id === id && r.target_channel === channel, 1));
+  db.on(/^SELECT category_id, name, path, is_leaf FROM channel_categories WHERE channel = \? AND category_id = \?/, ([channel, id]) =>
+    db.select('channel_categories', r => r.channel === channel && r.category_id === id, 1));
+  const productId = db.insert('products', { naver_a_no: '9000000001', name: 'ob 니트' }).insertId;
+  for (const [color, size] of [['블랙', 'M'], ['블랙', 'L']]) db.insert('variants', { product_id: productId, color, size, qty: 1 });
+}
+
+const multiOptionSource = () => ({
+  originProduct: {
+    name: 'ob 니트', salePrice: 30000, leafCategoryId: '50000805',
+    detailAttribute: {
+      optionInfo: {
+        optionCombinationGroupNames: { optionGroupName1: '색상', optionGroupName2: '사이즈' },
+        optionCombinations: [
+          { id: 1, optionName1: '블랙', optionName2: 'M', stockQuantity: 2, price: 0 },
+          { id: 2, optionName1: '블랙', optionName2: 'L', stockQuantity: 1, price: 1000 },
+          { id: 3, optionName1: '그레이', optionName2: 'M', stockQuantity: 4, price: 0 },
+        ],
+      },
+    },
+  },
+});
+
+test('copyToCoupang/copyToZigzag: 옵션마다 채널 아이템 생성, 아이템 ID를 variants와 연결해 기록', async (t) => {
+  await useMarketplaceMock(t);
+  installCopyTables();
+  db.insert('category_mappings', { naver_category_id: '50000805', target_channel: 'coupang', target_category_id: '69520', target_category_path: '여성패션 > 여성의류 > 니트/스웨터' });
+  db.insert('category_mappings', { naver_category_id: '50000805', target_channel: 'zigzag', target_category_id: '1001', target_category_path: '상의 > 니트' });
+
+  const coupang = await scheduler.copyToCoupang('copy-1', '9000000001', multiOptionSource(), { coupangPriceRate: 1 });
+  const zigzag = await scheduler.copyToZigzag('copy-1', '9000000001', multiOptionSource(), { zigzagPriceRate: 1 });
+
+  assert.deepEqual([coupang.options, coupang.linkedVariants, zigzag.options, zigzag.linkedVariants], [3, 2, 3, 2]);
+  const [blackM, blackL] = db.rows('variants');
+  const items = (store) => db.rows('variant_channel_items').filter(r => r.store === store)
+    .map(r => [r.option_name, r.variant_id, r.price, Boolean(r.channel_item_id)]);
+  assert.deepEqual(items('C'), [
+    ['색상: 블랙 / 사이즈: M', blackM.id, 30000, true], ['색상: 블랙 / 사이즈: L', blackL.id, 31000, true], ['색상: 그레이 / 사이즈: M', null, 30000, true],
+  ]);
+  assert.deepEqual(items('D'), items('C'));
+  // 채널에 등록된 옵션명 — 지그재그 반품은 옵션 ID 없이 이 값으로 연결을 찾음
+  const channelOptionNames = (store) => db.rows('variant_channel_items').filter(r => r.store === store).map(r => r.channel_option_name);
+  assert.deepEqual(channelOptionNames('C'), ['블랙 M', '블랙 L', '그레이 M']);
+  assert.deepEqual(channelOptionNames('D'), ['블랙 / M', '블랙 / L', '그레이 / M']);
+  const coupangItem = db.rows('variant_channel_items')[0];
+  assert.equal(coupangItem.channel_product_id, coupang.targetProductId);
+  assert.equal(coupangItem.channel_item_id, String(Number(coupang.targetProductId) * 10));
+});
+
+test('copyToZigzag: 복사 요청에 비율이 없으면 가격 규칙으로 판매가·옵션 추가금액 계산', async (t) => {
+  await useMarketplaceMock(t);
+  installCopyTables();
+  db.insert('category_mappings', { naver_category_id: '50000805', target_channel: 'zigzag', target_category_id: '1001', target_category_path: '상의 > 니트' });
+  db.insert('pricing_rules', { id: 1, name: '지그재그 인상', channel: 'zigzag', brand: null, supplier: null, category_id: null, stock_type: null,
+    method: 'markup_percent', value: 10, rounding: 'floor_100', min_price: null, max_price: null, priority: 0, enabled: 1 });
+
+  await scheduler.copyToZigzag('copy-1', '9000000001', multiOptionSource(), {});
+
+  // 30000 × 1.1 = 33000, (30000 + 1000) × 1.1 = 34100
+  assert.deepEqual(db.rows('variant_channel_items').map(r => r.price), [33000, 34100, 33000]);
+  assert.match(db.rows('sync_log')[0].message, /가격: 지그재그 인상 \(판매가 \+10%\)/);
+});
+
+test('copyToCoupang/copyToZigzag: 카테고리 매핑이 없으면 상품을 만들지 않고 매핑 안내 오류', async (t) => {
+  await useMarketplaceMock(t);
+  installCopyTables();
+  db.insert('channel_categories', { channel: 'naver', category_id: '50000805', name: '니트', path: '패션의류 > 여성의류 > 니트', is_leaf: 1 });
+  db.insert('category_mappings', { naver_category_id: '50000805', target_channel: 'zigzag', target_category_id: '1001', target_category_path: '상의 > 니트' });
+
+  await assert.rejects(scheduler.copyToCoupang('copy-1', '9000000001', multiOptionSource(), { coupangPriceRate: 1 }),
+    { name: 'UnmappedCategoryError', message: /쿠팡 카테고리 매핑이 없습니다: 네이버 패션의류 > 여성의류 > 니트 \(50000805\)/ });
+  assert.deepEqual(db.rows('channel_product_mapping'), []);
+
+  const source = multiOptionSource();
+  delete source.originProduct.leafCategoryId;
+  await assert.rejects(scheduler.copyToZigzag('copy-1', '9000000001', source, { zigzagPriceRate: 1 }), /카테고리\(leafCategoryId\)가 없어/);
+});
+
+test('processReturnedItem: 검수 설정이면 B 스토어/재고 반영 없이 입고완료로 등록', async (t) => {
+  db.config.set('return_inspection_required', 'true');
+  const push = t.mock.method(scheduler, 'sendPushNotification', async () => {});
+  const storeB = t.mock.method(scheduler, 'addReturnToStoreB', async () => 'done');
+  const detail = { productOrder: { productOrderId: 'PO-9', productName: 'ob 니트', productOption: '컬러: 블랙', quantity: 1, productId: '9000000001' } };
+
+  await scheduler.processReturnedItem('run', detail);
+
+  assert.equal(storeB.mock.callCount(), 0);
+  const [ret] = db.rows('returns');
+  assert.deepEqual([ret.product_order_id, ret.store, ret.state, ret.channel_status], ['PO-9', 'A', 'received', 'RETURN_DONE']);
+  assert.deepEqual(db.rows('sync_log').map(l => [l.type, l.product_order_id, l.message]), [['return_inspect', 'PO-9', '검수 대기']]);
+  assert.equal(push.mock.calls[0].arguments[0], '반품 검수 대기');
+});
+
+// === runSync: 실패 건 재시도 ===
+
+async function setupRunSync(t) {
+  const { env } = await useMarketplaceMock(t);
+  scheduler.initClients(env.STORE_A_CLIENT_ID, env.STORE_A_CLIENT_SECRET, env.STORE_B_CLIENT_ID, env.STORE_B_CLIENT_SECRET);
+  t.after(() => { scheduler.storeA = null; scheduler.storeB = null; });
+  t.mock.method(scheduler, 'sleep', async () => {});
+  t.mock.method(scheduler, 'fetchSalesData', async () => {});
+  const processed = [];
+  const failing = new Set();
+  t.mock.method(scheduler, 'processReturnedItem', async (runId, detail) => {
+    const id = detail.productOrder.productOrderId;
+    processed.push(id);
+    if (failing.has(id)) throw new Error(`처리 실패 ${id}`);
+  });
+  return { processed, failing };
+}
+
+const pending = () => JSON.parse(db.config.get('pending_retry_orders') || '[]');
+
+test('runSync: 처리 실패 건은 pending_retry_orders에 저장', async (t) => {
+  const { processed, failing } = await setupRunSync(t);
+  failing.add('2025000000003');
+
+  const result = await scheduler.runSync();
+
+  assert.deepEqual(processed, ['2025000000003']);
+  assert.deepEqual([result.detected, result.processed, result.errors], [1, 0, 1]);
+  assert.deepEqual(pending(), ['2025000000003']);
+  assert.ok(db.config.get('last_sync_time'));
+  const errorLog = db.rows('sync_log').find(r => r.type === 'error');
+  assert.equal(errorLog.product_order_id, '2025000000003');
+  assert.match(errorLog.message, /처리 실패/);
+});
+
+test('runSync: 이전 실패 건을 다시 조회해 성공하면 목록에서 제거', async (t) => {
+  const { processed } = await setupRunSync(t);
+  db.config.set('pending_retry_orders', JSON.stringify(['2025000000001', '2025000000003']));
+
+  const result = await scheduler.runSync();
+
+  // 이번 기간 반품(…003)과 재시도 대상이 겹치면 한 번만 처리
+  assert.deepEqual(processed.sort(), ['2025000000001', '2025000000003']);
+  assert.deepEqual([result.detected, result.processed, result.errors], [2, 2, 0]);
+  assert.deepEqual(pending(), []);
+});
+
+test('runSync: 재시도 중 다시 실패하면 목록에 남김', async (t) => {
+  const { failing } = await setupRunSync(t);
+  db.config.set('pending_retry_orders', JSON.stringify(['2025000000001']));
+  failing.add('2025000000001');
+
+  await scheduler.runSync();
+
+  assert.deepEqual(pending(), ['2025000000001']);
+});
+
+test('runSync: 반품이 없으면 재시도 없이 last_sync_time만 갱신', async (t) => {
+  const { processed } = await setupRunSync(t);
+  db.config.set('last_sync_time', new Date(Date.now() - 30 * 60 * 1000).toISOString());
+
+  const result = await scheduler.runSync();
+
+  assert.deepEqual(processed, []);
+  assert.equal(result.detected, 0);
+  assert.equal(db.rows('sync_log')[0].message, '반품 관련 건 없음');
+  assert.equal(scheduler.fetchSalesData.mock.callCount(), 1);
+});
+
+test('runSync: 실행 중이거나 API 키가 없으면 스킵', async () => {
+  assert.deepEqual(await scheduler.runSync(), { skipped: true, message: '스토어 API 키가 설정되지 않았습니다.' });
+
+  scheduler.isRunning = true;
+  try {
+    assert.equal((await scheduler.runSync()).skipped, true);
+  } finally {
+    scheduler.isRunning = false;
+  }
+});
+
+// === 인스턴스 간 락 ===
+
+const otherInstanceLock = (name) => {
+  const now = new Date();
+  db.rows('lease_locks').push({
+    name, token: 'other-token', holder: 'other-host:1', purpose: null,
+    acquired_at: now, heartbeat_at: now, expires_at: new Date(now.getTime() + 60 * 1000),
+  });
+};
+
+test('runSync: 다른 서버가 동기화 락을 잡고 있으면 스킵, 끝나면 락 해제', async (t) => {
+  const { processed } = await setupRunSync(t);
+  otherInstanceLock('sync.run');
+  assert.deepEqual(await scheduler.runSync(), { skipped: true, message: '다른 서버에서 동기화가 실행 중입니다.' });
+  assert.deepEqual(processed, []);
+
+  db.tables.lease_locks = [];
+  await scheduler.runSync();
+  assert.deepEqual(processed, ['2025000000003']);
+  assert.deepEqual(db.rows('lease_locks'), []);
+});
+
+test('runSync: 다른 서버가 처리 중인 반품 건은 오류 없이 스킵하고 재시도 목록에 남김', async (t) => {
+  const { processed } = await setupRunSync(t);
+  otherInstanceLock('return:2025000000003');
+
+  const result = await scheduler.runSync();
+
+  assert.deepEqual(processed, []);
+  assert.deepEqual([result.processed, result.skipped, result.errors], [0, 1, 0]);
+  assert.deepEqual(pending(), ['2025000000003']);
+
+  // last_sync_time이 지나가도 다음 실행에서 재시도
+  db.tables.lease_locks = [];
+  await scheduler.runSync();
+  assert.deepEqual(processed, ['2025000000003']);
+  assert.deepEqual(pending(), []);
+});
+
+test('runSync: 다른 서버가 처리 중인 채널 반품 건도 재시도 목록에 남김', async (t) => {
+  await setupRunSync(t);
+  db.config.set('return_inspection_required', 'false');
+  db.config.set('return_auto_zigzag', 'storeB');
+  const calls = [];
+  t.mock.method(scheduler, 'processChannelReturn', async (runId, item) => { calls.push(item.productOrderId); });
+  otherInstanceLock('return:ZZG_RET_OI-0002_300000001');
+
+  const result = await scheduler.runSync();
+  assert.deepEqual(calls, []);
+  assert.deepEqual([result.skipped, result.errors], [1, 0]);
+  assert.deepEqual(pending(), ['ZZG_RET_OI-0002_300000001']);
+});
+
+// === runSync: 쿠팡/지그재그 반품 자동 처리 ===
+
+// guessOrderVariant()가 사용하는 마스터 상품 쿼리
+function installProductTables() {
+  db.on(/^SELECT \* FROM products WHERE (\w+) = \? LIMIT 1$/, ([no], text) => {
+    const col = text.match(/WHERE (\w+) = \?/)[1];
+    return db.select('products', r => String(r[col]) === String(no), 1);
+  });
+  db.on(/^SELECT \* FROM variants WHERE product_id = \? ORDER BY id$/, ([id]) => db.select('variants', r => r.product_id === id));
+}
+
+const COUPANG_RETURN = 'CPG_RET_400000001_500000001';
+
+test('runSync: 쿠팡 반품은 설정이 켜진 채널만, 마스터 상품의 A 스토어 번호로 재고 반영 — 한 번만', async (t) => {
+  await setupRunSync(t);
+  installProductTables();
+  db.config.set('return_inspection_required', 'false');
+  db.insert('products', { name: 'ob 캐시미어 라운드 니트', coupang_no: '500000001', naver_a_no: '9000000001' });
+  addInventory({ name: '캐시미어 니트', color: '색상: 블랙 / 사이즈: Free', qty: 2, channel_product_no: '9000000001' });
+
+  await scheduler.runSync();
+  assert.equal(db.rows('returns').length, 0, '설정이 꺼져 있으면 조회하지 않음');
+
+  db.config.set('return_auto_coupang', 'inventory');
+  const result = await scheduler.runSync();
+
+  // 네이버 반품은 첫 실행에서 처리됨 (last_sync_time 이후 변경 없음)
+  assert.deepEqual([result.detected, result.processed, result.errors], [1, 1, 0]);
+  assert.equal(db.find('inventory', 1).qty, 3);
+  assert.deepEqual(db.rows('stock_movements').map(m => [m.reference_id, m.delta]), [[COUPANG_RETURN, 1]]);
+  const ret = db.rows('returns').find(r => r.product_order_id === COUPANG_RETURN);
+  assert.deepEqual([ret.store, ret.state], ['C', 'restocked']);
+
+  // 다음 실행에서 같은 반품이 다시 조회돼도 재반영 없음
+  await scheduler.runSync();
+  assert.equal(db.find('inventory', 1).qty, 3);
+  assert.equal(db.rows('sync_log').filter(l => l.type === 'return_detect' && l.store_from === 'C').length, 1);
+});
+
+test('runSync: 채널 반품 처리 실패 건은 재시도 목록에 남기고, 다음 실행에서 returns 행으로 다시 처리', async (t) => {
+  await setupRunSync(t);
+  db.config.set('return_inspection_required', 'false');
+  db.config.set('return_auto_zigzag', 'storeB');
+  const calls = [];
+  let fail = true;
+  t.mock.method(scheduler, 'processChannelReturn', async (runId, item, mode) => {
+    calls.push([item.productOrderId, item.store, mode]);
+    if (fail) throw new Error('B 스토어 오류');
+  });
+
+  const first = await scheduler.runSync();
+  assert.deepEqual(calls, [['ZZG_RET_OI-0002_300000001', 'D', 'storeB']]);
+  assert.deepEqual([first.processed, first.errors], [1, 1]);
+  assert.deepEqual(pending(), ['ZZG_RET_OI-0002_300000001']);
+
+  // 조회 기간을 벗어나도 재시도 목록의 건은 returns 행으로 처리
+  t.mock.method(channels.getChannel('D').prototype, 'listReturns', async () => []);
+  fail = false;
+  await scheduler.runSync();
+  assert.deepEqual(calls[1], ['ZZG_RET_OI-0002_300000001', 'D', 'storeB']);
+  assert.deepEqual(pending(), []);
+});
+
+test('processChannelReturn: 검수 대기로 둘 때도 채널 옵션 연결로 찾은 마스터 상품명/옵션명/옵션을 기록', async (t) => {
+  installProductTables();
+  db.on(/^SELECT \* FROM products WHERE id = \?$/, ([id]) => db.select('products', r => r.id === id));
+  db.on(/^SELECT \* FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+  db.config.set('return_inspection_required', 'true');
+  t.mock.method(scheduler, 'sendPushNotification', async () => {});
+  db.insert('products', { name: 'ob 캐시미어 라운드 니트', coupang_no: '400', naver_a_no: '9000000001' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'Free', qty: 2 });
+  db.insert('variants', { product_id: 1, color: '아이보리', size: 'Free', qty: 1 });
+  db.insert('variant_channel_items', { store: 'C', channel_product_id: '400', channel_item_id: '500000001',
+    option_name: '색상: 아이보리 / 사이즈: Free', product_id: 1, variant_id: 2 });
+  const item = { store: 'C', productOrderId: COUPANG_RETURN, productName: '[ob] 캐시미어 니트 블랙', optionName: '블랙 Free', qty: 1,
+    channelProductNo: '500000001', returnState: 'collected' };
+
+  // 목록 조회 때 채널 값으로 먼저 등록된 행도 마스터 기준으로 갱신
+  await returnLifecycle.observe([item]);
+  await scheduler.processChannelReturn('run', item, 'storeB');
+
+  const held = db.rows('returns').find(r => r.product_order_id === COUPANG_RETURN);
+  assert.deepEqual([held.state, held.product_name, held.option_name, held.variant_id, held.channel_product_no],
+    ['received', 'ob 캐시미어 라운드 니트', '색상: 아이보리 / 사이즈: Free', 2, '500000001']);
+  assert.deepEqual(db.rows('sync_log').map(l => [l.type, l.product_name, l.product_option]),
+    [['return_inspect', 'ob 캐시미어 라운드 니트', '색상: 아이보리 / 사이즈: Free']]);
+});
+
+test('processChannelReturn: 마스터 상품이 없으면 B 스토어 없이 채널 상품명으로 재고만 반영, 검수 설정이면 입고완료', async (t) => {
+  installProductTables();
+  db.config.set('return_inspection_required', 'false');
+  t.mock.method(scheduler, 'sendPushNotification', async () => {});
+  const storeB = t.mock.method(scheduler, 'restockToStoreB', async () => 'done');
+  const item = { store: 'D', productOrderId: 'ZZG_RET_OI-9', productName: 'ob 울 코트', optionName: '블랙', qty: 1,
+    channelProductNo: '300000009', returnState: 'collected' };
+
+  await scheduler.processChannelReturn('run', item, 'storeB');
+
+  assert.equal(storeB.mock.callCount(), 0);
+  assert.deepEqual(db.rows('inventory').map(r => [r.name, r.color, r.qty, r.channel_product_no]), [['ob 울 코트', '블랙', 1, null]]);
+  assert.equal(db.rows('sync_log')[0].message, '연결된 마스터 상품 없음 → 재고만 반영');
+
+  db.config.set('return_inspection_required', 'true');
+  await scheduler.processChannelReturn('run', { ...item, productOrderId: 'ZZG_RET_OI-10' }, 'storeB');
+  const held = db.rows('returns').find(r => r.product_order_id === 'ZZG_RET_OI-10');
+  assert.deepEqual([held.store, held.state], ['D', 'received']);
+  assert.equal(db.rows('inventory').length, 1);
+});
+
+// === 매출 수집 ===
+
+// saveSalesOrder() / sales-stock.js 차감·복원이 사용하는 sales_orders 쿼리
+function installSalesTables() {
+  installProductTables();
+  const order = (id) => db.rows('sales_orders').find(r => r.id === id);
+  db.on(/^INSERT IGNORE INTO sales_orders /, ([store, id, date, name, option, qty, unitPrice, total, status, no]) => {
+    if (db.rows('sales_orders').some(r => r.product_order_id === id)) return { affectedRows: 0 };
+    return db.insert('sales_orders', { store, product_order_id: id, order_date: date, product_name: name, option_name: option, qty,
+      unit_price: unitPrice, total_amount: total, product_order_status: status, channel_product_no: no, stock_state: null, variant_id: null });
+  });
+  db.on(/^INSERT INTO sales_order_status_history /, ([id, store, from, to]) =>
+    db.insert('sales_order_status_history', { product_order_id: id, store, from_status: from, to_status: to }));
+  db.on(/^SELECT id, product_order_status FROM sales_orders WHERE product_order_id = \? FOR UPDATE$/, ([id]) =>
+    db.select('sales_orders', r => r.product_order_id === id));
+  db.on(/^UPDATE sales_orders SET product_order_status = \?, status_changed_at = NOW\(\) WHERE id = \?$/, ([status, id]) => {
+    order(id).product_order_status = status;
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT \* FROM sales_orders WHERE id = \?$/, ([id]) => db.select('sales_orders', r => r.id === id));
+  db.on(/^SELECT \* FROM sales_orders WHERE product_order_id = \?$/, ([id]) => db.select('sales_orders', r => r.product_order_id === id));
+  db.on(/^UPDATE sales_orders SET stock_state = \?, variant_id = \?, stock_note = \? WHERE id = \?$/, ([state, variantId, note, id]) => {
+    Object.assign(order(id), { stock_state: state, variant_id: variantId, stock_note: note });
+    return { affectedRows: 1 };
+  });
+  db.on(/^SELECT COALESCE\(SUM\(delta\), 0\) as net FROM stock_movements/, ([id, variantId]) => [{
+    net: db.rows('stock_movements').filter(m => m.reference_id === id && m.variant_id === variantId).reduce((sum, m) => sum + m.delta, 0),
+  }]);
+  db.on(/^SELECT product_order_id, product_order_status FROM sales_orders WHERE stock_state = 'deducted' AND product_order_status IN/, (p) => {
+    const statuses = p.slice(0, -1);
+    return db.select('sales_orders', r => r.stock_state === 'deducted' && statuses.includes(r.product_order_status), p[p.length - 1]);
+  });
+}
+
+const salesOrder = (productOrderId, status = 'PAYED') => ({
+  productOrderId, orderDate: '2025-03-01 10:00:00', productName: '캐시미어 니트', optionName: '블랙', qty: 1,
+  unitPrice: 50000, totalAmount: 50000, status, channelProductNo: '9001',
+});
+
+test('saveSalesOrder: 재고 반영 오류 — 신규 주문은 검토 대기, 취소 복원은 다음 수집 때 재시도', async (t) => {
+  installSalesTables();
+  db.insert('products', { name: '캐시미어 니트', naver_a_no: '9001', stock_type: 'inventory' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'Free', qty: 5 });
+  const ledger = require('../stock-ledger');
+  const salesStock = require('../sales-stock');
+  const adjust = ledger.adjustVariantQty;
+  let fail = true;
+  t.mock.method(ledger, 'adjustVariantQty', async (...args) => {
+    if (fail) throw new Error('락 대기 시간 초과');
+    return adjust(...args);
+  });
+
+  assert.equal(await scheduler.saveSalesOrder('A', salesOrder('S1')), true);
+  const s1 = db.rows('sales_orders')[0];
+  assert.deepEqual([s1.stock_state, s1.stock_note], ['unresolved', '재고 반영 오류: 락 대기 시간 초과']);
+
+  fail = false;
+  await scheduler.saveSalesOrder('A', salesOrder('S2'));
+  assert.equal(db.find('variants', 1).qty, 4);
+
+  fail = true;
+  assert.equal(await scheduler.saveSalesOrder('A', salesOrder('S2', 'CANCELED')), false);
+  assert.deepEqual([db.rows('sales_orders')[1].stock_state, db.find('variants', 1).qty], ['deducted', 4]);
+
+  fail = false;
+  assert.equal(await salesStock.retryPendingRestores(), 1);
+  assert.deepEqual([db.rows('sales_orders')[1].stock_state, db.find('variants', 1).qty], ['restored', 5]);
+  assert.equal(await salesStock.retryPendingRestores(), 0);
+});
+
+test('collectChannelSales: 쿠팡은 최근 7일을 다시 조회해 취소 건으로 차감 복원, 실패한 구간/주문부터 다음에 재조회', async (t) => {
+  installSalesTables();
+  t.mock.method(scheduler, 'sleep', async () => {});
+  db.insert('products', { name: '캐시미어 니트', coupang_no: '9001', stock_type: 'inventory' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'Free', qty: 5 });
+  const now = Date.now();
+  db.config.set('sales_last_fetch_c', new Date(now - 60 * 60 * 1000).toISOString());
+
+  const chunks = [];
+  const client = {
+    getOrderItems: async (from) => {
+      chunks.push(from);
+      return chunks.length === 1 ? [salesOrder('CPG_100_9001')] : [];
+    },
+    getOrderClaimItems: async () => chunks.length === 3
+      ? [{ shipmentBoxId: '100', vendorItemId: '9001', status: 'CANCELED' }, { shipmentBoxId: '999', vendorItemId: '9001', status: 'CANCELED' }]
+      : [],
+  };
+  const adapter = await channels.createAdapter('C', client);
+
+  let result = await scheduler.collectChannelSales(adapter);
+  assert.equal(chunks.length, 7);
+  assert.ok(Math.abs(new Date(chunks[0]).getTime() - (now - 7 * 24 * 60 * 60 * 1000)) < 1000);
+  assert.deepEqual(db.rows('sales_orders').map(r => [r.product_order_id, r.product_order_status, r.stock_state]),
+    [['CPG_100_9001', 'CANCELED', 'restored']]);
+  assert.equal(db.find('variants', 1).qty, 5);
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.to.getTime() >= now);
+
+  // 주문 저장 오류는 errors에 남기고 to는 그 구간 시작 / 조회 오류 구간도 마찬가지
+  chunks.length = 0;
+  client.getOrderItems = async (from) => {
+    chunks.push(from);
+    if (chunks.length === 2) return [salesOrder('CPG_200_9001')];
+    if (chunks.length === 4) throw new Error('API 오류');
+    return [];
+  };
+  db.on(/^INSERT IGNORE INTO sales_orders /, () => { throw new Error('DB 연결 끊김'); });
+  result = await scheduler.collectChannelSales(adapter);
+  assert.deepEqual(result.errors, ['CPG_200_9001: DB 연결 끊김', 'API 오류']);
+  assert.equal(result.to.toISOString(), chunks[1]);
+});
+
+test('saveSalesOrder: 쿠팡 주문은 채널 옵션 연결(vendorItemId → 옵션)로 차감, 연결이 없으면 옵션명 추정', async () => {
+  installSalesTables();
+  db.on(/^SELECT \* FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+  db.on(/^SELECT \* FROM products WHERE id = \?$/, ([id]) => db.select('products', r => r.id === id));
+  db.insert('products', { name: '캐시미어 니트', coupang_no: '9001', stock_type: 'inventory' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'M', qty: 5 });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'L', qty: 5 });
+  // 주문 옵션명(블랙)만으로는 M/L을 고를 수 없지만 vendorItemId가 L에 연결돼 있음
+  db.insert('variant_channel_items', { store: 'C', channel_product_id: '500', channel_item_id: '9002', option_name: '블랙 L', product_id: 1, variant_id: 2 });
+
+  await scheduler.saveSalesOrder('C', { ...salesOrder('CPG_100_9002'), channelProductNo: '9002' });
+  await scheduler.saveSalesOrder('C', salesOrder('CPG_101_9001'));
+  assert.deepEqual(db.rows('sales_orders').map(r => [r.stock_state, r.variant_id]), [['deducted', 2], ['unresolved', null]]);
+  assert.deepEqual(db.rows('variants').map(v => v.qty), [5, 4]);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fake-db');
+
+const db = installFakeDb();
+const variantItems = require('../variant-channel-items');
+
+const user = { id: 2, username: 'park' };
+
+// resolveVariant() 옵션명 추정 경로 + 직접 연결 추가/수정이 사용하는 쿼리
+function installTables() {
+  db.on(/^SELECT \* FROM products WHERE (\w+) = \? LIMIT 1$/, ([no], text) => {
+    const col = text.match(/WHERE (\w+) = \?/)[1];
+    return db.select('products', r => String(r[col]) === String(no), 1);
+  });
+  db.on(/^SELECT \* FROM products WHERE id = \?$/, ([id]) => db.select('products', r => r.id === id));
+  db.on(/^SELECT \* FROM variants WHERE product_id = \? ORDER BY id$/, ([id]) => db.select('variants', r => r.product_id === id));
+  db.on(/^SELECT \* FROM variants WHERE id = \?$/, ([id]) => db.select('variants', r => r.id === id));
+  db.on(/^INSERT INTO variant_channel_items .* VALUES \(\?, \?, \?, \?, \?, \?, \?, \?, NOW\(\)\)$/, (p) => db.insert('variant_channel_items', {
+    store: p[0], channel_product_id: p[1], channel_item_id: p[2], option_name: p[3], channel_option_name: p[4],
+    product_id: p[5], variant_id: p[6], linked_by: p[7],
+  }));
+  db.on(/^UPDATE variant_channel_items SET channel_item_id = COALESCE/, ([itemId, optionName, productId, variantId, by, id]) => {
+    const row = db.find('variant_channel_items', id);
+    if (row) {
+      Object.assign(row, {
+        channel_item_id: itemId ?? row.channel_item_id, channel_option_name: optionName ?? row.channel_option_name,
+        product_id: productId, variant_id: variantId, linked_by: by,
+      });
+    }
+    return { affectedRows: row ? 1 : 0 };
+  });
+}
+
+test.beforeEach(() => {
+  db.reset();
+  installTables();
+  db.insert('products', { name: '캐시미어 니트', brand: 'ob', naver_a_no: '9001', coupang_no: '7001', zigzag_no: '300' });
+  db.insert('variants', { product_id: 1, color: '블랙', size: 'Free', qty: 3 });
+  db.insert('variants', { product_id: 1, color: '아이보리', size: 'Free', qty: 2 });
+  // 복사 시 기록된 연결 — 쿠팡 vendorItemId / 지그재그 product_id + 옵션명
+  db.insert('variant_channel_items', { store: 'C', channel_product_id: '500', channel_item_id: '7001', option_name: '색상: 블랙',
+    channel_option_name: '블랙 Free', product_id: 1, variant_id: 1 });
+  db.insert('variant_channel_items', { store: 'D', channel_product_id: '300', channel_item_id: '301', option_name: '색상: 아이보리',
+    channel_option_name: '아이보리 / Free', product_id: 1, variant_id: 2 });
+});
+
+const resolve = (store, no, option) => variantItems.resolveVariant({ store, channel_product_no: no, option_name: option });
+
+test('resolveVariant: 채널 옵션 연결이 옵션명 추정보다 우선', async () => {
+  // 쿠팡: 반품 옵션명이 다른 옵션을 가리켜도 vendorItemId 연결대로
+  const coupang = await resolve('C', '7001', '색상: 아이보리 / 사이즈: Free');
+  assert.deepEqual([coupang.source, coupang.variant.id, coupang.product.name, coupang.item.option_name], ['mapping', 1, '캐시미어 니트', '색상: 블랙']);
+
+  // 지그재그: product_id + 옵션명 (공백/대소문자/구분자 차이 무시)
+  const zigzag = await resolve('D', '300', '아이보리/FREE');
+  assert.deepEqual([zigzag.source, zigzag.variant.id], ['mapping', 2]);
+});
+
+test('resolveVariant: 연결이 없거나 연결 옵션이 비어 있으면 옵션명 추정, 못 찾으면 source null', async () => {
+  const parsed = await resolve('D', '300', '블랙 / Free');
+  assert.deepEqual([parsed.source, parsed.variant.id, parsed.item], ['parser', 1, null]);
+
+  db.find('variant_channel_items', 1).variant_id = null;
+  const unlinked = await resolve('C', '7001', '색상: 아이보리 / 사이즈: Free');
+  assert.deepEqual([unlinked.source, unlinked.variant.id, unlinked.item.id], ['parser', 2, 1]);
+
+  const missing = await resolve('D', '999', '블랙 / Free');
+  assert.deepEqual([missing.source, missing.variant, missing.reason], [null, null, '연결된 상품 없음']);
+  // 네이버는 연결 대상 채널이 아님 — 옵션명 추정만
+  assert.equal((await resolve('A', '9001', '색상: 블랙 / 사이즈: Free')).source, 'parser');
+});
+
+test('normalizeItem / addItem / setVariant: 직접 연결, 같은 채널 옵션은 기존 행 수정', async () => {
+  assert.throws(() => variantItems.normalizeItem({ store: 'A' }), /채널\(쿠팡\/지그재그\)을 선택해주세요/);
+  assert.throws(() => variantItems.normalizeItem({ store: 'C', channelProductId: '500', channelItemId: '7002' }), /연결할 옵션을 선택해주세요/);
+
+  // 승인 전 복사라 vendorItemId 없이 저장된 쿠팡 옵션 → 직접 연결
+  const add = (input) => variantItems.addItem(variantItems.normalizeItem(input), user);
+  const id = await add({ store: 'C', channelProductId: '500', channelItemId: '7002', variantId: 2 });
+  assert.deepEqual(db.find('variant_channel_items', id),
+    { id, store: 'C', channel_product_id: '500', channel_item_id: '7002', option_name: '아이보리 / Free', channel_option_name: null,
+      product_id: 1, variant_id: 2, linked_by: 'park' });
+  assert.equal((await resolve('C', '7002', null)).variant.id, 2);
+
+  // 이미 있는 지그재그 옵션(옵션명 일치) → 새 행 없이 연결만 변경
+  assert.equal(await add({ store: 'D', channelProductId: '300', channelOptionName: '아이보리 / free', variantId: 1 }), 2);
+  assert.deepEqual([db.rows('variant_channel_items').length, db.find('variant_channel_items', 2).variant_id], [3, 1]);
+
+  await assert.rejects(variantItems.setVariant(1, { variantId: 99 }, user), /옵션을 찾을 수 없습니다/);
+  assert.equal(await variantItems.setVariant(1, { variantId: 2 }, user), true);
+  assert.deepEqual([db.find('variant_channel_items', 1).variant_id, db.find('variant_channel_items', 1).linked_by], [2, 'park']);
+  assert.equal(await variantItems.setVariant(99, { variantId: 2 }, user), false);
+});
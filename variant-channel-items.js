@@ -0,0 +1,250 @@
+const { query } = require('./database');
+const salesStock = require('./sales-stock');
+const { matchVariant, matchVariantByOption } = salesStock;
+
+// 채널 옵션 ↔ variants 연결 — 채널 상품 × 옵션명당 1행 (UNIQUE)
+// 쿠팡: channel_product_id = sellerProductId, channel_item_id = vendorItemId
+// 지그재그: channel_product_id = product_id, channel_item_id = 옵션 item_id (옵션 없는 상품은 product_id)
+// 상품 복사 시 기록 → 채널 옵션 단위 주문/반품/교환을 variant로 찾는 기준 (직원이 직접 수정 가능)
+// 연결이 없을 때만 채널 상품번호 + 옵션명 파싱(salesStock.guessOrderVariant)으로 추정
+
+// 옵션 연결을 기록하는 채널 (A 스토어 복사 대상 중 옵션 단위 아이템이 있는 채널)
+const STORES = ['C', 'D'];
+
+// "블랙 / Free", "블랙 free", "블랙/FREE" → "블랙free" (쿠팡 itemName / 지그재그 옵션 문자열 비교용)
+function normalizeOptionName(name) {
+  return String(name || '').toLowerCase().replace(/[\s\/]+/g, '');
+}
+
+/**
+ * 복사로 만든 채널 옵션 저장 — A 상품(products.naver_a_no)의 variants와 옵션명으로 연결
+ * 직원이 직접 연결한 행(linked_by)은 variant를 덮어쓰지 않음
+ * @param {string} store - 'C' | 'D'
+ * @param {string} channelProductId
+ * @param {Array<{optionName: string, channelItemId: string|null, channelOptionName: string|null, price: number|null}>} items
+ *   optionName: A 스토어 옵션명 / channelOptionName: 채널에 등록된 옵션명
+ * @param {string} sourceChannelProductNo - A 스토어 상품번호
+ * @returns {Promise<{saved: number, linked: number}>} linked: variant와 연결된 옵션 수
+ */
+async function saveItems(store, channelProductId, items, sourceChannelProductNo) {
+  const products = sourceChannelProductNo
+    ? await query('SELECT id FROM products WHERE naver_a_no = ? LIMIT 1', [String(sourceChannelProductNo)])
+    : [];
+  const productId = products[0] ? products[0].id : null;
+  const variants = productId
+    ? await query('SELECT * FROM variants WHERE product_id = ? ORDER BY id', [productId])
+    : [];
+
+  let linked = 0;
+  for (const item of items) {
+    // 옵션 없는 상품(단일 아이템)은 옵션이 하나뿐인 variant와 연결
+    const variant = item.optionName
+      ? matchVariantByOption(variants, item.optionName)
+      : matchVariant(variants, null);
+    if (variant) linked++;
+    await query(`
+      INSERT INTO variant_channel_items
+        (store, channel_product_id, channel_item_id, option_name, channel_option_name, product_id, variant_id, price, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE
+        channel_item_id = VALUES(channel_item_id),
+        channel_option_name = VALUES(channel_option_name),
+        product_id = IF(linked_by IS NULL, VALUES(product_id), product_id),
+        variant_id = IF(linked_by IS NULL, COALESCE(VALUES(variant_id), variant_id), variant_id),
+        price = VALUES(price),
+        updated_at = NOW()
+    `, [store, String(channelProductId), item.channelItemId ? String(item.channelItemId) : null, item.optionName || '',
+      item.channelOptionName || null, productId, variant ? variant.id : null, item.price ?? null]);
+  }
+  return { saved: items.length, linked };
+}
+
+/**
+ * 채널 상품번호/옵션으로 연결 행 찾기
+ * 1) 채널 옵션 ID (쿠팡 반품/교환의 vendorItemId, 지그재그 옵션 없는 상품의 product_id)
+ * 2) 채널 상품 + 채널 옵션명 (지그재그 반품/교환은 product_id + "블랙 / Free"만 옴)
+ * @param {string} store
+ * @param {string} channelProductNo
+ * @param {string|null} optionName - 채널 옵션명
+ * @returns {Promise<Object|null>} variant_channel_items 행
+ */
+async function findItem(store, channelProductNo, optionName) {
+  if (!STORES.includes(store) || !channelProductNo) return null;
+  const byItemId = await query(
+    'SELECT * FROM variant_channel_items WHERE store = ? AND channel_item_id = ? ORDER BY id LIMIT 1',
+    [store, String(channelProductNo)]
+  );
+  if (byItemId[0]) return byItemId[0];
+
+  const key = normalizeOptionName(optionName);
+  if (!key) return null;
+  const rows = await query('SELECT * FROM variant_channel_items WHERE store = ? AND channel_product_id = ? ORDER BY id',
+    [store, String(channelProductNo)]);
+  return rows.find(r => normalizeOptionName(r.channel_option_name) === key) || null;
+}
+
+/**
+ * 채널 주문/반품/교환 → variant — 옵션 연결 우선, 없으면 옵션명 파싱 추정
+ * @param {Object} order - { store, channel_product_no, option_name }
+ * @returns {Promise<{product: Object|null, variant: Object|null, source: 'mapping'|'parser'|null, item: Object|null, reason: string|null}>}
+ *   source: mapping(옵션 연결) / parser(옵션명 추정) / null(못 찾음), item: 찾은 연결 행 (variant 미지정 포함)
+ */
+async function resolveVariant(order) {
+  const item = await findItem(order.store, order.channel_product_no, order.option_name);
+  if (item && item.variant_id) {
+    const variants = await query('SELECT * FROM variants WHERE id = ?', [item.variant_id]);
+    if (variants[0]) {
+      const products = await query('SELECT * FROM products WHERE id = ?', [variants[0].product_id]);
+      return { product: products[0] || null, variant: variants[0], source: 'mapping', item, reason: null };
+    }
+  }
+  const resolved = await salesStock.guessOrderVariant(order);
+  return { ...resolved, source: resolved.variant ? 'parser' : null, item };
+}
+
+// 마스터 상품에 연결된 채널 옵션 — 옵션별 재고 전송 대상 (variant 미연결 행 포함)
+async function listProductItems(store, productId) {
+  return query('SELECT * FROM variant_channel_items WHERE store = ? AND product_id = ? ORDER BY id', [store, productId]);
+}
+
+// === 직접 연결 (설정 화면) ===
+
+function optionalText(value, max) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text ? text.slice(0, max) : null;
+}
+
+/**
+ * 직접 추가 입력 검증
+ * @param {Object} input - { store, channelProductId, channelItemId, channelOptionName, variantId }
+ */
+function normalizeItem(input = {}) {
+  const store = optionalText(input.store, 10);
+  if (!STORES.includes(store)) throw new Error('채널(쿠팡/지그재그)을 선택해주세요.');
+  const channelProductId = optionalText(input.channelProductId, 255);
+  if (!channelProductId) throw new Error('채널 상품 ID를 입력해주세요.');
+  const channelItemId = optionalText(input.channelItemId, 255);
+  const channelOptionName = optionalText(input.channelOptionName, 255);
+  if (!channelItemId && !channelOptionName) throw new Error('채널 옵션 ID 또는 채널 옵션명을 입력해주세요.');
+  const variantId = parseInt(input.variantId);
+  if (!(variantId > 0)) throw new Error('연결할 옵션을 선택해주세요.');
+  return { store, channelProductId, channelItemId, channelOptionName, variantId };
+}
+
+async function getVariant(variantId) {
+  const variants = await query('SELECT * FROM variants WHERE id = ?', [variantId]);
+  if (variants.length === 0) throw new Error('옵션을 찾을 수 없습니다.');
+  return variants[0];
+}
+
+/**
+ * 연결 목록 — 연결된 상품의 옵션을 선택지로 함께 반환
+ * @param {Object} filters - { store, unlinked, search, limit }
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listItems({ store = null, unlinked = false, search = '', limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (store) { conditions.push('i.store = ?'); params.push(store); }
+  if (unlinked) conditions.push('i.variant_id IS NULL');
+  if (search) {
+    conditions.push('(p.name LIKE ? OR p.sku LIKE ? OR i.channel_product_id = ? OR i.channel_item_id = ?)');
+    params.push(`%${search}%`, `%${search}%`, search, search);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const from = 'FROM variant_channel_items i LEFT JOIN products p ON p.id = i.product_id';
+
+  const countRows = await query(`SELECT COUNT(*) as cnt ${from} ${where}`, params);
+  const rows = await query(
+    `SELECT i.*, p.name AS product_name, p.sku ${from} ${where} ORDER BY i.store, i.channel_product_id, i.id LIMIT ?`,
+    [...params, limit]
+  );
+
+  const productIds = [...new Set(rows.map(r => r.product_id).filter(Boolean))];
+  const variantsByProduct = new Map();
+  if (productIds.length > 0) {
+    const ph = productIds.map(() => '?').join(',');
+    const variants = await query(`SELECT id, product_id, color, size, qty FROM variants WHERE product_id IN (${ph}) ORDER BY id`, productIds);
+    for (const v of variants) {
+      if (!variantsByProduct.has(v.product_id)) variantsByProduct.set(v.product_id, []);
+      variantsByProduct.get(v.product_id).push(v);
+    }
+  }
+  const items = rows.map(r => ({ ...r, variants: variantsByProduct.get(r.product_id) || [] }));
+  return { items, total: Number(countRows[0].cnt) };
+}
+
+/**
+ * 직접 추가 — 같은 채널 옵션이 이미 있으면 그 행의 연결을 바꿈
+ * @param {Object} item - normalizeItem 결과
+ * @returns {Promise<number>} 연결 행 ID
+ */
+async function addItem(item, user = null) {
+  const variant = await getVariant(item.variantId);
+  let existing = item.channelItemId ? await findItem(item.store, item.channelItemId, null) : null;
+  if (!existing && item.channelOptionName) existing = await findItem(item.store, item.channelProductId, item.channelOptionName);
+  if (existing) {
+    await updateItem(existing.id, item, variant, user);
+    return existing.id;
+  }
+
+  // option_name(UNIQUE)은 A 스토어 옵션명 자리 — 직접 추가한 행은 연결한 옵션의 컬러/사이즈
+  const optionName = [variant.color, variant.size].filter(Boolean).join(' / ') || item.channelOptionName || item.channelItemId;
+  try {
+    const result = await query(`
+      INSERT INTO variant_channel_items
+        (store, channel_product_id, channel_item_id, option_name, channel_option_name, product_id, variant_id, linked_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [item.store, item.channelProductId, item.channelItemId, optionName, item.channelOptionName,
+      variant.product_id, variant.id, user ? user.username : 'system']);
+    return result.insertId;
+  } catch (e) {
+    if (e.code === 'ER_DUP_ENTRY') throw new Error('이 채널 상품에 같은 옵션으로 연결된 채널 옵션이 이미 있습니다.');
+    throw e;
+  }
+}
+
+async function updateItem(id, { channelItemId, channelOptionName }, variant, user) {
+  const result = await query(`
+    UPDATE variant_channel_items
+    SET channel_item_id = COALESCE(?, channel_item_id), channel_option_name = COALESCE(?, channel_option_name),
+      product_id = ?, variant_id = ?, linked_by = ?, updated_at = NOW()
+    WHERE id = ?
+  `, [channelItemId || null, channelOptionName || null, variant.product_id, variant.id, user ? user.username : 'system', id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 연결 수정 — 옵션 지정 (승인 전 복사라 비어 있던 쿠팡 vendorItemId도 함께 입력 가능)
+ * @param {number} id
+ * @param {Object} input - { variantId, channelItemId?, channelOptionName? }
+ * @returns {Promise<boolean>} 수정 대상이 없으면 false
+ */
+async function setVariant(id, input, user = null) {
+  const variantId = parseInt(input.variantId);
+  if (!(variantId > 0)) throw new Error('연결할 옵션을 선택해주세요.');
+  const variant = await getVariant(variantId);
+  return updateItem(id, {
+    channelItemId: optionalText(input.channelItemId, 255),
+    channelOptionName: optionalText(input.channelOptionName, 255),
+  }, variant, user);
+}
+
+async function deleteItem(id) {
+  const result = await query('DELETE FROM variant_channel_items WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  STORES,
+  normalizeOptionName,
+  saveItems,
+  findItem,
+  resolveVariant,
+  listProductItems,
+  normalizeItem,
+  listItems,
+  addItem,
+  setVariant,
+  deleteItem,
+};
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
+const { NaverCommerceClient } = require('./smartstore');
 
+// ZIGZAG_API_URL 환경변수로 교체 가능 (mock 서버 등 오프라인 실행용)
 const ZIGZAG_API_URL = 'https://openapi.zigzag.kr/1/graphql';
 
 class ZigzagClient {
@@ -7,6 +9,7 @@ class ZigzagClient {
     this.accessKey = accessKey;
     this.secretKey = secretKey;
     this.storeName = storeName;
+    this.apiUrl = process.env.ZIGZAG_API_URL || ZIGZAG_API_URL;
   }
 
   // === HMAC 인증 (CEA 방식) ===
@@ -37,7 +40,7 @@ class ZigzagClient {
     // 서명 대상은 GraphQL 쿼리 문자열 (JSON body가 아님)
     const authorization = this.buildAuthorization(queryStr);
 
-    const res = await fetch(ZIGZAG_API_URL, {
+    const res = await fetch(this.apiUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -170,9 +173,14 @@ class ZigzagClient {
     return allItems;
   }
 
-  // === 반품 조회 ===
+  // === 반품/교환 조회 ===
 
-  async getReturnRequests(fromDate, toDate) {
+  /**
+   * 반품(또는 교환) 요청 주문 아이템 — 요청일 기준
+   * @param {string} requestType - RETURN | EXCHANGE
+   */
+  async getReturnRequests(fromDate, toDate, requestType = 'RETURN') {
+    const label = requestType === 'EXCHANGE' ? '교환' : '반품';
     const allReturns = [];
     const dateFrom = this.formatYmd(fromDate);
     const dateTo = this.formatYmd(toDate);
@@ -215,12 +223,12 @@ class ZigzagClient {
         data = await this.apiCall(query, {
           date_requested_ymd_from: dateFrom,
           date_requested_ymd_to: dateTo,
-          request_type: 'RETURN',
+          request_type: requestType,
           limit_count: limit,
           skip_count: skip,
         });
       } catch (e) {
-        console.log(`[${this.storeName}] 반품 조회 오류 (skip=${skip}): ${e.message.slice(0, 200)}`);
+        console.log(`[${this.storeName}] ${label} 조회 오류 (skip=${skip}): ${e.message.slice(0, 200)}`);
         break;
       }
 
@@ -228,14 +236,14 @@ class ZigzagClient {
       if (!result || !result.item_list || result.item_list.length === 0) break;
 
       if (allReturns.length === 0) {
-        console.log(`[${this.storeName}] 반품 첫 건 키:`, Object.keys(result.item_list[0]).join(', '));
+        console.log(`[${this.storeName}] ${label} 첫 건 키:`, Object.keys(result.item_list[0]).join(', '));
       }
 
       for (const item of result.item_list) {
         const order = item.order || {};
         const pinfo = item.product_info || {};
         const requests = item.active_request_list || [];
-        const primaryReq = requests[0] || {};
+        const primaryReq = requests.find(r => r.type === requestType) || requests[0] || {};
 
         allReturns.push({
           receiptId: item.order_item_number || primaryReq.order_item_request_number || '',
@@ -267,11 +275,15 @@ class ZigzagClient {
       return true;
     });
     if (unique.length < allReturns.length) {
-      console.log(`[${this.storeName}] 반품 중복 제거: ${allReturns.length}건 → ${unique.length}건`);
+      console.log(`[${this.storeName}] ${label} 중복 제거: ${allReturns.length}건 → ${unique.length}건`);
     }
     return unique;
   }
 
+  async getExchangeRequests(fromDate, toDate) {
+    return this.getReturnRequests(fromDate, toDate, 'EXCHANGE');
+  }
+
   // === 상품 등록/관리 ===
 
   /**
@@ -285,6 +297,10 @@ class ZigzagClient {
         product_id
         name
         status
+        product_option_list {
+          item_id
+          option_names
+        }
       }
     }`;
     return this.apiCall(mutation, { input: productInput });
@@ -351,8 +367,10 @@ class ZigzagClient {
 
   /**
    * A 스토어(네이버) 상품 데이터를 지그재그 등록용으로 변환
+   * 네이버 옵션은 조합형 옵션(product_option_list)으로 — 옵션 추가금액(가격 계산 적용), 옵션별 재고 포함
    * @param {Object} sourceProduct - NaverCommerceClient.getChannelProduct() 결과
-   * @param {Object} options - { categoryId, priceRate, namePrefix }
+   * @param {Object} options - { categoryId, priceRate, priceOf, namePrefix }
+   *   priceOf: A 실제 판매가(+옵션 추가금액) → 지그재그 판매가 (pricing.js, 없으면 priceRate 적용)
    * @returns {Object} 지그재그 상품 등록 요청 데이터
    */
   static buildZigzagProductData(sourceProduct, options = {}) {
@@ -361,20 +379,13 @@ class ZigzagClient {
     const {
       categoryId = '',
       priceRate = 0.85,
+      priceOf = (p) => Math.floor(p * priceRate / 10) * 10,
       namePrefix = '',
     } = options;
 
-    // 가격 계산
-    let actualPrice = origin.salePrice || 0;
-    const discount = origin.customerBenefit?.immediateDiscountPolicy?.discountMethod;
-    if (discount) {
-      if (discount.unitType === 'PERCENT') {
-        actualPrice = Math.round(origin.salePrice * (1 - discount.value / 100));
-      } else {
-        actualPrice = origin.salePrice - (discount.value || 0);
-      }
-    }
-    const salePrice = Math.floor(actualPrice * priceRate / 10) * 10;
+    // 가격 계산 — 옵션 추가금액은 (할인가 + 추가금액)의 판매가와 상품 판매가의 차이
+    const actualPrice = NaverCommerceClient.actualSalePrice(origin);
+    const salePrice = priceOf(actualPrice);
 
     // 상품명
     const productName = namePrefix && !baseName.startsWith(namePrefix)
@@ -393,7 +404,7 @@ class ZigzagClient {
       }
     }
 
-    return {
+    const data = {
       name: productName,
       price: actualPrice,
       discount_price: salePrice,
@@ -403,6 +414,19 @@ class ZigzagClient {
       shipping_fee: 0,
       status: 'SELLING',
     };
+
+    const { groupNames, options: naverOptions } = NaverCommerceClient.extractOptions(sourceProduct);
+    if (naverOptions.length > 0) {
+      data.option_type = 'COMBINATION';
+      data.option_group_names = groupNames;
+      data.product_option_list = naverOptions.map(opt => ({
+        option_names: opt.values,
+        additional_price: priceOf(actualPrice + opt.price) - salePrice,
+        stock_quantity: opt.stockQuantity,
+        status: 'SELLING',
+      }));
+    }
+    return data;
   }
 
   // === 연결 테스트 ===